@@ -20,9 +20,12 @@ module.exports = function (grunt) {
         src: [
           'src/pre.js',
           'src/util.js',
+          'src/aggs/*.js',
+          'src/analysis/*.js',
           'src/facet/*.js',
           'src/filter/*.js',
           'src/index/*.js',
+          'src/mapping/*.js',
           'src/query/*.js',
           'src/admin/*.js',
           'src/search/**/*.js',
@@ -98,7 +101,11 @@ module.exports = function (grunt) {
         globalstrict: true,
         globals: {
           exports: true,
-          module: false
+          module: false,
+          setTimeout: false,
+          clearTimeout: false,
+          Promise: false,
+          Symbol: false
         }
       },
       files: [
@@ -0,0 +1,301 @@
+  /**
+    @class
+    <p>The <code>Aliases</code> object provides an interface for managing
+    index aliases.  Add and remove actions are stacked and submitted in a
+    single request to the <code>_aliases</code> API, so all of the actions
+    are applied atomically.  This allows an alias to be moved from one
+    index to another without a moment where it points to neither.</p>
+
+    <p>Existing aliases can be retrieved by index and alias name.</p>
+
+    @name ejs.Aliases
+
+    @desc Manage the aliases of your indices.
+    */
+  ejs.Aliases = function () {
+
+    var
+      aliases = {actions: []},
+      params = {},
+      paramExcludes = ['indices', 'names'],
+
+      // checks the index and alias of an action are set
+      checkAction = function (index, alias) {
+        if (index == null || alias == null) {
+          throw new Error('Index and alias must be set');
+        }
+      };
+
+    return {
+
+      /**
+             <p>Adds an alias to an index.  The following options can be set
+             in the <code>conf</code> object:</p>
+
+             <dl>
+                <dd><code>filter</code> - a <code>Filter</code> that limits the documents seen through the alias</dd>
+                <dd><code>routing</code> - the routing value used for indexing and searching</dd>
+                <dd><code>indexRouting</code> - the routing value used for indexing</dd>
+                <dd><code>searchRouting</code> - the routing value used for searching</dd>
+             </dl>
+
+             @member ejs.Aliases
+             @param {String} index The index name.
+             @param {String} alias The alias name.
+             @param {Object} conf An optional object of alias options.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      add: function (index, alias, conf) {
+        var action = {index: index, alias: alias};
+
+        checkAction(index, alias);
+        conf = conf || {};
+
+        if (conf.filter != null) {
+          if (!isFilter(conf.filter)) {
+            throw new TypeError('Argument must be a Filter');
+          }
+
+          action.filter = conf.filter._self();
+        }
+
+        if (conf.routing != null) {
+          action.routing = conf.routing;
+        }
+
+        if (conf.indexRouting != null) {
+          action.index_routing = conf.indexRouting;
+        }
+
+        if (conf.searchRouting != null) {
+          action.search_routing = conf.searchRouting;
+        }
+
+        aliases.actions.push({add: action});
+        return this;
+      },
+
+      /**
+             <p>Removes an alias from an index.</p>
+
+             @member ejs.Aliases
+             @param {String} index The index name.
+             @param {String} alias The alias name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      remove: function (index, alias) {
+        checkAction(index, alias);
+        aliases.actions.push({remove: {index: index, alias: alias}});
+        return this;
+      },
+
+      /**
+             <p>Returns the list of stacked actions.</p>
+
+             @member ejs.Aliases
+             @returns {Array} the list of actions.
+             */
+      actions: function () {
+        return aliases.actions;
+      },
+
+      /**
+             <p>Removes all stacked actions.</p>
+
+             @member ejs.Aliases
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      clear: function () {
+        aliases.actions = [];
+        return this;
+      },
+
+      /**
+             <p>Set's the indices to get the aliases for.  If a single value
+             is passed in it will be appended to the current list of
+             indices.  If an array is passed in it will replace all existing
+             indices.  Used by <code>doGet</code>.</p>
+
+             @member ejs.Aliases
+             @param {String || Array} i An index name or list of index names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      indices: function (i) {
+        if (params.indices == null) {
+          params.indices = [];
+        }
+
+        if (i == null) {
+          return params.indices;
+        }
+
+        if (isString(i)) {
+          params.indices.push(i);
+        } else if (isArray(i)) {
+          params.indices = i;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Set's the alias names to get.  If a single value is passed
+             in it will be appended to the current list of names.  If an
+             array is passed in it will replace all existing names.  Used by
+             <code>doGet</code>.</p>
+
+             @member ejs.Aliases
+             @param {String || Array} n An alias name or list of alias names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      names: function (n) {
+        if (params.names == null) {
+          params.names = [];
+        }
+
+        if (n == null) {
+          return params.names;
+        }
+
+        if (isString(n)) {
+          params.names.push(n);
+        } else if (isArray(n)) {
+          params.names = n;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Set's a timeout for the actions to be acknowledged.</p>
+
+             @member ejs.Aliases
+             @param {String} length The amount of time after which the operation
+              will timeout.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      timeout: function (length) {
+        if (length == null) {
+          return params.timeout;
+        }
+
+        params.timeout = length;
+        return this;
+      },
+
+      /**
+             <p>Set's a timeout for the response from the master node.</p>
+
+             @member ejs.Aliases
+             @param {String} length The amount of time after which the operation
+              will timeout.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      masterTimeout: function (length) {
+        if (length == null) {
+          return params.master_timeout;
+        }
+
+        params.master_timeout = length;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Aliases
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(aliases);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.Aliases
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'aliases';
+      },
+
+      /**
+            <p>Retrieves the internal <code>aliases</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.Aliases
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return aliases;
+      },
+
+      /**
+            <p>Submits all of the stacked actions in a single request.  The
+            actions are applied atomically.</p>
+
+            @member ejs.Aliases
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doUpdate: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (aliases.actions.length === 0) {
+          throw new Error('No actions to execute');
+        }
+
+        var url = '/_aliases',
+          paramStr = genParamStr(params, paramExcludes);
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('post', url, this.toString(), successcb, errorcb);
+      },
+
+      /**
+            <p>Retrieves the aliases of the indices.  When alias names are
+            set, only the matching aliases are returned.  When no indices
+            are set, the aliases of all indices are returned.</p>
+
+            @member ejs.Aliases
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGet: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        var url = '';
+
+        if (params.indices && params.indices.length > 0) {
+          url = url + '/' + params.indices.join();
+        }
+
+        if (params.names && params.names.length > 0) {
+          url = url + '/_alias/' + params.names.join();
+        } else {
+          url = url + '/_aliases';
+        }
+
+        return clientRequest('get', url, {}, successcb, errorcb);
+      }
+
+    };
+  };
@@ -0,0 +1,309 @@
+  /**
+    @class
+    <p>The <code>Analyze</code> object runs text through an analyzer using
+    the <code>_analyze</code> API and returns the resulting tokens.  It is
+    useful when debugging why a query does, or does not, match.</p>
+
+    <p>The text can be analyzed by a named analyzer, by the analyzer of a
+    field, or by a chain of a tokenizer, token filters, and char filters.
+    When none are set, the default analyzer is used.</p>
+
+    @name ejs.Analyze
+
+    @desc Analyze text and inspect the tokens.
+
+    @param {String} text The text to analyze.
+    */
+  ejs.Analyze = function (text) {
+
+    var
+      params = {},
+      paramExcludes = ['index', 'text'],
+
+      // converts the raw response into a list of tokens
+      genTokens = function (response) {
+        var
+          tokens = response.tokens || [],
+          results = [],
+          i, len;
+
+        for (i = 0, len = tokens.length; i < len; i++) {
+          results.push({
+            term: tokens[i].token,
+            startOffset: tokens[i].start_offset,
+            endOffset: tokens[i].end_offset,
+            position: tokens[i].position,
+            type: tokens[i].type
+          });
+        }
+
+        return results;
+      },
+
+      // executes the request, passing error responses to errorcb
+      run = function (successcb, errorcb) {
+        var url = '',
+          excludes = paramExcludes.slice(0),
+          paramStr;
+
+        // skip filter lists that were never filled in
+        if (params.filters != null && params.filters.length === 0) {
+          excludes.push('filters');
+        }
+
+        if (params.char_filters != null && params.char_filters.length === 0) {
+          excludes.push('char_filters');
+        }
+
+        paramStr = genParamStr(params, excludes);
+
+        if (params.index != null) {
+          url = url + '/' + params.index;
+        }
+
+        url = url + '/_analyze';
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('post', url, params.text, function (response) {
+          if (response.error != null) {
+            if (errorcb != null) {
+              errorcb(response);
+            }
+          } else if (successcb != null) {
+            successcb(genTokens(response));
+          }
+        }, errorcb);
+      };
+
+    if (text != null) {
+      params.text = text;
+    }
+
+    return {
+
+      /**
+             <p>Set's the text to analyze.</p>
+
+             @member ejs.Analyze
+             @param {String} t The text to analyze.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      text: function (t) {
+        if (t == null) {
+          return params.text;
+        }
+
+        params.text = t;
+        return this;
+      },
+
+      /**
+             <p>Set's the index whose analyzers, and field mappings, are
+             used.  Required when analyzing with a field or with an
+             analyzer defined in an index.</p>
+
+             @member ejs.Analyze
+             @param {String} idx The index name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      index: function (idx) {
+        if (idx == null) {
+          return params.index;
+        }
+
+        params.index = idx;
+        return this;
+      },
+
+      /**
+             <p>Set's the name of the analyzer used to analyze the
+             text.</p>
+
+             @member ejs.Analyze
+             @param {String} analyzer A valid analyzer name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      analyzer: function (analyzer) {
+        if (analyzer == null) {
+          return params.analyzer;
+        }
+
+        params.analyzer = analyzer;
+        return this;
+      },
+
+      /**
+             <p>Set's the field whose analyzer is used to analyze the text.
+             The index must also be set.</p>
+
+             @member ejs.Analyze
+             @param {String} f The field name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      field: function (f) {
+        if (f == null) {
+          return params.field;
+        }
+
+        params.field = f;
+        return this;
+      },
+
+      /**
+             <p>Set's the name of the tokenizer used to analyze the text
+             when building an ad-hoc analyzer.</p>
+
+             @member ejs.Analyze
+             @param {String} tokenizer A valid tokenizer name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      tokenizer: function (tokenizer) {
+        if (tokenizer == null) {
+          return params.tokenizer;
+        }
+
+        params.tokenizer = tokenizer;
+        return this;
+      },
+
+      /**
+             <p>Set's the token filters applied after the tokenizer.  If a
+             single value is passed in it will be appended to the current
+             list of filters.  If an array is passed in it will replace all
+             existing filters.</p>
+
+             @member ejs.Analyze
+             @param {String || Array} f A token filter name or list of names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      filters: function (f) {
+        if (params.filters == null) {
+          params.filters = [];
+        }
+
+        if (f == null) {
+          return params.filters;
+        }
+
+        if (isString(f)) {
+          params.filters.push(f);
+        } else if (isArray(f)) {
+          params.filters = f;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Set's the char filters applied before the tokenizer.  If a
+             single value is passed in it will be appended to the current
+             list of char filters.  If an array is passed in it will replace
+             all existing char filters.</p>
+
+             @member ejs.Analyze
+             @param {String || Array} f A char filter name or list of names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      charFilters: function (f) {
+        if (params.char_filters == null) {
+          params.char_filters = [];
+        }
+
+        if (f == null) {
+          return params.char_filters;
+        }
+
+        if (isString(f)) {
+          params.char_filters.push(f);
+        } else if (isArray(f)) {
+          params.char_filters = f;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+             <p>If the operation should run on the local node when
+             possible.</p>
+
+             @member ejs.Analyze
+             @param {Boolean} trueFalse True to prefer the local node.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      preferLocal: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.prefer_local;
+        }
+
+        params.prefer_local = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Analyze
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(params);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.Analyze
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'analyze';
+      },
+
+      /**
+            <p>Retrieves the internal <code>params</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.Analyze
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return params;
+      },
+
+      /**
+            <p>Analyzes the text.  The success callback is passed the list
+            of tokens, each with <code>term, startOffset, endOffset,
+            position</code> and <code>type</code> properties.</p>
+
+            @member ejs.Analyze
+            @param {Function} successcb A callback function that handles the tokens.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doAnalyze: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (params.text == null) {
+          throw new Error('No text to analyze');
+        }
+
+        if (params.field != null && params.index == null) {
+          throw new Error('Index must be set when analyzing with a field');
+        }
+
+        return withDeferred(run, successcb, errorcb);
+      }
+
+    };
+  };
@@ -0,0 +1,652 @@
+  /**
+    @class
+    <p>The <code>IndexAdmin</code> object provides an interface for
+    managing indices.  Indices can be created with settings and mappings,
+    deleted, checked for existence, opened, closed, refreshed, flushed, and
+    optimized.</p>
+
+    @name ejs.IndexAdmin
+
+    @desc Manage the indices of your cluster.
+
+    @param {String || Array} indices An index name or list of index names.
+    */
+  ejs.IndexAdmin = function (indices) {
+
+    var
+      params = {},
+      body = {},
+      analysis = null,
+
+      // the parameters accepted by each operation
+      opParams = {
+        create: ['timeout', 'master_timeout'],
+        settings: ['master_timeout'],
+        'delete': ['timeout', 'master_timeout'],
+        open: ['timeout', 'master_timeout'],
+        close: ['timeout', 'master_timeout'],
+        refresh: [],
+        flush: ['force', 'full'],
+        optimize: ['max_num_segments', 'only_expunge_deletes', 'flush',
+          'wait_for_merge']
+      },
+
+      // generates the url for the operation
+      getRestPath = function (op, endpoint) {
+        var url = '',
+          excludes = [],
+          paramStr,
+          p;
+
+        if (params.indices.length > 0) {
+          url = url + '/' + params.indices.join();
+        }
+
+        if (endpoint != null) {
+          url = url + '/' + endpoint;
+        }
+
+        // only include the parameters used by this operation
+        for (p in params) {
+          if (has(params, p) && indexOf(opParams[op], p) === -1) {
+            excludes.push(p);
+          }
+        }
+
+        paramStr = genParamStr(params, excludes);
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return url;
+      },
+
+      // throws an error unless indices have been set
+      checkIndices = function (single) {
+        if (params.indices.length === 0) {
+          throw new Error('Index must be set');
+        }
+
+        if (single && params.indices.length > 1) {
+          throw new Error('Only a single index can be created');
+        }
+      };
+
+    params.indices = [];
+    if (isString(indices)) {
+      params.indices.push(indices);
+    } else if (isArray(indices)) {
+      params.indices = indices;
+    } else if (indices != null) {
+      throw new TypeError('Argument must be string or array');
+    }
+
+    return {
+
+      /**
+             <p>Set's the indices to operate on.  If a single value is passed
+             in it will be appended to the current list of indices.  If an
+             array is passed in it will replace all existing indices.</p>
+
+             @member ejs.IndexAdmin
+             @param {String || Array} i An index name or list of index names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      indices: function (i) {
+        if (i == null) {
+          return params.indices;
+        }
+
+        if (isString(i)) {
+          params.indices.push(i);
+        } else if (isArray(i)) {
+          params.indices = i;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Set's the settings used when creating the index, ie.
+             <code>{number_of_shards: 3}</code>.  Any existing settings,
+             including the analysis settings, are replaced.</p>
+
+             @member ejs.IndexAdmin
+             @param {Object} s The index settings.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      settings: function (s) {
+        if (s == null) {
+          return body.settings;
+        }
+
+        if (!isObject(s)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        body.settings = s;
+        analysis = null;
+        return this;
+      },
+
+      /**
+             <p>Set's the number of primary shards used when creating the
+             index.</p>
+
+             @member ejs.IndexAdmin
+             @param {Integer} num The number of shards.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      numberOfShards: function (num) {
+        if (body.settings == null) {
+          body.settings = {};
+        }
+
+        if (num == null) {
+          return body.settings.number_of_shards;
+        }
+
+        body.settings.number_of_shards = num;
+        return this;
+      },
+
+      /**
+             <p>Set's the number of replicas used when creating the
+             index.</p>
+
+             @member ejs.IndexAdmin
+             @param {Integer} num The number of replicas.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      numberOfReplicas: function (num) {
+        if (body.settings == null) {
+          body.settings = {};
+        }
+
+        if (num == null) {
+          return body.settings.number_of_replicas;
+        }
+
+        body.settings.number_of_replicas = num;
+        return this;
+      },
+
+      /**
+             <p>Set's the analysis settings used when creating the index or
+             updating its settings.  The referenced components, and the
+             analyzers referenced by the mappings, are validated before the
+             request is sent.</p>
+
+             @member ejs.IndexAdmin
+             @param {Analysis} a A valid Analysis object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      analysis: function (a) {
+        if (a == null) {
+          return analysis;
+        }
+
+        if (!isAnalysis(a)) {
+          throw new TypeError('Argument must be an Analysis');
+        }
+
+        if (body.settings == null) {
+          body.settings = {};
+        }
+
+        analysis = a;
+        body.settings.analysis = a._self();
+        return this;
+      },
+
+      /**
+             <p>Adds the mapping of a type used when creating the index.
+             The mapping can be a <code>Mapping</code> object or the name
+             of the type followed by the mapping definition.  When only the
+             type name is passed, the mapping of that type is returned.</p>
+
+             @member ejs.IndexAdmin
+             @param {String || Mapping} type The name of the type or a Mapping object.
+             @param {Object} mapping The mapping of the type.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      mapping: function (type, mapping) {
+        if (body.mappings == null) {
+          body.mappings = {};
+        }
+
+        if (isMapping(type)) {
+          extend(body.mappings, type._self());
+          return this;
+        }
+
+        if (mapping == null) {
+          return body.mappings[type];
+        }
+
+        if (!isObject(mapping)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        body.mappings[type] = mapping;
+        return this;
+      },
+
+      /**
+             <p>Returns the mappings of all types used when creating the
+             index.</p>
+
+             @member ejs.IndexAdmin
+             @returns {Object} the mappings keyed by type name.
+             */
+      mappings: function () {
+        return body.mappings;
+      },
+
+      /**
+             <p>Set's a timeout for the operation to be acknowledged.</p>
+
+             @member ejs.IndexAdmin
+             @param {String} length The amount of time after which the operation
+              will timeout.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      timeout: function (length) {
+        if (length == null) {
+          return params.timeout;
+        }
+
+        params.timeout = length;
+        return this;
+      },
+
+      /**
+             <p>Set's a timeout for the response from the master node.</p>
+
+             @member ejs.IndexAdmin
+             @param {String} length The amount of time after which the operation
+              will timeout.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      masterTimeout: function (length) {
+        if (length == null) {
+          return params.master_timeout;
+        }
+
+        params.master_timeout = length;
+        return this;
+      },
+
+      /**
+             <p>Forces a flush even if one is not needed.  Used by
+             <code>doFlush</code>.</p>
+
+             @member ejs.IndexAdmin
+             @param {Boolean} trueFalse True to force the flush.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      force: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.force;
+        }
+
+        params.force = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>Creates a new index writer when flushing.  Used by
+             <code>doFlush</code>.</p>
+
+             @member ejs.IndexAdmin
+             @param {Boolean} trueFalse True to perform a full flush.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      full: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.full;
+        }
+
+        params.full = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>The number of segments to optimize to.  Set to
+             <code>1</code> to fully optimize the index.  Used by
+             <code>doOptimize</code>.</p>
+
+             @member ejs.IndexAdmin
+             @param {Integer} num The maximum number of segments.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      maxNumSegments: function (num) {
+        if (num == null) {
+          return params.max_num_segments;
+        }
+
+        params.max_num_segments = num;
+        return this;
+      },
+
+      /**
+             <p>Only expunge deleted documents when optimizing.  Used by
+             <code>doOptimize</code>.</p>
+
+             @member ejs.IndexAdmin
+             @param {Boolean} trueFalse True to only expunge deletes.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      onlyExpungeDeletes: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.only_expunge_deletes;
+        }
+
+        params.only_expunge_deletes = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>Flush the index after optimizing.  Used by
+             <code>doOptimize</code>.</p>
+
+             @member ejs.IndexAdmin
+             @param {Boolean} trueFalse True to flush after optimizing.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      flush: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.flush;
+        }
+
+        params.flush = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>Wait for the merge to finish before returning.  Used by
+             <code>doOptimize</code>.</p>
+
+             @member ejs.IndexAdmin
+             @param {Boolean} trueFalse True to wait for the merge.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      waitForMerge: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.wait_for_merge;
+        }
+
+        params.wait_for_merge = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.IndexAdmin
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(body);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.IndexAdmin
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'index admin';
+      },
+
+      /**
+            <p>Retrieves the internal <code>body</code> object holding the
+            settings and mappings. This is typically used by internal API
+            functions so use with caution.</p>
+
+            @member ejs.IndexAdmin
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return body;
+      },
+
+      /**
+            <p>Creates the index using the current settings and mappings.
+            Exactly one index must be set.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doCreate: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkIndices(true);
+        if (analysis !== null) {
+          analysis.validate(body.mappings);
+        }
+
+        return clientRequest('put', getRestPath('create'), this.toString(),
+                                                          successcb, errorcb);
+      },
+
+      /**
+            <p>Updates the settings of the indices using the current
+            settings.  Analysis settings can only be updated while the
+            indices are closed.</p>
+
+            <p>All other settings are checked with
+            <code>ejs.IndexSettings</code> and an <code>Error</code> is thrown,
+            without sending the request, when a static setting such as
+            <code>number_of_shards</code> is found.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doUpdateSettings: function (successcb, errorcb) {
+        var flat, dynamic, name;
+
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkIndices(false);
+        if (body.settings == null) {
+          throw new Error('No settings found');
+        }
+
+        if (analysis !== null) {
+          analysis.validate();
+        }
+
+        // analysis settings are checked above, everything else must be a
+        // setting that can be changed on an existing index
+        flat = flattenSettings(body.settings);
+        dynamic = ejs.IndexSettings();
+        for (name in flat) {
+          if (has(flat, name) && name.indexOf('index.analysis.') !== 0) {
+            dynamic.setting(name, flat[name]);
+          }
+        }
+
+        dynamic.validate();
+
+        return clientRequest('put', getRestPath('settings', '_settings'),
+                      JSON.stringify(body.settings), successcb, errorcb);
+      },
+
+      /**
+            <p>Deletes the indices.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doDelete: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkIndices(false);
+        return clientRequest('del', getRestPath('delete'), '',
+                                                          successcb, errorcb);
+      },
+
+      /**
+            <p>Checks if all of the indices exist.  The success callback is
+            passed <code>true</code> when they exist and <code>false</code>
+            when they do not.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the result.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doExists: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkIndices(false);
+
+        var url = '/' + params.indices.join();
+
+        return withDeferred(function (resolve, reject) {
+          return ejs.client.head(url, {}, function (headers, status) {
+            if (resolve != null) {
+              resolve(status == null || (status >= 200 && status < 300));
+            }
+          }, function (error) {
+            // missing indices are reported as errors by some clients
+            if (error != null && error.status === 404) {
+              if (resolve != null) {
+                resolve(false);
+              }
+            } else if (reject != null) {
+              reject(error);
+            }
+          });
+        }, successcb, errorcb);
+      },
+
+      /**
+            <p>Opens the closed indices.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doOpen: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkIndices(false);
+        return clientRequest('post', getRestPath('open', '_open'), '',
+                                                          successcb, errorcb);
+      },
+
+      /**
+            <p>Closes the indices.  Closed indices can not be searched or
+            indexed into until they are opened.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doClose: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkIndices(false);
+        return clientRequest('post', getRestPath('close', '_close'), '',
+                                                          successcb, errorcb);
+      },
+
+      /**
+            <p>Refreshes the indices making recent changes searchable.  When
+            no indices are set, all indices are refreshed.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doRefresh: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('post', getRestPath('refresh', '_refresh'), '',
+                                                          successcb, errorcb);
+      },
+
+      /**
+            <p>Flushes the indices to disk and clears the transaction log.
+            When no indices are set, all indices are flushed.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doFlush: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('post', getRestPath('flush', '_flush'), '',
+                                                          successcb, errorcb);
+      },
+
+      /**
+            <p>Optimizes the indices by merging segments.  When no indices
+            are set, all indices are optimized.</p>
+
+            @member ejs.IndexAdmin
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doOptimize: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('post', getRestPath('optimize', '_optimize'), '',
+                                                          successcb, errorcb);
+      }
+
+    };
+  };
@@ -0,0 +1,413 @@
+  /**
+    @class
+    <p>The <code>IndexSettings</code> object retrieves and updates the
+    settings of one or more existing indices, such as the number of
+    replicas, the refresh interval, and the index blocks.</p>
+
+    <p>Only dynamic settings can be changed on an existing index.  Before
+    an update is sent, every setting is checked against the list of
+    dynamic settings and an <code>Error</code> is thrown for static
+    settings such as <code>number_of_shards</code>.</p>
+
+    @name ejs.IndexSettings
+
+    @desc Get and update the settings of your indices.
+
+    @param {String || Array} indices An index name or list of index names.
+    */
+  ejs.IndexSettings = function (indices) {
+
+    var
+      params = {},
+      settings = {},
+
+      // settings that can be changed on an existing index
+      dynamicSettings = ['index.number_of_replicas',
+        'index.auto_expand_replicas', 'index.refresh_interval',
+        'index.blocks.read_only', 'index.blocks.read', 'index.blocks.write',
+        'index.blocks.metadata', 'index.translog.flush_threshold_ops',
+        'index.translog.flush_threshold_size',
+        'index.translog.flush_threshold_period', 'index.translog.disable_flush',
+        'index.cache.filter.max_size', 'index.cache.filter.expire',
+        'index.gateway.snapshot_interval',
+        'index.routing.allocation.total_shards_per_node',
+        'index.routing.allocation.disable_allocation',
+        'index.routing.allocation.disable_new_allocation',
+        'index.routing.allocation.disable_replica_allocation',
+        'index.recovery.initial_shards', 'index.ttl.disable_purge',
+        'index.gc_deletes', 'index.warmer.enabled',
+        'index.fail_on_merge_failure', 'index.compound_format',
+        'index.compound_on_flush'],
+
+      // groups of settings that can be changed on an existing index
+      dynamicPrefixes = ['index.routing.allocation.include.',
+        'index.routing.allocation.exclude.',
+        'index.routing.allocation.require.', 'index.merge.policy.',
+        'index.merge.scheduler.', 'index.search.slowlog.',
+        'index.indexing.slowlog.'],
+
+      // checks if a setting can be changed on an existing index
+      isDynamic = function (name) {
+        var i, len;
+
+        if (indexOf(dynamicSettings, name) !== -1) {
+          return true;
+        }
+
+        for (i = 0, len = dynamicPrefixes.length; i < len; i++) {
+          if (name.indexOf(dynamicPrefixes[i]) === 0) {
+            return true;
+          }
+        }
+
+        return false;
+      },
+
+      // generates the url for the indices
+      getRestPath = function () {
+        var url = '';
+
+        if (params.indices.length > 0) {
+          url = url + '/' + params.indices.join();
+        }
+
+        return url + '/_settings';
+      },
+
+      // adds the index. prefix to a setting name when it is missing
+      settingName = function (name) {
+        return name.indexOf('index.') === 0 ? name : 'index.' + name;
+      };
+
+    params.indices = [];
+    if (isString(indices)) {
+      params.indices.push(indices);
+    } else if (isArray(indices)) {
+      params.indices = indices;
+    } else if (indices != null) {
+      throw new TypeError('Argument must be string or array');
+    }
+
+    return {
+
+      /**
+             <p>Set's the indices the settings are retrieved from, or
+             applied to.  If a single value is passed in it will be
+             appended to the current list of indices.  If an array is
+             passed in it will replace all existing indices.  When no
+             indices are set, all indices are used.</p>
+
+             @member ejs.IndexSettings
+             @param {String || Array} i An index name or list of index names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      indices: function (i) {
+        if (i == null) {
+          return params.indices;
+        }
+
+        if (isString(i)) {
+          params.indices.push(i);
+        } else if (isArray(i)) {
+          params.indices = i;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Set's a single setting.  The <code>index.</code> prefix is
+             optional.  When only a name is passed, the current value of the
+             setting is returned.</p>
+
+             @member ejs.IndexSettings
+             @param {String} name The setting name, ie. refresh_interval.
+             @param {String || Number || Boolean} value The setting value.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      setting: function (name, value) {
+        if (name == null) {
+          return settings;
+        }
+
+        if (value === undefined) {
+          return settings[settingName(name)];
+        }
+
+        settings[settingName(name)] = value;
+        return this;
+      },
+
+      /**
+             <p>Adds multiple settings at once.  The settings can be nested,
+             ie. <code>{blocks: {read_only: true}}</code>, or use the dotted
+             form, ie. <code>{'index.blocks.read_only': true}</code>.</p>
+
+             @member ejs.IndexSettings
+             @param {Object} s The settings object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      settings: function (s) {
+        if (s == null) {
+          return settings;
+        }
+
+        if (!isObject(s)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        extend(settings, flattenSettings(s));
+        return this;
+      },
+
+      /**
+             <p>Set's the number of replicas of each shard.</p>
+
+             @member ejs.IndexSettings
+             @param {Integer} num The number of replicas.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      numberOfReplicas: function (num) {
+        if (num == null) {
+          return settings['index.number_of_replicas'];
+        }
+
+        settings['index.number_of_replicas'] = num;
+        return this;
+      },
+
+      /**
+             <p>Set's a range of replicas that is adjusted automatically to
+             the number of data nodes, ie. <code>0-all</code>.  Set to
+             <code>false</code> to disable.</p>
+
+             @member ejs.IndexSettings
+             @param {String || Boolean} range The replica range.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      autoExpandReplicas: function (range) {
+        if (range == null) {
+          return settings['index.auto_expand_replicas'];
+        }
+
+        settings['index.auto_expand_replicas'] = range;
+        return this;
+      },
+
+      /**
+             <p>Set's how often the indices are refreshed, making recent
+             changes visible to search.  Set to <code>-1</code> to disable
+             refreshing, ie. during a bulk import.</p>
+
+             @member ejs.IndexSettings
+             @param {String || Integer} interval The refresh interval, ie. 1s.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      refreshInterval: function (interval) {
+        if (interval == null) {
+          return settings['index.refresh_interval'];
+        }
+
+        settings['index.refresh_interval'] = interval;
+        return this;
+      },
+
+      /**
+             <p>If the indices, and their metadata, are read only.</p>
+
+             @member ejs.IndexSettings
+             @param {Boolean} trueFalse True to block all writes.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      blocksReadOnly: function (trueFalse) {
+        if (trueFalse == null) {
+          return settings['index.blocks.read_only'];
+        }
+
+        settings['index.blocks.read_only'] = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>If read operations against the indices are blocked.</p>
+
+             @member ejs.IndexSettings
+             @param {Boolean} trueFalse True to block reads.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      blocksRead: function (trueFalse) {
+        if (trueFalse == null) {
+          return settings['index.blocks.read'];
+        }
+
+        settings['index.blocks.read'] = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>If write operations against the indices are blocked.</p>
+
+             @member ejs.IndexSettings
+             @param {Boolean} trueFalse True to block writes.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      blocksWrite: function (trueFalse) {
+        if (trueFalse == null) {
+          return settings['index.blocks.write'];
+        }
+
+        settings['index.blocks.write'] = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>If metadata operations, such as retrieving the settings or
+             mappings, are blocked.</p>
+
+             @member ejs.IndexSettings
+             @param {Boolean} trueFalse True to block metadata operations.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      blocksMetadata: function (trueFalse) {
+        if (trueFalse == null) {
+          return settings['index.blocks.metadata'];
+        }
+
+        settings['index.blocks.metadata'] = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>Set's a timeout for the response from the master node.</p>
+
+             @member ejs.IndexSettings
+             @param {String} length The amount of time after which the operation
+              will timeout.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      masterTimeout: function (length) {
+        if (length == null) {
+          return params.master_timeout;
+        }
+
+        params.master_timeout = length;
+        return this;
+      },
+
+      /**
+            <p>Checks that every setting can be changed on an existing
+            index.  An <code>Error</code> naming the first static setting
+            is thrown when one is found.</p>
+
+            @member ejs.IndexSettings
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      validate: function () {
+        var name;
+
+        for (name in settings) {
+          if (has(settings, name) && !isDynamic(name)) {
+            throw new Error('Setting "' + name + '" is not dynamic and can ' +
+              'not be updated');
+          }
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.IndexSettings
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(settings);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.IndexSettings
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'index settings';
+      },
+
+      /**
+            <p>Retrieves the internal <code>settings</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.IndexSettings
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return settings;
+      },
+
+      /**
+            <p>Retrieves the settings of the indices.  When no indices are
+            set, the settings of all indices are returned.</p>
+
+            @member ejs.IndexSettings
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGet: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('get', getRestPath(), {}, successcb, errorcb);
+      },
+
+      /**
+            <p>Updates the settings of the indices.  The settings are
+            validated first and an <code>Error</code> is thrown, without
+            sending the request, when a static setting is found.</p>
+
+            @member ejs.IndexSettings
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doUpdate: function (successcb, errorcb) {
+        var url = getRestPath(),
+          paramStr = genParamStr(params, ['indices']),
+          name,
+          empty = true;
+
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        for (name in settings) {
+          if (has(settings, name)) {
+            empty = false;
+            break;
+          }
+        }
+
+        if (empty) {
+          throw new Error('No settings found');
+        }
+
+        this.validate();
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('put', url, this.toString(), successcb, errorcb);
+      }
+
+    };
+  };
@@ -0,0 +1,528 @@
+  /**
+    @class
+    <p>The <code>IndexTemplate</code> object provides an interface for
+    managing index templates.  A template holds the settings, mappings,
+    and aliases that are applied to new indices whose name matches the
+    template pattern.</p>
+
+    <p>When several templates match the name of a new index, they are
+    applied from the lowest to the highest <code>order</code>, so the
+    values of higher order templates win.  <code>doPreview</code> shows
+    which templates would apply to an index and the result of merging
+    them.</p>
+
+    @name ejs.IndexTemplate
+
+    @desc Manage the index templates of your cluster.
+
+    @param {String} name The name of the template.
+    */
+  ejs.IndexTemplate = function (name) {
+
+    var
+      template = {},
+      params = {},
+      analysis = null,
+
+      // converts a template pattern into a regular expression
+      genPatternRegExp = function (pattern) {
+        var parts = pattern.split('*'), i, len;
+
+        for (i = 0, len = parts.length; i < len; i++) {
+          parts[i] = parts[i].replace(/[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g, '\\$&');
+        }
+
+        return new RegExp('^' + parts.join('.*') + '$');
+      },
+
+      // recursively merges the source object into the target object
+      merge = function (target, source) {
+        var key;
+
+        for (key in source) {
+          if (!has(source, key)) {
+            continue;
+          }
+
+          if (isObject(source[key]) && !isArray(source[key]) &&
+            isObject(target[key]) && !isArray(target[key])) {
+            merge(target[key], source[key]);
+          } else if (isObject(source[key]) && !isArray(source[key])) {
+            target[key] = merge({}, source[key]);
+          } else {
+            target[key] = source[key];
+          }
+        }
+
+        return target;
+      },
+
+      // finds and merges the templates matching the index name
+      genPreview = function (index, templates) {
+        var
+          preview = {
+            index: index,
+            templates: [],
+            settings: {},
+            mappings: {},
+            aliases: {}
+          },
+          matches = [],
+          tmplName,
+          tmpl,
+          i, len;
+
+        for (tmplName in templates) {
+          if (!has(templates, tmplName)) {
+            continue;
+          }
+
+          tmpl = templates[tmplName];
+          if (tmpl.template != null &&
+            genPatternRegExp(tmpl.template).test(index)) {
+            matches.push({name: tmplName, def: tmpl});
+          }
+        }
+
+        // lowest order first so higher orders override, ties by name
+        matches.sort(function (a, b) {
+          var orderA = a.def.order || 0, orderB = b.def.order || 0;
+
+          if (orderA !== orderB) {
+            return orderA - orderB;
+          }
+
+          return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+        });
+
+        for (i = 0, len = matches.length; i < len; i++) {
+          tmpl = matches[i].def;
+          preview.templates.push({
+            name: matches[i].name,
+            template: tmpl.template,
+            order: tmpl.order || 0
+          });
+
+          extend(preview.settings, flattenSettings(tmpl.settings));
+          merge(preview.mappings, tmpl.mappings || {});
+          merge(preview.aliases, tmpl.aliases || {});
+        }
+
+        return preview;
+      },
+
+      // executes the preview, passing error responses to errorcb
+      runPreview = function (index, successcb, errorcb) {
+        return clientRequest('get', '/_template', {}, function (response) {
+          var templates = {}, tmplName;
+
+          if (response.error != null) {
+            if (errorcb != null) {
+              errorcb(response);
+            }
+
+            return;
+          }
+
+          for (tmplName in response) {
+            if (has(response, tmplName)) {
+              templates[tmplName] = response[tmplName];
+            }
+          }
+
+          // this template replaces the registered one with the same name
+          if (template.template != null) {
+            templates[name] = template;
+          }
+
+          if (successcb != null) {
+            successcb(genPreview(index, templates));
+          }
+        }, errorcb);
+      };
+
+    return {
+
+      /**
+             <p>Returns the name of the template.</p>
+
+             @member ejs.IndexTemplate
+             @returns {String} the name of the template.
+             */
+      name: function () {
+        return name;
+      },
+
+      /**
+             <p>Set's the pattern the names of new indices are matched
+             against, ie. <code>logs-*</code>.</p>
+
+             @member ejs.IndexTemplate
+             @param {String} pattern A wildcard pattern.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      template: function (pattern) {
+        if (pattern == null) {
+          return template.template;
+        }
+
+        template.template = pattern;
+        return this;
+      },
+
+      /**
+             <p>Set's the order of the template.  Templates with a higher
+             order are applied after, and override, templates with a lower
+             order.</p>
+
+             @member ejs.IndexTemplate
+             @param {Integer} o The order of the template.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      order: function (o) {
+        if (o == null) {
+          return template.order;
+        }
+
+        template.order = o;
+        return this;
+      },
+
+      /**
+             <p>Set's the settings applied to matching indices, ie.
+             <code>{number_of_shards: 3}</code>.  Any existing settings,
+             including the analysis settings, are replaced.</p>
+
+             @member ejs.IndexTemplate
+             @param {Object} s The index settings.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      settings: function (s) {
+        if (s == null) {
+          return template.settings;
+        }
+
+        if (!isObject(s)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        template.settings = s;
+        analysis = null;
+        return this;
+      },
+
+      /**
+             <p>Set's the number of primary shards of matching indices.</p>
+
+             @member ejs.IndexTemplate
+             @param {Integer} num The number of shards.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      numberOfShards: function (num) {
+        if (template.settings == null) {
+          template.settings = {};
+        }
+
+        if (num == null) {
+          return template.settings.number_of_shards;
+        }
+
+        template.settings.number_of_shards = num;
+        return this;
+      },
+
+      /**
+             <p>Set's the number of replicas of matching indices.</p>
+
+             @member ejs.IndexTemplate
+             @param {Integer} num The number of replicas.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      numberOfReplicas: function (num) {
+        if (template.settings == null) {
+          template.settings = {};
+        }
+
+        if (num == null) {
+          return template.settings.number_of_replicas;
+        }
+
+        template.settings.number_of_replicas = num;
+        return this;
+      },
+
+      /**
+             <p>Set's the analysis settings of matching indices.  The
+             referenced components, and the analyzers referenced by the
+             mappings, are validated before the template is put.</p>
+
+             @member ejs.IndexTemplate
+             @param {Analysis} a A valid Analysis object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      analysis: function (a) {
+        if (a == null) {
+          return analysis;
+        }
+
+        if (!isAnalysis(a)) {
+          throw new TypeError('Argument must be an Analysis');
+        }
+
+        if (template.settings == null) {
+          template.settings = {};
+        }
+
+        analysis = a;
+        template.settings.analysis = a._self();
+        return this;
+      },
+
+      /**
+             <p>Adds the mapping of a type applied to matching indices.  The
+             mapping can be a <code>Mapping</code> object or the name of the
+             type followed by the mapping definition.  When only the type
+             name is passed, the mapping of that type is returned.</p>
+
+             @member ejs.IndexTemplate
+             @param {String || Mapping} type The name of the type or a Mapping object.
+             @param {Object} mapping The mapping of the type.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      mapping: function (type, mapping) {
+        if (template.mappings == null) {
+          template.mappings = {};
+        }
+
+        if (isMapping(type)) {
+          extend(template.mappings, type._self());
+          return this;
+        }
+
+        if (mapping == null) {
+          return template.mappings[type];
+        }
+
+        if (!isObject(mapping)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        template.mappings[type] = mapping;
+        return this;
+      },
+
+      /**
+             <p>Adds an alias created for matching indices.  The following
+             options can be set in the <code>conf</code> object:</p>
+
+             <dl>
+                <dd><code>filter</code> - a <code>Filter</code> that limits the documents seen through the alias</dd>
+                <dd><code>routing</code> - the routing value used for indexing and searching</dd>
+                <dd><code>indexRouting</code> - the routing value used for indexing</dd>
+                <dd><code>searchRouting</code> - the routing value used for searching</dd>
+             </dl>
+
+             @member ejs.IndexTemplate
+             @param {String} alias The alias name.
+             @param {Object} conf An optional object of alias options.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      alias: function (alias, conf) {
+        var def = {};
+
+        if (template.aliases == null) {
+          template.aliases = {};
+        }
+
+        if (alias == null) {
+          return template.aliases;
+        }
+
+        conf = conf || {};
+
+        if (conf.filter != null) {
+          if (!isFilter(conf.filter)) {
+            throw new TypeError('Argument must be a Filter');
+          }
+
+          def.filter = conf.filter._self();
+        }
+
+        if (conf.routing != null) {
+          def.routing = conf.routing;
+        }
+
+        if (conf.indexRouting != null) {
+          def.index_routing = conf.indexRouting;
+        }
+
+        if (conf.searchRouting != null) {
+          def.search_routing = conf.searchRouting;
+        }
+
+        template.aliases[alias] = def;
+        return this;
+      },
+
+      /**
+             <p>When true, putting the template fails if a template with the
+             same name exists.</p>
+
+             @member ejs.IndexTemplate
+             @param {Boolean} trueFalse True to only create new templates.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      create: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.create;
+        }
+
+        params.create = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.IndexTemplate
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(template);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.IndexTemplate
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'index template';
+      },
+
+      /**
+            <p>Retrieves the internal <code>template</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.IndexTemplate
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return template;
+      },
+
+      /**
+            <p>Puts the template.</p>
+
+            @member ejs.IndexTemplate
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doPut: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (template.template == null) {
+          throw new Error('Template pattern must be set');
+        }
+
+        if (analysis !== null) {
+          analysis.validate(template.mappings);
+        }
+
+        var url = '/_template/' + name,
+          paramStr = genParamStr(params, []);
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('put', url, this.toString(), successcb, errorcb);
+      },
+
+      /**
+            <p>Retrieves the registered template.</p>
+
+            @member ejs.IndexTemplate
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGet: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('get', '/_template/' + name, {}, successcb,
+                                                                    errorcb);
+      },
+
+      /**
+            <p>Deletes the registered template.</p>
+
+            @member ejs.IndexTemplate
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doDelete: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('del', '/_template/' + name, '', successcb,
+                                                                    errorcb);
+      },
+
+      /**
+            <p>Shows which registered templates would apply to a new index
+            with the given name.  This template takes the place of the
+            registered template with the same name, so the effect of
+            changes can be previewed before they are put.</p>
+
+            <p>The success callback is passed an object with the following
+            properties:</p>
+
+            <dl>
+                <dd><code>index</code> - the index name</dd>
+                <dd><code>templates</code> - the matching templates in the order they are
+                  applied, each with <code>name, template</code> and <code>order</code> properties</dd>
+                <dd><code>settings</code> - the merged settings, using dotted names such as
+                  <code>index.number_of_shards</code></dd>
+                <dd><code>mappings</code> - the merged mappings</dd>
+                <dd><code>aliases</code> - the merged aliases</dd>
+            </dl>
+
+            @member ejs.IndexTemplate
+            @param {String} index The name of the new index.
+            @param {Function} successcb A callback function that handles the preview.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doPreview: function (index, successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (index == null) {
+          throw new Error('Index must be set');
+        }
+
+        return withDeferred(function (resolve, reject) {
+          return runPreview(index, resolve, reject);
+        }, successcb, errorcb);
+      }
+
+    };
+  };
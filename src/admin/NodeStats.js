@@ -264,7 +264,8 @@
             @member ejs.NodeStats
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} The return value is dependent on client implementation.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
             */
       doStats: function (successcb, errorcb) {
         // make sure the user has set a client
@@ -280,7 +281,7 @@
     
         url = url + '/stats';
       
-        return ejs.client.get(url, genClientParams(params, paramExcludes), 
+        return clientRequest('get', url, genClientParams(params, paramExcludes), 
                                                           successcb, errorcb);
       }
   
@@ -0,0 +1,268 @@
+  /**
+    @class
+    <p>The <code>Warmer</code> object registers, retrieves, and deletes
+    index warmers.  A warmer is a search that is run against new segments
+    before they are made visible to search, so caches are loaded before
+    the first live request arrives.</p>
+
+    <p>The body of the warmer is a <code>Request</code>.  The same
+    <code>Request</code> used for live searches can be registered as a
+    warmer, so the warm-up search always matches the live search.  When no
+    indices or types are set on the warmer, the indices and types of the
+    <code>Request</code> are used.</p>
+
+    @name ejs.Warmer
+
+    @desc Manage the search warmers of your indices.
+
+    @param {String} name The name of the warmer.
+    */
+  ejs.Warmer = function (name) {
+
+    var
+      params = {indices: [], types: []},
+      request = null,
+
+      // the indices of the warmer, or the request when none are set
+      getIndices = function () {
+        if (params.indices.length === 0 && request !== null) {
+          return request.indices();
+        }
+
+        return params.indices;
+      },
+
+      // the types of the warmer, or the request when none are set
+      getTypes = function () {
+        if (params.types.length === 0 && request !== null) {
+          return request.types();
+        }
+
+        return params.types;
+      },
+
+      // generates the url for the operation
+      getRestPath = function (useTypes) {
+        var url = '',
+          idx = getIndices(),
+          types = getTypes();
+
+        if (idx.length > 0) {
+          url = url + '/' + idx.join();
+        }
+
+        if (useTypes && types.length > 0) {
+          url = url + '/' + types.join();
+        }
+
+        url = url + '/_warmer';
+
+        if (params.name != null) {
+          url = url + '/' + params.name;
+        }
+
+        return url;
+      },
+
+      // throws an error unless a name and index are available
+      checkTarget = function () {
+        if (params.name == null) {
+          throw new Error('Warmer name must be set');
+        }
+
+        if (getIndices().length === 0) {
+          throw new Error('Index must be set');
+        }
+      },
+
+      // appends a single value or replaces the list with an array
+      setList = function (key, v) {
+        if (isString(v)) {
+          params[key].push(v);
+        } else if (isArray(v)) {
+          params[key] = v;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+      };
+
+    if (name != null) {
+      params.name = name;
+    }
+
+    return {
+
+      /**
+             <p>Set's the name of the warmer.</p>
+
+             @member ejs.Warmer
+             @param {String} n The warmer name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      name: function (n) {
+        if (n == null) {
+          return params.name;
+        }
+
+        params.name = n;
+        return this;
+      },
+
+      /**
+             <p>Set's the search <code>Request</code> run by the warmer.
+             The query, facets, sorts, and any other parts of the request
+             body are used.</p>
+
+             @member ejs.Warmer
+             @param {Object} r A valid <code>Request</code> object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      request: function (r) {
+        if (r == null) {
+          return request;
+        }
+
+        if (!isRequest(r)) {
+          throw new TypeError('Argument must be a Request');
+        }
+
+        request = r;
+        return this;
+      },
+
+      /**
+             <p>Set's the indices the warmer is registered on.  If a single
+             value is passed in it will be appended to the current list of
+             indices.  If an array is passed in it will replace all existing
+             indices.</p>
+
+             @member ejs.Warmer
+             @param {String || Array} i An index name or list of index names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      indices: function (i) {
+        if (i == null) {
+          return params.indices;
+        }
+
+        setList('indices', i);
+        return this;
+      },
+
+      /**
+             <p>Set's the types the warmer searches.  If a single value is
+             passed in it will be appended to the current list of types.
+             If an array is passed in it will replace all existing
+             types.</p>
+
+             @member ejs.Warmer
+             @param {String || Array} t A type name or list of type names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      types: function (t) {
+        if (t == null) {
+          return params.types;
+        }
+
+        setList('types', t);
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Warmer
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(this._self());
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.Warmer
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'warmer';
+      },
+
+      /**
+            <p>Retrieves the body of the warmer, which is the body of the
+            search request. This is typically used by internal API
+            functions so use with caution.</p>
+
+            @member ejs.Warmer
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return request !== null ? request._self() : {};
+      },
+
+      /**
+            <p>Registers the warmer.  An existing warmer with the same name
+            is replaced.</p>
+
+            @member ejs.Warmer
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doPut: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkTarget();
+        if (request === null) {
+          throw new Error('Request must be set');
+        }
+
+        return clientRequest('put', getRestPath(true), this.toString(),
+          successcb, errorcb);
+      },
+
+      /**
+            <p>Retrieves the warmer.  When no name is set, all of the
+            warmers of the indices are listed.  When no indices are set,
+            the warmers of all indices are used.</p>
+
+            @member ejs.Warmer
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGet: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return clientRequest('get', getRestPath(false), {}, successcb, errorcb);
+      },
+
+      /**
+            <p>Deletes the warmer from the indices.</p>
+
+            @member ejs.Warmer
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doDelete: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkTarget();
+        return clientRequest('del', getRestPath(false), '', successcb, errorcb);
+      }
+
+    };
+  };
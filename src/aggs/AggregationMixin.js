@@ -0,0 +1,86 @@
+  /**
+    @mixin
+    <p>The AggregationMixin provides support for common options used across
+    various <code>Aggregation</code> implementations.  This object should not be
+    used directly.</p>
+
+    @name ejs.AggregationMixin
+
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
+    @param {String} name The name of the aggregation.
+    @param {String} type The type of the aggregation, ie. <code>terms</code>.
+    */
+  ejs.AggregationMixin = function (name, type) {
+
+    /**
+        The internal aggregation object.
+        @member ejs.AggregationMixin
+        @property {Object} agg
+        */
+    var agg = {};
+
+    agg[name] = {};
+    agg[name][type] = {};
+
+    return extend(ejs.CloneMixin('agg', agg), {
+
+      /**
+            <p>Adds a sub-aggregation.  The sub-aggregation is computed for
+            each bucket of this aggregation, and can have sub-aggregations
+            of its own.</p>
+
+            @member ejs.AggregationMixin
+            @param {Object} oAgg A valid <code>Aggregation</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      agg: function (oAgg) {
+        if (oAgg == null) {
+          return agg[name].aggs;
+        }
+
+        if (!isAggregation(oAgg)) {
+          throw new TypeError('Argument must be an Aggregation');
+        }
+
+        if (agg[name].aggs == null) {
+          agg[name].aggs = {};
+        }
+
+        extend(agg[name].aggs, oAgg._self());
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.AggregationMixin
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(agg);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.AggregationMixin
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'aggregation';
+      },
+
+      /**
+            <p>Retrieves the internal <code>agg</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.AggregationMixin
+            @returns {String} returns this object's internal <code>agg</code> property.
+            */
+      _self: function () {
+        return agg;
+      }
+    });
+  };
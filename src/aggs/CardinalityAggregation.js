@@ -0,0 +1,68 @@
+  /**
+    @class
+    <p>The <code>CardinalityAggregation</code> computes an approximate count
+    of the distinct values of a field.</p>
+
+    @name ejs.CardinalityAggregation
+
+    @since elasticsearch 1.1.0
+
+    @desc
+    <p>Computes an approximate count of the distinct values.</p>
+
+    @borrows ejs.MetricsAggregationMixin.field as field
+    @borrows ejs.MetricsAggregationMixin.script as script
+    @borrows ejs.MetricsAggregationMixin.lang as lang
+    @borrows ejs.MetricsAggregationMixin.params as params
+    @borrows ejs.MetricsAggregationMixin.clone as clone
+    @borrows ejs.MetricsAggregationMixin.equals as equals
+    @borrows ejs.MetricsAggregationMixin.toString as toString
+    @borrows ejs.MetricsAggregationMixin._type as _type
+    @borrows ejs.MetricsAggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.CardinalityAggregation = function (name) {
+
+    var
+      _common = ejs.MetricsAggregationMixin(name, 'cardinality'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the count below which the counts are expected to be close to
+            accurate.  Higher values use more memory.</p>
+
+            @member ejs.CardinalityAggregation
+            @param {Long} num A positive long value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      precisionThreshold: function (num) {
+        if (num == null) {
+          return agg[name].cardinality.precision_threshold;
+        }
+
+        agg[name].cardinality.precision_threshold = num;
+        return this;
+      },
+
+      /**
+            <p>Hashes the values before they are counted, defaults to true.  Set
+            it to false when the field already holds hashes.</p>
+
+            @member ejs.CardinalityAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      rehash: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].cardinality.rehash;
+        }
+
+        agg[name].cardinality.rehash = trueFalse;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,254 @@
+  /**
+    @class
+    <p>The <code>DateHistogramAggregation</code> creates a bucket for each
+    interval of the values of a date field.  It is the aggregation version
+    of the <code>DateHistogramFacet</code>.</p>
+
+    @name ejs.DateHistogramAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per date interval.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.DateHistogramAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'date_histogram'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the buckets are built from.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].date_histogram.field;
+        }
+
+        agg[name].date_histogram.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets a script that computes the values the buckets are built
+            from.  When a field is also set, the script can use the field value
+            as <code>_value</code>.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} script A valid script string.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (script) {
+        if (script == null) {
+          return agg[name].date_histogram.script;
+        }
+
+        agg[name].date_histogram.script = script;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} language The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (language) {
+        if (language == null) {
+          return agg[name].date_histogram.lang;
+        }
+
+        agg[name].date_histogram.lang = language;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return agg[name].date_histogram.params;
+        }
+
+        agg[name].date_histogram.params = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the interval.  Valid values are <code>year, quarter, month,
+            week, day, hour, minute</code> and a time value, ie. <code>1.5h</code>.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} i A date interval, ie. <code>month</code> or <code>1.5h</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      interval: function (i) {
+        if (i == null) {
+          return agg[name].date_histogram.interval;
+        }
+
+        agg[name].date_histogram.interval = i;
+        return this;
+      },
+
+      /**
+            <p>Sets the format of the bucket keys in the response.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} f A valid date format, ie. <code>yyyy-MM-dd</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      format: function (f) {
+        if (f == null) {
+          return agg[name].date_histogram.format;
+        }
+
+        agg[name].date_histogram.format = f;
+        return this;
+      },
+
+      /**
+            <p>Sets the time zone the dates are converted to before they are
+            rounded to the interval.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} tz A time zone, ie. <code>-08:00</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      preZone: function (tz) {
+        if (tz == null) {
+          return agg[name].date_histogram.pre_zone;
+        }
+
+        agg[name].date_histogram.pre_zone = tz;
+        return this;
+      },
+
+      /**
+            <p>Sets the time zone the rounded dates are converted to.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} tz A time zone, ie. <code>-08:00</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      postZone: function (tz) {
+        if (tz == null) {
+          return agg[name].date_histogram.post_zone;
+        }
+
+        agg[name].date_histogram.post_zone = tz;
+        return this;
+      },
+
+      /**
+            <p>Sets the minimum number of documents a bucket must have to be
+            returned.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {Long} num A positive long value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      minDocCount: function (num) {
+        if (num == null) {
+          return agg[name].date_histogram.min_doc_count;
+        }
+
+        agg[name].date_histogram.min_doc_count = num;
+        return this;
+      },
+
+      /**
+            <p>Forces the buckets between the bounds to be returned, even when
+            they have no documents.  The bounds are only applied when
+            <code>minDocCount</code> is 0.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} min The lower bound.
+            @param {String} max The upper bound.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      extendedBounds: function (min, max) {
+        if (min == null && max == null) {
+          return agg[name].date_histogram.extended_bounds;
+        }
+
+        agg[name].date_histogram.extended_bounds = {};
+
+        if (min != null) {
+          agg[name].date_histogram.extended_bounds.min = min;
+        }
+
+        if (max != null) {
+          agg[name].date_histogram.extended_bounds.max = max;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the order of the buckets.  The key is <code>_key</code> or <code>_count</code>, or
+            the name of a single value metrics sub-aggregation, ie.
+            <code>avg_price</code>.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {String} key The key to order by.
+            @param {String} direction The direction, <code>asc</code> or <code>desc</code>, defaults to <code>desc</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      order: function (key, direction) {
+        if (key == null) {
+          return agg[name].date_histogram.order;
+        }
+
+        if (direction == null) {
+          direction = 'desc';
+        }
+
+        direction = direction.toLowerCase();
+        if (direction === 'asc' || direction === 'desc') {
+          agg[name].date_histogram.order = {};
+          agg[name].date_histogram.order[key] = direction;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Returns the buckets as an object keyed by the bucket key instead
+            of an array.</p>
+
+            @member ejs.DateHistogramAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keyed: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].date_histogram.keyed;
+        }
+
+        agg[name].date_histogram.keyed = trueFalse;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,226 @@
+  /**
+    @class
+    <p>The <code>DateRangeAggregation</code> creates a bucket for each of a set
+    of ranges of a date field.  The range values can be dates in the
+    <code>format</code>, or date math expressions, ie. <code>now-1M/M</code>.</p>
+
+    @name ejs.DateRangeAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per date range.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.DateRangeAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'date_range'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the ranges are built from.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].date_range.field;
+        }
+
+        agg[name].date_range.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets a script that computes the values the ranges are built
+            from.  When a field is also set, the script can use the field value
+            as <code>_value</code>.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} script A valid script string.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (script) {
+        if (script == null) {
+          return agg[name].date_range.script;
+        }
+
+        agg[name].date_range.script = script;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} language The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (language) {
+        if (language == null) {
+          return agg[name].date_range.lang;
+        }
+
+        agg[name].date_range.lang = language;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return agg[name].date_range.params;
+        }
+
+        agg[name].date_range.params = p;
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket.  The <code>from</code> value is included
+            in the range and the <code>to</code> value is not.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} from The start of the range.
+            @param {String} to The end of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addRange: function (from, to, key) {
+        var range;
+
+        if (agg[name].date_range.ranges == null) {
+          agg[name].date_range.ranges = [];
+        }
+
+        if (from == null && to == null) {
+          return agg[name].date_range.ranges;
+        }
+
+        range = {};
+        if (from != null) {
+          range.from = from;
+        }
+
+        if (to != null) {
+          range.to = to;
+        }
+
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].date_range.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket for the dates from a value and up.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} from The start of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addUnboundedFrom: function (from, key) {
+        var range;
+
+        if (agg[name].date_range.ranges == null) {
+          agg[name].date_range.ranges = [];
+        }
+
+        if (from == null) {
+          return agg[name].date_range.ranges;
+        }
+
+        range = {from: from};
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].date_range.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket for the dates below a value.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} to The end of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addUnboundedTo: function (to, key) {
+        var range;
+
+        if (agg[name].date_range.ranges == null) {
+          agg[name].date_range.ranges = [];
+        }
+
+        if (to == null) {
+          return agg[name].date_range.ranges;
+        }
+
+        range = {to: to};
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].date_range.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Sets the format of the range dates in the request and the
+            response.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {String} f A valid date format, ie. <code>yyyy-MM-dd</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      format: function (f) {
+        if (f == null) {
+          return agg[name].date_range.format;
+        }
+
+        agg[name].date_range.format = f;
+        return this;
+      },
+
+      /**
+            <p>Returns the buckets as an object keyed by the bucket key instead
+            of an array.</p>
+
+            @member ejs.DateRangeAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keyed: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].date_range.keyed;
+        }
+
+        agg[name].date_range.keyed = trueFalse;
+        return this;
+      }
+
+    });
+  };
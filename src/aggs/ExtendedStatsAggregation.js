@@ -0,0 +1,28 @@
+  /**
+    @class
+    <p>The <code>ExtendedStatsAggregation</code> computes the statistics of the
+    <code>StatsAggregation</code> plus the sum of squares, variance and
+    standard deviation of the values of a numeric field.</p>
+
+    @name ejs.ExtendedStatsAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>Computes extended statistics of numeric values.</p>
+
+    @borrows ejs.MetricsAggregationMixin.field as field
+    @borrows ejs.MetricsAggregationMixin.script as script
+    @borrows ejs.MetricsAggregationMixin.lang as lang
+    @borrows ejs.MetricsAggregationMixin.params as params
+    @borrows ejs.MetricsAggregationMixin.clone as clone
+    @borrows ejs.MetricsAggregationMixin.equals as equals
+    @borrows ejs.MetricsAggregationMixin.toString as toString
+    @borrows ejs.MetricsAggregationMixin._type as _type
+    @borrows ejs.MetricsAggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.ExtendedStatsAggregation = function (name) {
+    return ejs.MetricsAggregationMixin(name, 'extended_stats');
+  };
@@ -0,0 +1,660 @@
+  /**
+    @class
+    <p>The <code>FacetConverter</code> rewrites the facets of a
+    <code>Request</code> into the equivalent aggregations, so requests built
+    with facets can move to the aggregations framework.</p>
+
+    <p>The following facets are converted:</p>
+
+    <dl>
+        <dd><code>TermsFacet</code> - a <code>TermsAggregation</code></dd>
+        <dd><code>TermStatsFacet</code> - a <code>TermsAggregation</code> with a <code>StatsAggregation</code></dd>
+        <dd><code>DateHistogramFacet</code> - a <code>DateHistogramAggregation</code></dd>
+        <dd><code>RangeFacet</code> - a <code>RangeAggregation</code> with a <code>StatsAggregation</code></dd>
+        <dd><code>StatisticalFacet</code> - an <code>ExtendedStatsAggregation</code></dd>
+        <dd><code>GeoDistanceFacet</code> - a <code>GeoDistanceAggregation</code></dd>
+    </dl>
+
+    <p>The <code>global</code>, <code>nested</code>, and <code>facetFilter</code>
+    settings of a facet are converted into <code>GlobalAggregation</code>,
+    <code>NestedAggregation</code>, and <code>FilterAggregation</code>
+    wrappers, in that order from the outside in.  Every aggregation gets the
+    name of the facet.</p>
+
+    <p>Facet options without an aggregation equivalent are dropped and
+    reported by <code>warnings</code>.  Facets of other types, and terms or
+    statistical facets over more than one field, are kept as they are and
+    reported as well.  The original request is not modified.</p>
+
+    <p>The results of the converted aggregations are turned back into facet
+    results with <code>response</code>, so code that reads facet results
+    keeps working.  The <code>missing</code> count of terms facets has no
+    aggregation equivalent and is not reported.</p>
+
+    @name ejs.FacetConverter
+
+    @desc
+    <p>Converts the facets of a request into aggregations.</p>
+
+    @param {Object} request A valid <code>Request</code> object.
+    */
+  ejs.FacetConverter = function (request) {
+
+    if (!isRequest(request)) {
+      throw new TypeError('Argument must be a Request');
+    }
+
+    var
+      converted = request.clone(),
+      query = converted._self(),
+      warnings = [],
+
+      // how to read the results of each converted facet, by facet name
+      conversions = {},
+
+      // the name of the stats sub-aggregation of facets with value stats
+      statsName = 'stats',
+
+      // the settings shared by all facet types
+      commonOptions = ['facet_filter', 'global', 'nested'],
+
+      // the order of terms facets as terms aggregation orders
+      termsOrders = {
+        count: ['_count', 'desc'],
+        reverse_count: ['_count', 'asc'],
+        term: ['_term', 'asc'],
+        reverse_term: ['_term', 'desc']
+      },
+
+      // the order of terms stats facets as terms aggregation orders
+      termStatsOrders = {
+        count: ['_count', 'desc'],
+        reverse_count: ['_count', 'asc'],
+        term: ['_term', 'asc'],
+        reverse_term: ['_term', 'desc'],
+        total: [statsName + '.sum', 'desc'],
+        reverse_total: [statsName + '.sum', 'asc'],
+        min: [statsName + '.min', 'asc'],
+        reverse_min: [statsName + '.min', 'desc'],
+        max: [statsName + '.max', 'desc'],
+        reverse_max: [statsName + '.max', 'asc'],
+        mean: [statsName + '.avg', 'desc'],
+        reverse_mean: [statsName + '.avg', 'asc']
+      },
+
+      // escapes the regular expression characters of a term
+      escapeRegex = function (term) {
+        return String(term).replace(/[.?+*|{}\[\]()"\\#@&<>~]/g, '\\$&');
+      },
+
+      // creates a stats aggregation on a field or script
+      genStats = function (field, script, opts) {
+        var stats = ejs.StatsAggregation(statsName);
+
+        if (field != null) {
+          stats.field(field);
+        } else {
+          stats.script(script);
+          if (opts.lang != null) {
+            stats.lang(opts.lang);
+          }
+
+          if (opts.params != null) {
+            stats.params(opts.params);
+          }
+        }
+
+        return stats;
+      },
+
+      // copies the values of a stats result into a facet entry
+      readStats = function (stats, entry) {
+        if (stats != null) {
+          entry.total_count = stats.count;
+          entry.min = stats.min;
+          entry.max = stats.max;
+          entry.total = stats.sum;
+          entry.mean = stats.avg;
+        }
+
+        return entry;
+      },
+
+      // adds the ranges of a range or geo distance facet
+      addRanges = function (agg, ranges) {
+        var i, len;
+
+        for (i = 0, len = ranges.length; i < len; i++) {
+          if (ranges[i].from != null || ranges[i].to != null) {
+            agg.addRange(ranges[i].from, ranges[i].to);
+          }
+        }
+      },
+
+      // converts the buckets of a range aggregation into facet ranges
+      readRanges = function (type, result) {
+        var
+          facet = {_type: type, ranges: []},
+          buckets = result.buckets || [],
+          i, len;
+
+        for (i = 0, len = buckets.length; i < len; i++) {
+          facet.ranges.push(readStats(buckets[i][statsName], {
+            from: buckets[i].from,
+            to: buckets[i].to,
+            count: buckets[i].doc_count
+          }));
+        }
+
+        return facet;
+      },
+
+      // converts a raw geo point into a GeoPoint
+      genGeoPoint = function (p) {
+        if (isArray(p)) {
+          return ejs.GeoPoint([p[1], p[0]]);
+        } else if (isString(p) && p.indexOf(',') !== -1) {
+          return ejs.GeoPoint().string(p);
+        } else if (isString(p)) {
+          return ejs.GeoPoint().geohash(p, p.length);
+        }
+
+        return ejs.GeoPoint().properties(p);
+      },
+
+      // the converter of each facet type.  options lists the facet options
+      // that are converted, build creates the aggregation, or returns null
+      // when the facet can not be converted, and read turns the
+      // aggregation result back into a facet result
+      converters = {
+        terms: {
+          options: ['field', 'fields', 'script_field', 'lang', 'params',
+            'size', 'shard_size', 'order', 'exclude', 'regex', 'all_terms'],
+          build: function (name, opts, flag) {
+            var agg = ejs.TermsAggregation(name), exclude = [], i, len;
+
+            if (opts.field != null) {
+              agg.field(opts.field);
+            } else if (opts.fields != null && opts.fields.length === 1) {
+              agg.field(opts.fields[0]);
+            } else if (opts.fields != null) {
+              flag('fields', 'a terms aggregation has a single field, ' +
+                'add a terms aggregation for each field');
+              return null;
+            } else if (opts.script_field != null) {
+              agg.script(opts.script_field);
+            }
+
+            if (opts.lang != null) {
+              agg.lang(opts.lang);
+            }
+
+            if (opts.params != null) {
+              agg.params(opts.params);
+            }
+
+            if (opts.size != null) {
+              agg.size(opts.size);
+            }
+
+            if (opts.shard_size != null) {
+              agg.shardSize(opts.shard_size);
+            }
+
+            if (opts.order != null && has(termsOrders, opts.order)) {
+              agg.order(termsOrders[opts.order][0],
+                termsOrders[opts.order][1]);
+            } else if (opts.order != null) {
+              flag('order', 'unknown order "' + opts.order + '"');
+            }
+
+            if (opts.exclude != null) {
+              for (i = 0, len = opts.exclude.length; i < len; i++) {
+                exclude.push(escapeRegex(opts.exclude[i]));
+              }
+
+              agg.exclude(exclude.join('|'));
+            }
+
+            if (opts.regex != null) {
+              agg.include(opts.regex);
+            }
+
+            if (opts.all_terms === true) {
+              agg.minDocCount(0);
+            }
+
+            return agg;
+          },
+          read: function (result) {
+            var
+              buckets = result.buckets || [],
+              other = result.sum_other_doc_count || 0,
+              facet = {_type: 'terms', total: other, other: other, terms: []},
+              i, len;
+
+            for (i = 0, len = buckets.length; i < len; i++) {
+              facet.terms.push({
+                term: buckets[i].key,
+                count: buckets[i].doc_count
+              });
+              facet.total += buckets[i].doc_count;
+            }
+
+            return facet;
+          }
+        },
+        terms_stats: {
+          options: ['key_field', 'value_field', 'value_script', 'lang',
+            'params', 'size', 'shard_size', 'order', 'all_terms'],
+          build: function (name, opts, flag) {
+            var agg = ejs.TermsAggregation(name).field(opts.key_field);
+
+            if (opts.size != null) {
+              agg.size(opts.size);
+            }
+
+            if (opts.shard_size != null) {
+              agg.shardSize(opts.shard_size);
+            }
+
+            if (opts.order != null && has(termStatsOrders, opts.order)) {
+              agg.order(termStatsOrders[opts.order][0],
+                termStatsOrders[opts.order][1]);
+            } else if (opts.order != null) {
+              flag('order', 'unknown order "' + opts.order + '"');
+            }
+
+            if (opts.all_terms === true) {
+              agg.minDocCount(0);
+            }
+
+            return agg.agg(genStats(opts.value_field, opts.value_script, opts));
+          },
+          read: function (result) {
+            var
+              buckets = result.buckets || [],
+              facet = {_type: 'terms_stats', terms: []},
+              i, len;
+
+            for (i = 0, len = buckets.length; i < len; i++) {
+              facet.terms.push(readStats(buckets[i][statsName], {
+                term: buckets[i].key,
+                count: buckets[i].doc_count
+              }));
+            }
+
+            return facet;
+          }
+        },
+        date_histogram: {
+          options: ['field', 'key_field', 'value_field', 'value_script',
+            'lang', 'params', 'interval', 'time_zone', 'pre_zone',
+            'post_zone'],
+          build: function (name, opts) {
+            var agg = ejs.DateHistogramAggregation(name)
+              .field(opts.field != null ? opts.field : opts.key_field)
+              .interval(opts.interval);
+
+            if (opts.pre_zone != null) {
+              agg.preZone(opts.pre_zone);
+            } else if (opts.time_zone != null) {
+              agg.preZone(opts.time_zone);
+            }
+
+            if (opts.post_zone != null) {
+              agg.postZone(opts.post_zone);
+            }
+
+            if (opts.value_field != null || opts.value_script != null) {
+              agg.agg(genStats(opts.value_field, opts.value_script, opts));
+            }
+
+            return agg;
+          },
+          read: function (result) {
+            var
+              buckets = result.buckets || [],
+              facet = {_type: 'date_histogram', entries: []},
+              i, len;
+
+            for (i = 0, len = buckets.length; i < len; i++) {
+              facet.entries.push(readStats(buckets[i][statsName], {
+                time: buckets[i].key,
+                count: buckets[i].doc_count
+              }));
+            }
+
+            return facet;
+          }
+        },
+        range: {
+          options: ['field', 'key_field', 'key_script', 'value_field',
+            'value_script', 'lang', 'params', 'ranges'],
+          build: function (name, opts) {
+            var
+              agg = ejs.RangeAggregation(name),
+              keyField = opts.field != null ? opts.field : opts.key_field;
+
+            if (keyField != null) {
+              agg.field(keyField);
+            } else {
+              agg.script(opts.key_script);
+              if (opts.lang != null) {
+                agg.lang(opts.lang);
+              }
+
+              if (opts.params != null) {
+                agg.params(opts.params);
+              }
+            }
+
+            addRanges(agg, opts.ranges || []);
+
+            if (opts.value_field != null || opts.value_script != null) {
+              return agg.agg(genStats(opts.value_field, opts.value_script,
+                opts));
+            }
+
+            return agg.agg(genStats(keyField, opts.key_script, opts));
+          },
+          read: function (result) {
+            return readRanges('range', result);
+          }
+        },
+        statistical: {
+          options: ['field', 'fields', 'script', 'lang', 'params'],
+          build: function (name, opts, flag) {
+            var agg = ejs.ExtendedStatsAggregation(name);
+
+            if (opts.field != null) {
+              agg.field(opts.field);
+            } else if (opts.fields != null && opts.fields.length === 1) {
+              agg.field(opts.fields[0]);
+            } else if (opts.fields != null) {
+              flag('fields', 'a stats aggregation has a single field, ' +
+                'use a script that combines the fields');
+              return null;
+            } else {
+              agg.script(opts.script);
+            }
+
+            if (opts.lang != null) {
+              agg.lang(opts.lang);
+            }
+
+            if (opts.params != null) {
+              agg.params(opts.params);
+            }
+
+            return agg;
+          },
+          read: function (result) {
+            return {
+              _type: 'statistical',
+              count: result.count,
+              total: result.sum,
+              min: result.min,
+              max: result.max,
+              mean: result.avg,
+              sum_of_squares: result.sum_of_squares,
+              variance: result.variance,
+              std_deviation: result.std_deviation
+            };
+          }
+        },
+        geo_distance: {
+          options: ['ranges', 'unit', 'distance_type', 'value_field',
+            'value_script', 'lang', 'params'],
+          build: function (name, opts, flag) {
+            var agg = ejs.GeoDistanceAggregation(name), unit, key;
+
+            for (key in opts) {
+              if (has(opts, key) &&
+                indexOf(converters.geo_distance.options, key) === -1) {
+                agg.field(key).origin(genGeoPoint(opts[key]));
+                break;
+              }
+            }
+
+            // the facet defaults to km and the aggregation to meters
+            unit = opts.unit != null ? opts.unit : 'km';
+            if (agg.unit(unit).unit() == null) {
+              flag('unit', 'unknown unit "' + unit + '"');
+            }
+
+            if (opts.distance_type != null) {
+              agg.distanceType(opts.distance_type);
+            }
+
+            addRanges(agg, opts.ranges || []);
+
+            if (opts.value_field != null || opts.value_script != null) {
+              agg.agg(genStats(opts.value_field, opts.value_script, opts));
+            }
+
+            return agg;
+          },
+          read: function (result) {
+            return readRanges('geo_distance', result);
+          }
+        }
+      },
+
+      // records an option that could not be converted
+      warn = function (name, option, message) {
+        warnings.push({facet: name, option: option, message: message});
+      },
+
+      // converts a single facet into aggregations, returns true when
+      // the facet was converted
+      convert = function (name, body) {
+        var
+          type = null,
+          converter,
+          opts,
+          agg,
+          depth = 0,
+          skipField,
+          flag = function (option, message) {
+            warn(name, option, message);
+          },
+          key;
+
+        for (key in body) {
+          if (has(body, key) && has(converters, key)) {
+            type = key;
+            break;
+          }
+        }
+
+        if (type === null) {
+          for (key in body) {
+            if (has(body, key) && indexOf(commonOptions, key) === -1) {
+              flag(key, key + ' facets are not converted');
+              break;
+            }
+          }
+
+          return false;
+        }
+
+        for (key in body) {
+          if (has(body, key) && key !== type &&
+            indexOf(commonOptions, key) === -1) {
+            flag(key, 'the "' + key + '" option has no aggregation ' +
+              'equivalent');
+          }
+        }
+
+        converter = converters[type];
+        opts = body[type];
+
+        // the first key of a geo distance facet that is not an option is
+        // the field of the facet
+        skipField = type === 'geo_distance';
+        for (key in opts) {
+          if (has(opts, key) && indexOf(converter.options, key) === -1) {
+            if (skipField) {
+              skipField = false;
+            } else {
+              flag(key, 'the "' + key + '" option of ' + type +
+                ' facets has no aggregation equivalent');
+            }
+          }
+        }
+
+        agg = converter.build(name, opts, flag);
+        if (agg === null) {
+          return false;
+        }
+
+        if (body.facet_filter != null) {
+          agg = ejs.FilterAggregation(name)
+            .filter(ejs.fromJSON(body.facet_filter, 'filter'))
+            .agg(agg);
+          depth++;
+        }
+
+        if (body.nested != null) {
+          agg = ejs.NestedAggregation(name).path(body.nested).agg(agg);
+          depth++;
+        }
+
+        if (body.global === true) {
+          agg = ejs.GlobalAggregation(name).agg(agg);
+          depth++;
+        }
+
+        converted.agg(agg);
+        conversions[name] = {type: type, depth: depth};
+        return true;
+      },
+
+      name;
+
+    for (name in query.facets) {
+      if (has(query.facets, name) && convert(name, query.facets[name])) {
+        delete query.facets[name];
+      }
+    }
+
+    if (query.facets != null && isEqual(query.facets, {})) {
+      delete query.facets;
+    }
+
+    return {
+
+      /**
+            <p>Returns the converted request.  The converted facets are
+            replaced by aggregations.</p>
+
+            @member ejs.FacetConverter
+            @returns {Object} a new <code>Request</code> object.
+            */
+      request: function () {
+        return converted;
+      },
+
+      /**
+            <p>Returns the facet options and facets that could not be
+            converted.  Each warning has the name of the <code>facet</code>,
+            the <code>option</code> that was dropped, and a
+            <code>message</code>.</p>
+
+            @member ejs.FacetConverter
+            @returns {Array} an array of warning objects.
+            */
+      warnings: function () {
+        return warnings;
+      },
+
+      /**
+            <p>Reshapes the raw response of the converted request so the
+            results of the converted aggregations are returned as facet
+            results.  The returned response can be used with
+            <code>SearchResponse</code>.  The raw response is not
+            modified.</p>
+
+            @member ejs.FacetConverter
+            @param {Object} response The raw response of the converted request.
+            @returns {Object} a copy of the response with facet results.
+            */
+      response: function (response) {
+        var
+          result = {},
+          aggregations,
+          agg,
+          conversion,
+          i,
+          key;
+
+        if (!isObject(response)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        for (key in response) {
+          if (has(response, key)) {
+            result[key] = response[key];
+          }
+        }
+
+        result.facets = extend({}, response.facets);
+        aggregations = extend({}, response.aggregations);
+
+        for (key in conversions) {
+          if (has(conversions, key) && aggregations[key] != null) {
+            conversion = conversions[key];
+            agg = aggregations[key];
+            for (i = 0; i < conversion.depth; i++) {
+              agg = agg[key];
+            }
+
+            result.facets[key] = converters[conversion.type].read(agg);
+            delete aggregations[key];
+          }
+        }
+
+        if (isEqual(aggregations, {})) {
+          delete result.aggregations;
+        } else {
+          result.aggregations = aggregations;
+        }
+
+        return result;
+      },
+
+      /**
+            <p>Allows you to serialize the converted request into a JSON
+            encoded string.</p>
+
+            @member ejs.FacetConverter
+            @returns {String} returns the converted request as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(query);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.FacetConverter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'facet converter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>query</code> object of the
+               converted request. This is typically used by internal API
+               functions so use with caution.</p>
+
+            @member ejs.FacetConverter
+            @returns {String} returns the converted request's internal <code>query</code> property.
+            */
+      _self: function () {
+        return query;
+      }
+    };
+  };
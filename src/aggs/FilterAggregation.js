@@ -0,0 +1,52 @@
+  /**
+    @class
+    <p>The <code>FilterAggregation</code> creates a single bucket with the
+    documents matching a filter.  It is typically used to compute
+    sub-aggregations on a subset of the documents.</p>
+
+    @name ejs.FilterAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A single bucket aggregation with the documents matching a filter.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.FilterAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'filter'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the filter the documents must match.</p>
+
+            @member ejs.FilterAggregation
+            @param {Object} oFilter A valid <code>Filter</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      filter: function (oFilter) {
+        if (oFilter == null) {
+          return agg[name].filter;
+        }
+
+        if (!isFilter(oFilter)) {
+          throw new TypeError('Argument must be a Filter');
+        }
+
+        agg[name].filter = oFilter._self();
+        return this;
+      }
+
+    });
+  };
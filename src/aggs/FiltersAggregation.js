@@ -0,0 +1,60 @@
+  /**
+    @class
+    <p>The <code>FiltersAggregation</code> creates a bucket for each of a set
+    of named filters, with the documents matching the filter.</p>
+
+    @name ejs.FiltersAggregation
+
+    @since elasticsearch 1.1.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per filter.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.FiltersAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'filters'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Adds a bucket with the documents matching a filter.</p>
+
+            @member ejs.FiltersAggregation
+            @param {String} key The key of the bucket.
+            @param {Object} oFilter A valid <code>Filter</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      filter: function (key, oFilter) {
+        if (agg[name].filters.filters == null) {
+          agg[name].filters.filters = {};
+        }
+
+        if (key == null) {
+          return agg[name].filters.filters;
+        }
+
+        if (oFilter == null) {
+          return agg[name].filters.filters[key];
+        }
+
+        if (!isFilter(oFilter)) {
+          throw new TypeError('Argument must be a Filter');
+        }
+
+        agg[name].filters.filters[key] = oFilter._self();
+        return this;
+      }
+
+    });
+  };
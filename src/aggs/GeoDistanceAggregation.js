@@ -0,0 +1,223 @@
+  /**
+    @class
+    <p>The <code>GeoDistanceAggregation</code> creates a bucket for each of a
+    set of ranges of the distance of a geo point field from an origin.  It
+    is the aggregation version of the <code>GeoDistanceFacet</code>.</p>
+
+    @name ejs.GeoDistanceAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per distance range.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.GeoDistanceAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'geo_distance'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the geo point field the distance is calculated on.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {String} field A valid geo point field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].geo_distance.field;
+        }
+
+        agg[name].geo_distance.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets the point the distance is calculated from.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {Object} oGeoPoint A valid <code>GeoPoint</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      origin: function (oGeoPoint) {
+        if (oGeoPoint == null) {
+          return agg[name].geo_distance.origin;
+        }
+
+        if (!isGeoPoint(oGeoPoint)) {
+          throw new TypeError('Argument must be a GeoPoint');
+        }
+
+        agg[name].geo_distance.origin = oGeoPoint._self();
+        return this;
+      },
+
+      /**
+            <p>Sets the unit of the range distances.  Valid values are
+            <code>mi, yd, ft, in, km, m, cm, mm</code> and <code>nmi</code>.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {String} unit The distance unit, defaults to <code>km</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      unit: function (unit) {
+        if (unit == null) {
+          return agg[name].geo_distance.unit;
+        }
+
+        unit = unit.toLowerCase();
+        if (unit === 'mi' || unit === 'yd' || unit === 'ft' || unit === 'in' ||
+          unit === 'km' || unit === 'm' || unit === 'cm' || unit === 'mm' ||
+          unit === 'nmi') {
+          agg[name].geo_distance.unit = unit;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets how the distance is calculated.  Valid values are
+            <code>arc, sloppy_arc</code> and <code>plane</code>.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {String} type The distance type, defaults to <code>sloppy_arc</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      distanceType: function (type) {
+        if (type == null) {
+          return agg[name].geo_distance.distance_type;
+        }
+
+        type = type.toLowerCase();
+        if (type === 'arc' || type === 'sloppy_arc' || type === 'plane') {
+          agg[name].geo_distance.distance_type = type;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket.  The <code>from</code> value is included
+            in the range and the <code>to</code> value is not.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {Number} from The start of the range.
+            @param {Number} to The end of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addRange: function (from, to, key) {
+        var range;
+
+        if (agg[name].geo_distance.ranges == null) {
+          agg[name].geo_distance.ranges = [];
+        }
+
+        if (from == null && to == null) {
+          return agg[name].geo_distance.ranges;
+        }
+
+        range = {};
+        if (from != null) {
+          range.from = from;
+        }
+
+        if (to != null) {
+          range.to = to;
+        }
+
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].geo_distance.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket for the distances from a value and up.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {Number} from The start of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addUnboundedFrom: function (from, key) {
+        var range;
+
+        if (agg[name].geo_distance.ranges == null) {
+          agg[name].geo_distance.ranges = [];
+        }
+
+        if (from == null) {
+          return agg[name].geo_distance.ranges;
+        }
+
+        range = {from: from};
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].geo_distance.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket for the distances below a value.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {Number} to The end of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addUnboundedTo: function (to, key) {
+        var range;
+
+        if (agg[name].geo_distance.ranges == null) {
+          agg[name].geo_distance.ranges = [];
+        }
+
+        if (to == null) {
+          return agg[name].geo_distance.ranges;
+        }
+
+        range = {to: to};
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].geo_distance.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Returns the buckets as an object keyed by the bucket key instead
+            of an array.</p>
+
+            @member ejs.GeoDistanceAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keyed: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].geo_distance.keyed;
+        }
+
+        agg[name].geo_distance.keyed = trueFalse;
+        return this;
+      }
+
+    });
+  };
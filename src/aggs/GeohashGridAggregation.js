@@ -0,0 +1,95 @@
+  /**
+    @class
+    <p>The <code>GeohashGridAggregation</code> creates a bucket for each
+    geohash cell that holds a point of a geo point field.</p>
+
+    @name ejs.GeohashGridAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per geohash cell.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.GeohashGridAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'geohash_grid'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the geo point field the cells are built from.</p>
+
+            @member ejs.GeohashGridAggregation
+            @param {String} field A valid geo point field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].geohash_grid.field;
+        }
+
+        agg[name].geohash_grid.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets the length of the geohash of the cells, defaults to 5.</p>
+
+            @member ejs.GeohashGridAggregation
+            @param {Integer} p An integer between 1 and 12.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      precision: function (p) {
+        if (p == null) {
+          return agg[name].geohash_grid.precision;
+        }
+
+        agg[name].geohash_grid.precision = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of cells to return, defaults to 10000.</p>
+
+            @member ejs.GeohashGridAggregation
+            @param {Integer} size A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      size: function (size) {
+        if (size == null) {
+          return agg[name].geohash_grid.size;
+        }
+
+        agg[name].geohash_grid.size = size;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of cells each shard returns.</p>
+
+            @member ejs.GeohashGridAggregation
+            @param {Integer} size A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      shardSize: function (size) {
+        if (size == null) {
+          return agg[name].geohash_grid.shard_size;
+        }
+
+        agg[name].geohash_grid.shard_size = size;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,25 @@
+  /**
+    @class
+    <p>The <code>GlobalAggregation</code> creates a single bucket with all of
+    the documents of the indices searched, ignoring the query.  It can only
+    be a top level aggregation.</p>
+
+    @name ejs.GlobalAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A single bucket aggregation with all of the documents.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.GlobalAggregation = function (name) {
+    return ejs.AggregationMixin(name, 'global');
+  };
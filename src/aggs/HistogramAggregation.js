@@ -0,0 +1,204 @@
+  /**
+    @class
+    <p>The <code>HistogramAggregation</code> creates a bucket for each interval
+    of the values of a numeric field.  It is the aggregation version of the
+    <code>HistogramFacet</code>.</p>
+
+    @name ejs.HistogramAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per numeric interval.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.HistogramAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'histogram'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the buckets are built from.</p>
+
+            @member ejs.HistogramAggregation
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].histogram.field;
+        }
+
+        agg[name].histogram.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets a script that computes the values the buckets are built
+            from.  When a field is also set, the script can use the field value
+            as <code>_value</code>.</p>
+
+            @member ejs.HistogramAggregation
+            @param {String} script A valid script string.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (script) {
+        if (script == null) {
+          return agg[name].histogram.script;
+        }
+
+        agg[name].histogram.script = script;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.HistogramAggregation
+            @param {String} language The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (language) {
+        if (language == null) {
+          return agg[name].histogram.lang;
+        }
+
+        agg[name].histogram.lang = language;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.HistogramAggregation
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return agg[name].histogram.params;
+        }
+
+        agg[name].histogram.params = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the size of the intervals.</p>
+
+            @member ejs.HistogramAggregation
+            @param {Long} i A positive long value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      interval: function (i) {
+        if (i == null) {
+          return agg[name].histogram.interval;
+        }
+
+        agg[name].histogram.interval = i;
+        return this;
+      },
+
+      /**
+            <p>Sets the minimum number of documents a bucket must have to be
+            returned.</p>
+
+            @member ejs.HistogramAggregation
+            @param {Long} num A positive long value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      minDocCount: function (num) {
+        if (num == null) {
+          return agg[name].histogram.min_doc_count;
+        }
+
+        agg[name].histogram.min_doc_count = num;
+        return this;
+      },
+
+      /**
+            <p>Forces the buckets between the bounds to be returned, even when
+            they have no documents.  The bounds are only applied when
+            <code>minDocCount</code> is 0.</p>
+
+            @member ejs.HistogramAggregation
+            @param {Long} min The lower bound.
+            @param {Long} max The upper bound.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      extendedBounds: function (min, max) {
+        if (min == null && max == null) {
+          return agg[name].histogram.extended_bounds;
+        }
+
+        agg[name].histogram.extended_bounds = {};
+
+        if (min != null) {
+          agg[name].histogram.extended_bounds.min = min;
+        }
+
+        if (max != null) {
+          agg[name].histogram.extended_bounds.max = max;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the order of the buckets.  The key is <code>_key</code> or <code>_count</code>, or
+            the name of a single value metrics sub-aggregation, ie.
+            <code>avg_price</code>.</p>
+
+            @member ejs.HistogramAggregation
+            @param {String} key The key to order by.
+            @param {String} direction The direction, <code>asc</code> or <code>desc</code>, defaults to <code>desc</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      order: function (key, direction) {
+        if (key == null) {
+          return agg[name].histogram.order;
+        }
+
+        if (direction == null) {
+          direction = 'desc';
+        }
+
+        direction = direction.toLowerCase();
+        if (direction === 'asc' || direction === 'desc') {
+          agg[name].histogram.order = {};
+          agg[name].histogram.order[key] = direction;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Returns the buckets as an object keyed by the bucket key instead
+            of an array.</p>
+
+            @member ejs.HistogramAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keyed: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].histogram.keyed;
+        }
+
+        agg[name].histogram.keyed = trueFalse;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,27 @@
+  /**
+    @class
+    <p>The <code>MaxAggregation</code> computes the highest value of a numeric
+    field.</p>
+
+    @name ejs.MaxAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>Computes the highest of the numeric values.</p>
+
+    @borrows ejs.MetricsAggregationMixin.field as field
+    @borrows ejs.MetricsAggregationMixin.script as script
+    @borrows ejs.MetricsAggregationMixin.lang as lang
+    @borrows ejs.MetricsAggregationMixin.params as params
+    @borrows ejs.MetricsAggregationMixin.clone as clone
+    @borrows ejs.MetricsAggregationMixin.equals as equals
+    @borrows ejs.MetricsAggregationMixin.toString as toString
+    @borrows ejs.MetricsAggregationMixin._type as _type
+    @borrows ejs.MetricsAggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.MaxAggregation = function (name) {
+    return ejs.MetricsAggregationMixin(name, 'max');
+  };
@@ -0,0 +1,98 @@
+  /**
+    @mixin
+    <p>The MetricsAggregationMixin provides support for common options used
+    across the metrics aggregations, which compute a value from the field
+    or script values of the documents in a bucket.  Metrics aggregations do
+    not create buckets, so they can not have sub-aggregations.  This object
+    should not be used directly.</p>
+
+    @name ejs.MetricsAggregationMixin
+
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    @param {String} type The type of the aggregation, ie. <code>stats</code>.
+    */
+  ejs.MetricsAggregationMixin = function (name, type) {
+
+    var
+      _common = ejs.AggregationMixin(name, type),
+      agg = _common._self();
+
+    // metrics aggregations do not support sub-aggregations
+    delete _common.agg;
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the metric is computed on.</p>
+
+            @member ejs.MetricsAggregationMixin
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name][type].field;
+        }
+
+        agg[name][type].field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets a script that computes the values the metric is computed
+            on.  When a field is also set, the script can use the field value
+            as <code>_value</code>.</p>
+
+            @member ejs.MetricsAggregationMixin
+            @param {String} script A valid script string.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (script) {
+        if (script == null) {
+          return agg[name][type].script;
+        }
+
+        agg[name][type].script = script;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.MetricsAggregationMixin
+            @param {String} language The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (language) {
+        if (language == null) {
+          return agg[name][type].lang;
+        }
+
+        agg[name][type].lang = language;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.MetricsAggregationMixin
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return agg[name][type].params;
+        }
+
+        agg[name][type].params = p;
+        return this;
+      }
+
+    });
+  };
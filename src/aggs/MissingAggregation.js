@@ -0,0 +1,47 @@
+  /**
+    @class
+    <p>The <code>MissingAggregation</code> creates a single bucket with the
+    documents that have no value for a field.</p>
+
+    @name ejs.MissingAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A single bucket aggregation with the documents missing a field.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.MissingAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'missing'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the documents must be missing.</p>
+
+            @member ejs.MissingAggregation
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].missing.field;
+        }
+
+        agg[name].missing.field = field;
+        return this;
+      }
+
+    });
+  };
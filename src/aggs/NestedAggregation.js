@@ -0,0 +1,48 @@
+  /**
+    @class
+    <p>The <code>NestedAggregation</code> creates a single bucket with the
+    nested documents of a path, so the sub-aggregations are computed on
+    the nested documents.</p>
+
+    @name ejs.NestedAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A single bucket aggregation on nested documents.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.NestedAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'nested'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the path of the nested documents.</p>
+
+            @member ejs.NestedAggregation
+            @param {String} path A valid nested path.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      path: function (path) {
+        if (path == null) {
+          return agg[name].nested.path;
+        }
+
+        agg[name].nested.path = path;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,89 @@
+  /**
+    @class
+    <p>The <code>PercentilesAggregation</code> computes approximate
+    percentiles of the values of a numeric field.</p>
+
+    @name ejs.PercentilesAggregation
+
+    @since elasticsearch 1.1.0
+
+    @desc
+    <p>Computes approximate percentiles of numeric values.</p>
+
+    @borrows ejs.MetricsAggregationMixin.field as field
+    @borrows ejs.MetricsAggregationMixin.script as script
+    @borrows ejs.MetricsAggregationMixin.lang as lang
+    @borrows ejs.MetricsAggregationMixin.params as params
+    @borrows ejs.MetricsAggregationMixin.clone as clone
+    @borrows ejs.MetricsAggregationMixin.equals as equals
+    @borrows ejs.MetricsAggregationMixin.toString as toString
+    @borrows ejs.MetricsAggregationMixin._type as _type
+    @borrows ejs.MetricsAggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.PercentilesAggregation = function (name) {
+
+    var
+      _common = ejs.MetricsAggregationMixin(name, 'percentiles'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the percentiles to compute, defaults to
+            <code>[1, 5, 25, 50, 75, 95, 99]</code>.</p>
+
+            @member ejs.PercentilesAggregation
+            @param {Array} p An array of doubles between 0 and 100.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      percents: function (p) {
+        if (p == null) {
+          return agg[name].percentiles.percents;
+        }
+
+        if (!isArray(p)) {
+          throw new TypeError('Argument must be an array');
+        }
+
+        agg[name].percentiles.percents = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the compression of the percentiles algorithm, defaults to
+            100.  Higher values are more accurate and use more memory.</p>
+
+            @member ejs.PercentilesAggregation
+            @param {Integer} c A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      compression: function (c) {
+        if (c == null) {
+          return agg[name].percentiles.compression;
+        }
+
+        agg[name].percentiles.compression = c;
+        return this;
+      },
+
+      /**
+            <p>Returns the buckets as an object keyed by the bucket key instead
+            of an array.</p>
+
+            @member ejs.PercentilesAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keyed: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].percentiles.keyed;
+        }
+
+        agg[name].percentiles.keyed = trueFalse;
+        return this;
+      }
+
+    });
+  };
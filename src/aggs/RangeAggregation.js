@@ -0,0 +1,209 @@
+  /**
+    @class
+    <p>The <code>RangeAggregation</code> creates a bucket for each of a set of
+    ranges of a numeric field.  It is the aggregation version of the
+    <code>RangeFacet</code>.</p>
+
+    @name ejs.RangeAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per range.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.RangeAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'range'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the ranges are built from.</p>
+
+            @member ejs.RangeAggregation
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].range.field;
+        }
+
+        agg[name].range.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets a script that computes the values the ranges are built
+            from.  When a field is also set, the script can use the field value
+            as <code>_value</code>.</p>
+
+            @member ejs.RangeAggregation
+            @param {String} script A valid script string.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (script) {
+        if (script == null) {
+          return agg[name].range.script;
+        }
+
+        agg[name].range.script = script;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.RangeAggregation
+            @param {String} language The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (language) {
+        if (language == null) {
+          return agg[name].range.lang;
+        }
+
+        agg[name].range.lang = language;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.RangeAggregation
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return agg[name].range.params;
+        }
+
+        agg[name].range.params = p;
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket.  The <code>from</code> value is included
+            in the range and the <code>to</code> value is not.</p>
+
+            @member ejs.RangeAggregation
+            @param {Number} from The start of the range.
+            @param {Number} to The end of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addRange: function (from, to, key) {
+        var range;
+
+        if (agg[name].range.ranges == null) {
+          agg[name].range.ranges = [];
+        }
+
+        if (from == null && to == null) {
+          return agg[name].range.ranges;
+        }
+
+        range = {};
+        if (from != null) {
+          range.from = from;
+        }
+
+        if (to != null) {
+          range.to = to;
+        }
+
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].range.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket for the values from a value and up.</p>
+
+            @member ejs.RangeAggregation
+            @param {Number} from The start of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addUnboundedFrom: function (from, key) {
+        var range;
+
+        if (agg[name].range.ranges == null) {
+          agg[name].range.ranges = [];
+        }
+
+        if (from == null) {
+          return agg[name].range.ranges;
+        }
+
+        range = {from: from};
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].range.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Adds a range bucket for the values below a value.</p>
+
+            @member ejs.RangeAggregation
+            @param {Number} to The end of the range.
+            @param {String} key An optional key for the bucket.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      addUnboundedTo: function (to, key) {
+        var range;
+
+        if (agg[name].range.ranges == null) {
+          agg[name].range.ranges = [];
+        }
+
+        if (to == null) {
+          return agg[name].range.ranges;
+        }
+
+        range = {to: to};
+        if (key != null) {
+          range.key = key;
+        }
+
+        agg[name].range.ranges.push(range);
+        return this;
+      },
+
+      /**
+            <p>Returns the buckets as an object keyed by the bucket key instead
+            of an array.</p>
+
+            @member ejs.RangeAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keyed: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].range.keyed;
+        }
+
+        agg[name].range.keyed = trueFalse;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,50 @@
+  /**
+    @class
+    <p>The <code>ReverseNestedAggregation</code> is used inside a
+    <code>NestedAggregation</code> to join back from the nested documents to
+    their parent documents, so the sub-aggregations are computed on the
+    parent documents.</p>
+
+    @name ejs.ReverseNestedAggregation
+
+    @since elasticsearch 1.2.0
+
+    @desc
+    <p>A single bucket aggregation on the parents of nested documents.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.ReverseNestedAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'reverse_nested'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the nested path to join back to.  When not set, it joins
+            back to the root documents.</p>
+
+            @member ejs.ReverseNestedAggregation
+            @param {String} path A valid nested path.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      path: function (path) {
+        if (path == null) {
+          return agg[name].reverse_nested.path;
+        }
+
+        agg[name].reverse_nested.path = path;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,28 @@
+  /**
+    @class
+    <p>The <code>StatsAggregation</code> computes the count, min, max, avg and
+    sum of the values of a numeric field.  It is the aggregation version of
+    the <code>StatisticalFacet</code>.</p>
+
+    @name ejs.StatsAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>Computes statistics of numeric values.</p>
+
+    @borrows ejs.MetricsAggregationMixin.field as field
+    @borrows ejs.MetricsAggregationMixin.script as script
+    @borrows ejs.MetricsAggregationMixin.lang as lang
+    @borrows ejs.MetricsAggregationMixin.params as params
+    @borrows ejs.MetricsAggregationMixin.clone as clone
+    @borrows ejs.MetricsAggregationMixin.equals as equals
+    @borrows ejs.MetricsAggregationMixin.toString as toString
+    @borrows ejs.MetricsAggregationMixin._type as _type
+    @borrows ejs.MetricsAggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.StatsAggregation = function (name) {
+    return ejs.MetricsAggregationMixin(name, 'stats');
+  };
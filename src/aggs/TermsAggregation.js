@@ -0,0 +1,209 @@
+  /**
+    @class
+    <p>The <code>TermsAggregation</code> creates a bucket for each unique term
+    of a field, or each unique value computed by a script.  It is the
+    aggregation version of the <code>TermsFacet</code>.</p>
+
+    @name ejs.TermsAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>A multi-bucket aggregation with a bucket per unique term.</p>
+
+    @borrows ejs.AggregationMixin.agg as agg
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.TermsAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'terms'),
+      agg = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the buckets are built from.</p>
+
+            @member ejs.TermsAggregation
+            @param {String} field A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (field) {
+        if (field == null) {
+          return agg[name].terms.field;
+        }
+
+        agg[name].terms.field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets a script that computes the values the buckets are built
+            from.  When a field is also set, the script can use the field value
+            as <code>_value</code>.</p>
+
+            @member ejs.TermsAggregation
+            @param {String} script A valid script string.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (script) {
+        if (script == null) {
+          return agg[name].terms.script;
+        }
+
+        agg[name].terms.script = script;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.TermsAggregation
+            @param {String} language The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (language) {
+        if (language == null) {
+          return agg[name].terms.lang;
+        }
+
+        agg[name].terms.lang = language;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.TermsAggregation
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return agg[name].terms.params;
+        }
+
+        agg[name].terms.params = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of term buckets to return, defaults to 10.</p>
+
+            @member ejs.TermsAggregation
+            @param {Integer} size A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      size: function (size) {
+        if (size == null) {
+          return agg[name].terms.size;
+        }
+
+        agg[name].terms.size = size;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of terms each shard returns.  A higher value makes
+            the counts more accurate.</p>
+
+            @member ejs.TermsAggregation
+            @param {Integer} size A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      shardSize: function (size) {
+        if (size == null) {
+          return agg[name].terms.shard_size;
+        }
+
+        agg[name].terms.shard_size = size;
+        return this;
+      },
+
+      /**
+            <p>Sets the minimum number of documents a bucket must have to be
+            returned.</p>
+
+            @member ejs.TermsAggregation
+            @param {Long} num A positive long value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      minDocCount: function (num) {
+        if (num == null) {
+          return agg[name].terms.min_doc_count;
+        }
+
+        agg[name].terms.min_doc_count = num;
+        return this;
+      },
+
+      /**
+            <p>Sets the order of the buckets.  The key is <code>_count</code> or <code>_term</code>, or
+            the name of a single value metrics sub-aggregation, ie.
+            <code>avg_price</code>.</p>
+
+            @member ejs.TermsAggregation
+            @param {String} key The key to order by.
+            @param {String} direction The direction, <code>asc</code> or <code>desc</code>, defaults to <code>desc</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      order: function (key, direction) {
+        if (key == null) {
+          return agg[name].terms.order;
+        }
+
+        if (direction == null) {
+          direction = 'desc';
+        }
+
+        direction = direction.toLowerCase();
+        if (direction === 'asc' || direction === 'desc') {
+          agg[name].terms.order = {};
+          agg[name].terms.order[key] = direction;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Only creates buckets for the terms matching a regular expression.</p>
+
+            @member ejs.TermsAggregation
+            @param {String} regex A valid regular expression.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      include: function (regex) {
+        if (regex == null) {
+          return agg[name].terms.include;
+        }
+
+        agg[name].terms.include = regex;
+        return this;
+      },
+
+      /**
+            <p>Does not create buckets for the terms matching a regular
+            expression.</p>
+
+            @member ejs.TermsAggregation
+            @param {String} regex A valid regular expression.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      exclude: function (regex) {
+        if (regex == null) {
+          return agg[name].terms.exclude;
+        }
+
+        agg[name].terms.exclude = regex;
+        return this;
+      }
+
+    });
+  };
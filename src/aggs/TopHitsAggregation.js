@@ -0,0 +1,189 @@
+  /**
+    @class
+    <p>The <code>TopHitsAggregation</code> returns the most relevant documents
+    of a bucket.  It is typically used as a sub-aggregation to group the
+    hits of a search by a field.</p>
+
+    @name ejs.TopHitsAggregation
+
+    @since elasticsearch 1.3.0
+
+    @desc
+    <p>Returns the top documents of a bucket.</p>
+
+    @borrows ejs.AggregationMixin.clone as clone
+    @borrows ejs.AggregationMixin.equals as equals
+    @borrows ejs.AggregationMixin.toString as toString
+    @borrows ejs.AggregationMixin._type as _type
+    @borrows ejs.AggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.TopHitsAggregation = function (name) {
+
+    var
+      _common = ejs.AggregationMixin(name, 'top_hits'),
+      agg = _common._self();
+
+    // top hits do not support sub-aggregations
+    delete _common.agg;
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the offset of the first hit to return.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {Integer} from A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      from: function (from) {
+        if (from == null) {
+          return agg[name].top_hits.from;
+        }
+
+        agg[name].top_hits.from = from;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of hits to return, defaults to 3.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {Integer} size A positive integer value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      size: function (size) {
+        if (size == null) {
+          return agg[name].top_hits.size;
+        }
+
+        agg[name].top_hits.size = size;
+        return this;
+      },
+
+      /**
+            <p>Adds a sort to the hits.  The value can be a field name, a
+            <code>Sort</code> object, or an array of either, which replaces all
+            of the current sorts.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {String || Object || Array} sort A field name, <code>Sort</code> object, or array of them.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      sort: function (sort) {
+        var i, len;
+
+        if (agg[name].top_hits.sort == null) {
+          agg[name].top_hits.sort = [];
+        }
+
+        if (sort == null) {
+          return agg[name].top_hits.sort;
+        }
+
+        if (isString(sort)) {
+          agg[name].top_hits.sort.push(sort);
+        } else if (isSort(sort)) {
+          agg[name].top_hits.sort.push(sort._self());
+        } else if (isArray(sort)) {
+          agg[name].top_hits.sort = [];
+          for (i = 0, len = sort.length; i < len; i++) {
+            if (isString(sort[i])) {
+              agg[name].top_hits.sort.push(sort[i]);
+            } else if (isSort(sort[i])) {
+              agg[name].top_hits.sort.push(sort[i]._self());
+            } else {
+              throw new TypeError('Invalid object in array');
+            }
+          }
+        } else {
+          throw new TypeError('Argument must be a String, Sort, or Array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the fields of the document source returned with the hits.
+            Pass <code>false</code> to return no source.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {String || Array || Boolean} includes The fields to include, or a boolean.
+            @param {String || Array} excludes The fields to exclude.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      source: function (includes, excludes) {
+        if (includes == null && excludes == null) {
+          return agg[name].top_hits._source;
+        }
+
+        if ((includes === true || includes === false) && excludes == null) {
+          agg[name].top_hits._source = includes;
+          return this;
+        }
+
+        agg[name].top_hits._source = {};
+
+        if (includes != null) {
+          agg[name].top_hits._source.includes = includes;
+        }
+
+        if (excludes != null) {
+          agg[name].top_hits._source.excludes = excludes;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Returns an explanation of the score of each hit.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      explain: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].top_hits.explain;
+        }
+
+        agg[name].top_hits.explain = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Returns the version of each hit.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      version: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].top_hits.version;
+        }
+
+        agg[name].top_hits.version = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Computes the scores of the hits when they are sorted on a
+            field.</p>
+
+            @member ejs.TopHitsAggregation
+            @param {Boolean} trueFalse A valid boolean value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      trackScores: function (trueFalse) {
+        if (trueFalse == null) {
+          return agg[name].top_hits.track_scores;
+        }
+
+        agg[name].top_hits.track_scores = trueFalse;
+        return this;
+      }
+
+    });
+  };
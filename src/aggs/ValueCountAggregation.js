@@ -0,0 +1,27 @@
+  /**
+    @class
+    <p>The <code>ValueCountAggregation</code> counts the values of a field.
+    Documents with several values are counted once per value.</p>
+
+    @name ejs.ValueCountAggregation
+
+    @since elasticsearch 1.0.0
+
+    @desc
+    <p>Counts the values.</p>
+
+    @borrows ejs.MetricsAggregationMixin.field as field
+    @borrows ejs.MetricsAggregationMixin.script as script
+    @borrows ejs.MetricsAggregationMixin.lang as lang
+    @borrows ejs.MetricsAggregationMixin.params as params
+    @borrows ejs.MetricsAggregationMixin.clone as clone
+    @borrows ejs.MetricsAggregationMixin.equals as equals
+    @borrows ejs.MetricsAggregationMixin.toString as toString
+    @borrows ejs.MetricsAggregationMixin._type as _type
+    @borrows ejs.MetricsAggregationMixin._self as _self
+
+    @param {String} name The name of the aggregation.
+    */
+  ejs.ValueCountAggregation = function (name) {
+    return ejs.MetricsAggregationMixin(name, 'value_count');
+  };
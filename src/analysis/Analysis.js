@@ -0,0 +1,276 @@
+  /**
+    @class
+    <p>The <code>Analysis</code> object holds the analyzers, tokenizers,
+    token filters, and char filters defined in the settings of an index.
+    It is added to new indices, or to the settings of closed indices,
+    through <code>IndexAdmin.analysis</code>.</p>
+
+    <p>Before the settings are sent, every tokenizer, token filter, and
+    char filter referenced by name is checked to exist, either as a
+    built-in component or as a component defined in the same
+    settings.  The analyzers referenced by the fields of the index
+    mappings are checked the same way.</p>
+
+    @name ejs.Analysis
+
+    @desc
+    <p>Defines the analysis settings of an index.</p>
+    */
+  ejs.Analysis = function () {
+
+    /**
+        The internal analysis object.
+        @member ejs.Analysis
+        @property {Object} analysis
+        */
+    var analysis = {},
+
+      // components that are available without being defined
+      builtin = {
+        analyzer: ['standard', 'simple', 'whitespace', 'stop', 'keyword',
+          'pattern', 'snowball', 'arabic', 'armenian', 'basque', 'brazilian',
+          'bulgarian', 'catalan', 'chinese', 'cjk', 'czech', 'danish',
+          'dutch', 'english', 'finnish', 'french', 'galician', 'german',
+          'greek', 'hindi', 'hungarian', 'indonesian', 'irish', 'italian',
+          'latvian', 'norwegian', 'persian', 'portuguese', 'romanian',
+          'russian', 'sorani', 'spanish', 'swedish', 'turkish', 'thai'],
+        tokenizer: ['standard', 'classic', 'edgeNGram', 'edge_ngram',
+          'keyword', 'letter', 'lowercase', 'nGram', 'ngram', 'whitespace',
+          'pattern', 'uax_url_email', 'path_hierarchy', 'thai'],
+        filter: ['standard', 'asciifolding', 'length', 'lowercase',
+          'uppercase', 'nGram', 'ngram', 'edgeNGram', 'edge_ngram',
+          'porter_stem', 'shingle', 'stop', 'word_delimiter', 'stemmer',
+          'stemmer_override', 'keyword_marker', 'keyword_repeat', 'kstem',
+          'snowball', 'synonym', 'dictionary_decompounder',
+          'hyphenation_decompounder', 'reverse', 'elision', 'truncate',
+          'unique', 'pattern_capture', 'pattern_replace', 'trim', 'limit',
+          'hunspell', 'common_grams', 'arabic_normalization',
+          'persian_normalization', 'delimited_payload_filter', 'classic',
+          'apostrophe', 'cjk_bigram', 'cjk_width'],
+        char_filter: ['html_strip', 'mapping', 'pattern_replace']
+      },
+
+      // adds a named component to a section of the settings
+      addComponent = function (section, c) {
+        if (analysis[section] == null) {
+          analysis[section] = {};
+        }
+
+        extend(analysis[section], c._self());
+      },
+
+      // checks that a referenced component exists
+      checkRef = function (section, ref, label, owner) {
+        if (indexOf(builtin[section], ref) !== -1 ||
+          (analysis[section] != null && has(analysis[section], ref))) {
+          return;
+        }
+
+        throw new Error('Unknown ' + label + ' "' + ref + '" referenced by "' +
+          owner + '"');
+      },
+
+      // checks each of a list of referenced components exist
+      checkRefs = function (section, refs, label, owner) {
+        var i, len;
+
+        if (refs == null) {
+          return;
+        }
+
+        for (i = 0, len = refs.length; i < len; i++) {
+          checkRef(section, refs[i], label, owner);
+        }
+      },
+
+      // mapping keys that name an analyzer
+      analyzerKeys = ['analyzer', 'index_analyzer', 'search_analyzer'],
+
+      // checks the analyzers referenced by a mapping and its sub-fields
+      checkMapping = function (mapping, owner) {
+        var key, i, len;
+
+        for (i = 0, len = analyzerKeys.length; i < len; i++) {
+          if (isString(mapping[analyzerKeys[i]])) {
+            checkRef('analyzer', mapping[analyzerKeys[i]], 'analyzer', owner);
+          }
+        }
+
+        for (key in mapping) {
+          if (has(mapping, key) && key !== '_meta' && isObject(mapping[key])) {
+            checkMapping(mapping[key], key === 'properties' ||
+              key === 'fields' ? owner : key);
+          }
+        }
+      };
+
+    return {
+
+      /**
+            <p>Adds an analyzer.  When no analyzer is passed, the current
+            analyzers are returned.</p>
+
+            @member ejs.Analysis
+            @param {Object} a A valid analyzer object, ie. CustomAnalyzer.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      analyzer: function (a) {
+        if (a == null) {
+          return analysis.analyzer;
+        }
+
+        if (!isAnalyzer(a)) {
+          throw new TypeError('Argument must be an analyzer');
+        }
+
+        addComponent('analyzer', a);
+        return this;
+      },
+
+      /**
+            <p>Adds a tokenizer.  When no tokenizer is passed, the current
+            tokenizers are returned.</p>
+
+            @member ejs.Analysis
+            @param {Object} t A valid tokenizer object, ie. NGramTokenizer.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenizer: function (t) {
+        if (t == null) {
+          return analysis.tokenizer;
+        }
+
+        if (!isTokenizer(t)) {
+          throw new TypeError('Argument must be a tokenizer');
+        }
+
+        addComponent('tokenizer', t);
+        return this;
+      },
+
+      /**
+            <p>Adds a token filter.  When no token filter is passed, the
+            current token filters are returned.</p>
+
+            @member ejs.Analysis
+            @param {Object} f A valid token filter object, ie. StopTokenFilter.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenFilter: function (f) {
+        if (f == null) {
+          return analysis.filter;
+        }
+
+        if (!isTokenFilter(f)) {
+          throw new TypeError('Argument must be a token filter');
+        }
+
+        addComponent('filter', f);
+        return this;
+      },
+
+      /**
+            <p>Adds a char filter.  When no char filter is passed, the
+            current char filters are returned.</p>
+
+            @member ejs.Analysis
+            @param {Object} f A valid char filter object, ie. MappingCharFilter.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      charFilter: function (f) {
+        if (f == null) {
+          return analysis.char_filter;
+        }
+
+        if (!isCharFilter(f)) {
+          throw new TypeError('Argument must be a char filter');
+        }
+
+        addComponent('char_filter', f);
+        return this;
+      },
+
+      /**
+            <p>Checks that every custom analyzer has a tokenizer and that
+            every component referenced by the analyzers and token filters
+            exists.  When mappings are passed, the analyzers referenced by
+            their fields are checked too.  An <code>Error</code> naming the
+            missing component is thrown when it does not.</p>
+
+            @member ejs.Analysis
+            @param {Object} mappings The index mappings keyed by type name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      validate: function (mappings) {
+        var name, def;
+
+        for (name in analysis.analyzer) {
+          if (!has(analysis.analyzer, name)) {
+            continue;
+          }
+
+          def = analysis.analyzer[name];
+          if (def.tokenizer != null) {
+            checkRef('tokenizer', def.tokenizer, 'tokenizer', name);
+          } else if (def.type === 'custom') {
+            throw new Error('Custom analyzer "' + name +
+              '" must have a tokenizer');
+          }
+
+          checkRefs('filter', def.filter, 'token filter', name);
+          checkRefs('char_filter', def.char_filter, 'char filter', name);
+        }
+
+        // synonym rules can be tokenized by a custom tokenizer
+        for (name in analysis.filter) {
+          if (!has(analysis.filter, name)) {
+            continue;
+          }
+
+          def = analysis.filter[name];
+          if (def.tokenizer != null) {
+            checkRef('tokenizer', def.tokenizer, 'tokenizer', name);
+          }
+        }
+
+        for (name in mappings) {
+          if (has(mappings, name)) {
+            checkMapping(mappings[name], name);
+          }
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Analysis
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(analysis);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.Analysis
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'analysis';
+      },
+
+      /**
+            <p>Retrieves the internal <code>analysis</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.Analysis
+            @returns {String} returns this object's internal <code>analysis</code> property.
+            */
+      _self: function () {
+        return analysis;
+      }
+    };
+  };
@@ -0,0 +1,151 @@
+  /**
+    @class
+    <p>A <code>CustomAnalyzer</code> combines a tokenizer with zero or
+    more token filters and char filters.  The components are referenced by
+    name and can be built-in components or components defined in the same
+    <code>Analysis</code> settings.</p>
+
+    @name ejs.CustomAnalyzer
+
+    @desc
+    <p>An analyzer built from a tokenizer and filters.</p>
+
+    @param {String} name The name used to refer to the analyzer.
+    */
+  ejs.CustomAnalyzer = function (name) {
+
+    /**
+        The internal analyzer object.
+        @member ejs.CustomAnalyzer
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'custom'};
+
+    return {
+
+      /**
+            <p>Sets the name of the tokenizer.</p>
+
+            @member ejs.CustomAnalyzer
+            @param {String} tokenizer The name of a tokenizer.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenizer: function (tokenizer) {
+        if (tokenizer == null) {
+          return component[name].tokenizer;
+        }
+
+        component[name].tokenizer = tokenizer;
+        return this;
+      },
+
+      /**
+            <p>Sets the names of the token filters, applied in order.  If a
+            single value is passed in it will be appended to the current list.
+            If an array is passed in it will replace the list.</p>
+
+            @member ejs.CustomAnalyzer
+            @param {String || Array} f A token filter name or list of names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      filter: function (f) {
+        if (component[name].filter == null) {
+          component[name].filter = [];
+        }
+
+        if (f == null) {
+          return component[name].filter;
+        }
+
+        if (isString(f)) {
+          component[name].filter.push(f);
+        } else if (isArray(f)) {
+          component[name].filter = f;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the names of the char filters, applied in order before
+            the text is tokenized.  If a single value is passed in it will be
+            appended to the current list.  If an array is passed in it will
+            replace the list.</p>
+
+            @member ejs.CustomAnalyzer
+            @param {String || Array} f A char filter name or list of names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      charFilter: function (f) {
+        if (component[name].char_filter == null) {
+          component[name].char_filter = [];
+        }
+
+        if (f == null) {
+          return component[name].char_filter;
+        }
+
+        if (isString(f)) {
+          component[name].char_filter.push(f);
+        } else if (isArray(f)) {
+          component[name].char_filter = f;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the position gap inserted between the values of a multi
+            valued field.</p>
+
+            @member ejs.CustomAnalyzer
+            @param {Integer} gap The number of positions between values.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      positionOffsetGap: function (gap) {
+        if (gap == null) {
+          return component[name].position_offset_gap;
+        }
+
+        component[name].position_offset_gap = gap;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.CustomAnalyzer
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.CustomAnalyzer
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'analyzer';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.CustomAnalyzer
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
@@ -0,0 +1,146 @@
+  /**
+    @class
+    <p>The <code>EdgeNGramTokenizer</code> breaks text into grams
+    anchored to the start, or end, of the text.  It is typically used for
+    search as you type.</p>
+
+    @name ejs.EdgeNGramTokenizer
+
+    @desc
+    <p>A tokenizer that generates edge n-grams.</p>
+
+    @param {String} name The name used to refer to the tokenizer.
+    */
+  ejs.EdgeNGramTokenizer = function (name) {
+
+    /**
+        The internal tokenizer object.
+        @member ejs.EdgeNGramTokenizer
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'edgeNGram'};
+
+    return {
+
+      /**
+            <p>Sets the minimum length of the generated grams.</p>
+
+            @member ejs.EdgeNGramTokenizer
+            @param {Integer} len The minimum gram length.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      minGram: function (len) {
+        if (len == null) {
+          return component[name].min_gram;
+        }
+
+        component[name].min_gram = len;
+        return this;
+      },
+
+      /**
+            <p>Sets the maximum length of the generated grams.</p>
+
+            @member ejs.EdgeNGramTokenizer
+            @param {Integer} len The maximum gram length.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      maxGram: function (len) {
+        if (len == null) {
+          return component[name].max_gram;
+        }
+
+        component[name].max_gram = len;
+        return this;
+      },
+
+      /**
+            <p>Sets the side of the text the grams are generated from.  Valid values are:</p>
+
+            <dl>
+              <dd><code>front</code></dd>
+              <dd><code>back</code></dd>
+            </dl>
+
+            @member ejs.EdgeNGramTokenizer
+            @param {String} s The side of front or back.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      side: function (s) {
+        if (s == null) {
+          return component[name].side;
+        }
+
+        s = s.toLowerCase();
+        if (s === 'front' || s === 'back') {
+          component[name].side = s;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the character classes kept in tokens.  Valid classes
+            are <code>letter, digit, whitespace, punctuation,</code> and
+            <code>symbol</code>.  Characters of other classes split tokens.
+            If a single value is passed in it will be appended to the current
+            list.  If an array is passed in it will replace the list.</p>
+
+            @member ejs.EdgeNGramTokenizer
+            @param {String || Array} chars A character class or list of classes.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenChars: function (chars) {
+        if (component[name].token_chars == null) {
+          component[name].token_chars = [];
+        }
+
+        if (chars == null) {
+          return component[name].token_chars;
+        }
+
+        if (isString(chars)) {
+          component[name].token_chars.push(chars);
+        } else if (isArray(chars)) {
+          component[name].token_chars = chars;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.EdgeNGramTokenizer
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.EdgeNGramTokenizer
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'tokenizer';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.EdgeNGramTokenizer
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
@@ -0,0 +1,86 @@
+  /**
+    @class
+    <p>The <code>HtmlStripCharFilter</code> removes HTML elements from
+    the text and decodes HTML entities.</p>
+
+    @name ejs.HtmlStripCharFilter
+
+    @desc
+    <p>A char filter that strips HTML.</p>
+
+    @param {String} name The name used to refer to the char filter.
+    */
+  ejs.HtmlStripCharFilter = function (name) {
+
+    /**
+        The internal char filter object.
+        @member ejs.HtmlStripCharFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'html_strip'};
+
+    return {
+
+      /**
+            <p>Sets the tags that are not stripped, ie. <code>b</code>.  If a
+            single value is passed in it will be appended to the current list.
+            If an array is passed in it will replace the list.</p>
+
+            @member ejs.HtmlStripCharFilter
+            @param {String || Array} tags A tag or list of tags.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      escapedTags: function (tags) {
+        if (component[name].escaped_tags == null) {
+          component[name].escaped_tags = [];
+        }
+
+        if (tags == null) {
+          return component[name].escaped_tags;
+        }
+
+        if (isString(tags)) {
+          component[name].escaped_tags.push(tags);
+        } else if (isArray(tags)) {
+          component[name].escaped_tags = tags;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.HtmlStripCharFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.HtmlStripCharFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'char filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.HtmlStripCharFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
@@ -0,0 +1,102 @@
+  /**
+    @class
+    <p>The <code>MappingCharFilter</code> replaces characters of the text
+    using a list of mappings, ie. <code>ph => f</code>.</p>
+
+    @name ejs.MappingCharFilter
+
+    @desc
+    <p>A char filter that replaces mapped characters.</p>
+
+    @param {String} name The name used to refer to the char filter.
+    */
+  ejs.MappingCharFilter = function (name) {
+
+    /**
+        The internal char filter object.
+        @member ejs.MappingCharFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'mapping'};
+
+    return {
+
+      /**
+            <p>Sets the character mappings.  If a single value is passed in it
+            will be appended to the current list.  If an array is passed in it
+            will replace the list.</p>
+
+            @member ejs.MappingCharFilter
+            @param {String || Array} m A mapping or list of mappings.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      mappings: function (m) {
+        if (component[name].mappings == null) {
+          component[name].mappings = [];
+        }
+
+        if (m == null) {
+          return component[name].mappings;
+        }
+
+        if (isString(m)) {
+          component[name].mappings.push(m);
+        } else if (isArray(m)) {
+          component[name].mappings = m;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the path of the file holding the mappings.</p>
+
+            @member ejs.MappingCharFilter
+            @param {String} path The path of the mappings file.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      mappingsPath: function (path) {
+        if (path == null) {
+          return component[name].mappings_path;
+        }
+
+        component[name].mappings_path = path;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.MappingCharFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.MappingCharFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'char filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.MappingCharFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
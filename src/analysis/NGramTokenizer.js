@@ -0,0 +1,120 @@
+  /**
+    @class
+    <p>The <code>NGramTokenizer</code> breaks text into grams of each
+    length between the minimum and maximum gram size.</p>
+
+    @name ejs.NGramTokenizer
+
+    @desc
+    <p>A tokenizer that generates n-grams.</p>
+
+    @param {String} name The name used to refer to the tokenizer.
+    */
+  ejs.NGramTokenizer = function (name) {
+
+    /**
+        The internal tokenizer object.
+        @member ejs.NGramTokenizer
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'nGram'};
+
+    return {
+
+      /**
+            <p>Sets the minimum length of the generated grams.</p>
+
+            @member ejs.NGramTokenizer
+            @param {Integer} len The minimum gram length.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      minGram: function (len) {
+        if (len == null) {
+          return component[name].min_gram;
+        }
+
+        component[name].min_gram = len;
+        return this;
+      },
+
+      /**
+            <p>Sets the maximum length of the generated grams.</p>
+
+            @member ejs.NGramTokenizer
+            @param {Integer} len The maximum gram length.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      maxGram: function (len) {
+        if (len == null) {
+          return component[name].max_gram;
+        }
+
+        component[name].max_gram = len;
+        return this;
+      },
+
+      /**
+            <p>Sets the character classes kept in tokens.  Valid classes
+            are <code>letter, digit, whitespace, punctuation,</code> and
+            <code>symbol</code>.  Characters of other classes split tokens.
+            If a single value is passed in it will be appended to the current
+            list.  If an array is passed in it will replace the list.</p>
+
+            @member ejs.NGramTokenizer
+            @param {String || Array} chars A character class or list of classes.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenChars: function (chars) {
+        if (component[name].token_chars == null) {
+          component[name].token_chars = [];
+        }
+
+        if (chars == null) {
+          return component[name].token_chars;
+        }
+
+        if (isString(chars)) {
+          component[name].token_chars.push(chars);
+        } else if (isArray(chars)) {
+          component[name].token_chars = chars;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.NGramTokenizer
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.NGramTokenizer
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'tokenizer';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.NGramTokenizer
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
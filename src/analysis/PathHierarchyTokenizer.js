@@ -0,0 +1,140 @@
+  /**
+    @class
+    <p>The <code>PathHierarchyTokenizer</code> generates a token for
+    each level of a path-like hierarchy, ie. <code>/a/b/c</code> is
+    tokenized as <code>/a, /a/b,</code> and <code>/a/b/c</code>.</p>
+
+    @name ejs.PathHierarchyTokenizer
+
+    @desc
+    <p>A tokenizer for path hierarchies.</p>
+
+    @param {String} name The name used to refer to the tokenizer.
+    */
+  ejs.PathHierarchyTokenizer = function (name) {
+
+    /**
+        The internal tokenizer object.
+        @member ejs.PathHierarchyTokenizer
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'path_hierarchy'};
+
+    return {
+
+      /**
+            <p>Sets the path separator.  Defaults to <code>/</code>.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @param {String} d The delimiter character.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      delimiter: function (d) {
+        if (d == null) {
+          return component[name].delimiter;
+        }
+
+        component[name].delimiter = d;
+        return this;
+      },
+
+      /**
+            <p>Sets the character used to replace the delimiter in the
+            tokens.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @param {String} r The replacement character.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      replacement: function (r) {
+        if (r == null) {
+          return component[name].replacement;
+        }
+
+        component[name].replacement = r;
+        return this;
+      },
+
+      /**
+            <p>Sets the size of the buffer used to read the text.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @param {Integer} size The buffer size.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      bufferSize: function (size) {
+        if (size == null) {
+          return component[name].buffer_size;
+        }
+
+        component[name].buffer_size = size;
+        return this;
+      },
+
+      /**
+            <p>Sets if the tokens are generated in reverse order, ie. for
+            domain names.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @param {Boolean} trueFalse True to reverse the hierarchy.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      reverse: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].reverse;
+        }
+
+        component[name].reverse = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of initial levels that are skipped.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @param {Integer} num The number of levels to skip.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      skip: function (num) {
+        if (num == null) {
+          return component[name].skip;
+        }
+
+        component[name].skip = num;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.PathHierarchyTokenizer
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'tokenizer';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.PathHierarchyTokenizer
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
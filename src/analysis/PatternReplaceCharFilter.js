@@ -0,0 +1,90 @@
+  /**
+    @class
+    <p>The <code>PatternReplaceCharFilter</code> replaces the text
+    matched by a regular expression.</p>
+
+    @name ejs.PatternReplaceCharFilter
+
+    @desc
+    <p>A char filter that replaces matched text.</p>
+
+    @param {String} name The name used to refer to the char filter.
+    */
+  ejs.PatternReplaceCharFilter = function (name) {
+
+    /**
+        The internal char filter object.
+        @member ejs.PatternReplaceCharFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'pattern_replace'};
+
+    return {
+
+      /**
+            <p>Sets the regular expression.</p>
+
+            @member ejs.PatternReplaceCharFilter
+            @param {String} p A Java regular expression.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      pattern: function (p) {
+        if (p == null) {
+          return component[name].pattern;
+        }
+
+        component[name].pattern = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the replacement text.  Groups can be referenced using
+            <code>$1</code>.</p>
+
+            @member ejs.PatternReplaceCharFilter
+            @param {String} r The replacement text.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      replacement: function (r) {
+        if (r == null) {
+          return component[name].replacement;
+        }
+
+        component[name].replacement = r;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.PatternReplaceCharFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.PatternReplaceCharFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'char filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.PatternReplaceCharFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
@@ -0,0 +1,109 @@
+  /**
+    @class
+    <p>The <code>PatternTokenizer</code> splits text using a regular
+    expression, or extracts the text matched by a group of the
+    expression.</p>
+
+    @name ejs.PatternTokenizer
+
+    @desc
+    <p>A tokenizer that uses a regular expression.</p>
+
+    @param {String} name The name used to refer to the tokenizer.
+    */
+  ejs.PatternTokenizer = function (name) {
+
+    /**
+        The internal tokenizer object.
+        @member ejs.PatternTokenizer
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'pattern'};
+
+    return {
+
+      /**
+            <p>Sets the regular expression.  Defaults to <code>\W+</code>.</p>
+
+            @member ejs.PatternTokenizer
+            @param {String} p A Java regular expression.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      pattern: function (p) {
+        if (p == null) {
+          return component[name].pattern;
+        }
+
+        component[name].pattern = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the Java regular expression flags separated by
+            <code>|</code>, ie. <code>CASE_INSENSITIVE|COMMENTS</code>.</p>
+
+            @member ejs.PatternTokenizer
+            @param {String} f The regular expression flags.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      flags: function (f) {
+        if (f == null) {
+          return component[name].flags;
+        }
+
+        component[name].flags = f;
+        return this;
+      },
+
+      /**
+            <p>Sets the group of the expression that is extracted as a
+            token.  Defaults to <code>-1</code> which splits on the
+            expression.</p>
+
+            @member ejs.PatternTokenizer
+            @param {Integer} g The group number.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      group: function (g) {
+        if (g == null) {
+          return component[name].group;
+        }
+
+        component[name].group = g;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.PatternTokenizer
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.PatternTokenizer
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'tokenizer';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.PatternTokenizer
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
@@ -0,0 +1,140 @@
+  /**
+    @class
+    <p>The <code>ShingleTokenFilter</code> combines adjacent tokens into
+    shingles, or word n-grams.</p>
+
+    @name ejs.ShingleTokenFilter
+
+    @desc
+    <p>A token filter that generates shingles.</p>
+
+    @param {String} name The name used to refer to the token filter.
+    */
+  ejs.ShingleTokenFilter = function (name) {
+
+    /**
+        The internal token filter object.
+        @member ejs.ShingleTokenFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'shingle'};
+
+    return {
+
+      /**
+            <p>Sets the maximum number of tokens in a shingle.  Defaults to
+            <code>2</code>.</p>
+
+            @member ejs.ShingleTokenFilter
+            @param {Integer} size The maximum shingle size.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      maxShingleSize: function (size) {
+        if (size == null) {
+          return component[name].max_shingle_size;
+        }
+
+        component[name].max_shingle_size = size;
+        return this;
+      },
+
+      /**
+            <p>Sets the minimum number of tokens in a shingle.  Defaults to
+            <code>2</code>.</p>
+
+            @member ejs.ShingleTokenFilter
+            @param {Integer} size The minimum shingle size.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      minShingleSize: function (size) {
+        if (size == null) {
+          return component[name].min_shingle_size;
+        }
+
+        component[name].min_shingle_size = size;
+        return this;
+      },
+
+      /**
+            <p>Sets if the original tokens are also output.</p>
+
+            @member ejs.ShingleTokenFilter
+            @param {Boolean} trueFalse True to output unigrams.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      outputUnigrams: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].output_unigrams;
+        }
+
+        component[name].output_unigrams = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the original tokens are output when no shingles are
+            generated.</p>
+
+            @member ejs.ShingleTokenFilter
+            @param {Boolean} trueFalse True to output unigrams when there are no shingles.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      outputUnigramsIfNoShingles: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].output_unigrams_if_no_shingles;
+        }
+
+        component[name].output_unigrams_if_no_shingles = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the string used to join the tokens of a shingle.</p>
+
+            @member ejs.ShingleTokenFilter
+            @param {String} sep The token separator.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenSeparator: function (sep) {
+        if (sep == null) {
+          return component[name].token_separator;
+        }
+
+        component[name].token_separator = sep;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.ShingleTokenFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.ShingleTokenFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'token filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.ShingleTokenFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
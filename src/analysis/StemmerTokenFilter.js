@@ -0,0 +1,75 @@
+  /**
+    @class
+    <p>The <code>StemmerTokenFilter</code> reduces tokens to their stem
+    using the stemmer of a language, ie. <code>english</code> or
+    <code>light_german</code>.</p>
+
+    @name ejs.StemmerTokenFilter
+
+    @desc
+    <p>A token filter that stems tokens.</p>
+
+    @param {String} name The name used to refer to the token filter.
+    */
+  ejs.StemmerTokenFilter = function (name) {
+
+    /**
+        The internal token filter object.
+        @member ejs.StemmerTokenFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'stemmer'};
+
+    return {
+
+      /**
+            <p>Sets the language of the stemmer, ie. <code>english</code>,
+            <code>minimal_english</code>, or <code>light_french</code>.</p>
+
+            @member ejs.StemmerTokenFilter
+            @param {String} lang The stemmer language.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      language: function (lang) {
+        if (lang == null) {
+          return component[name].language;
+        }
+
+        component[name].language = lang;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.StemmerTokenFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.StemmerTokenFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'token filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.StemmerTokenFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
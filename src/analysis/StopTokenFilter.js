@@ -0,0 +1,136 @@
+  /**
+    @class
+    <p>The <code>StopTokenFilter</code> removes stop words.  The stop
+    words can be a predefined list, ie. <code>_english_</code>, given
+    inline, or read from a file.</p>
+
+    @name ejs.StopTokenFilter
+
+    @desc
+    <p>A token filter that removes stop words.</p>
+
+    @param {String} name The name used to refer to the token filter.
+    */
+  ejs.StopTokenFilter = function (name) {
+
+    /**
+        The internal token filter object.
+        @member ejs.StopTokenFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'stop'};
+
+    return {
+
+      /**
+            <p>Sets the stop words.  If a single value is passed in it will be
+            appended to the current list.  If an array is passed in it will
+            replace the list.</p>
+
+            @member ejs.StopTokenFilter
+            @param {String || Array} words A stop word or list of stop words.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      stopwords: function (words) {
+        if (component[name].stopwords == null) {
+          component[name].stopwords = [];
+        }
+
+        if (words == null) {
+          return component[name].stopwords;
+        }
+
+        if (isString(words)) {
+          component[name].stopwords.push(words);
+        } else if (isArray(words)) {
+          component[name].stopwords = words;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the path of the file holding the stop words.</p>
+
+            @member ejs.StopTokenFilter
+            @param {String} path The path of the stop words file.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      stopwordsPath: function (path) {
+        if (path == null) {
+          return component[name].stopwords_path;
+        }
+
+        component[name].stopwords_path = path;
+        return this;
+      },
+
+      /**
+            <p>Sets if stop words are matched ignoring case.</p>
+
+            @member ejs.StopTokenFilter
+            @param {Boolean} trueFalse True to ignore case.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ignoreCase: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].ignore_case;
+        }
+
+        component[name].ignore_case = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if a stop word at the end of the text is removed.  Set to
+            <code>false</code> for search as you type.</p>
+
+            @member ejs.StopTokenFilter
+            @param {Boolean} trueFalse True to remove trailing stop words.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      removeTrailing: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].remove_trailing;
+        }
+
+        component[name].remove_trailing = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.StopTokenFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.StopTokenFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'token filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.StopTokenFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
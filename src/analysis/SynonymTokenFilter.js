@@ -0,0 +1,177 @@
+  /**
+    @class
+    <p>The <code>SynonymTokenFilter</code> adds or replaces tokens with
+    their synonyms.  Synonyms are given inline or read from a file in the
+    Solr or WordNet format.</p>
+
+    @name ejs.SynonymTokenFilter
+
+    @desc
+    <p>A token filter that handles synonyms.</p>
+
+    @param {String} name The name used to refer to the token filter.
+    */
+  ejs.SynonymTokenFilter = function (name) {
+
+    /**
+        The internal token filter object.
+        @member ejs.SynonymTokenFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'synonym'};
+
+    return {
+
+      /**
+            <p>Sets the synonym rules, ie. <code>i-pod, i pod => ipod</code>.
+            If a single value is passed in it will be appended to the current
+            rules.  If an array is passed in it will replace the rules.</p>
+
+            @member ejs.SynonymTokenFilter
+            @param {String || Array} rules A synonym rule or list of rules.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      synonyms: function (rules) {
+        if (component[name].synonyms == null) {
+          component[name].synonyms = [];
+        }
+
+        if (rules == null) {
+          return component[name].synonyms;
+        }
+
+        if (isString(rules)) {
+          component[name].synonyms.push(rules);
+        } else if (isArray(rules)) {
+          component[name].synonyms = rules;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the path of the file holding the synonym rules.</p>
+
+            @member ejs.SynonymTokenFilter
+            @param {String} path The path of the synonyms file.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      synonymsPath: function (path) {
+        if (path == null) {
+          return component[name].synonyms_path;
+        }
+
+        component[name].synonyms_path = path;
+        return this;
+      },
+
+      /**
+            <p>Sets the format of the synonym rules.  Valid values are:</p>
+
+            <dl>
+              <dd><code>solr</code></dd>
+              <dd><code>wordnet</code></dd>
+            </dl>
+
+            @member ejs.SynonymTokenFilter
+            @param {String} f The format of solr or wordnet.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      format: function (f) {
+        if (f == null) {
+          return component[name].format;
+        }
+
+        f = f.toLowerCase();
+        if (f === 'solr' || f === 'wordnet') {
+          component[name].format = f;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets if the synonyms are matched ignoring case.</p>
+
+            @member ejs.SynonymTokenFilter
+            @param {Boolean} trueFalse True to ignore case.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ignoreCase: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].ignore_case;
+        }
+
+        component[name].ignore_case = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if equivalent synonyms are expanded to all of the
+            synonyms or reduced to the first one.</p>
+
+            @member ejs.SynonymTokenFilter
+            @param {Boolean} trueFalse True to expand synonyms.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      expand: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].expand;
+        }
+
+        component[name].expand = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the tokenizer used to tokenize the synonym rules.</p>
+
+            @member ejs.SynonymTokenFilter
+            @param {String} tokenizer The name of a tokenizer.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tokenizer: function (tokenizer) {
+        if (tokenizer == null) {
+          return component[name].tokenizer;
+        }
+
+        component[name].tokenizer = tokenizer;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.SynonymTokenFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.SynonymTokenFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'token filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.SynonymTokenFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
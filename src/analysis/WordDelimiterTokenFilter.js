@@ -0,0 +1,266 @@
+  /**
+    @class
+    <p>The <code>WordDelimiterTokenFilter</code> splits tokens into
+    subwords on intra-word delimiters, case changes, and letter-number
+    transitions, and optionally joins the parts back together.</p>
+
+    @name ejs.WordDelimiterTokenFilter
+
+    @desc
+    <p>A token filter that splits words into subwords.</p>
+
+    @param {String} name The name used to refer to the token filter.
+    */
+  ejs.WordDelimiterTokenFilter = function (name) {
+
+    /**
+        The internal token filter object.
+        @member ejs.WordDelimiterTokenFilter
+        @property {Object} component
+        */
+    var component = {};
+
+    component[name] = {type: 'word_delimiter'};
+
+    return {
+
+      /**
+            <p>Sets if word parts are split into tokens, ie.
+            <code>PowerShot</code> to <code>Power, Shot</code>.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to generate word parts.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      generateWordParts: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].generate_word_parts;
+        }
+
+        component[name].generate_word_parts = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if number parts are split into tokens, ie.
+            <code>500-42</code> to <code>500, 42</code>.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to generate number parts.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      generateNumberParts: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].generate_number_parts;
+        }
+
+        component[name].generate_number_parts = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if runs of word parts are joined, ie.
+            <code>wi-fi</code> to <code>wifi</code>.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to catenate words.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      catenateWords: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].catenate_words;
+        }
+
+        component[name].catenate_words = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if runs of number parts are joined, ie.
+            <code>500-42</code> to <code>50042</code>.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to catenate numbers.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      catenateNumbers: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].catenate_numbers;
+        }
+
+        component[name].catenate_numbers = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if all runs of parts are joined, ie.
+            <code>wi-fi-4000</code> to <code>wifi4000</code>.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to catenate all parts.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      catenateAll: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].catenate_all;
+        }
+
+        component[name].catenate_all = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if tokens are split on case changes.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to split on case changes.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      splitOnCaseChange: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].split_on_case_change;
+        }
+
+        component[name].split_on_case_change = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the original token is kept.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to keep the original token.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      preserveOriginal: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].preserve_original;
+        }
+
+        component[name].preserve_original = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if tokens are split on changes between letters and
+            numbers.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to split on numerics.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      splitOnNumerics: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].split_on_numerics;
+        }
+
+        component[name].split_on_numerics = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if a trailing <code>'s</code> is removed.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {Boolean} trueFalse True to remove trailing 's.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      stemEnglishPossessive: function (trueFalse) {
+        if (trueFalse == null) {
+          return component[name].stem_english_possessive;
+        }
+
+        component[name].stem_english_possessive = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the words that are not split.  If a single value is passed
+            in it will be appended to the current list.  If an array is passed
+            in it will replace the list.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {String || Array} words A word or list of words.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      protectedWords: function (words) {
+        if (component[name].protected_words == null) {
+          component[name].protected_words = [];
+        }
+
+        if (words == null) {
+          return component[name].protected_words;
+        }
+
+        if (isString(words)) {
+          component[name].protected_words.push(words);
+        } else if (isArray(words)) {
+          component[name].protected_words = words;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets custom character types, ie. <code>$ => DIGIT</code>.  If a
+            single value is passed in it will be appended to the current list.
+            If an array is passed in it will replace the list.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @param {String || Array} types A type mapping or list of type mappings.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      typeTable: function (types) {
+        if (component[name].type_table == null) {
+          component[name].type_table = [];
+        }
+
+        if (types == null) {
+          return component[name].type_table;
+        }
+
+        if (isString(types)) {
+          component[name].type_table.push(types);
+        } else if (isArray(types)) {
+          component[name].type_table = types;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(component);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.WordDelimiterTokenFilter
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'token filter';
+      },
+
+      /**
+            <p>Retrieves the internal <code>component</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.WordDelimiterTokenFilter
+            @returns {String} returns this object's internal <code>component</code> property.
+            */
+      _self: function () {
+        return component;
+      }
+    };
+  };
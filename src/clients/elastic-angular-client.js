@@ -7,7 +7,7 @@ Angular.js service wrapping the elastic.js API. This module can simply
 be injected into your angular controllers. 
 */
 angular.module('elasticjs.service', [])
-  .factory('ejsResource', ['$http', function ($http) {
+  .factory('ejsResource', ['$http', '$q', function ($http, $q) {
 
   return function (config) {
 
@@ -41,6 +41,9 @@ angular.module('elasticjs.service', [])
 
     /* implement the elastic.js client interface for angular */
     ejs.client = {
+      defer: function () {
+        return $q.defer();
+      },
       server: function (s) {
         if (s == null) {
           return config.server;
@@ -76,10 +79,10 @@ angular.module('elasticjs.service', [])
         var reqConfig = {url: path, params: data, method: 'HEAD'};
         return $http(angular.extend(reqConfig, config))
           .then(function (response) {
-          (successcb || angular.noop)(response.headers());
+          (successcb || angular.noop)(response.headers(), response.status);
           return response.headers();
         }, function (response) {
-          (errorcb || angular.noop)(undefined);
+          (errorcb || angular.noop)({status: response.status});
           return undefined;
         });
       }
@@ -1,4 +1,4 @@
-/*global Ext:true */
+/*global Ext:true, Promise:true */
 
 (function () {
   'use strict';
@@ -59,10 +59,23 @@
       },
       
       // decodes ElasticSearch json response to actual object and call
-      // the user's callback with the json object.
-      wrapCb = function (cb) {
+      // the user's callback with the json object.  Invalid json is passed
+      // to the error callback.
+      wrapCb = function (cb, errorcb) {
         return function (response) {
-          var jsonResp = Ext.JSON.decode(response.responseText);
+          var jsonResp;
+          
+          try {
+            jsonResp = Ext.JSON.decode(response.responseText);
+          } catch (e) {
+            if (errorcb == null) {
+              throw e;
+            }
+            
+            errorcb(e);
+            return;
+          }
+          
           if (cb != null) {
             cb(jsonResp);
           }
@@ -123,6 +136,38 @@
         options[oKey] = oVal;
       },
       
+      /**
+            Creates a deferred object used to return promises from requests
+            that are executed without callbacks.  Uses <code>Ext.Deferred</code>
+            when available (ExtJS 6+) and the native <code>Promise</code>
+            otherwise.
+
+            @member ejs.ExtJSClient
+            @returns {Object} an object with <code>promise</code>, 
+              <code>resolve</code>, and <code>reject</code> properties.
+            */
+      defer: function () {
+        var deferred = {}, extDeferred;
+        
+        if (Ext.Deferred != null) {
+          extDeferred = new Ext.Deferred();
+          deferred.promise = extDeferred.promise;
+          deferred.resolve = function (value) {
+            extDeferred.resolve(value);
+          };
+          deferred.reject = function (reason) {
+            extDeferred.reject(reason);
+          };
+        } else {
+          deferred.promise = new Promise(function (resolve, reject) {
+            deferred.resolve = resolve;
+            deferred.reject = reject;
+          });
+        }
+        
+        return deferred;
+      },
+      
       /**
             Performs HTTP GET requests against the server.
 
@@ -141,7 +186,7 @@
         opt.method = 'GET';
         opt.url = getPath(path);
         opt.params = data;
-        opt.success = wrapCb(successcb);
+        opt.success = wrapCb(successcb, errorcb);
         opt.failure = errorcb;
 
         return Ext.Ajax.request(opt);
@@ -165,7 +210,7 @@
         opt.method = 'POST';
         opt.url = getPath(path);
         opt.jsonData = data;
-        opt.success = wrapCb(successcb);
+        opt.success = wrapCb(successcb, errorcb);
         opt.failure = errorcb;
        
         return Ext.Ajax.request(opt);  
@@ -189,7 +234,7 @@
         opt.method = 'PUT';
         opt.url = getPath(path);
         opt.jsonData = data;
-        opt.success = wrapCb(successcb);
+        opt.success = wrapCb(successcb, errorcb);
         opt.failure = errorcb;
         
         return Ext.Ajax.request(opt);
@@ -213,7 +258,7 @@
         opt.method = 'DELETE';
         opt.url = getPath(path);
         opt.jsonData = data;
-        opt.success = wrapCb(successcb);
+        opt.success = wrapCb(successcb, errorcb);
         opt.failure = errorcb;
         
         return Ext.Ajax.request(opt);
@@ -227,7 +272,7 @@
             @param {String} path the path to HEAD to on the server
             @param {Object} data an object of url parameters.
             @param {Function} successcb a callback function that will be called with
-              the an object of the returned headers.
+              the an object of the returned headers and the status code.
             @param {Function} errorcb a callback function that will be called
               when there is an error with the request
             @returns {Object} ExtJS request object.
@@ -259,7 +304,7 @@
           }
           
           if (successcb != null) {
-            successcb(resp);
+            successcb(resp, xhr.status);
           }
         };
         
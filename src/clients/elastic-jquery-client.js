@@ -111,6 +111,26 @@
         return this;
       },
       
+      /**
+            Creates a deferred object used to return promises from requests
+            that are executed without callbacks.  The deferred is a jQuery
+            <code>Deferred</code>, which is Promise/A+ compliant as of 
+            jQuery 3.0.
+
+            @member ejs.jQueryClient
+            @returns {Object} an object with <code>promise</code>, 
+              <code>resolve</code>, and <code>reject</code> properties.
+            */
+      defer: function () {
+        var deferred = jQuery.Deferred();
+        
+        return {
+          promise: deferred.promise(),
+          resolve: deferred.resolve,
+          reject: deferred.reject
+        };
+      },
+      
       /**
             Performs HTTP GET requests against the server.
 
@@ -216,7 +236,7 @@
             @param {String} path the path to HEAD to on the server
             @param {Object} data an object of url parameters.
             @param {Function} successcb a callback function that will be called with
-              the an object of the returned headers.
+              the an object of the returned headers and the status code.
             @param {Function} errorcb a callback function that will be called
               when there is an error with the request
             @returns {Object} returns jQuery <code>jqXHR</code> for the request.
@@ -247,7 +267,7 @@
           }
           
           if (successcb != null) {
-            successcb(resp);
+            successcb(resp, jqXHR.status);
           }
         };
         
@@ -1,4 +1,4 @@
-/*global require:true */
+/*global require:true, Promise:true */
 
 (function () {
   'use strict';
@@ -75,6 +75,29 @@
         }
         
         return path;
+      },
+      
+      // calls the success callback with the parsed response, or the error
+      // callback when the response is not valid json
+      respond = function (resData, successcb, errorcb) {
+        var json;
+        
+        if (successcb == null) {
+          return;
+        }
+        
+        try {
+          json = JSON.parse(resData);
+        } catch (e) {
+          if (errorcb == null) {
+            throw e;
+          }
+          
+          errorcb(e);
+          return;
+        }
+        
+        successcb(json);
       };
     
     if (host == null) {
@@ -178,6 +201,26 @@
         return this;
       },
       
+      /**
+            Creates a deferred object used to return promises from requests
+            that are executed without callbacks.  The deferred is backed by
+            the native <code>Promise</code> implementation.
+
+            @member ejs.NodeClient
+            @returns {Object} an object with <code>promise</code>, 
+              <code>resolve</code>, and <code>reject</code> properties.
+            */
+      defer: function () {
+        var deferred = {};
+        
+        deferred.promise = new Promise(function (resolve, reject) {
+          deferred.resolve = resolve;
+          deferred.reject = reject;
+        });
+        
+        return deferred;
+      },
+      
       /**
             Performs HTTP GET requests against the server.
 
@@ -207,9 +250,7 @@
           });
 
           res.on('end', function () {
-            if (successcb != null) {
-              successcb(JSON.parse(resData));
-            }
+            respond(resData, successcb, errorcb);
           });
           
         });
@@ -251,9 +292,7 @@
           });
 
           res.on('end', function () {
-            if (successcb != null) {
-              successcb(JSON.parse(resData));
-            }
+            respond(resData, successcb, errorcb);
           });
           
         });
@@ -296,9 +335,7 @@
           });
 
           res.on('end', function () {
-            if (successcb != null) {
-              successcb(JSON.parse(resData));
-            }
+            respond(resData, successcb, errorcb);
           });
           
         });
@@ -341,9 +378,7 @@
           });
 
           res.on('end', function () {
-            if (successcb != null) {
-              successcb(JSON.parse(resData));
-            }
+            respond(resData, successcb, errorcb);
           });
           
         });
@@ -365,7 +400,7 @@
             @param {String} path the path to HEAD to on the server
             @param {Object} data an object of url parameters.
             @param {Function} successcb a callback function that will be called with
-              the an object of the returned headers.
+              the an object of the returned headers and the status code.
             @param {Function} errorcb a callback function that will be called
                 when there is an error with the request
             */
@@ -380,7 +415,7 @@
           
         req = protocol.request(opt, function (res) {
           if (successcb != null) {
-            successcb(res.headers);
+            successcb(res.headers, res.statusCode);
           }
         });
         
@@ -22,6 +22,9 @@
     @desc
     <p>A facet which provides information over a range of distances from a provided point.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this facet. For instance,
         the facet itself might utilize a field named <code>doc_authors</code>. Setting
         <code>name</code> to <code>Authors</code> would allow you to refer to the
@@ -46,7 +49,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('facet', facet), {
 
       /**
             Sets the document field containing the geo-coordinate to be used 
@@ -417,5 +420,5 @@
       _self: function () {
         return facet;
       }
-    };
+    });
   };
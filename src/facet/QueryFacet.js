@@ -21,6 +21,9 @@
     @desc
     <p>A facet that return a count of the hits matching the given query.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this facet. For instance,
         the facet itself might utilize a field named <code>doc_authors</code>. Setting
         <code>name</code> to <code>Authors</code> would allow you to refer to the
@@ -37,7 +40,7 @@
     var facet = {};
     facet[name] = {};
 
-    return {
+    return extend(ejs.CloneMixin('facet', facet), {
 
       /**
             <p>Sets the query to be used for this facet.</p>
@@ -195,5 +198,5 @@
       _self: function () {
         return facet;
       }
-    };
+    });
   };
@@ -21,6 +21,9 @@
     @desc
     <p>A facet which provides information over a range of numeric intervals.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this facet. For instance,
         the facet itself might utilize a field named <code>doc_authors</code>. Setting
         <code>name</code> to <code>Authors</code> would allow you to refer to the
@@ -42,7 +45,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('facet', facet), {
 
       /**
             Sets the document field to be used for the facet.
@@ -356,5 +359,5 @@
       _self: function () {
         return facet;
       }
-    };
+    });
   };
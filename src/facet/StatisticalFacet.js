@@ -21,6 +21,9 @@
     @desc
     <p>A facet which returns statistical information about a numeric field</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this facet. For instance,
         the facet itself might utilize a field named <code>doc_authors</code>. Setting
         <code>name</code> to <code>Authors</code> would allow you to refer to the
@@ -40,7 +43,7 @@
       statistical: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('facet', facet), {
 
       /**
             Sets the field to be used to construct the this facet.
@@ -264,5 +267,5 @@
       _self: function () {
         return facet;
       }
-    };
+    });
   };
@@ -21,6 +21,9 @@
     @desc
     <p>A facet which computes statistical data based on an aggregate key.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this facet. For instance,
         the facet itself might utilize a field named <code>doc_authors</code>. Setting
         <code>name</code> to <code>Authors</code> would allow you to refer to the
@@ -40,7 +43,7 @@
       terms_stats: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('facet', facet), {
 
       /**
             Sets the field for which statistical information will be generated.
@@ -350,5 +353,5 @@
       _self: function () {
         return facet;
       }
-    };
+    });
   };
@@ -18,6 +18,9 @@
     <p>A facet which returns the N most frequent terms within a collection
        or set of collections.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this facet. For instance,
         the facet itself might utilize a field named <code>doc_authors</code>. Setting
         <code>name</code> to <code>Authors</code> would allow you to refer to the
@@ -37,7 +40,7 @@
       terms: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('facet', facet), {
 
       /**
             Sets the field to be used to construct the this facet.  Set to
@@ -425,5 +428,5 @@
       _self: function () {
         return facet;
       }
-    };
+    });
   };
@@ -7,6 +7,9 @@
     @desc
     A container Filter that allows Boolean AND composition of Filters.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Filter || Array} f A single Filter object or an array of valid 
       Filter objects.
     */
@@ -40,7 +43,7 @@
       throw new TypeError('Argument must be a Filter or Array of Filters');
     }
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Sets the filters for the filter.  If fltr is a single 
@@ -154,5 +157,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -11,6 +11,8 @@
     A Filter that matches documents matching boolean combinations of other
     filters.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
     */
   ejs.BoolFilter = function () {
 
@@ -23,7 +25,7 @@
       bool: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Adds filter to boolean container. Given filter "must" appear in 
@@ -223,5 +225,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -8,6 +8,9 @@
     @desc
     Filters documents where a specified field exists and contains a value.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName the field name that must exists and contain a value.
     */
   ejs.ExistsFilter = function (fieldName) {
@@ -24,7 +27,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the field to check for missing values.
@@ -87,5 +90,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -8,6 +8,9 @@
     @desc
     Filter results to those which are contained within the defined bounding box.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName the document property/field containing the Geo Point (lon/lat).
 
     */
@@ -25,7 +28,7 @@
 
     filter.geo_bounding_box[fieldName] = {};
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the fields to filter against.
@@ -209,5 +212,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
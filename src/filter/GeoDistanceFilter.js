@@ -8,6 +8,9 @@
     @desc
     Filter results to those which fall within the given distance of the point of origin.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName the document property/field containing the Geo Point (lon/lat).
 
     */
@@ -26,7 +29,7 @@
 
     filter.geo_distance[fieldName] = [0, 0];
     
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the fields to filter against.
@@ -256,5 +259,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
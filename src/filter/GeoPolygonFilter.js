@@ -8,6 +8,9 @@
     @desc
     Filter results to those which are contained within the polygon of points.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName the document property/field containing the Geo Point (lon/lat).
     */
   ejs.GeoPolygonFilter = function (fieldName) {
@@ -26,7 +29,7 @@
       points: []
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
            Sets the fields to filter against.
@@ -182,5 +185,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
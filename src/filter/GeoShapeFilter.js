@@ -14,6 +14,8 @@
     @desc
     A Filter to find documents with a geo_shapes matching a specific shape.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
     */
   ejs.GeoShapeFilter = function (field) {
 
@@ -28,7 +30,7 @@
 
     filter.geo_shape[field] = {};
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the field to filter against.
@@ -226,5 +228,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
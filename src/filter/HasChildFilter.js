@@ -8,6 +8,9 @@
     @desc
     Returns results that have child documents matching the filter.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {String} type The child type
     */
@@ -29,7 +32,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the query
@@ -195,5 +198,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
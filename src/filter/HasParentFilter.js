@@ -8,6 +8,9 @@
     @desc
     Returns results that have parent documents matching the filter.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {String} parentType The child type
     */
@@ -29,7 +32,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the query
@@ -179,5 +182,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
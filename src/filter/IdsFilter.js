@@ -9,6 +9,9 @@
     @desc
     Matches documents with the specified id(s).
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Array || String} ids A single document id or a list of document ids.
     */
   ejs.IdsFilter = function (ids) {
@@ -30,7 +33,7 @@
       throw new TypeError('Argument must be a string or an array');
     }
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the values array or adds a new value. if val is a string, it
@@ -133,5 +136,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
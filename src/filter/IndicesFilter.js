@@ -10,6 +10,9 @@
     @desc
     A configurable filter that is dependent on the index name.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} fltr A valid filter object.
     @param {String || Array} indices a single index name or an array of index 
       names.
@@ -39,7 +42,7 @@
       throw new TypeError('Argument must be a string or array');
     }
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the indicies the filter should match.  When passed a string,
@@ -145,5 +148,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -7,6 +7,9 @@
     @desc
     Limits the number of documents to execute on.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Integer} limit The number of documents to execute on.
     */
   ejs.LimitFilter = function (limit) {
@@ -22,7 +25,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the limit value.
@@ -74,5 +77,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
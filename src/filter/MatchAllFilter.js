@@ -8,6 +8,8 @@
     @desc
     <p>A filter that matches on all documents</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
      */
   ejs.MatchAllFilter = function () {
 
@@ -20,7 +22,7 @@
       match_all: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Serializes the internal <em>filter</em> object as a JSON string.
@@ -50,5 +52,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -7,6 +7,9 @@
     @desc
     Filters documents where a specific field has no value present.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName the field name to check for missing values.
     */
   ejs.MissingFilter = function (fieldName) {
@@ -23,7 +26,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the field to check for missing values.
@@ -118,5 +121,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -15,6 +15,9 @@
     <p>Constructs a filter that is capable of executing a filter against objects
        nested within a document.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} path The nested object path.
 
      */
@@ -31,7 +34,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
     
       /**
              Sets the root context for the nested filter.
@@ -210,5 +213,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
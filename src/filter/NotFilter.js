@@ -8,6 +8,9 @@
     @desc
     Container filter that excludes the matched documents of the contained filter.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} oFilter a valid Filter object such as a termFilter, etc.
     */
   ejs.NotFilter = function (oFilter) {
@@ -26,7 +29,7 @@
       not: oFilter._self()
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Sets the filter
@@ -125,5 +128,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -18,6 +18,9 @@
     @desc
     A Filter that only accepts numeric values within a specified range.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {string} fieldName The name of the field to filter on.
     */
   ejs.NumericRangeFilter = function (fieldName) {
@@ -34,7 +37,7 @@
 
     filter.numeric_range[fieldName] = {};
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Returns the field name used to create this object.
@@ -292,5 +295,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -7,6 +7,9 @@
     @desc
     A container Filter that allows Boolean OR composition of filters.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Filter || Array} filters A valid Filter or array of Filters.
     */
   ejs.OrFilter = function (filters) {
@@ -39,7 +42,7 @@
       throw new TypeError('Argument must be a Filter or array of Filters');
     }
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Updates the filters.  If passed a single Filter it is added to 
@@ -152,5 +155,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
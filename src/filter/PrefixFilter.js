@@ -8,6 +8,9 @@
     @desc
     Filters documents that have fields containing terms with a specified prefix.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName the field name to be used during matching.
     @param {String} prefix the prefix value.
     */
@@ -25,7 +28,7 @@
 
     filter.prefix[fieldName] = prefix;
     
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Returns the field name used to create this object.
@@ -142,5 +145,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -15,6 +15,9 @@
     @desc
     Filters documents matching the wrapped query.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     */
   ejs.QueryFilter = function (qry) {
@@ -34,7 +37,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the query
@@ -134,5 +137,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
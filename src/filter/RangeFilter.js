@@ -7,6 +7,9 @@
     @desc
     Filters documents with fields that have terms within a certain range.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field A valid field name.
     */
   ejs.RangeFilter = function (field) {
@@ -22,7 +25,7 @@
 
     filter.range[field] = {};
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              The field to run the filter against.
@@ -256,5 +259,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
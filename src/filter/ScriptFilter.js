@@ -7,6 +7,9 @@
     @desc
     A filter allowing to define scripts as filters.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} script The script as a string.
     */
   ejs.ScriptFilter = function (script) {
@@ -22,7 +25,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the script.
@@ -152,5 +155,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -9,6 +9,9 @@
     @desc
     Constructs a filter for docs matching the term added to this object.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {string} fieldName The document field/fieldName to execute the filter against.
     @param {string} term The literal term used to filter the results.
     */
@@ -25,7 +28,7 @@
 
     filter.term[fieldName] = term;
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              Provides access to the filter fieldName used to construct the 
@@ -146,5 +149,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
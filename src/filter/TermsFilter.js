@@ -8,6 +8,9 @@
     @desc
     A Filter that matches documents containing provided terms. 
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/key to filter against
     @param {String || Array} terms a single term or an array of terms.
     */
@@ -42,7 +45,7 @@
       filter.terms[field] = [terms];
     }
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
             Sets the fields to filter against.
@@ -305,5 +308,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -7,6 +7,9 @@
     @desc
     Filter results by a specified index type.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} type the index type to filter on.
     */
   ejs.TypeFilter = function (type) {
@@ -23,7 +26,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('filter', filter), {
 
       /**
              * Sets the type
@@ -70,5 +73,5 @@
       _self: function () {
         return filter;
       }
-    };
+    });
   };
@@ -0,0 +1,454 @@
+  /**
+    @class
+    <p>The <code>BulkProcessor</code> object buffers <code>Document</code>
+    actions and executes them in batches using <code>BulkRequest</code>
+    objects.</p>
+
+    <p>A batch is flushed when the number of buffered actions reaches the
+    <code>bulkActions</code> limit, when the size of the buffered request
+    data reaches the <code>bulkSize</code> limit, or when actions have been
+    buffered for longer than the <code>flushInterval</code>.  The number of
+    batches executing at the same time is capped by
+    <code>concurrentRequests</code>.  Batches flushed while the cap is
+    reached are queued and executed as earlier batches complete.  When
+    <code>maxQueued</code> batches are queued, <code>add</code> rejects new
+    actions until the queue drains.</p>
+
+    @name ejs.BulkProcessor
+
+    @desc
+    Object used to buffer document actions and execute them in batches.
+
+    @param {Object} conf A configuration object containing the initilization
+      parameters.  The following parameters can be set in the conf object:
+        index - the default index for documents without an index
+        type - the default type for documents without a type
+    */
+  ejs.BulkProcessor = function (conf) {
+
+    var
+      settings = {
+        bulk_actions: 1000,
+        bulk_size: 5 * 1024 * 1024,
+        concurrent_requests: 1,
+        max_queued: 0
+      },
+      hooks = {},
+      current,
+      currentBytes = 0,
+      queued = [],
+      inFlight = 0,
+      executionId = 0,
+      timer = null,
+      closed = false,
+      closecb = null,
+
+      // the number of bytes the string will use when utf-8 encoded
+      byteLength = function (str) {
+        var bytes = 0, code, i, len;
+
+        for (i = 0, len = str.length; i < len; i++) {
+          code = str.charCodeAt(i);
+          if (code < 0x80) {
+            bytes = bytes + 1;
+          } else if (code < 0x800) {
+            bytes = bytes + 2;
+          } else if (code >= 0xd800 && code <= 0xdbff) {
+            // surrogate pair, 4 bytes for both code units
+            bytes = bytes + 4;
+            i = i + 1;
+          } else {
+            bytes = bytes + 3;
+          }
+        }
+
+        return bytes;
+      },
+
+      newBulkRequest = function () {
+        current = ejs.BulkRequest(conf);
+        currentBytes = 0;
+      },
+
+      stopTimer = function () {
+        if (timer !== null) {
+          clearTimeout(timer);
+          timer = null;
+        }
+      },
+
+      // calls the close callback once all batches have completed
+      checkClosed = function () {
+        var cb;
+
+        if (closed && closecb !== null && inFlight === 0 &&
+          queued.length === 0) {
+          cb = closecb;
+          closecb = null;
+          cb();
+        }
+      },
+
+      // executes queued batches while there are free request slots
+      executeQueued = function () {
+        var batch;
+
+        while (queued.length > 0 &&
+          inFlight < Math.max(settings.concurrent_requests, 1)) {
+          batch = queued.shift();
+          inFlight = inFlight + 1;
+          execute(batch.id, batch.request);
+        }
+
+        checkClosed();
+      },
+
+      // executes a single batch
+      execute = function (id, request) {
+        var complete = false,
+          done = function (hook, arg) {
+            if (complete) {
+              return;
+            }
+
+            complete = true;
+            inFlight = inFlight - 1;
+
+            // queued batches start even when the hook throws
+            try {
+              if (hook != null) {
+                hook(id, request, arg);
+              }
+            } finally {
+              executeQueued();
+            }
+          };
+
+        // a failing hook fails the batch so its request slot is freed
+        try {
+          if (hooks.before != null) {
+            hooks.before(id, request);
+          }
+        } catch (hookError) {
+          done(hooks.error, hookError);
+          return;
+        }
+
+        try {
+          request.doBulk(function (results) {
+            done(hooks.after, results);
+          }, function (error) {
+            done(hooks.error, error);
+          });
+        } catch (e) {
+          done(hooks.error, e);
+        }
+      },
+
+      // moves the buffered actions into a batch and executes it when
+      // there is a free request slot
+      flushBuffered = function () {
+        stopTimer();
+
+        if (current.size() > 0) {
+          executionId = executionId + 1;
+          queued.push({id: executionId, request: current});
+          newBulkRequest();
+        }
+
+        executeQueued();
+      };
+
+    conf = conf || {};
+    newBulkRequest();
+
+    return {
+
+      /**
+             <p>Sets the number of actions after which the buffered actions
+             are flushed.  Defaults to <code>1000</code>.  Set to
+             <code>0</code> to disable.</p>
+
+             @member ejs.BulkProcessor
+             @param {Integer} num The maximum number of actions in a batch.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      bulkActions: function (num) {
+        if (num == null) {
+          return settings.bulk_actions;
+        }
+
+        settings.bulk_actions = num;
+        return this;
+      },
+
+      /**
+             <p>Sets the size of the request data, in bytes, after which the
+             buffered actions are flushed.  Defaults to <code>5mb</code>.
+             Set to <code>0</code> to disable.</p>
+
+             @member ejs.BulkProcessor
+             @param {Integer} bytes The maximum size of a batch in bytes.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      bulkSize: function (bytes) {
+        if (bytes == null) {
+          return settings.bulk_size;
+        }
+
+        settings.bulk_size = bytes;
+        return this;
+      },
+
+      /**
+             <p>Sets the maximum time, in milliseconds, that actions are
+             buffered before they are flushed.  The interval starts when
+             the first action is buffered after a flush and is not
+             restarted by later adds, so it is not an idle timeout.
+             Disabled by default.</p>
+
+             @member ejs.BulkProcessor
+             @param {Integer} ms The flush interval in milliseconds.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      flushInterval: function (ms) {
+        if (ms == null) {
+          return settings.flush_interval;
+        }
+
+        settings.flush_interval = ms;
+        return this;
+      },
+
+      /**
+             <p>Sets the number of batches that can be executing at the same
+             time.  Defaults to <code>1</code>.</p>
+
+             @member ejs.BulkProcessor
+             @param {Integer} num The maximum number of concurrent requests.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      concurrentRequests: function (num) {
+        if (num == null) {
+          return settings.concurrent_requests;
+        }
+
+        settings.concurrent_requests = num;
+        return this;
+      },
+
+      /**
+             <p>Sets the number of batches that can wait for a free request
+             slot.  When the limit is reached, <code>add</code> rejects new
+             actions until a batch completes.  Defaults to <code>0</code>,
+             which disables the limit.</p>
+
+             @member ejs.BulkProcessor
+             @param {Integer} num The maximum number of queued batches.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      maxQueued: function (num) {
+        if (num == null) {
+          return settings.max_queued;
+        }
+
+        settings.max_queued = num;
+        return this;
+      },
+
+      /**
+             <p>Sets a function that is called before each batch is
+             executed.  The function is passed the batch execution id and
+             the <code>BulkRequest</code>.  If the function throws, the
+             batch is not executed and the error function is called.</p>
+
+             @member ejs.BulkProcessor
+             @param {Function} fn The function to call before each batch.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      beforeBulk: function (fn) {
+        if (fn == null) {
+          return hooks.before;
+        }
+
+        if (!isFunction(fn)) {
+          throw new TypeError('Argument must be a function');
+        }
+
+        hooks.before = fn;
+        return this;
+      },
+
+      /**
+             <p>Sets a function that is called after each batch completes.
+             The function is passed the batch execution id, the
+             <code>BulkRequest</code>, and the per-item results of the
+             batch.  Queued batches are started even if the function
+             throws.</p>
+
+             @member ejs.BulkProcessor
+             @param {Function} fn The function to call after each batch.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      afterBulk: function (fn) {
+        if (fn == null) {
+          return hooks.after;
+        }
+
+        if (!isFunction(fn)) {
+          throw new TypeError('Argument must be a function');
+        }
+
+        hooks.after = fn;
+        return this;
+      },
+
+      /**
+             <p>Sets a function that is called when a batch fails.  The
+             function is passed the batch execution id, the
+             <code>BulkRequest</code>, and the error.</p>
+
+             @member ejs.BulkProcessor
+             @param {Function} fn The function to call when a batch fails.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      onError: function (fn) {
+        if (fn == null) {
+          return hooks.error;
+        }
+
+        if (!isFunction(fn)) {
+          throw new TypeError('Argument must be a function');
+        }
+
+        hooks.error = fn;
+        return this;
+      },
+
+      /**
+             <p>Adds a <code>Document</code> action to the buffer.  See
+             <code>BulkRequest.add</code> for the valid actions.</p>
+
+             <p>The action is rejected when <code>maxQueued</code> batches
+             are waiting for a free request slot.  Producers should wait
+             for a batch to complete, ie. in <code>afterBulk</code>, and add
+             the action again.</p>
+
+             @member ejs.BulkProcessor
+             @param {Document} doc A valid <code>Document</code> object.
+             @param {String} action The action (index, create, update, or delete)
+             @returns {Boolean} true when the action was added, false when it was rejected.
+             */
+      add: function (doc, action) {
+        var added;
+
+        if (closed) {
+          throw new Error('BulkProcessor is closed');
+        }
+
+        if (settings.max_queued > 0 && queued.length >= settings.max_queued) {
+          return false;
+        }
+
+        current.add(doc, action);
+
+        // track the size of the request data added by this action
+        added = current.actions()[current.size() - 1];
+        currentBytes = currentBytes + byteLength(ejs.BulkRequest(conf)
+          .add(added.doc, added.action).toString());
+
+        if ((settings.bulk_actions > 0 &&
+          current.size() >= settings.bulk_actions) ||
+          (settings.bulk_size > 0 && currentBytes >= settings.bulk_size)) {
+          flushBuffered();
+        } else if (timer === null && settings.flush_interval > 0) {
+          timer = setTimeout(flushBuffered, settings.flush_interval);
+        }
+
+        return true;
+      },
+
+      /**
+             <p>Flushes the buffered actions.  The batch is executed
+             immediately when there is a free request slot, otherwise it is
+             queued.</p>
+
+             @member ejs.BulkProcessor
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      flush: function () {
+        flushBuffered();
+        return this;
+      },
+
+      /**
+             <p>Returns the number of actions currently buffered.</p>
+
+             @member ejs.BulkProcessor
+             @returns {Integer} the number of buffered actions.
+             */
+      buffered: function () {
+        return current.size();
+      },
+
+      /**
+             <p>Returns the number of batches that are executing or queued
+             for execution.  Producers can use this value to slow down when
+             the server is not keeping up.</p>
+
+             @member ejs.BulkProcessor
+             @returns {Integer} the number of pending batches.
+             */
+      pending: function () {
+        return inFlight + queued.length;
+      },
+
+      /**
+             <p>Flushes any buffered actions and prevents new actions from
+             being added.  The callback is called once all batches have
+             completed.</p>
+
+             @member ejs.BulkProcessor
+             @param {Function} donecb A callback function called when all batches complete.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      close: function (donecb) {
+        closed = true;
+        closecb = donecb || null;
+        this.flush();
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.BulkProcessor
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(settings);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.BulkProcessor
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'bulk processor';
+      },
+
+      /**
+            <p>Retrieves the internal <code>settings</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.BulkProcessor
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return settings;
+      }
+
+    };
+  };
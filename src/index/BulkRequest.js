@@ -0,0 +1,475 @@
+  /**
+    @class
+    <p>The <code>BulkRequest</code> object provides an interface for
+    executing many index, create, update, and delete operations in a single
+    request using the <code>_bulk</code> API.</p>
+
+    <p>Each operation is described by a <code>Document</code> object.  The
+    index, type, id, routing, parent, version, version type, timestamp,
+    ttl and retry on conflict values set on the <code>Document</code> are
+    used for the operation.</p>
+
+    @name ejs.BulkRequest
+
+    @desc
+    Object used to execute many document operations in a single request.
+
+    @param {Object} conf A configuration object containing the initilization
+      parameters.  The following parameters can be set in the conf object:
+        index - the default index for documents without an index
+        type - the default type for documents without a type
+    */
+  ejs.BulkRequest = function (conf) {
+
+    var
+      actions = [],
+      params = {},
+      index,
+      type,
+
+      // the document params that are sent in the action metadata
+      metaParams = ['routing', 'parent', 'timestamp', 'ttl', 'version',
+        'version_type', 'retry_on_conflict'],
+
+      // generates the action metadata and source lines for a single action
+      genActionLines = function (action, doc) {
+        var
+          docParams = doc._self(),
+          meta = {},
+          line = {},
+          lines = [],
+          data,
+          i, len;
+
+        if (doc.index() != null) {
+          meta._index = doc.index();
+        }
+
+        if (doc.type() != null) {
+          meta._type = doc.type();
+        }
+
+        if (doc.id() != null) {
+          meta._id = doc.id();
+        }
+
+        for (i = 0, len = metaParams.length; i < len; i++) {
+          if (docParams[metaParams[i]] != null) {
+            meta['_' + metaParams[i]] = docParams[metaParams[i]];
+          }
+        }
+
+        line[action] = meta;
+        lines.push(line);
+
+        if (action === 'index' || action === 'create') {
+          lines.push(docParams.source);
+        } else if (action === 'update') {
+          data = {};
+
+          if (docParams.script != null) {
+            data.script = docParams.script;
+          }
+
+          if (docParams.lang != null) {
+            data.lang = docParams.lang;
+          }
+
+          if (docParams.params != null) {
+            data.params = docParams.params;
+          }
+
+          if (docParams.upsert != null) {
+            data.upsert = docParams.upsert;
+          }
+
+          if (docParams.doc_as_upsert != null) {
+            data.doc_as_upsert = docParams.doc_as_upsert;
+          }
+
+          if (docParams.source != null) {
+            data.doc = docParams.source;
+          }
+
+          lines.push(data);
+        }
+
+        return lines;
+      },
+
+      // converts the raw bulk response into a list of per-item results,
+      // sent is the list of actions the request was made with
+      genResults = function (response, sent) {
+        var
+          items = response.items || [],
+          results = {
+            took: response.took,
+            errors: false,
+            items: []
+          },
+          action,
+          item,
+          result,
+          i, len;
+
+        for (i = 0, len = items.length; i < len; i++) {
+          for (action in items[i]) {
+            if (!has(items[i], action)) {
+              continue;
+            }
+
+            item = items[i][action];
+            result = {
+              action: action,
+              index: item._index,
+              type: item._type,
+              id: item._id,
+              version: item._version,
+              status: item.status,
+              error: item.error,
+              ok: item.error == null,
+              document: i < sent.length ? sent[i].doc : undefined
+            };
+
+            if (!result.ok) {
+              results.errors = true;
+            }
+
+            results.items.push(result);
+          }
+        }
+
+        return results;
+      };
+
+    conf = conf || {};
+    index = conf.index;
+    type = conf.type;
+
+    return {
+
+      /**
+             <p>Adds a <code>Document</code> to the bulk request.</p>
+
+             <p>Valid actions are:</p>
+
+             <dl>
+                <dd><code>index</code> - create or replace the document</dd>
+                <dd><code>create</code> - create the document only if it does not exist</dd>
+                <dd><code>update</code> - update the document using a script or partial document</dd>
+                <dd><code>delete</code> - delete the document</dd>
+             </dl>
+
+             <p>When no action is specified, the <code>opType</code> of the
+             document is used, or <code>index</code> if it is not set.</p>
+
+             @member ejs.BulkRequest
+             @param {Document} doc A valid <code>Document</code> object.
+             @param {String} action The action (index, create, update, or delete)
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      add: function (doc, action) {
+        if (!isDocument(doc)) {
+          throw new TypeError('Argument must be a Document');
+        }
+
+        if (action == null) {
+          action = doc.opType() || 'index';
+        }
+
+        action = action.toLowerCase();
+        if (action !== 'index' && action !== 'create' &&
+          action !== 'update' && action !== 'delete') {
+          throw new Error('Invalid action: ' + action);
+        }
+
+        if ((doc.index() == null && index == null) ||
+          (doc.type() == null && type == null)) {
+          throw new Error('Index and Type must be set');
+        }
+
+        if ((action === 'update' || action === 'delete') && doc.id() == null) {
+          throw new Error('ID must be set for ' + action + ' actions');
+        }
+
+        if ((action === 'index' || action === 'create') &&
+          doc.source() == null) {
+          throw new Error('No source document found');
+        }
+
+        if (action === 'update' && doc.script() == null &&
+          doc.source() == null) {
+          throw new Error('Update script or document required');
+        }
+
+        actions.push({action: action, doc: doc});
+        return this;
+      },
+
+      /**
+             <p>Returns the list of actions that have been added.  Each
+             action is an object with an <code>action</code> property and
+             a <code>doc</code> property holding the <code>Document</code>.</p>
+
+             @member ejs.BulkRequest
+             @returns {Array} the list of actions.
+             */
+      actions: function () {
+        return actions;
+      },
+
+      /**
+             <p>Returns the number of actions that have been added.</p>
+
+             @member ejs.BulkRequest
+             @returns {Integer} the number of actions.
+             */
+      size: function () {
+        return actions.length;
+      },
+
+      /**
+             <p>Removes all actions from the bulk request.</p>
+
+             @member ejs.BulkRequest
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      clear: function () {
+        actions = [];
+        return this;
+      },
+
+      /**
+             <p>Sets the default index for documents without an index.</p>
+
+             @member ejs.BulkRequest
+             @param {String} idx The index name
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      index: function (idx) {
+        if (idx == null) {
+          return index;
+        }
+
+        index = idx;
+        return this;
+      },
+
+      /**
+             <p>Sets the default type for documents without a type.</p>
+
+             @member ejs.BulkRequest
+             @param {String} t The type name
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      type: function (t) {
+        if (t == null) {
+          return type;
+        }
+
+        type = t;
+        return this;
+      },
+
+      /**
+             <p>Enables the index to be refreshed immediately after the bulk
+             operations occur. This is an advanced setting and can lead to
+             performance issues.</p>
+
+             @member ejs.BulkRequest
+             @param {Boolean} trueFalse If the index should be refreshed or not.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      refresh: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.refresh;
+        }
+
+        params.refresh = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>Sets the replication mode.</p>
+
+             <p>Valid values are:</p>
+
+             <dl>
+                <dd><code>async</code> - asynchronous replication to slaves</dd>
+                <dd><code>sync</code> - synchronous replication to the slaves</dd>
+                <dd><code>default</code> - the currently configured system default.</dd>
+             </dl>
+
+             @member ejs.BulkRequest
+             @param {String} r The replication mode (async, sync, or default)
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      replication: function (r) {
+        if (r == null) {
+          return params.replication;
+        }
+
+        r = r.toLowerCase();
+        if (r === 'async' || r === 'sync' || r === 'default') {
+          params.replication = r;
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Sets the write consistency.</p>
+
+             <p>Valid values are:</p>
+
+             <dl>
+                <dd><code>one</code> - only requires write to one shard</dd>
+                <dd><code>quorum</code> - requires writes to quorum <code>(N/2 + 1)</code></dd>
+                <dd><code>all</code> - requires write to succeed on all shards</dd>
+                <dd><code>default</code> - the currently configured system default</dd>
+             </dl>
+
+             @member ejs.BulkRequest
+             @param {String} c The write consistency (one, quorum, all, or default)
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      consistency: function (c) {
+        if (c == null) {
+          return params.consistency;
+        }
+
+        c = c.toLowerCase();
+        if (c === 'default' || c === 'one' || c === 'quorum' || c === 'all') {
+          params.consistency = c;
+        }
+
+        return this;
+      },
+
+      /**
+             <p>Set's a timeout for the bulk operation.</p>
+
+             <p>The provided timeout must be strictly positive and can be a
+             number (in milliseconds) or any valid time value such as
+             <code>"1d", "2h", "5m",</code> etc.</p>
+
+             @member ejs.BulkRequest
+             @param {String} length The amount of time after which the operation
+              will timeout.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      timeout: function (length) {
+        if (length == null) {
+          return params.timeout;
+        }
+
+        params.timeout = length;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into the newline delimited
+            format expected by the <code>_bulk</code> API.</p>
+
+            @member ejs.BulkRequest
+            @returns {String} returns this object as newline delimited JSON.
+            */
+      toString: function () {
+        var
+          lines = this._self(),
+          data = '',
+          i, len;
+
+        for (i = 0, len = lines.length; i < len; i++) {
+          data = data + JSON.stringify(lines[i]) + '\n';
+        }
+
+        return data;
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.BulkRequest
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'bulk request';
+      },
+
+      /**
+            <p>Retrieves the action metadata and source lines of the bulk
+            request. This is typically used by internal API functions so use
+            with caution.</p>
+
+            @member ejs.BulkRequest
+            @returns {Array} returns the lines of the bulk request.
+            */
+      _self: function () {
+        var lines = [], i, len;
+
+        for (i = 0, len = actions.length; i < len; i++) {
+          lines = lines.concat(genActionLines(actions[i].action, actions[i].doc));
+        }
+
+        return lines;
+      },
+
+      /**
+            <p>Executes all of the actions in a single request.</p>
+
+            <p>The success callback is passed a results object with the
+            following properties:</p>
+
+            <dl>
+                <dd><code>took</code> - the time the request took in milliseconds</dd>
+                <dd><code>errors</code> - true if any of the actions failed</dd>
+                <dd><code>items</code> - a result for each action, in the order they were
+                  added, with <code>action, index, type, id, version, status, error, ok</code>
+                  and <code>document</code> properties.</dd>
+            </dl>
+
+            @member ejs.BulkRequest
+            @param {Function} successcb A callback function that handles the results.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doBulk: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (actions.length === 0) {
+          throw new Error('No actions to execute');
+        }
+
+        var url = '',
+          paramStr = genParamStr(params, []),
+
+          // actions can be added or cleared before the response arrives
+          sent = actions.slice(0);
+
+        if (index != null) {
+          url = url + '/' + index;
+
+          if (type != null) {
+            url = url + '/' + type;
+          }
+        }
+
+        url = url + '/_bulk';
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('post', url, this.toString(), successcb, errorcb,
+          function (response) {
+            return genResults(response, sent);
+          });
+      }
+
+    };
+  };
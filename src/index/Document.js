@@ -649,7 +649,8 @@
             @member ejs.Document
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} The return value is dependent on client implementation.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
             */
       doGet: function (successcb, errorcb) {
         // make sure the user has set a client
@@ -666,7 +667,7 @@
         // params as the data
         var url = '/' + index + '/' + type + '/' + id;
         
-        return ejs.client.get(url, genClientParams(params, paramExcludes), 
+        return clientRequest('get', url, genClientParams(params, paramExcludes), 
                                                           successcb, errorcb);
       },
 
@@ -677,7 +678,8 @@
             @member ejs.Document
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} The return value is dependent on client implementation.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
             */
       doIndex: function (successcb, errorcb) {
         // make sure the user has set a client
@@ -708,10 +710,10 @@
         
         // do post if id not set so one is created
         if (id == null) {
-          response = ejs.client.post(url, data, successcb, errorcb);
+          response = clientRequest('post', url, data, successcb, errorcb);
         } else {
           // put when id is specified
-          response = ejs.client.put(url, data, successcb, errorcb);
+          response = clientRequest('put', url, data, successcb, errorcb);
         }
         
         return response;
@@ -729,7 +731,8 @@
             @member ejs.Document
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} The return value is dependent on client implementation.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
             */
       doUpdate: function (successcb, errorcb) {
         // make sure the user has set a client
@@ -773,7 +776,7 @@
           data.doc = params.source;
         }
         
-        return ejs.client.post(url, JSON.stringify(data), successcb, errorcb);
+        return clientRequest('post', url, JSON.stringify(data), successcb, errorcb);
       },
 
       /**
@@ -783,7 +786,8 @@
             @member ejs.Document
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {void} Returns the value of the callback when executing on the server.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
             */
       doDelete: function (successcb, errorcb) {
         // make sure the user has set a client
@@ -803,7 +807,7 @@
           url = url + '?' + paramStr;
         }
         
-        return ejs.client.del(url, data, successcb, errorcb);
+        return clientRequest('del', url, data, successcb, errorcb);
       }
 
     };
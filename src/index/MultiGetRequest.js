@@ -0,0 +1,358 @@
+  /**
+    @class
+    <p>The <code>MultiGetRequest</code> object retrieves many documents in a
+    single request using the <code>_mget</code> API.</p>
+
+    <p>Each document is described by a <code>Document</code> object.  The
+    index, type, id, routing and fields set on the <code>Document</code> are
+    used for each document.  The preference and realtime values apply to
+    the whole request, so they are taken from the documents when they
+    agree, or can be set on the request itself.</p>
+
+    @name ejs.MultiGetRequest
+
+    @desc
+    Object used to retrieve many documents in a single request.
+
+    @param {Object} conf A configuration object containing the initilization
+      parameters.  The following parameters can be set in the conf object:
+        index - the default index for documents without an index
+        type - the default type for documents without a type
+    */
+  ejs.MultiGetRequest = function (conf) {
+
+    var
+      docs = [],
+      params = {},
+      index,
+      type,
+
+      // the document params that apply to the whole request
+      requestParams = ['preference', 'realtime'],
+
+      // generates the entry for a single document
+      genDoc = function (doc) {
+        var
+          docParams = doc._self(),
+          entry = {};
+
+        if (doc.index() != null) {
+          entry._index = doc.index();
+        }
+
+        if (doc.type() != null) {
+          entry._type = doc.type();
+        }
+
+        entry._id = doc.id();
+
+        if (docParams.routing != null) {
+          entry._routing = docParams.routing;
+        }
+
+        if (docParams.fields != null && docParams.fields.length > 0) {
+          entry.fields = docParams.fields;
+        }
+
+        return entry;
+      },
+
+      // generates the request params, using the document values when the
+      // request value is not set
+      genParams = function () {
+        var
+          p = extend({}, params),
+          docParams,
+          name,
+          i, len, j, jlen;
+
+        for (i = 0, len = requestParams.length; i < len; i++) {
+          name = requestParams[i];
+          if (p[name] != null) {
+            continue;
+          }
+
+          for (j = 0, jlen = docs.length; j < jlen; j++) {
+            docParams = docs[j]._self();
+            if (docParams[name] == null) {
+              continue;
+            }
+
+            if (p[name] != null && p[name] !== docParams[name]) {
+              throw new Error('Documents have conflicting ' + name +
+                ' values');
+            }
+
+            p[name] = docParams[name];
+          }
+        }
+
+        return p;
+      },
+
+      // converts the raw response into a result for each document
+      genResults = function (response) {
+        var
+          items = response.docs || [],
+          results = [],
+          item,
+          i, len;
+
+        for (i = 0, len = items.length; i < len; i++) {
+          item = items[i];
+          results.push({
+            index: item._index,
+            type: item._type,
+            id: item._id,
+            version: item._version,
+            found: item.found != null ? item.found : item.exists === true,
+            source: item._source,
+            fields: item.fields,
+            error: item.error,
+            document: i < docs.length ? docs[i] : undefined
+          });
+        }
+
+        return results;
+      };
+
+    conf = conf || {};
+    index = conf.index;
+    type = conf.type;
+
+    return {
+
+      /**
+             <p>Adds a <code>Document</code> to the request.  If an array is
+             passed in each of the documents is added.</p>
+
+             @member ejs.MultiGetRequest
+             @param {Document || Array} doc A valid <code>Document</code> object or
+               list of <code>Document</code> objects.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      add: function (doc) {
+        var i, len;
+
+        if (isArray(doc)) {
+          for (i = 0, len = doc.length; i < len; i++) {
+            this.add(doc[i]);
+          }
+
+          return this;
+        }
+
+        if (!isDocument(doc)) {
+          throw new TypeError('Argument must be a Document');
+        }
+
+        if (doc.index() == null && index == null) {
+          throw new Error('Index must be set');
+        }
+
+        if (doc.id() == null) {
+          throw new Error('ID must be set');
+        }
+
+        docs.push(doc);
+        return this;
+      },
+
+      /**
+             <p>Returns the list of documents that have been added.</p>
+
+             @member ejs.MultiGetRequest
+             @returns {Array} the list of <code>Document</code> objects.
+             */
+      documents: function () {
+        return docs;
+      },
+
+      /**
+             <p>Returns the number of documents that have been added.</p>
+
+             @member ejs.MultiGetRequest
+             @returns {Integer} the number of documents.
+             */
+      size: function () {
+        return docs.length;
+      },
+
+      /**
+             <p>Removes all documents from the request.</p>
+
+             @member ejs.MultiGetRequest
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      clear: function () {
+        docs = [];
+        return this;
+      },
+
+      /**
+             <p>Sets the default index for documents without an index.</p>
+
+             @member ejs.MultiGetRequest
+             @param {String} idx The index name
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      index: function (idx) {
+        if (idx == null) {
+          return index;
+        }
+
+        index = idx;
+        return this;
+      },
+
+      /**
+             <p>Sets the default type for documents without a type.</p>
+
+             @member ejs.MultiGetRequest
+             @param {String} t The type name
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      type: function (t) {
+        if (t == null) {
+          return type;
+        }
+
+        type = t;
+        return this;
+      },
+
+      /**
+             <p>Sets the preference value for the whole request.  When not
+             set, the preference of the documents is used.</p>
+
+             @member ejs.MultiGetRequest
+             @param {String} p The preference value as a string
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      preference: function (p) {
+        if (p == null) {
+          return params.preference;
+        }
+
+        params.preference = p;
+        return this;
+      },
+
+      /**
+             <p>Sets if the documents are retrieved in realtime for the whole
+             request.  When not set, the realtime value of the documents is
+             used.</p>
+
+             @member ejs.MultiGetRequest
+             @param {Boolean} trueFalse If realtime get is used or not.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      realtime: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.realtime;
+        }
+
+        params.realtime = trueFalse;
+        return this;
+      },
+
+      /**
+             <p>Enables a refresh before the documents are retrieved.</p>
+
+             @member ejs.MultiGetRequest
+             @param {Boolean} trueFalse If the indices should be refreshed or not.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      refresh: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.refresh;
+        }
+
+        params.refresh = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.MultiGetRequest
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(this._self());
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.MultiGetRequest
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'multi get request';
+      },
+
+      /**
+            <p>Retrieves the body of the multi get request. This is typically
+            used by internal API functions so use with caution.</p>
+
+            @member ejs.MultiGetRequest
+            @returns {Object} returns the body of the request.
+            */
+      _self: function () {
+        var body = {docs: []}, i, len;
+
+        for (i = 0, len = docs.length; i < len; i++) {
+          body.docs.push(genDoc(docs[i]));
+        }
+
+        return body;
+      },
+
+      /**
+            <p>Retrieves all of the documents in a single request.</p>
+
+            <p>The success callback is passed a list with a result for each
+            document, in the order they were added.  Each result has
+            <code>index, type, id, version, found, source, fields, error</code>
+            and <code>document</code> properties.</p>
+
+            @member ejs.MultiGetRequest
+            @param {Function} successcb A callback function that handles the results.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGet: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (docs.length === 0) {
+          throw new Error('No documents to get');
+        }
+
+        var url = '',
+          paramStr = genParamStr(genParams(), []);
+
+        if (index != null) {
+          url = url + '/' + index;
+
+          if (type != null) {
+            url = url + '/' + type;
+          }
+        }
+
+        url = url + '/_mget';
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('post', url, this.toString(), successcb, errorcb,
+          genResults);
+      }
+
+    };
+  };
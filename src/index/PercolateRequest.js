@@ -0,0 +1,317 @@
+  /**
+    @class
+    <p>The <code>PercolateRequest</code> object matches a document against
+    the queries registered with the percolator of an index, and returns
+    the ids of the matching queries.</p>
+
+    <p>The document can be passed in directly, or an existing
+    <code>Document</code> can be percolated.  An optional filter limits the
+    registered queries that are checked, typically using the metadata
+    stored with each query.  When only the number of matches is needed,
+    <code>doCount</code> can be used.</p>
+
+    @name ejs.PercolateRequest
+
+    @desc Match documents against registered queries.
+
+    @param {String} index The index the queries are registered on.
+    @param {String} type The type of the document.
+    */
+  ejs.PercolateRequest = function (index, type) {
+
+    var
+      body = {},
+      params = {},
+      document = null,
+
+      // generates the url for the percolate endpoint
+      getRestPath = function (endpoint) {
+        var url, paramStr, p = {};
+
+        if (document !== null) {
+          url = '/' + document.index() + '/' + document.type() + '/' +
+            document.id() + '/' + endpoint;
+
+          // the registered queries may live in a different index
+          if (index != null && index !== document.index()) {
+            p.percolate_index = index;
+          }
+
+          if (type != null && type !== document.type()) {
+            p.percolate_type = type;
+          }
+        } else {
+          url = '/' + index + '/' + type + '/' + endpoint;
+        }
+
+        paramStr = genParamStr(extend(p, params), []);
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return url;
+      },
+
+      // executes the request, passing error responses to errorcb
+      run = function (endpoint, parse, successcb, errorcb) {
+        return clientRequest('post', getRestPath(endpoint),
+          JSON.stringify(body), function (response) {
+            if (response.error != null) {
+              if (errorcb != null) {
+                errorcb(response);
+              }
+            } else if (successcb != null) {
+              successcb(parse(response));
+            }
+          }, errorcb);
+      },
+
+      // runs the request, wrapping it in a promise when possible
+      execute = function (endpoint, parse, successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (document !== null) {
+          if (document.index() == null || document.type() == null ||
+            document.id() == null) {
+            throw new Error('Document index, type, and id must be set');
+          }
+        } else if (index == null || type == null) {
+          throw new Error('Index and Type must be set');
+        } else if (body.doc == null) {
+          throw new Error('No document to percolate');
+        }
+
+        return withDeferred(function (resolve, reject) {
+          return run(endpoint, parse, resolve, reject);
+        }, successcb, errorcb);
+      },
+
+      // extracts the ids of the matching queries
+      genIds = function (response) {
+        var
+          matches = response.matches || [],
+          ids = [],
+          i, len;
+
+        for (i = 0, len = matches.length; i < len; i++) {
+          ids.push(matches[i]._id);
+        }
+
+        return ids;
+      },
+
+      // extracts the number of matching queries
+      genTotal = function (response) {
+        return response.total;
+      };
+
+    return {
+
+      /**
+             <p>Set's the index the queries are registered on.</p>
+
+             @member ejs.PercolateRequest
+             @param {String} idx The index name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      index: function (idx) {
+        if (idx == null) {
+          return index;
+        }
+
+        index = idx;
+        return this;
+      },
+
+      /**
+             <p>Set's the type of the document.</p>
+
+             @member ejs.PercolateRequest
+             @param {String} t The type name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      type: function (t) {
+        if (t == null) {
+          return type;
+        }
+
+        type = t;
+        return this;
+      },
+
+      /**
+             <p>Set's the source of the document to percolate.</p>
+
+             @member ejs.PercolateRequest
+             @param {Object} doc The source document.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      doc: function (doc) {
+        if (doc == null) {
+          return body.doc;
+        }
+
+        if (!isObject(doc)) {
+          throw new TypeError('Argument must be an object');
+        }
+
+        body.doc = doc;
+        return this;
+      },
+
+      /**
+             <p>Set's an existing <code>Document</code> to percolate.  The
+             stored document is loaded by its index, type, and id, so the
+             source does not need to be sent.</p>
+
+             @member ejs.PercolateRequest
+             @param {Object} d A valid <code>Document</code> object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      document: function (d) {
+        if (d == null) {
+          return document;
+        }
+
+        if (!isDocument(d)) {
+          throw new TypeError('Argument must be a Document');
+        }
+
+        document = d;
+        return this;
+      },
+
+      /**
+             <p>Set's a filter that limits the registered queries the
+             document is matched against.</p>
+
+             @member ejs.PercolateRequest
+             @param {Object} f A valid <code>Filter</code> object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      filter: function (f) {
+        if (f == null) {
+          return body.filter;
+        }
+
+        if (!isFilter(f)) {
+          throw new TypeError('Argument must be a Filter');
+        }
+
+        body.filter = f._self();
+        return this;
+      },
+
+      /**
+             <p>Set's the maximum number of matches returned.</p>
+
+             @member ejs.PercolateRequest
+             @param {Integer} s The maximum number of matches.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      size: function (s) {
+        if (s == null) {
+          return body.size;
+        }
+
+        body.size = s;
+        return this;
+      },
+
+      /**
+             <p>Set's the routing value used to find the registered
+             queries.</p>
+
+             @member ejs.PercolateRequest
+             @param {String} route A comma-separated list of routing values.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      routing: function (route) {
+        if (route == null) {
+          return params.routing;
+        }
+
+        params.routing = route;
+        return this;
+      },
+
+      /**
+             <p>Set's the shards the request is executed on.</p>
+
+             @member ejs.PercolateRequest
+             @param {String} perf The preference value, ie. _local.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      preference: function (perf) {
+        if (perf == null) {
+          return params.preference;
+        }
+
+        params.preference = perf;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.PercolateRequest
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(body);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.PercolateRequest
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'percolate request';
+      },
+
+      /**
+            <p>Retrieves the internal <code>body</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.PercolateRequest
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return body;
+      },
+
+      /**
+            <p>Percolates the document.  The success callback is passed the
+            list of ids of the matching queries.</p>
+
+            @member ejs.PercolateRequest
+            @param {Function} successcb A callback function that handles the ids.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doPercolate: function (successcb, errorcb) {
+        return execute('_percolate', genIds, successcb, errorcb);
+      },
+
+      /**
+            <p>Percolates the document and only counts the matches.  The
+            success callback is passed the number of matching queries.</p>
+
+            @member ejs.PercolateRequest
+            @param {Function} successcb A callback function that handles the count.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doCount: function (successcb, errorcb) {
+        return execute('_percolate/count', genTotal, successcb, errorcb);
+      }
+
+    };
+  };
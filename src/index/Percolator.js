@@ -0,0 +1,205 @@
+  /**
+    @class
+    <p>The <code>Percolator</code> object registers a query with the
+    percolator of an index.  Documents are then matched against all of
+    the registered queries using a <code>PercolateRequest</code>, which
+    is useful for alerting when new content matches a saved search.</p>
+
+    <p>Additional metadata fields can be stored with the query.  The
+    metadata can be used to filter which registered queries a document is
+    percolated against.</p>
+
+    @name ejs.Percolator
+
+    @desc Register queries with the percolator.
+
+    @param {String} index The index the query is registered on.
+    @param {String} id The id of the registered query.
+    */
+  ejs.Percolator = function (index, id) {
+
+    var
+      percolator = {},
+
+      // throws an error unless the index and id are set
+      checkTarget = function () {
+        if (index == null || id == null) {
+          throw new Error('Index and ID must be set');
+        }
+      };
+
+    return {
+
+      /**
+             <p>Set's the index the query is registered on.</p>
+
+             @member ejs.Percolator
+             @param {String} idx The index name.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      index: function (idx) {
+        if (idx == null) {
+          return index;
+        }
+
+        index = idx;
+        return this;
+      },
+
+      /**
+             <p>Set's the id of the registered query.</p>
+
+             @member ejs.Percolator
+             @param {String} i The query id.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      id: function (i) {
+        if (i == null) {
+          return id;
+        }
+
+        id = i;
+        return this;
+      },
+
+      /**
+             <p>Set's the query that documents are matched against.</p>
+
+             @member ejs.Percolator
+             @param {Object} someQuery A valid <code>Query</code> object.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      query: function (someQuery) {
+        if (someQuery == null) {
+          return percolator.query;
+        }
+
+        if (!isQuery(someQuery)) {
+          throw new TypeError('Argument must be a Query');
+        }
+
+        percolator.query = someQuery._self();
+        return this;
+      },
+
+      /**
+             <p>Set's a metadata field stored with the query.  When only a
+             name is passed, the current value of the field is
+             returned.</p>
+
+             @member ejs.Percolator
+             @param {String} name The field name.
+             @param {Object} value The field value.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      field: function (name, value) {
+        if (name === 'query') {
+          throw new Error('The query field is reserved');
+        }
+
+        if (value === undefined) {
+          return percolator[name];
+        }
+
+        percolator[name] = value;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Percolator
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(percolator);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.Percolator
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'percolator';
+      },
+
+      /**
+            <p>Retrieves the internal <code>percolator</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.Percolator
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return percolator;
+      },
+
+      /**
+            <p>Registers the query.  An existing query with the same id is
+            replaced.</p>
+
+            @member ejs.Percolator
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doRegister: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkTarget();
+        if (percolator.query == null) {
+          throw new Error('Query must be set');
+        }
+
+        return clientRequest('put', '/' + index + '/.percolator/' + id,
+          this.toString(), successcb, errorcb);
+      },
+
+      /**
+            <p>Retrieves the registered query.</p>
+
+            @member ejs.Percolator
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGet: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkTarget();
+        return clientRequest('get', '/' + index + '/.percolator/' + id, {},
+          successcb, errorcb);
+      },
+
+      /**
+            <p>Removes the registered query from the percolator.</p>
+
+            @member ejs.Percolator
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doDelete: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        checkTarget();
+        return clientRequest('del', '/' + index + '/.percolator/' + id, '',
+          successcb, errorcb);
+      }
+
+    };
+  };
@@ -0,0 +1,445 @@
+  /**
+    @class
+    <p>The <code>Reindex</code> object copies documents from one index to
+    another.  Documents are read using a <code>scan</code> search built
+    from a <code>Request</code> and written to the target index in batches
+    through a <code>BulkProcessor</code>.</p>
+
+    <p>The indices, types, and query of the <code>Request</code> select the
+    documents to copy.  Each hit can be modified, or skipped, by a
+    transform function before it is written.</p>
+
+    @name ejs.Reindex
+
+    @desc
+    Object used to copy documents from one index to another.
+
+    @param {Request} request The <code>Request</code> that selects the source documents.
+    @param {String} index The target index.
+    @param {String} type The target type.  When not set, the type of the
+      source document is used.
+    */
+  ejs.Reindex = function (request, index, type) {
+
+    if (!isRequest(request)) {
+      throw new TypeError('Argument must be a Request');
+    }
+
+    var
+      settings = {
+        scroll: '5m',
+        bulk_actions: 500,
+        concurrent_requests: 1
+      },
+      transform = null,
+      progress = null,
+
+      // converts a hit into a document for the target index
+      genDocument = function (hit) {
+        var doc, source = hit._source;
+
+        if (transform !== null) {
+          source = transform(hit);
+
+          if (source == null || source === false) {
+            return null;
+          }
+
+          if (isDocument(source)) {
+            return source;
+          }
+        }
+
+        // hits without a source, such as when the request only asks for
+        // stored fields, can not be copied unless the transform builds one
+        if (source == null) {
+          throw new Error('Document ' + hit._id + ' has no _source');
+        }
+
+        doc = ejs.Document(index, type || hit._type, hit._id).source(source);
+
+        if (hit.fields != null) {
+          if (hit.fields._routing != null) {
+            doc.routing(hit.fields._routing);
+          }
+
+          if (hit.fields._parent != null) {
+            doc.parent(hit.fields._parent);
+          }
+        }
+
+        return doc;
+      },
+
+      // copies all documents, calling successcb with the final stats
+      run = function (successcb, errorcb) {
+        var
+          start = new Date().getTime(),
+          stats = {
+            total: 0,
+            copied: 0,
+            failed: 0,
+            skipped: 0,
+            elapsed: 0
+          },
+          failed = false,
+          waiting = false,
+          search,
+          fields,
+          cursor,
+          processor,
+
+          report = function () {
+            stats.elapsed = new Date().getTime() - start;
+            if (progress !== null) {
+              progress(stats);
+            }
+          },
+
+          fail = function (error) {
+            if (failed) {
+              return;
+            }
+
+            failed = true;
+            cursor.abort(function () {}, function () {});
+            if (errorcb != null) {
+              errorcb(error);
+            }
+          },
+
+          nextPage = function () {
+            if (failed) {
+              return;
+            }
+
+            // wait for a free request slot before reading more documents
+            if (processor.pending() >= settings.concurrent_requests) {
+              waiting = true;
+              return;
+            }
+
+            try {
+              cursor.next(page, fail);
+            } catch (e) {
+              fail(e);
+            }
+          },
+
+          resume = function () {
+            if (waiting && processor.pending() < settings.concurrent_requests) {
+              waiting = false;
+              nextPage();
+            }
+          },
+
+          page = function (response) {
+            var hits = response.hits.hits, doc, i, len;
+
+            stats.total = cursor.total();
+
+            // this runs in the client callback, so errors from building or
+            // adding a document must go to fail rather than be thrown
+            for (i = 0, len = hits.length; i < len; i++) {
+              try {
+                doc = genDocument(hits[i]);
+                if (doc === null) {
+                  stats.skipped = stats.skipped + 1;
+                } else {
+                  processor.add(doc);
+                }
+              } catch (e) {
+                fail(e);
+                return;
+              }
+            }
+
+            if (hits.length === 0) {
+              processor.close(function () {
+                var error;
+
+                report();
+                if (failed) {
+                  return;
+                }
+
+                if (stats.failed > 0) {
+                  error = new Error(stats.failed + ' documents failed to copy');
+                  error.stats = stats;
+                  if (errorcb != null) {
+                    errorcb(error);
+                  }
+                } else if (successcb != null) {
+                  successcb(stats);
+                }
+              });
+            } else {
+              processor.flush();
+              nextPage();
+            }
+          };
+
+        if (index == null) {
+          throw new Error('Target index must be set');
+        }
+
+        processor = ejs.BulkProcessor()
+          .bulkActions(settings.bulk_actions)
+          .bulkSize(0)
+          .concurrentRequests(settings.concurrent_requests)
+          .afterBulk(function (id, req, results) {
+            var i, len;
+
+            for (i = 0, len = results.items.length; i < len; i++) {
+              if (results.items[i].ok) {
+                stats.copied = stats.copied + 1;
+              } else {
+                stats.failed = stats.failed + 1;
+              }
+            }
+
+            report();
+            resume();
+          })
+          .onError(function (id, req, error) {
+            stats.failed = stats.failed + req.size();
+            report();
+            resume();
+          });
+
+        // scan a copy so the caller's request is left untouched, and ask
+        // for the routing and parent values that genDocument copies along
+        // with any fields the caller requested
+        search = request.clone().searchType('scan');
+        fields = (search.fields() || ['_source']).slice(0);
+        if (fields.indexOf('_routing') === -1) {
+          fields.push('_routing');
+        }
+
+        if (fields.indexOf('_parent') === -1) {
+          fields.push('_parent');
+        }
+
+        search.fields(fields);
+
+        if (settings.size != null) {
+          search.size(settings.size);
+        }
+
+        cursor = search.scrollCursor(settings.scroll);
+        nextPage();
+      };
+
+    return {
+
+      /**
+             <p>Sets the target index.</p>
+
+             @member ejs.Reindex
+             @param {String} idx The index name
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      index: function (idx) {
+        if (idx == null) {
+          return index;
+        }
+
+        index = idx;
+        return this;
+      },
+
+      /**
+             <p>Sets the target type.  When not set, the type of the source
+             document is used.</p>
+
+             @member ejs.Reindex
+             @param {String} t The type name
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      type: function (t) {
+        if (t == null) {
+          return type;
+        }
+
+        type = t;
+        return this;
+      },
+
+      /**
+             <p>Sets the time to keep the scroll context alive between
+             pages.  Defaults to <code>5m</code>.</p>
+
+             @member ejs.Reindex
+             @param {String} keepAlive The keep alive time.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      scroll: function (keepAlive) {
+        if (keepAlive == null) {
+          return settings.scroll;
+        }
+
+        settings.scroll = keepAlive;
+        return this;
+      },
+
+      /**
+             <p>Sets the number of hits read per shard for each page.</p>
+
+             @member ejs.Reindex
+             @param {Integer} s The number of hits per shard.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      size: function (s) {
+        if (s == null) {
+          return settings.size;
+        }
+
+        settings.size = s;
+        return this;
+      },
+
+      /**
+             <p>Sets the maximum number of documents written in a single bulk
+             request.  Defaults to <code>500</code>.</p>
+
+             @member ejs.Reindex
+             @param {Integer} num The maximum number of actions in a batch.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      bulkActions: function (num) {
+        if (num == null) {
+          return settings.bulk_actions;
+        }
+
+        settings.bulk_actions = num;
+        return this;
+      },
+
+      /**
+             <p>Sets the number of bulk requests that can be executing at the
+             same time.  No new pages are read while this limit is reached.
+             Defaults to <code>1</code>.</p>
+
+             @member ejs.Reindex
+             @param {Integer} num The maximum number of concurrent requests.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      concurrentRequests: function (num) {
+        if (num == null) {
+          return settings.concurrent_requests;
+        }
+
+        settings.concurrent_requests = num;
+        return this;
+      },
+
+      /**
+             <p>Sets a function that is called with each hit before it is
+             written.  The function can return the new source document, a
+             <code>Document</code> to write, or <code>null</code> to skip
+             the hit.</p>
+
+             @member ejs.Reindex
+             @param {Function} fn The transform function.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      transform: function (fn) {
+        if (fn == null) {
+          return transform;
+        }
+
+        if (!isFunction(fn)) {
+          throw new TypeError('Argument must be a function');
+        }
+
+        transform = fn;
+        return this;
+      },
+
+      /**
+             <p>Sets a function that is called after each bulk request
+             completes.  The function is passed an object with the
+             <code>total, copied, failed, skipped</code>, and
+             <code>elapsed</code> (milliseconds) values.</p>
+
+             @member ejs.Reindex
+             @param {Function} fn The progress function.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      progress: function (fn) {
+        if (fn == null) {
+          return progress;
+        }
+
+        if (!isFunction(fn)) {
+          throw new TypeError('Argument must be a function');
+        }
+
+        progress = fn;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Reindex
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(settings);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.Reindex
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'reindex';
+      },
+
+      /**
+            <p>Retrieves the internal <code>settings</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.Reindex
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return settings;
+      },
+
+      /**
+            <p>Copies the documents to the target index.  The success
+            callback is passed the final progress values once all documents
+            have been written.</p>
+
+            <p>When any document fails to copy, the error callback is called
+            instead with an <code>Error</code> whose <code>stats</code>
+            property holds the final progress values.</p>
+
+            <p>Fields set on the request are kept, with <code>_routing</code>
+            and <code>_parent</code> added so they are copied.  A hit without
+            a <code>_source</code>, or a transform that returns an invalid
+            source, stops the copy and calls the error callback.</p>
+
+            @member ejs.Reindex
+            @param {Function} successcb A callback function called when the copy completes.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises.
+            */
+      doReindex: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        return withDeferred(function (resolve, reject) {
+          run(resolve, reject);
+        }, successcb, errorcb);
+      }
+
+    };
+  };
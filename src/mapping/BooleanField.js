@@ -0,0 +1,67 @@
+  /**
+    @class
+    <p>A <code>BooleanField</code> maps a field holding <code>true</code>
+    or <code>false</code> values.</p>
+
+    @name ejs.BooleanField
+
+    @desc
+    <p>Maps a boolean field.</p>
+
+    @borrows ejs.FieldMixin.store as store
+    @borrows ejs.FieldMixin.index as index
+    @borrows ejs.FieldMixin.indexName as indexName
+    @borrows ejs.FieldMixin.boost as boost
+    @borrows ejs.FieldMixin.nullValue as nullValue
+    @borrows ejs.FieldMixin.includeInAll as includeInAll
+
+    @param {String} name The name of the field.
+    */
+  ejs.BooleanField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.BooleanField
+        @property {Object} mapping
+        */
+    var mapping = {},
+
+    // common field options
+    _common = ejs.FieldMixin('boolean');
+
+    mapping[name] = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.BooleanField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.BooleanField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.BooleanField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    });
+  };
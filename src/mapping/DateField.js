@@ -0,0 +1,119 @@
+  /**
+    @class
+    <p>A <code>DateField</code> maps a field holding dates.  Dates are
+    parsed using the configured format and indexed as milliseconds since
+    the epoch.</p>
+
+    @name ejs.DateField
+
+    @desc
+    <p>Maps a date field.</p>
+
+    @borrows ejs.FieldMixin.store as store
+    @borrows ejs.FieldMixin.index as index
+    @borrows ejs.FieldMixin.indexName as indexName
+    @borrows ejs.FieldMixin.boost as boost
+    @borrows ejs.FieldMixin.nullValue as nullValue
+    @borrows ejs.FieldMixin.includeInAll as includeInAll
+
+    @param {String} name The name of the field.
+    */
+  ejs.DateField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.DateField
+        @property {Object} mapping
+        */
+    var mapping = {},
+
+    // common field options
+    _common = ejs.FieldMixin('date');
+
+    mapping[name] = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the date format used to parse the values, ie.
+            <code>yyyy/MM/dd||epoch_millis</code>.</p>
+
+            @member ejs.DateField
+            @param {String} fmt A valid date format.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      format: function (fmt) {
+        if (fmt == null) {
+          return mapping[name].format;
+        }
+
+        mapping[name].format = fmt;
+        return this;
+      },
+
+      /**
+            <p>Sets the number of terms generated for each value.  Lower
+            values make range queries faster but increase the index size.</p>
+
+            @member ejs.DateField
+            @param {Integer} step The precision step.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      precisionStep: function (step) {
+        if (step == null) {
+          return mapping[name].precision_step;
+        }
+
+        mapping[name].precision_step = step;
+        return this;
+      },
+
+      /**
+            <p>Sets if malformed values are ignored instead of failing the
+            document.</p>
+
+            @member ejs.DateField
+            @param {Boolean} trueFalse True to ignore malformed values.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ignoreMalformed: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].ignore_malformed;
+        }
+
+        mapping[name].ignore_malformed = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.DateField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.DateField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.DateField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    });
+  };
@@ -0,0 +1,201 @@
+  /**
+    @class
+    <p>A <code>DynamicTemplate</code> defines the mapping applied to new
+    fields that are added dynamically.  The template is used for fields
+    whose name, path, or detected type matches the template conditions.
+    The <code>{name}</code> and <code>{dynamic_type}</code> placeholders
+    can be used in the mapping.</p>
+
+    @name ejs.DynamicTemplate
+
+    @desc
+    <p>Maps dynamically added fields.</p>
+
+    @param {String} name The name of the template.
+    */
+  ejs.DynamicTemplate = function (name) {
+
+    /**
+        The internal template object.
+        @member ejs.DynamicTemplate
+        @property {Object} template
+        */
+    var template = {};
+
+    template[name] = {};
+
+    return {
+
+      /**
+            <p>Sets the pattern the field name must match.</p>
+
+            @member ejs.DynamicTemplate
+            @param {String} pattern A wildcard pattern, ie. <code>*_str</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      match: function (pattern) {
+        if (pattern == null) {
+          return template[name].match;
+        }
+
+        template[name].match = pattern;
+        return this;
+      },
+
+      /**
+            <p>Sets the pattern the field name must not match.</p>
+
+            @member ejs.DynamicTemplate
+            @param {String} pattern A wildcard pattern.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      unmatch: function (pattern) {
+        if (pattern == null) {
+          return template[name].unmatch;
+        }
+
+        template[name].unmatch = pattern;
+        return this;
+      },
+
+      /**
+            <p>Sets the pattern the full dotted path of the field must
+            match.</p>
+
+            @member ejs.DynamicTemplate
+            @param {String} pattern A wildcard pattern, ie. <code>name.*</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      pathMatch: function (pattern) {
+        if (pattern == null) {
+          return template[name].path_match;
+        }
+
+        template[name].path_match = pattern;
+        return this;
+      },
+
+      /**
+            <p>Sets the pattern the full dotted path of the field must not
+            match.</p>
+
+            @member ejs.DynamicTemplate
+            @param {String} pattern A wildcard pattern.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      pathUnmatch: function (pattern) {
+        if (pattern == null) {
+          return template[name].path_unmatch;
+        }
+
+        template[name].path_unmatch = pattern;
+        return this;
+      },
+
+      /**
+            <p>Sets the detected type the field must have, ie.
+            <code>string</code> or <code>long</code>.</p>
+
+            @member ejs.DynamicTemplate
+            @param {String} t The detected field type.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      matchMappingType: function (t) {
+        if (t == null) {
+          return template[name].match_mapping_type;
+        }
+
+        template[name].match_mapping_type = t;
+        return this;
+      },
+
+      /**
+            <p>Sets how the match patterns are interpreted.  Valid values
+            are:</p>
+
+            <dl>
+              <dd><code>simple</code> - wildcard patterns</dd>
+              <dd><code>regex</code> - regular expressions</dd>
+            </dl>
+
+            @member ejs.DynamicTemplate
+            @param {String} p The pattern type of simple or regex.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      matchPattern: function (p) {
+        if (p == null) {
+          return template[name].match_pattern;
+        }
+
+        p = p.toLowerCase();
+        if (p === 'simple' || p === 'regex') {
+          template[name].match_pattern = p;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the mapping applied to matching fields.  The mapping can
+            be a field mapping object, in which case the field name is
+            ignored, or an object literal.</p>
+
+            @member ejs.DynamicTemplate
+            @param {Object} m A field mapping object or mapping definition.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      mapping: function (m) {
+        var field;
+
+        if (m == null) {
+          return template[name].mapping;
+        }
+
+        if (isFieldMapping(m)) {
+          m = m._self();
+          for (field in m) {
+            if (has(m, field)) {
+              template[name].mapping = m[field];
+            }
+          }
+        } else if (isObject(m)) {
+          template[name].mapping = m;
+        } else {
+          throw new TypeError('Argument must be a field mapping or object');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.DynamicTemplate
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(template);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.DynamicTemplate
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'dynamic template';
+      },
+
+      /**
+            <p>Retrieves the internal <code>template</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.DynamicTemplate
+            @returns {String} returns this object's internal <code>template</code> property.
+            */
+      _self: function () {
+        return template;
+      }
+    };
+  };
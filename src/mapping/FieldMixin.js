@@ -0,0 +1,143 @@
+  /**
+    @mixin
+    <p>The FieldMixin provides support for common options used across the
+    core field types of a <code>Mapping</code>.  This object should not be
+    used directly.</p>
+
+    @name ejs.FieldMixin
+
+    @param {String} type The core type of the field.
+    */
+  ejs.FieldMixin = function (type) {
+
+    /**
+        The internal field object.
+        @member ejs.FieldMixin
+        @property {Object} field
+        */
+    var field = {type: type};
+
+    return {
+
+      /**
+            <p>Sets if the value of the field should be stored in addition
+            to the <code>_source</code> document.</p>
+
+            @member ejs.FieldMixin
+            @param {Boolean} trueFalse True to store the field value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      store: function (trueFalse) {
+        if (trueFalse == null) {
+          return field.store;
+        }
+
+        field.store = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets how the field is indexed.  Valid values are:</p>
+
+            <dl>
+              <dd><code>analyzed</code> - the value is analyzed and indexed (strings only)</dd>
+              <dd><code>not_analyzed</code> - the value is indexed without analysis</dd>
+              <dd><code>no</code> - the value is not indexed and can not be searched</dd>
+            </dl>
+
+            @member ejs.FieldMixin
+            @param {String} idx The index option of analyzed, not_analyzed, or no.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      index: function (idx) {
+        if (idx == null) {
+          return field.index;
+        }
+
+        idx = idx.toLowerCase();
+        if (idx === 'analyzed' || idx === 'not_analyzed' || idx === 'no') {
+          field.index = idx;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the name of the field that will be stored in the index.
+            Defaults to the property name.</p>
+
+            @member ejs.FieldMixin
+            @param {String} name The name of the field in the index.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      indexName: function (name) {
+        if (name == null) {
+          return field.index_name;
+        }
+
+        field.index_name = name;
+        return this;
+      },
+
+      /**
+            <p>Sets the boost applied to the field at index time.</p>
+
+            @member ejs.FieldMixin
+            @param {Double} boost A positive double value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      boost: function (boost) {
+        if (boost == null) {
+          return field.boost;
+        }
+
+        field.boost = boost;
+        return this;
+      },
+
+      /**
+            <p>Sets the value that is indexed when the field is
+            <code>null</code> or missing.</p>
+
+            @member ejs.FieldMixin
+            @param {Object} val The value to index in place of null values.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      nullValue: function (val) {
+        if (val == null) {
+          return field.null_value;
+        }
+
+        field.null_value = val;
+        return this;
+      },
+
+      /**
+            <p>Sets if the field should be included in the <code>_all</code>
+            field.</p>
+
+            @member ejs.FieldMixin
+            @param {Boolean} trueFalse True to include the field in _all.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      includeInAll: function (trueFalse) {
+        if (trueFalse == null) {
+          return field.include_in_all;
+        }
+
+        field.include_in_all = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Retrieves the internal <code>field</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.FieldMixin
+            @returns {String} returns this object's internal <code>field</code> property.
+            */
+      _self: function () {
+        return field;
+      }
+    };
+  };
@@ -0,0 +1,165 @@
+  /**
+    @class
+    <p>A <code>GeoPointField</code> maps a field holding latitude and
+    longitude pairs.  The points can be indexed as separate lat/lon fields
+    and as geohashes.</p>
+
+    @name ejs.GeoPointField
+
+    @desc
+    <p>Maps a geo point field.</p>
+
+    @borrows ejs.FieldMixin.store as store
+    @borrows ejs.FieldMixin.index as index
+    @borrows ejs.FieldMixin.indexName as indexName
+    @borrows ejs.FieldMixin.boost as boost
+    @borrows ejs.FieldMixin.nullValue as nullValue
+    @borrows ejs.FieldMixin.includeInAll as includeInAll
+
+    @param {String} name The name of the field.
+    */
+  ejs.GeoPointField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.GeoPointField
+        @property {Object} mapping
+        */
+    var mapping = {},
+
+    // common field options
+    _common = ejs.FieldMixin('geo_point');
+
+    mapping[name] = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets if the latitude and longitude are indexed as separate
+            numeric fields.</p>
+
+            @member ejs.GeoPointField
+            @param {Boolean} trueFalse True to index lat/lon fields.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      latLon: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].lat_lon;
+        }
+
+        mapping[name].lat_lon = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the point is indexed as a geohash.</p>
+
+            @member ejs.GeoPointField
+            @param {Boolean} trueFalse True to index the geohash.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      geohash: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].geohash;
+        }
+
+        mapping[name].geohash = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the maximum length of the indexed geohash.</p>
+
+            @member ejs.GeoPointField
+            @param {Integer} len The geohash precision.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      geohashPrecision: function (len) {
+        if (len == null) {
+          return mapping[name].geohash_precision;
+        }
+
+        mapping[name].geohash_precision = len;
+        return this;
+      },
+
+      /**
+            <p>Sets if all prefixes of the geohash are indexed.</p>
+
+            @member ejs.GeoPointField
+            @param {Boolean} trueFalse True to index geohash prefixes.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      geohashPrefix: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].geohash_prefix;
+        }
+
+        mapping[name].geohash_prefix = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the latitude and longitude values are validated.</p>
+
+            @member ejs.GeoPointField
+            @param {Boolean} trueFalse True to validate points.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      validate: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].validate;
+        }
+
+        mapping[name].validate = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the latitude and longitude values are normalized.</p>
+
+            @member ejs.GeoPointField
+            @param {Boolean} trueFalse True to normalize points.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      normalize: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].normalize;
+        }
+
+        mapping[name].normalize = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.GeoPointField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.GeoPointField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.GeoPointField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    });
+  };
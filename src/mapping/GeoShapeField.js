@@ -0,0 +1,133 @@
+  /**
+    @class
+    <p>A <code>GeoShapeField</code> maps a field holding GeoJSON shapes.
+    Shapes are indexed as a grid of prefix tree cells.</p>
+
+    @name ejs.GeoShapeField
+
+    @desc
+    <p>Maps a geo shape field.</p>
+
+    @param {String} name The name of the field.
+    */
+  ejs.GeoShapeField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.GeoShapeField
+        @property {Object} mapping
+        */
+    var mapping = {};
+
+    mapping[name] = {type: 'geo_shape'};
+
+    return {
+
+      /**
+            <p>Sets the prefix tree implementation used to index shapes.
+            Valid values are:</p>
+
+            <dl>
+              <dd><code>geohash</code></dd>
+              <dd><code>quadtree</code></dd>
+            </dl>
+
+            @member ejs.GeoShapeField
+            @param {String} t The tree type of geohash or quadtree.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      tree: function (t) {
+        if (t == null) {
+          return mapping[name].tree;
+        }
+
+        t = t.toLowerCase();
+        if (t === 'geohash' || t === 'quadtree') {
+          mapping[name].tree = t;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the precision of the indexed shapes as a distance, ie.
+            <code>50m</code>.</p>
+
+            @member ejs.GeoShapeField
+            @param {String} p The precision distance.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      precision: function (p) {
+        if (p == null) {
+          return mapping[name].precision;
+        }
+
+        mapping[name].precision = p;
+        return this;
+      },
+
+      /**
+            <p>Sets the maximum number of levels of the prefix tree.</p>
+
+            @member ejs.GeoShapeField
+            @param {Integer} levels The maximum number of levels.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      treeLevels: function (levels) {
+        if (levels == null) {
+          return mapping[name].tree_levels;
+        }
+
+        mapping[name].tree_levels = levels;
+        return this;
+      },
+
+      /**
+            <p>Sets the maximum error allowed for a shape as a fraction of
+            its size.</p>
+
+            @member ejs.GeoShapeField
+            @param {Double} pct A double value between 0 and 0.5.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      distanceErrorPct: function (pct) {
+        if (pct == null) {
+          return mapping[name].distance_error_pct;
+        }
+
+        mapping[name].distance_error_pct = pct;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.GeoShapeField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.GeoShapeField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.GeoShapeField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    };
+  };
@@ -0,0 +1,574 @@
+  /**
+    @class
+    <p>The <code>Mapping</code> object defines how the documents of a type,
+    and the fields they contain, are stored and indexed.  Fields are mapped
+    using field mapping objects such as <code>StringField</code> and
+    <code>NestedField</code>.</p>
+
+    <p>The mapping can be added to new indices through
+    <code>IndexAdmin</code> or applied to existing indices using
+    <code>doPutMapping</code>.</p>
+
+    @name ejs.Mapping
+
+    @desc
+    <p>Defines the mapping of a type.</p>
+
+    @param {String} type The name of the type.
+    */
+  ejs.Mapping = function (type) {
+
+    /**
+        The internal mapping object.
+        @member ejs.Mapping
+        @property {Object} mapping
+        */
+    var mapping = {},
+      params = {indices: []},
+      paramExcludes = ['indices'],
+
+      // gets a property of a meta field, ie. _source
+      getMeta = function (meta, prop) {
+        if (mapping[type][meta] == null) {
+          return undefined;
+        }
+
+        return mapping[type][meta][prop];
+      },
+
+      // sets a property of a meta field, ie. _source
+      setMeta = function (meta, prop, val) {
+        if (mapping[type][meta] == null) {
+          mapping[type][meta] = {};
+        }
+
+        mapping[type][meta][prop] = val;
+      },
+
+      // generates the url for the mapping of the type
+      getRestPath = function (indices) {
+        return '/' + indices + '/' + type + '/_mapping';
+      };
+
+    mapping[type] = {};
+
+    return {
+
+      /**
+             <p>Set's the indices the mapping is applied to.  If a single
+             value is passed in it will be appended to the current list of
+             indices.  If an array is passed in it will replace all existing
+             indices.</p>
+
+             @member ejs.Mapping
+             @param {String || Array} i An index name or list of index names.
+             @returns {Object} returns <code>this</code> so that calls can be chained.
+             */
+      indices: function (i) {
+        if (i == null) {
+          return params.indices;
+        }
+
+        if (isString(i)) {
+          params.indices.push(i);
+        } else if (isArray(i)) {
+          params.indices = i;
+        } else {
+          throw new TypeError('Argument must be string or array');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Returns the name of the type.</p>
+
+            @member ejs.Mapping
+            @returns {String} the name of the type.
+            */
+      type: function () {
+        return type;
+      },
+
+      /**
+            <p>Adds a field mapping to the properties of the type.  When no
+            field is passed, the current properties are returned.</p>
+
+            @member ejs.Mapping
+            @param {Object} f A valid field mapping object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (f) {
+        if (mapping[type].properties == null) {
+          mapping[type].properties = {};
+        }
+
+        if (f == null) {
+          return mapping[type].properties;
+        }
+
+        if (!isFieldMapping(f)) {
+          throw new TypeError('Argument must be a field mapping');
+        }
+
+        extend(mapping[type].properties, f._self());
+        return this;
+      },
+
+      /**
+            <p>Adds a dynamic template used to map new fields.  Templates
+            are checked in the order they are added.  When no template is
+            passed, the current templates are returned.</p>
+
+            @member ejs.Mapping
+            @param {Object} t A valid DynamicTemplate object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      dynamicTemplate: function (t) {
+        if (mapping[type].dynamic_templates == null) {
+          mapping[type].dynamic_templates = [];
+        }
+
+        if (t == null) {
+          return mapping[type].dynamic_templates;
+        }
+
+        if (!isDynamicTemplate(t)) {
+          throw new TypeError('Argument must be a DynamicTemplate');
+        }
+
+        mapping[type].dynamic_templates.push(t._self());
+        return this;
+      },
+
+      /**
+            <p>Sets if new fields found in documents are added to the
+            mapping.  Valid values are:</p>
+
+            <dl>
+              <dd><code>true</code> - new fields are added</dd>
+              <dd><code>false</code> - new fields are ignored</dd>
+              <dd><code>strict</code> - documents with new fields are rejected</dd>
+            </dl>
+
+            @member ejs.Mapping
+            @param {Object} d True, false, or strict.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      dynamic: function (d) {
+        if (d == null) {
+          return mapping[type].dynamic;
+        }
+
+        if (d === true || d === false || d === 'strict') {
+          mapping[type].dynamic = d;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets if new string fields holding dates are mapped as date
+            fields.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to detect dates.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      dateDetection: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[type].date_detection;
+        }
+
+        mapping[type].date_detection = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the date formats used to detect new date fields.</p>
+
+            @member ejs.Mapping
+            @param {Array} formats A list of date formats.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      dynamicDateFormats: function (formats) {
+        if (formats == null) {
+          return mapping[type].dynamic_date_formats;
+        }
+
+        if (!isArray(formats)) {
+          throw new TypeError('Argument must be an array');
+        }
+
+        mapping[type].dynamic_date_formats = formats;
+        return this;
+      },
+
+      /**
+            <p>Sets if new string fields holding numbers are mapped as
+            numeric fields.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to detect numbers.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      numericDetection: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[type].numeric_detection;
+        }
+
+        mapping[type].numeric_detection = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the default analyzer used for the fields of the
+            type.</p>
+
+            @member ejs.Mapping
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      analyzer: function (analyzer) {
+        if (analyzer == null) {
+          return mapping[type].analyzer;
+        }
+
+        mapping[type].analyzer = analyzer;
+        return this;
+      },
+
+      /**
+            <p>Sets the default analyzer used when indexing the fields of
+            the type.</p>
+
+            @member ejs.Mapping
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      indexAnalyzer: function (analyzer) {
+        if (analyzer == null) {
+          return mapping[type].index_analyzer;
+        }
+
+        mapping[type].index_analyzer = analyzer;
+        return this;
+      },
+
+      /**
+            <p>Sets the default analyzer used when searching the fields of
+            the type.</p>
+
+            @member ejs.Mapping
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      searchAnalyzer: function (analyzer) {
+        if (analyzer == null) {
+          return mapping[type].search_analyzer;
+        }
+
+        mapping[type].search_analyzer = analyzer;
+        return this;
+      },
+
+      /**
+            <p>Sets if the original document is stored in the
+            <code>_source</code> field.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to store the source document.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      source: function (trueFalse) {
+        if (trueFalse == null) {
+          return getMeta('_source', 'enabled');
+        }
+
+        setMeta('_source', 'enabled', trueFalse);
+        return this;
+      },
+
+      /**
+            <p>Sets the fields that are included in the stored
+            <code>_source</code> document.</p>
+
+            @member ejs.Mapping
+            @param {Array} fields A list of field names or patterns.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      sourceIncludes: function (fields) {
+        if (fields == null) {
+          return getMeta('_source', 'includes');
+        }
+
+        if (!isArray(fields)) {
+          throw new TypeError('Argument must be an array');
+        }
+
+        setMeta('_source', 'includes', fields);
+        return this;
+      },
+
+      /**
+            <p>Sets the fields that are excluded from the stored
+            <code>_source</code> document.</p>
+
+            @member ejs.Mapping
+            @param {Array} fields A list of field names or patterns.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      sourceExcludes: function (fields) {
+        if (fields == null) {
+          return getMeta('_source', 'excludes');
+        }
+
+        if (!isArray(fields)) {
+          throw new TypeError('Argument must be an array');
+        }
+
+        setMeta('_source', 'excludes', fields);
+        return this;
+      },
+
+      /**
+            <p>Sets if the values of all fields are indexed in the
+            <code>_all</code> field.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to enable the _all field.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      all: function (trueFalse) {
+        if (trueFalse == null) {
+          return getMeta('_all', 'enabled');
+        }
+
+        setMeta('_all', 'enabled', trueFalse);
+        return this;
+      },
+
+      /**
+            <p>Sets the analyzer used for the <code>_all</code> field.</p>
+
+            @member ejs.Mapping
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      allAnalyzer: function (analyzer) {
+        if (analyzer == null) {
+          return getMeta('_all', 'analyzer');
+        }
+
+        setMeta('_all', 'analyzer', analyzer);
+        return this;
+      },
+
+      /**
+            <p>Sets the parent type of the type.  Documents of the type
+            must be indexed with the id of their parent document.</p>
+
+            @member ejs.Mapping
+            @param {String} t The name of the parent type.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      parent: function (t) {
+        if (t == null) {
+          return getMeta('_parent', 'type');
+        }
+
+        setMeta('_parent', 'type', t);
+        return this;
+      },
+
+      /**
+            <p>Sets if a routing value is required when indexing documents
+            of the type.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to require routing values.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      routingRequired: function (trueFalse) {
+        if (trueFalse == null) {
+          return getMeta('_routing', 'required');
+        }
+
+        setMeta('_routing', 'required', trueFalse);
+        return this;
+      },
+
+      /**
+            <p>Sets the path of the document field holding the routing
+            value.</p>
+
+            @member ejs.Mapping
+            @param {String} path The path of the routing field.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      routingPath: function (path) {
+        if (path == null) {
+          return getMeta('_routing', 'path');
+        }
+
+        setMeta('_routing', 'path', path);
+        return this;
+      },
+
+      /**
+            <p>Sets if documents of the type can expire using the
+            <code>_ttl</code> field.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to enable the _ttl field.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ttl: function (trueFalse) {
+        if (trueFalse == null) {
+          return getMeta('_ttl', 'enabled');
+        }
+
+        setMeta('_ttl', 'enabled', trueFalse);
+        return this;
+      },
+
+      /**
+            <p>Sets the time to live used for documents indexed without a
+            ttl value, ie. <code>1d</code>.</p>
+
+            @member ejs.Mapping
+            @param {String} length The default time to live.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ttlDefault: function (length) {
+        if (length == null) {
+          return getMeta('_ttl', 'default');
+        }
+
+        setMeta('_ttl', 'default', length);
+        return this;
+      },
+
+      /**
+            <p>Sets if conflicts with the existing mapping are ignored when
+            the mapping is put.</p>
+
+            @member ejs.Mapping
+            @param {Boolean} trueFalse True to ignore conflicts.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ignoreConflicts: function (trueFalse) {
+        if (trueFalse == null) {
+          return params.ignore_conflicts;
+        }
+
+        params.ignore_conflicts = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Mapping
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.Mapping
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.Mapping
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      },
+
+      /**
+            <p>Puts the mapping of the type into the indices.</p>
+
+            @member ejs.Mapping
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doPutMapping: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (params.indices.length === 0) {
+          throw new Error('Index must be set');
+        }
+
+        var url = getRestPath(params.indices.join()),
+          paramStr = genParamStr(params, paramExcludes);
+
+        if (paramStr !== '') {
+          url = url + '?' + paramStr;
+        }
+
+        return clientRequest('put', url, this.toString(), successcb, errorcb);
+      },
+
+      /**
+            <p>Retrieves the mapping of the type.  When no indices are set,
+            the mapping is retrieved from all indices.</p>
+
+            @member ejs.Mapping
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doGetMapping: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        var indices = params.indices.length > 0 ? params.indices.join() : '_all';
+        return clientRequest('get', getRestPath(indices), {}, successcb, errorcb);
+      },
+
+      /**
+            <p>Deletes the mapping, and all documents, of the type from the
+            indices.</p>
+
+            @member ejs.Mapping
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      doDeleteMapping: function (successcb, errorcb) {
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+
+        if (params.indices.length === 0) {
+          throw new Error('Index must be set');
+        }
+
+        return clientRequest('del', getRestPath(params.indices.join()), '',
+                                                          successcb, errorcb);
+      }
+
+    };
+  };
@@ -0,0 +1,106 @@
+  /**
+    @class
+    <p>A <code>MultiField</code> maps a single value to several fields
+    that are indexed differently, ie. an analyzed field for full text search
+    and a <code>not_analyzed</code> field for sorting.  The field with the
+    same name as the multi field is used as the default field.</p>
+
+    @name ejs.MultiField
+
+    @desc
+    <p>Maps a value to several fields.</p>
+
+    @param {String} name The name of the field.
+    */
+  ejs.MultiField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.MultiField
+        @property {Object} mapping
+        */
+    var mapping = {};
+
+    mapping[name] = {type: 'multi_field', fields: {}};
+
+    return {
+
+      /**
+            <p>Adds a field mapping to the fields of the multi field.  When
+            no field is passed, the current fields are returned.</p>
+
+            @member ejs.MultiField
+            @param {Object} f A valid field mapping object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (f) {
+        if (f == null) {
+          return mapping[name].fields;
+        }
+
+        if (!isFieldMapping(f)) {
+          throw new TypeError('Argument must be a field mapping');
+        }
+
+        extend(mapping[name].fields, f._self());
+        return this;
+      },
+
+      /**
+            <p>Sets how the names of the fields are indexed.  Valid values
+            are:</p>
+
+            <dl>
+              <dd><code>full</code> - prefixed with the multi field name</dd>
+              <dd><code>just_name</code> - the name of the field only</dd>
+            </dl>
+
+            @member ejs.MultiField
+            @param {String} p The path type of full or just_name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      path: function (p) {
+        if (p == null) {
+          return mapping[name].path;
+        }
+
+        p = p.toLowerCase();
+        if (p === 'full' || p === 'just_name') {
+          mapping[name].path = p;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.MultiField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.MultiField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.MultiField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    };
+  };
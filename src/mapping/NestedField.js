@@ -0,0 +1,170 @@
+  /**
+    @class
+    <p>A <code>NestedField</code> maps an array of inner objects that are
+    indexed as separate hidden documents.  This allows each object to be
+    queried independently using <code>nested</code> queries and
+    filters.</p>
+
+    @name ejs.NestedField
+
+    @desc
+    <p>Maps a nested object field.</p>
+
+    @param {String} name The name of the field.
+    */
+  ejs.NestedField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.NestedField
+        @property {Object} mapping
+        */
+    var mapping = {};
+
+    mapping[name] = {type: 'nested'};
+
+    return {
+
+      /**
+            <p>Adds a field mapping to the properties of the nested object.  When
+            no field is passed, the current properties are returned.</p>
+
+            @member ejs.NestedField
+            @param {Object} f A valid field mapping object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (f) {
+        if (mapping[name].properties == null) {
+          mapping[name].properties = {};
+        }
+
+        if (f == null) {
+          return mapping[name].properties;
+        }
+
+        if (!isFieldMapping(f)) {
+          throw new TypeError('Argument must be a field mapping');
+        }
+
+        extend(mapping[name].properties, f._self());
+        return this;
+      },
+
+      /**
+            <p>Sets if new fields found in documents are added to the
+            mapping.  Valid values are:</p>
+
+            <dl>
+              <dd><code>true</code> - new fields are added</dd>
+              <dd><code>false</code> - new fields are ignored</dd>
+              <dd><code>strict</code> - documents with new fields are rejected</dd>
+            </dl>
+
+            @member ejs.NestedField
+            @param {Object} d True, false, or strict.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      dynamic: function (d) {
+        if (d == null) {
+          return mapping[name].dynamic;
+        }
+
+        if (d === true || d === false || d === 'strict') {
+          mapping[name].dynamic = d;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets how the names of the inner fields are indexed.  Valid
+            values are:</p>
+
+            <dl>
+              <dd><code>full</code> - prefixed with the object name</dd>
+              <dd><code>just_name</code> - the name of the field only</dd>
+            </dl>
+
+            @member ejs.NestedField
+            @param {String} p The path type of full or just_name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      path: function (p) {
+        if (p == null) {
+          return mapping[name].path;
+        }
+
+        p = p.toLowerCase();
+        if (p === 'full' || p === 'just_name') {
+          mapping[name].path = p;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets if the inner fields are also indexed in the parent
+            document.</p>
+
+            @member ejs.NestedField
+            @param {Boolean} trueFalse True to include the fields in the parent.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      includeInParent: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].include_in_parent;
+        }
+
+        mapping[name].include_in_parent = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the inner fields are also indexed in the root
+            document.</p>
+
+            @member ejs.NestedField
+            @param {Boolean} trueFalse True to include the fields in the root.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      includeInRoot: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].include_in_root;
+        }
+
+        mapping[name].include_in_root = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.NestedField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.NestedField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.NestedField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    };
+  };
@@ -0,0 +1,109 @@
+  /**
+    @class
+    <p>A <code>NumericField</code> maps a field holding numbers.  The type
+    must be one of <code>integer, long, float, double, short,</code> or
+    <code>byte</code> and defaults to <code>double</code>.</p>
+
+    @name ejs.NumericField
+
+    @desc
+    <p>Maps a numeric field.</p>
+
+    @borrows ejs.FieldMixin.store as store
+    @borrows ejs.FieldMixin.index as index
+    @borrows ejs.FieldMixin.indexName as indexName
+    @borrows ejs.FieldMixin.boost as boost
+    @borrows ejs.FieldMixin.nullValue as nullValue
+    @borrows ejs.FieldMixin.includeInAll as includeInAll
+
+    @param {String} name The name of the field.
+    @param {String} type The numeric type of the field.
+    */
+  ejs.NumericField = function (name, type) {
+
+    type = (type || 'double').toLowerCase();
+    if (type !== 'integer' && type !== 'long' && type !== 'float' &&
+      type !== 'double' && type !== 'short' && type !== 'byte') {
+      throw new Error('Invalid numeric type: ' + type);
+    }
+
+    /**
+        The internal mapping object.
+        @member ejs.NumericField
+        @property {Object} mapping
+        */
+    var mapping = {},
+
+    // common field options
+    _common = ejs.FieldMixin(type);
+
+    mapping[name] = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the number of terms generated for each value.  Lower
+            values make range queries faster but increase the index size.</p>
+
+            @member ejs.NumericField
+            @param {Integer} step The precision step.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      precisionStep: function (step) {
+        if (step == null) {
+          return mapping[name].precision_step;
+        }
+
+        mapping[name].precision_step = step;
+        return this;
+      },
+
+      /**
+            <p>Sets if malformed values are ignored instead of failing the
+            document.</p>
+
+            @member ejs.NumericField
+            @param {Boolean} trueFalse True to ignore malformed values.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ignoreMalformed: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].ignore_malformed;
+        }
+
+        mapping[name].ignore_malformed = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.NumericField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.NumericField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.NumericField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    });
+  };
@@ -0,0 +1,168 @@
+  /**
+    @class
+    <p>An <code>ObjectField</code> maps a field holding an inner object.
+    The fields of the inner object are mapped using field mappings.</p>
+
+    @name ejs.ObjectField
+
+    @desc
+    <p>Maps an object field.</p>
+
+    @param {String} name The name of the field.
+    */
+  ejs.ObjectField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.ObjectField
+        @property {Object} mapping
+        */
+    var mapping = {};
+
+    mapping[name] = {type: 'object'};
+
+    return {
+
+      /**
+            <p>Adds a field mapping to the properties of the object.  When
+            no field is passed, the current properties are returned.</p>
+
+            @member ejs.ObjectField
+            @param {Object} f A valid field mapping object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (f) {
+        if (mapping[name].properties == null) {
+          mapping[name].properties = {};
+        }
+
+        if (f == null) {
+          return mapping[name].properties;
+        }
+
+        if (!isFieldMapping(f)) {
+          throw new TypeError('Argument must be a field mapping');
+        }
+
+        extend(mapping[name].properties, f._self());
+        return this;
+      },
+
+      /**
+            <p>Sets if new fields found in documents are added to the
+            mapping.  Valid values are:</p>
+
+            <dl>
+              <dd><code>true</code> - new fields are added</dd>
+              <dd><code>false</code> - new fields are ignored</dd>
+              <dd><code>strict</code> - documents with new fields are rejected</dd>
+            </dl>
+
+            @member ejs.ObjectField
+            @param {Object} d True, false, or strict.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      dynamic: function (d) {
+        if (d == null) {
+          return mapping[name].dynamic;
+        }
+
+        if (d === true || d === false || d === 'strict') {
+          mapping[name].dynamic = d;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets how the names of the inner fields are indexed.  Valid
+            values are:</p>
+
+            <dl>
+              <dd><code>full</code> - prefixed with the object name</dd>
+              <dd><code>just_name</code> - the name of the field only</dd>
+            </dl>
+
+            @member ejs.ObjectField
+            @param {String} p The path type of full or just_name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      path: function (p) {
+        if (p == null) {
+          return mapping[name].path;
+        }
+
+        p = p.toLowerCase();
+        if (p === 'full' || p === 'just_name') {
+          mapping[name].path = p;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets if the inner object is parsed and indexed.  When
+            disabled, the object is only stored in the <code>_source</code>.</p>
+
+            @member ejs.ObjectField
+            @param {Boolean} trueFalse True to index the object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      enabled: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].enabled;
+        }
+
+        mapping[name].enabled = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if the inner fields are included in the <code>_all</code>
+            field.</p>
+
+            @member ejs.ObjectField
+            @param {Boolean} trueFalse True to include the fields in _all.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      includeInAll: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].include_in_all;
+        }
+
+        mapping[name].include_in_all = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.ObjectField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.ObjectField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.ObjectField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    };
+  };
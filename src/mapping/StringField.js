@@ -0,0 +1,224 @@
+  /**
+    @class
+    <p>A <code>StringField</code> maps a field holding text.  The text can
+    be analyzed for full text search or indexed as a single term.</p>
+
+    @name ejs.StringField
+
+    @desc
+    <p>Maps a string field.</p>
+
+    @borrows ejs.FieldMixin.store as store
+    @borrows ejs.FieldMixin.index as index
+    @borrows ejs.FieldMixin.indexName as indexName
+    @borrows ejs.FieldMixin.boost as boost
+    @borrows ejs.FieldMixin.nullValue as nullValue
+    @borrows ejs.FieldMixin.includeInAll as includeInAll
+
+    @param {String} name The name of the field.
+    */
+  ejs.StringField = function (name) {
+
+    /**
+        The internal mapping object.
+        @member ejs.StringField
+        @property {Object} mapping
+        */
+    var mapping = {},
+
+    // common field options
+    _common = ejs.FieldMixin('string');
+
+    mapping[name] = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the analyzer used when indexing and searching the
+            field.</p>
+
+            @member ejs.StringField
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      analyzer: function (analyzer) {
+        if (analyzer == null) {
+          return mapping[name].analyzer;
+        }
+
+        mapping[name].analyzer = analyzer;
+        return this;
+      },
+
+      /**
+            <p>Sets the analyzer used when indexing the field.</p>
+
+            @member ejs.StringField
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      indexAnalyzer: function (analyzer) {
+        if (analyzer == null) {
+          return mapping[name].index_analyzer;
+        }
+
+        mapping[name].index_analyzer = analyzer;
+        return this;
+      },
+
+      /**
+            <p>Sets the analyzer used when searching the field.</p>
+
+            @member ejs.StringField
+            @param {String} analyzer A valid analyzer name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      searchAnalyzer: function (analyzer) {
+        if (analyzer == null) {
+          return mapping[name].search_analyzer;
+        }
+
+        mapping[name].search_analyzer = analyzer;
+        return this;
+      },
+
+      /**
+            <p>Sets if term vectors are stored for the field.  Valid values
+            are:</p>
+
+            <dl>
+              <dd><code>no</code></dd>
+              <dd><code>yes</code></dd>
+              <dd><code>with_offsets</code></dd>
+              <dd><code>with_positions</code></dd>
+              <dd><code>with_positions_offsets</code></dd>
+            </dl>
+
+            @member ejs.StringField
+            @param {String} tv The term vector option.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      termVector: function (tv) {
+        if (tv == null) {
+          return mapping[name].term_vector;
+        }
+
+        tv = tv.toLowerCase();
+        if (tv === 'no' || tv === 'yes' || tv === 'with_offsets' ||
+          tv === 'with_positions' || tv === 'with_positions_offsets') {
+          mapping[name].term_vector = tv;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets if norms are omitted for the field.  Omitting norms
+            saves memory but disables index time boosting and length
+            normalization.</p>
+
+            @member ejs.StringField
+            @param {Boolean} trueFalse True to omit norms.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      omitNorms: function (trueFalse) {
+        if (trueFalse == null) {
+          return mapping[name].omit_norms;
+        }
+
+        mapping[name].omit_norms = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets the information stored in the index for each term.
+            Valid values are:</p>
+
+            <dl>
+              <dd><code>docs</code> - only the document numbers</dd>
+              <dd><code>freqs</code> - document numbers and term frequencies</dd>
+              <dd><code>positions</code> - document numbers, term frequencies, and positions</dd>
+            </dl>
+
+            @member ejs.StringField
+            @param {String} opts The index options of docs, freqs, or positions.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      indexOptions: function (opts) {
+        if (opts == null) {
+          return mapping[name].index_options;
+        }
+
+        opts = opts.toLowerCase();
+        if (opts === 'docs' || opts === 'freqs' || opts === 'positions') {
+          mapping[name].index_options = opts;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the position gap inserted between the values of a multi
+            valued field.</p>
+
+            @member ejs.StringField
+            @param {Integer} gap The number of positions between values.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      positionOffsetGap: function (gap) {
+        if (gap == null) {
+          return mapping[name].position_offset_gap;
+        }
+
+        mapping[name].position_offset_gap = gap;
+        return this;
+      },
+
+      /**
+            <p>Strings longer than this value are not indexed.</p>
+
+            @member ejs.StringField
+            @param {Integer} len The maximum length of indexed strings.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      ignoreAbove: function (len) {
+        if (len == null) {
+          return mapping[name].ignore_above;
+        }
+
+        mapping[name].ignore_above = len;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.StringField
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(mapping);
+      },
+
+      /**
+            The type of ejs object.  For internal use only.
+
+            @member ejs.StringField
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'field mapping';
+      },
+
+      /**
+            <p>Retrieves the internal <code>mapping</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.StringField
+            @returns {String} returns this object's internal <code>mapping</code> property.
+            */
+      _self: function () {
+        return mapping;
+      }
+    });
+  };
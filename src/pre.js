@@ -30,8 +30,12 @@
     each,
     extend,
     indexOf,
+    isEqual,
     genClientParams,
     genParamStr,
+    flattenSettings,
+    clientRequest,
+    withDeferred,
     isArray,
     isObject,
     isString,
@@ -42,6 +46,7 @@
     isRescore, // checks valid ejs Rescore object
     isFilter, // checks valid ejs Filter object
     isFacet, // checks valid ejs Facet object
+    isAggregation, // checks valid ejs Aggregation object
     isScriptField, // checks valid ejs ScriptField object
     isGeoPoint, // checks valid ejs GeoPoint object
     isIndexedShape, // checks valid ejs IndexedShape object
@@ -50,12 +55,22 @@
     isHighlight, // checks valid ejs Highlight object
     isSuggest, // checks valid ejs Suggest object
     isGenerator, // checks valid ejs Generator object
+    isScoreFunction, // checks valid ejs ScoreFunction object
     isClusterHealth, // checks valid ejs ClusterHealth object
     isClusterState, // checks valid ejs ClusterState object
     isNodeStats, // checks valid ejs NodeStats object
     isNodeInfo, // checks valid ejs NodeInfo object
     isRequest, // checks valid ejs Request object
     isMultiSearchRequest, // checks valid ejs MultiSearchRequest object
+    isDocument, // checks valid ejs Document object
+    isMapping, // checks valid ejs Mapping object
+    isFieldMapping, // checks valid ejs field mapping object
+    isDynamicTemplate, // checks valid ejs DynamicTemplate object
+    isAnalysis, // checks valid ejs Analysis object
+    isAnalyzer, // checks valid ejs analyzer object
+    isTokenizer, // checks valid ejs tokenizer object
+    isTokenFilter, // checks valid ejs token filter object
+    isCharFilter, // checks valid ejs char filter object
     
     // create ejs object
     ejs;
@@ -10,6 +10,8 @@
     A Query that matches documents matching boolean combinations of other
     queries, e.g. <code>termQuerys, phraseQuerys</code> or other <code>boolQuerys</code>.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
     */
   ejs.BoolQuery = function () {
 
@@ -22,7 +24,7 @@
       bool: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              Adds query to boolean container. Given query "must" appear in matching documents.
@@ -237,5 +239,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -10,6 +10,9 @@
     @desc
     <p>Constructs a query that can demote search results.  A negative boost.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} positiveQry Valid query object used to select all matching docs.
     @param {Object} negativeQry Valid query object to match the undesirable docs 
       returned within the positiveQry result set.
@@ -34,7 +37,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
     
       /**
              Sets the "master" query that determines which results are returned.
@@ -142,5 +145,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -19,6 +19,9 @@
     @desc
     A query that executes high-frequency terms in a optional sub-query.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/key to query against
     @param {String} qstr the query string
     */
@@ -46,7 +49,7 @@
       query.common[field].query = qstr;
     }
   
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the field to query against.
@@ -277,5 +280,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
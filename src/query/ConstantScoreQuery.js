@@ -17,6 +17,8 @@
     <p>Constructs a query where each documents returned by the internal
     query or filter have a constant score equal to the boost factor.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
      */
   ejs.ConstantScoreQuery = function () {
 
@@ -29,7 +31,7 @@
       constant_score: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
       /**
              Adds the query to apply a constant score to.
 
@@ -147,5 +149,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
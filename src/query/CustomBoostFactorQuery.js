@@ -9,6 +9,9 @@
     @desc
     Boosts a queries score without that boost being normalized.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     */
   ejs.CustomBoostFactorQuery = function (qry) {
@@ -28,7 +31,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query to be apply the custom boost to.
@@ -112,5 +115,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
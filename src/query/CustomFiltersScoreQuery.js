@@ -14,6 +14,9 @@
     Returned documents matched by the query and scored based on if the document
     matched in a filter.  
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {Object || Array} filters A single object or array of objects.  Each 
       object must have a 'filter' property and either a 'boost' or 'script' 
@@ -67,7 +70,7 @@
       }
     });
   
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query to be apply the custom boost to.
@@ -247,5 +250,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -9,6 +9,9 @@
     @desc
     Scores a query based on a script.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query or filter object.
     @param {String} script A valid script expression.
     */
@@ -35,7 +38,7 @@
       query.custom_score.filter = qry._self();
     }
     
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query to apply the custom score to.
@@ -173,5 +176,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -11,6 +11,8 @@
     A query that generates the union of documents produced by its subqueries such
     as <code>termQuerys, phraseQuerys</code>, <code>boolQuerys</code>, etc.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
     */
   ejs.DisMaxQuery = function () {
 
@@ -23,7 +25,7 @@
       dis_max: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Updates the queries.  If passed a single Query, it is added to the
@@ -133,6 +135,6 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
   
@@ -11,6 +11,9 @@
     @desc
     Wraps a SpanQuery and hides the real field being searched across.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Query} spanQry A valid SpanQuery
     @param {Integer} field the maximum field position in a match.
   
@@ -33,7 +36,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the span query to wrap.
@@ -117,5 +120,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
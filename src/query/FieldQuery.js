@@ -8,6 +8,9 @@
     @desc
     A query that executes against a given field or document property.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field The field or document property to search against.
     @param {String} qstr The value to match.
     */
@@ -26,7 +29,7 @@
       query: qstr
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              The field to run the query against.
@@ -491,5 +494,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
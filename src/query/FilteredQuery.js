@@ -11,6 +11,9 @@
     @desc
     <p>A query that applies a filter to the results of another query.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} someQuery a valid <code>Query</code> object
     @param {Object} someFilter a valid <code>Filter</code> object.  This parameter
       is optional.
@@ -41,7 +44,7 @@
       query.filtered.filter = someFilter._self();
     }
     
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              <p>Adds the query to apply a constant score to.</p>
@@ -197,5 +200,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -0,0 +1,244 @@
+  /**
+    @class
+    <p>The <code>FunctionScoreQuery</code> modifies the score of the documents
+    matched by a query or filter with one or more score functions.  It
+    replaces the <code>CustomScoreQuery</code>,
+    <code>CustomBoostFactorQuery</code>, and
+    <code>CustomFiltersScoreQuery</code>.</p>
+
+    <p>Each function can have a filter, so it only scores the documents that
+    match the filter.  The scores of the functions are combined with the
+    <code>scoreMode</code>, and the combined score is combined with the score
+    of the query with the <code>boostMode</code>.</p>
+
+    @name ejs.FunctionScoreQuery
+
+    @since elasticsearch 0.90.4
+
+    @desc
+    <p>Modifies the score of a query with score functions.</p>
+
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+    */
+  ejs.FunctionScoreQuery = function () {
+
+    /**
+         The internal query object. <code>Use _self()</code>
+         @member ejs.FunctionScoreQuery
+         @property {Object} query
+         */
+    var query = {
+      function_score: {}
+    };
+
+    return extend(ejs.CloneMixin('query', query), {
+
+      /**
+            <p>Sets the query whose documents are scored.  Replaces the
+            filter when one is set.</p>
+
+            @member ejs.FunctionScoreQuery
+            @param {Object} oQuery A valid <code>Query</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      query: function (oQuery) {
+        if (oQuery == null) {
+          return query.function_score.query;
+        }
+
+        if (!isQuery(oQuery)) {
+          throw new TypeError('Argument must be a Query');
+        }
+
+        delete query.function_score.filter;
+        query.function_score.query = oQuery._self();
+        return this;
+      },
+
+      /**
+            <p>Sets the filter whose documents are scored.  Replaces the
+            query when one is set.</p>
+
+            @member ejs.FunctionScoreQuery
+            @param {Object} oFilter A valid <code>Filter</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      filter: function (oFilter) {
+        if (oFilter == null) {
+          return query.function_score.filter;
+        }
+
+        if (!isFilter(oFilter)) {
+          throw new TypeError('Argument must be a Filter');
+        }
+
+        delete query.function_score.query;
+        query.function_score.filter = oFilter._self();
+        return this;
+      },
+
+      /**
+            <p>Adds a score function.  If an array of score functions is
+            passed, it replaces all of the current functions.</p>
+
+            @member ejs.FunctionScoreQuery
+            @param {Object || Array} oFunction A valid <code>ScoreFunction</code>
+              object or an array of <code>ScoreFunction</code> objects.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      functions: function (oFunction) {
+        var i, len;
+
+        if (query.function_score.functions == null) {
+          query.function_score.functions = [];
+        }
+
+        if (oFunction == null) {
+          return query.function_score.functions;
+        }
+
+        if (isScoreFunction(oFunction)) {
+          query.function_score.functions.push(oFunction._self());
+        } else if (isArray(oFunction)) {
+          query.function_score.functions = [];
+          for (i = 0, len = oFunction.length; i < len; i++) {
+            if (!isScoreFunction(oFunction[i])) {
+              throw new TypeError('Argument must be an array of ScoreFunctions');
+            }
+
+            query.function_score.functions.push(oFunction[i]._self());
+          }
+        } else {
+          throw new TypeError('Argument must be a ScoreFunction or array of ScoreFunctions');
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets how the scores of the functions are combined.</p>
+
+            <dl>
+                <dd><code>multiply</code> - the scores are multiplied, the default</dd>
+                <dd><code>sum</code> - the scores are summed</dd>
+                <dd><code>avg</code> - the scores are averaged</dd>
+                <dd><code>first</code> - the score of the first matching function is used</dd>
+                <dd><code>max</code> - the highest score is used</dd>
+                <dd><code>min</code> - the lowest score is used</dd>
+            </dl>
+
+            @member ejs.FunctionScoreQuery
+            @param {String} mode The score mode.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      scoreMode: function (mode) {
+        if (mode == null) {
+          return query.function_score.score_mode;
+        }
+
+        mode = mode.toLowerCase();
+        if (mode === 'multiply' || mode === 'sum' || mode === 'avg' ||
+          mode === 'first' || mode === 'max' || mode === 'min') {
+          query.function_score.score_mode = mode;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets how the combined score of the functions is combined with
+            the score of the query.</p>
+
+            <dl>
+                <dd><code>multiply</code> - the scores are multiplied, the default</dd>
+                <dd><code>replace</code> - the query score is ignored</dd>
+                <dd><code>sum</code> - the scores are summed</dd>
+                <dd><code>avg</code> - the scores are averaged</dd>
+                <dd><code>max</code> - the highest score is used</dd>
+                <dd><code>min</code> - the lowest score is used</dd>
+            </dl>
+
+            @member ejs.FunctionScoreQuery
+            @param {String} mode The boost mode.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      boostMode: function (mode) {
+        if (mode == null) {
+          return query.function_score.boost_mode;
+        }
+
+        mode = mode.toLowerCase();
+        if (mode === 'multiply' || mode === 'replace' || mode === 'sum' ||
+          mode === 'avg' || mode === 'max' || mode === 'min') {
+          query.function_score.boost_mode = mode;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the maximum value the combined score of the functions can
+            reach.</p>
+
+            @member ejs.FunctionScoreQuery
+            @param {Double} max A positive double value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      maxBoost: function (max) {
+        if (max == null) {
+          return query.function_score.max_boost;
+        }
+
+        query.function_score.max_boost = max;
+        return this;
+      },
+
+      /**
+            <p>Sets the boost value of the <code>Query</code>.</p>
+
+            @member ejs.FunctionScoreQuery
+            @param {Double} boost A positive <code>double</code> value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      boost: function (boost) {
+        if (boost == null) {
+          return query.function_score.boost;
+        }
+
+        query.function_score.boost = boost;
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.FunctionScoreQuery
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(query);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.FunctionScoreQuery
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'query';
+      },
+
+      /**
+            <p>Retrieves the internal <code>query</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.FunctionScoreQuery
+            @returns {String} returns this object's internal <code>query</code> property.
+            */
+      _self: function () {
+        return query;
+      }
+    });
+  };
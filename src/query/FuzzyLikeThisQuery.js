@@ -24,6 +24,9 @@
     @desc
     <p>Constructs a query where each documents returned are “like” provided text</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} likeText The text to find documents like it.
     */
   ejs.FuzzyLikeThisQuery = function (likeText) {
@@ -39,7 +42,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
     
       /**
              The fields to run the query against.  If you call with a single field,
@@ -229,5 +232,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -14,6 +14,9 @@
     @desc
     <p>Constructs a query where each documents returned are “like” provided text</p>
     
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field The field to run the fuzzy query against.
     @param {String} value The value to fuzzify.
     
@@ -33,7 +36,7 @@
       value: value
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              <p>The field to run the query against.</p>
@@ -234,5 +237,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
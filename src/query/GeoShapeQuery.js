@@ -14,6 +14,8 @@
     @desc
     A Query to find documents with a geo_shapes matching a specific shape.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
     */
   ejs.GeoShapeQuery = function (field) {
 
@@ -28,7 +30,7 @@
 
     query.geo_shape[field] = {};
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the field to query against.
@@ -194,5 +196,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -9,6 +9,9 @@
     @desc
     Returns results that have child documents matching the query.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {String} type The child type
     */
@@ -30,7 +33,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query
@@ -195,5 +198,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -9,6 +9,9 @@
     @desc
     Returns results that have parent documents matching the query.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {String} parentType The child type
     */
@@ -30,7 +33,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query
@@ -175,5 +178,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -10,6 +10,9 @@
     @desc
     A configurable query that is dependent on the index name.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {String || Array} indices a single index name or an array of index 
       names.
@@ -39,7 +42,7 @@
       throw new TypeError('Argument must be a string or array');
     }
   
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the indicies the query should match.  When passed a string,
@@ -160,5 +163,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
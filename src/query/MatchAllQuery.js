@@ -8,6 +8,8 @@
     @desc
     <p>A query that returns all documents.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
      */
   ejs.MatchAllQuery = function () {
 
@@ -20,7 +22,7 @@
       match_all: {}
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the boost value of the <code>Query</code>.
@@ -67,5 +69,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
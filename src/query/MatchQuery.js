@@ -10,6 +10,9 @@
     A Query that appects text, analyzes it, generates internal query based
     on the MatchQuery type.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/field to query against
     @param {String} qstr the query string
     */
@@ -28,7 +31,7 @@
       query: qstr
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the boost value for documents matching the <code>Query</code>.
@@ -399,5 +402,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
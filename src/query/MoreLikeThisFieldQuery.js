@@ -8,6 +8,9 @@
     @desc
     <p>Constructs a query where each documents returned are “like” provided text</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field The field to run the query against.
     @param {String} likeText The text to find documents like it.
 
@@ -27,7 +30,7 @@
       like_text: likeText
     };
   
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              The field to run the query against.
@@ -301,5 +304,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
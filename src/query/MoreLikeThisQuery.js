@@ -8,6 +8,9 @@
     @desc
     <p>Constructs a query where each documents returned are “like” provided text</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String || Array} fields A single field or array of fields to run against.
     @param {String} likeText The text to find documents like it.
   
@@ -34,7 +37,7 @@
       throw new TypeError('Argument must be string or array');
     }
     
-    return {
+    return extend(ejs.CloneMixin('query', query), {
   
       /**
              The fields to run the query against.  If you call with a single field,
@@ -312,5 +315,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
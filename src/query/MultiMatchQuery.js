@@ -12,6 +12,9 @@
     A Query that allow to more easily build a MatchQuery 
     over multiple fields
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String || Array} fields the single field or array of fields to search across
     @param {String} qstr the query string
     */
@@ -37,7 +40,7 @@
       throw new TypeError('Argument must be string or array');
     }
     
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the fields to search across.  If passed a single value it is
@@ -456,5 +459,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
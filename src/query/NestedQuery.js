@@ -14,6 +14,9 @@
     <p>Constructs a query that is capable of executing a search against objects
        nested within a document.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} path The nested object path.
 
      */
@@ -31,7 +34,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
       
       /**
              Sets the root context for the nested query.
@@ -172,5 +175,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -8,6 +8,9 @@
     @desc
     Matches documents containing the specified un-analyzed prefix.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field A valid field name.
     @param {String} value A string prefix.
     */
@@ -26,7 +29,7 @@
       value: value
     };
   
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              The field to run the query against.
@@ -159,5 +162,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
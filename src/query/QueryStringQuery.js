@@ -12,6 +12,9 @@
     @desc
     A query that is parsed using Lucene's default query parser.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} qstr A valid Lucene query string.
     */
   ejs.QueryStringQuery = function (qstr) {
@@ -27,7 +30,7 @@
 
     query.query_string.query = qstr;
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query string on this <code>Query</code> object.
@@ -548,5 +551,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
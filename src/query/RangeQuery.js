@@ -10,6 +10,9 @@
     @desc
     Matches documents with fields that have terms within a certain range.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field A valid field name.
     */
   ejs.RangeQuery = function (field) {
@@ -25,7 +28,7 @@
 
     query.range[field] = {};
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              The field to run the query against.
@@ -227,5 +230,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
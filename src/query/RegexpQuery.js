@@ -9,6 +9,9 @@
     @desc
     Matches documents that have fields matching a regular expression.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field A valid field name.
     @param {String} value A regex pattern.
     */
@@ -27,7 +30,7 @@
       value: value
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
              The field to run the query against.
@@ -205,5 +208,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -9,6 +9,9 @@
     @desc
     Matches spans near the beginning of a field.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Query} spanQry A valid SpanQuery
     @param {Integer} end the maximum end position in a match.
     
@@ -31,7 +34,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the span query to match on.
@@ -115,5 +118,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -10,6 +10,9 @@
     @desc
     Use MultiTermQueries as a SpanQuery.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Query} qry An optional multi-term query object.
     */
   ejs.SpanMultiTermQuery = function (qry) {
@@ -33,7 +36,7 @@
       query.span_multi.match = qry._self();
     }
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the span query to match on.
@@ -85,5 +88,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -8,6 +8,9 @@
     @desc
     Matches spans which are near one another.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Query || Array} clauses A single SpanQuery or array of SpanQueries
     @param {Integer} slop The number of intervening unmatched positions
 
@@ -41,7 +44,7 @@
       throw new TypeError('Argument must be SpanQuery or array of SpanQueries');
     }
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the clauses used.  If passed a single SpanQuery, it is added
@@ -172,5 +175,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -8,6 +8,9 @@
     @desc
     Removes matches which overlap with another span query.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Query} includeQry a valid SpanQuery whose matching docs will be returned.
     @param {Query} excludeQry a valid SpanQuery whose matching docs will not be returned
     
@@ -30,7 +33,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Set the span query whose matches are filtered.
@@ -118,5 +121,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
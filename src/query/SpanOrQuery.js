@@ -8,6 +8,9 @@
     @desc
     Matches the union of its span clauses.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} clauses A single SpanQuery or array of SpanQueries.
 
     */
@@ -40,7 +43,7 @@
       throw new TypeError('Argument must be SpanQuery or array of SpanQueries');
     }
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the clauses used.  If passed a single SpanQuery, it is added
@@ -122,5 +125,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -9,6 +9,9 @@
     @desc
     Matches spans containing a term
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/field to query against
     @param {String} value the literal value to be matched
     */
@@ -27,7 +30,7 @@
       term: value
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the field to query against.
@@ -112,5 +115,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -11,6 +11,9 @@
     A Query that matches documents containing a term. This may be
     combined with other terms with a BooleanQuery.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/key to query against
     @param {String} term the literal value to be matched
     */
@@ -29,7 +32,7 @@
       term: term
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the fields to query against.
@@ -114,5 +117,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
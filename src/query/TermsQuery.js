@@ -9,6 +9,9 @@
     @desc
     A Query that matches documents containing provided terms. 
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/key to query against
     @param {String || Array} terms a single term or array of "terms" to match
     */
@@ -31,7 +34,7 @@
       throw new TypeError('Argument must be string or array');
     }
     
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the fields to query against.
@@ -159,5 +162,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
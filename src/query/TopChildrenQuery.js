@@ -13,6 +13,9 @@
     @desc
     Returns child documents matching the query aggregated into the parent docs.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {Object} qry A valid query object.
     @param {String} type The child type to execute the query on
     */
@@ -34,7 +37,7 @@
       }
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the query
@@ -210,5 +213,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
@@ -14,6 +14,9 @@
     A Query that matches documents containing a wildcard. This may be
     combined with other wildcards with a BooleanQuery.
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} field the document field/key to query against
     @param {String} value the literal value to be matched
     */
@@ -32,7 +35,7 @@
       value: value
     };
 
-    return {
+    return extend(ejs.CloneMixin('query', query), {
 
       /**
             Sets the fields to query against.
@@ -165,5 +168,5 @@
       _self: function () {
         return query;
       }
-    };
+    });
   };
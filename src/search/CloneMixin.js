@@ -0,0 +1,55 @@
+  /**
+    @mixin
+    <p>The CloneMixin provides the <code>clone</code> and <code>equals</code>
+    methods shared by queries, filters, facets, aggregations, sorts,
+    highlights, and suggesters.  This object should not be used
+    directly.</p>
+
+    @name ejs.CloneMixin
+
+    @param {String} kind The kind of object, as passed to <code>ejs.fromJSON</code>.
+    @param {Object} obj The internal object of the object using the mixin.
+    */
+  ejs.CloneMixin = function (kind, obj) {
+
+    // checks if another object is of the same kind
+    var isKind = {
+      query: isQuery,
+      filter: isFilter,
+      facet: isFacet,
+      agg: isAggregation,
+      sort: isSort,
+      highlight: isHighlight,
+      suggest: isSuggest
+    }[kind];
+
+    if (isKind == null) {
+      throw new TypeError('Argument must be a valid kind');
+    }
+
+    return {
+
+      /**
+            Creates a deep copy of this object.  Changes made to the copy do
+            not affect this object.
+
+            @member ejs.CloneMixin
+            @returns {Object} a new object of the same type.
+            */
+      clone: function () {
+        return ejs.fromJSON(obj, kind);
+      },
+
+      /**
+            Tests if another object has the same settings as this object.
+
+            @member ejs.CloneMixin
+            @param {Object} other The object to compare with.
+            @returns {Boolean} true if the objects are equal.
+            */
+      equals: function (other) {
+        return isKind(other) && isEqual(obj, other._self());
+      }
+
+    };
+  };
@@ -0,0 +1,192 @@
+  /**
+    @class
+    <p>An <code>Explanation</code> is a tree describing how the score of a
+    document was calculated.  Each node has a value, a description, and
+    the child explanations the value was calculated from.  It is typically
+    created by <code>Request.doExplain</code>.</p>
+
+    <p>The tree can be flattened into a list for display, and the clauses
+    that contributed the most to the score can be found with
+    <code>top</code>.</p>
+
+    @name ejs.Explanation
+
+    @desc
+    <p>A structured explanation of a document score.</p>
+
+    @param {Object} explanation The raw explanation returned by the server,
+      with <code>value, description</code> and <code>details</code>
+      properties.
+    */
+  ejs.Explanation = function (explanation) {
+
+    if (!isObject(explanation)) {
+      throw new TypeError('Argument must be an object');
+    }
+
+    var
+      details = explanation.details || [],
+      children = [],
+
+      // adds each node of the tree to a flat list
+      flatten = function (node, depth, list) {
+        var nodes = node.children(), i, len;
+
+        list.push({
+          depth: depth,
+          value: node.value(),
+          description: node.description()
+        });
+
+        for (i = 0, len = nodes.length; i < len; i++) {
+          flatten(nodes[i], depth + 1, list);
+        }
+
+        return list;
+      },
+
+      // collects the clause weights, and the leaves outside of them
+      collectClauses = function (node, list) {
+        var nodes = node.children(), i, len;
+
+        if (nodes.length === 0 || node.description().indexOf('weight(') === 0) {
+          list.push({value: node.value(), description: node.description()});
+          return list;
+        }
+
+        for (i = 0, len = nodes.length; i < len; i++) {
+          collectClauses(nodes[i], list);
+        }
+
+        return list;
+      },
+      i, len;
+
+    for (i = 0, len = details.length; i < len; i++) {
+      children.push(ejs.Explanation(details[i]));
+    }
+
+    return {
+
+      /**
+            <p>Returns the value of this node.</p>
+
+            @member ejs.Explanation
+            @returns {Double} the value.
+            */
+      value: function () {
+        return explanation.value;
+      },
+
+      /**
+            <p>Returns the description of how the value was calculated.</p>
+
+            @member ejs.Explanation
+            @returns {String} the description.
+            */
+      description: function () {
+        return explanation.description;
+      },
+
+      /**
+            <p>Returns the explanations the value was calculated from.</p>
+
+            @member ejs.Explanation
+            @returns {Array} a list of <code>Explanation</code> objects.
+            */
+      children: function () {
+        return children;
+      },
+
+      /**
+            <p>Flattens the tree into a list in depth first order.  Each
+            item has <code>depth, value</code> and <code>description</code>
+            properties, where the depth of this node is 0.</p>
+
+            @member ejs.Explanation
+            @returns {Array} the list of nodes.
+            */
+      flatten: function () {
+        return flatten(this, 0, []);
+      },
+
+      /**
+            <p>Returns the clauses that contributed the most to the value,
+            ordered from the highest value to the lowest.  A clause is the
+            weight of a query term, or a node without children that is not
+            part of a term weight, such as a boost or coord factor.  Each
+            item has <code>value</code> and <code>description</code>
+            properties.</p>
+
+            @member ejs.Explanation
+            @param {Integer} n The number of clauses to return.  All clauses
+              are returned when not set.
+            @returns {Array} the list of clauses.
+            */
+      top: function (n) {
+        var clauses = collectClauses(this, []);
+
+        clauses.sort(function (a, b) {
+          return b.value - a.value;
+        });
+
+        return n != null ? clauses.slice(0, n) : clauses;
+      },
+
+      /**
+            <p>Formats the tree as indented text, one node per line.</p>
+
+            @member ejs.Explanation
+            @returns {String} the formatted explanation.
+            */
+      format: function () {
+        var
+          nodes = this.flatten(),
+          lines = [],
+          i, len, j, indent;
+
+        for (i = 0, len = nodes.length; i < len; i++) {
+          indent = '';
+          for (j = 0; j < nodes[i].depth; j++) {
+            indent = indent + '  ';
+          }
+
+          lines.push(indent + nodes[i].value + ' = ' + nodes[i].description);
+        }
+
+        return lines.join('\n');
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.Explanation
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(explanation);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.Explanation
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'explanation';
+      },
+
+      /**
+            <p>Retrieves the raw <code>explanation</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.Explanation
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return explanation;
+      }
+
+    };
+  };
@@ -19,6 +19,9 @@
     @desc
     <p>Allows to highlight search results on one or more fields.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String || Array} fields An optional field or array of fields to highlight.
     */
   ejs.Highlight = function (fields) {
@@ -49,7 +52,7 @@
       }
     }
   
-    return {
+    return extend(ejs.CloneMixin('highlight', highlight), {
 
       /**
             Allows you to set the fields that will be highlighted.  You can 
@@ -449,5 +452,5 @@
       _self: function () {
         return highlight;
       }
-    };
+    });
   };
@@ -286,7 +286,8 @@
             @member ejs.MultiSearchRequest
             @param {Function} successcb A callback function that handles the search response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} Returns a client specific object.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
             */
       doSearch: function (successcb, errorcb) {
         var i, len, request, query, header, data = '';
@@ -347,7 +348,7 @@
         }
       
       
-        return ejs.client.post(getRestPath(), data, successcb, errorcb);
+        return clientRequest('post', getRestPath(), data, successcb, errorcb);
       }
     
     };
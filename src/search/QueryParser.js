@@ -0,0 +1,598 @@
+  /**
+    @class
+    <p>The <code>QueryParser</code> parses a query written in the Lucene query
+    syntax into a tree of ejs query objects.  Unlike a
+    <code>QueryStringQuery</code>, the query is parsed on the client so it can
+    be inspected, restricted, and rewritten before it is sent.</p>
+
+    <p>The following syntax is supported:</p>
+
+    <dl>
+        <dd><code>AND, OR, NOT, &amp;&amp;, ||, !</code> - boolean operators</dd>
+        <dd><code>+term, -term</code> - required and prohibited clauses</dd>
+        <dd><code>field:value</code> - search a specific field</dd>
+        <dd><code>"a phrase"~2</code> - phrases with an optional slop</dd>
+        <dd><code>[1 TO 5], {a TO *}</code> - inclusive and exclusive ranges</dd>
+        <dd><code>te?t, test*</code> - wildcards</dd>
+        <dd><code>term~, term~0.8</code> - fuzzy terms</dd>
+        <dd><code>term^2</code> - boosts</dd>
+        <dd><code>(a OR b) AND field:(c d)</code> - grouping</dd>
+    </dl>
+
+    <p>Terms and phrases become <code>MatchQuery</code> objects so they are
+    analyzed the same way a <code>QueryStringQuery</code> would analyze them.
+    Ranges, wildcards, and fuzzy terms become <code>RangeQuery</code>,
+    <code>WildcardQuery</code>, and <code>FuzzyQuery</code> objects, and
+    multiple clauses are combined with a <code>BoolQuery</code>.</p>
+
+    <p>Wildcard and fuzzy terms are not analyzed, so they are lowercased by
+    default the same way a <code>QueryStringQuery</code> lowercases them.</p>
+
+    @name ejs.QueryParser
+
+    @desc
+    <p>Parses the Lucene query syntax into ejs query objects.</p>
+
+    @param {String} defaultField The field searched by terms without a field,
+      defaults to <code>_all</code>.
+    */
+  ejs.QueryParser = function (defaultField) {
+
+    var
+      settings = {
+        default_field: defaultField != null ? defaultField : '_all',
+        default_operator: 'or',
+        analyzed: true,
+        lowercase_expanded_terms: true
+      },
+
+      // characters that end a term unless they are escaped
+      termEndChars = '!():^[]"{}~',
+
+      isSpace = function (c) {
+        return c === ' ' || c === '\t' || c === '\n' || c === '\r';
+      },
+
+      // reads the number following a ^ or ~, returns null when missing
+      readNumber = function (str, pos) {
+        var end = pos;
+
+        while (end < str.length && '0123456789.'.indexOf(str.charAt(end)) !== -1) {
+          end++;
+        }
+
+        return end > pos ? {value: parseFloat(str.substring(pos, end)), end: end} :
+          null;
+      },
+
+      // reads a range value, which can be quoted
+      readRangeValue = function (str, pos) {
+        var value = '', c;
+
+        while (pos < str.length && isSpace(str.charAt(pos))) {
+          pos++;
+        }
+
+        if (str.charAt(pos) === '"') {
+          pos++;
+          while (pos < str.length && str.charAt(pos) !== '"') {
+            if (str.charAt(pos) === '\\') {
+              pos++;
+            }
+
+            value = value + str.charAt(pos);
+            pos++;
+          }
+
+          return {value: value, end: pos + 1, quoted: true};
+        }
+
+        while (pos < str.length) {
+          c = str.charAt(pos);
+          if (isSpace(c) || c === ']' || c === '}') {
+            break;
+          }
+
+          if (c === '\\') {
+            pos++;
+            c = str.charAt(pos);
+          }
+
+          value = value + c;
+          pos++;
+        }
+
+        return {value: value, end: pos, quoted: false};
+      },
+
+      // splits the query string into tokens
+      tokenize = function (str) {
+        var
+          tokens = [],
+          pos = 0,
+          start,
+          c,
+          value,
+          wildcard,
+          escaped,
+          num,
+          lower,
+          upper;
+
+        while (pos < str.length) {
+          c = str.charAt(pos);
+          start = pos;
+
+          if (isSpace(c)) {
+            pos++;
+          } else if (c === '(' || c === ')' || c === ':' || c === '+' ||
+            c === '-') {
+            tokens.push({type: c, pos: start});
+            pos++;
+          } else if (c === '!') {
+            tokens.push({type: 'NOT', pos: start});
+            pos++;
+          } else if ((c === '&' || c === '|') && str.charAt(pos + 1) === c) {
+            tokens.push({type: c === '&' ? 'AND' : 'OR', pos: start});
+            pos += 2;
+          } else if (c === '^') {
+            num = readNumber(str, pos + 1);
+            if (num === null) {
+              throw new Error('Missing boost value at position ' + start);
+            }
+
+            tokens.push({type: '^', value: num.value, pos: start});
+            pos = num.end;
+          } else if (c === '~') {
+            num = readNumber(str, pos + 1);
+            tokens.push({type: '~', value: num !== null ? num.value : null,
+              pos: start});
+            pos = num !== null ? num.end : pos + 1;
+          } else if (c === '"') {
+            value = '';
+            pos++;
+            while (pos < str.length && str.charAt(pos) !== '"') {
+              if (str.charAt(pos) === '\\') {
+                pos++;
+              }
+
+              value = value + str.charAt(pos);
+              pos++;
+            }
+
+            if (pos >= str.length) {
+              throw new Error('Unterminated phrase at position ' + start);
+            }
+
+            tokens.push({type: 'phrase', value: value, pos: start});
+            pos++;
+          } else if (c === '[' || c === '{') {
+            lower = readRangeValue(str, pos + 1);
+            pos = lower.end;
+            while (pos < str.length && isSpace(str.charAt(pos))) {
+              pos++;
+            }
+
+            if (str.substring(pos, pos + 2) !== 'TO') {
+              throw new Error('Missing TO in range at position ' + start);
+            }
+
+            upper = readRangeValue(str, pos + 2);
+            pos = upper.end;
+            while (pos < str.length && isSpace(str.charAt(pos))) {
+              pos++;
+            }
+
+            if (str.charAt(pos) !== ']' && str.charAt(pos) !== '}') {
+              throw new Error('Unterminated range at position ' + start);
+            }
+
+            tokens.push({
+              type: 'range',
+              from: !lower.quoted && lower.value === '*' ? null : lower.value,
+              to: !upper.quoted && upper.value === '*' ? null : upper.value,
+              includeLower: c === '[',
+              includeUpper: str.charAt(pos) === ']',
+              pos: start
+            });
+            pos++;
+          } else if (c === ']' || c === '}') {
+            throw new Error('Unexpected "' + c + '" at position ' + start);
+          } else {
+            value = '';
+            wildcard = false;
+            escaped = false;
+
+            while (pos < str.length) {
+              c = str.charAt(pos);
+              if (isSpace(c) || termEndChars.indexOf(c) !== -1) {
+                break;
+              }
+
+              if (c === '\\') {
+                if (pos + 1 >= str.length) {
+                  throw new Error('Incomplete escape at position ' + pos);
+                }
+
+                // keep the escape in wildcard terms so it is not a wildcard
+                value = value + (str.charAt(pos + 1) === '*' ||
+                  str.charAt(pos + 1) === '?' ? '\\' : '') + str.charAt(pos + 1);
+                escaped = true;
+                pos += 2;
+              } else {
+                if (c === '*' || c === '?') {
+                  wildcard = true;
+                }
+
+                value = value + c;
+                pos++;
+              }
+            }
+
+            if (!escaped && (value === 'AND' || value === 'OR' ||
+              value === 'NOT')) {
+              tokens.push({type: value, pos: start});
+            } else {
+              tokens.push({type: 'term', value: value, wildcard: wildcard,
+                pos: start});
+            }
+          }
+        }
+
+        return tokens;
+      },
+
+      // removes the escapes that were kept for wildcard characters
+      unescape = function (value) {
+        return value.replace(/\\([*?])/g, '$1');
+      },
+
+      // lowercases wildcard and fuzzy terms when enabled
+      expandedTerm = function (value) {
+        return settings.lowercase_expanded_terms ? value.toLowerCase() : value;
+      };
+
+    return {
+
+      /**
+            <p>Sets the field searched by terms without a field.</p>
+
+            @member ejs.QueryParser
+            @param {String} field The default field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      defaultField: function (field) {
+        if (field == null) {
+          return settings.default_field;
+        }
+
+        settings.default_field = field;
+        return this;
+      },
+
+      /**
+            <p>Sets the operator used between clauses without an operator,
+            <code>or</code> by default.</p>
+
+            @member ejs.QueryParser
+            @param {String} op Any of <code>and</code> or <code>or</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      defaultOperator: function (op) {
+        if (op == null) {
+          return settings.default_operator;
+        }
+
+        op = op.toLowerCase();
+        if (op === 'and' || op === 'or') {
+          settings.default_operator = op;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets if terms are analyzed.  When true, the default, terms
+            become a <code>MatchQuery</code>.  When false, terms become a
+            <code>TermQuery</code> so they must match the indexed term
+            exactly.</p>
+
+            @member ejs.QueryParser
+            @param {Boolean} trueFalse If terms are analyzed or not.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      analyzed: function (trueFalse) {
+        if (trueFalse == null) {
+          return settings.analyzed;
+        }
+
+        settings.analyzed = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Sets if wildcard and fuzzy terms are lowercased.  These terms
+            are not analyzed, so they are lowercased by default to match
+            the terms of fields with a lowercasing analyzer.</p>
+
+            @member ejs.QueryParser
+            @param {Boolean} trueFalse If expanded terms are lowercased or not.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lowercaseExpandedTerms: function (trueFalse) {
+        if (trueFalse == null) {
+          return settings.lowercase_expanded_terms;
+        }
+
+        settings.lowercase_expanded_terms = trueFalse;
+        return this;
+      },
+
+      /**
+            <p>Parses a query string.  An empty query string matches all
+            documents.  An <code>Error</code> with the position of the
+            problem is thrown when the query string is invalid.</p>
+
+            @member ejs.QueryParser
+            @param {String} qstr The query string to parse.
+            @returns {Object} a <code>Query</code> object.
+            */
+      parse: function (qstr) {
+        if (!isString(qstr)) {
+          throw new TypeError('Argument must be a string');
+        }
+
+        var
+          tokens = tokenize(qstr),
+          pos = 0,
+          parseClauses,
+          result,
+
+          peek = function () {
+            return pos < tokens.length ? tokens[pos] : null;
+          },
+
+          unexpected = function (token) {
+            if (token === null) {
+              return new Error('Unexpected end of query');
+            }
+
+            return new Error('Unexpected "' + (token.type === 'term' ||
+              token.type === 'phrase' ? token.value : token.type) +
+              '" at position ' + token.pos);
+          },
+
+          // applies the boost following a query
+          parseBoost = function (query) {
+            var token = peek();
+
+            if (token !== null && token.type === '^') {
+              query.boost(token.value);
+              pos++;
+            }
+
+            return query;
+          },
+
+          // parses a term, phrase, or range
+          parseTerm = function (field) {
+            var
+              token = peek(),
+              fuzzy = false,
+              distance = null,
+              boost = null,
+              next,
+              query;
+
+            pos++;
+
+            // fuzzy and slop values and boosts can be in either order
+            next = peek();
+            while (next !== null && (next.type === '~' || next.type === '^')) {
+              if (next.type === '~') {
+                fuzzy = true;
+                distance = next.value;
+              } else {
+                boost = next.value;
+              }
+
+              pos++;
+              next = peek();
+            }
+
+            if (token.type === 'phrase') {
+              query = ejs.MatchQuery(field, token.value).type('phrase');
+              if (distance !== null) {
+                query.slop(distance);
+              }
+            } else if (token.type === 'range') {
+              query = ejs.RangeQuery(field);
+              if (token.from !== null) {
+                query.from(token.from);
+              }
+
+              if (token.to !== null) {
+                query.to(token.to);
+              }
+
+              query.includeLower(token.includeLower)
+                .includeUpper(token.includeUpper);
+            } else if (field === '*' && token.value === '*') {
+              query = ejs.MatchAllQuery();
+            } else if (fuzzy) {
+              query = ejs.FuzzyQuery(field, expandedTerm(unescape(token.value)));
+              if (distance !== null) {
+                query.minSimilarity(distance);
+              }
+            } else if (token.wildcard) {
+              query = ejs.WildcardQuery(field, expandedTerm(token.value));
+            } else if (settings.analyzed) {
+              query = ejs.MatchQuery(field, unescape(token.value));
+            } else {
+              query = ejs.TermQuery(field, unescape(token.value));
+            }
+
+            if (boost !== null) {
+              query.boost(boost);
+            }
+
+            return query;
+          },
+
+          // parses a single clause, with an optional field
+          parseClause = function (field) {
+            var token = peek(), next, query;
+
+            if (token !== null && token.type === 'term' &&
+              pos + 1 < tokens.length && tokens[pos + 1].type === ':') {
+              field = unescape(token.value);
+              pos += 2;
+              token = peek();
+            }
+
+            if (token === null) {
+              throw unexpected(null);
+            }
+
+            if (token.type === '(') {
+              pos++;
+              query = parseClauses(field);
+              next = peek();
+              if (next === null || next.type !== ')') {
+                throw next === null ?
+                  new Error('Missing ) for ( at position ' + token.pos) :
+                  unexpected(next);
+              }
+
+              pos++;
+              return parseBoost(query);
+            }
+
+            if (token.type === 'term' || token.type === 'phrase' ||
+              token.type === 'range') {
+              return parseTerm(field);
+            }
+
+            throw unexpected(token);
+          };
+
+        // parses a list of clauses up to the end of a group
+        parseClauses = function (field) {
+          var
+            clauses = [],
+            defaultAnd = settings.default_operator === 'and',
+            token,
+            conj,
+            mod,
+            occur,
+            last,
+            query,
+            i, len;
+
+          token = peek();
+          while (token !== null && token.type !== ')') {
+            conj = null;
+            mod = null;
+
+            if (token.type === 'AND' || token.type === 'OR') {
+              if (clauses.length === 0) {
+                throw unexpected(token);
+              }
+
+              conj = token.type;
+              pos++;
+              token = peek();
+            }
+
+            if (token !== null && (token.type === '+' || token.type === '-' ||
+              token.type === 'NOT')) {
+              mod = token.type === '+' ? 'must' : 'mustNot';
+              pos++;
+            }
+
+            query = parseClause(field);
+
+            // an operator changes the clause before it, as in Lucene
+            last = clauses.length > 0 ? clauses[clauses.length - 1] : null;
+            if (last !== null && last.occur !== 'mustNot') {
+              if (conj === 'AND') {
+                last.occur = 'must';
+              } else if (conj === 'OR' && defaultAnd) {
+                last.occur = 'should';
+              }
+            }
+
+            if (mod === 'mustNot') {
+              occur = 'mustNot';
+            } else if (mod === 'must' || conj === 'AND' ||
+              (defaultAnd && conj !== 'OR')) {
+              occur = 'must';
+            } else {
+              occur = 'should';
+            }
+
+            clauses.push({occur: occur, query: query});
+            token = peek();
+          }
+
+          if (clauses.length === 0) {
+            throw unexpected(token);
+          }
+
+          if (clauses.length === 1 && clauses[0].occur !== 'mustNot') {
+            return clauses[0].query;
+          }
+
+          query = ejs.BoolQuery();
+          for (i = 0, len = clauses.length; i < len; i++) {
+            query[clauses[i].occur](clauses[i].query);
+          }
+
+          return query;
+        };
+
+        if (tokens.length === 0) {
+          return ejs.MatchAllQuery();
+        }
+
+        result = parseClauses(settings.default_field);
+        if (pos < tokens.length) {
+          throw unexpected(peek());
+        }
+
+        return result;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.QueryParser
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(settings);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.QueryParser
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'query parser';
+      },
+
+      /**
+            <p>Retrieves the internal <code>settings</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.QueryParser
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return settings;
+      }
+
+    };
+  };
@@ -17,11 +17,32 @@
   ejs.Request = function (conf) {
 
     var query, indices, types, params = {},
+
+      // if doValidate explains the query, separate from the body explain
+      validateExplain = null,
+
+      // the setter of each url parameter, used to copy parameters
+      paramSetters = {
+        timeout: 'timeout',
+        routing: 'routing',
+        replication: 'replication',
+        consistency: 'consistency',
+        search_type: 'searchType',
+        scroll: 'scroll',
+        preference: 'preference',
+        local: 'local',
+        ignore_indices: 'ignoreIndices'
+      },
+      
+      // the url parameters accepted by the explain api
+      explainParams = ['routing', 'preference'],
     
-      // gernerates the correct url to the specified REST endpoint
-      getRestPath = function (endpoint) {
+      // gernerates the correct url to the specified REST endpoint, only
+      // the allowed parameters are included when a list is passed
+      getRestPath = function (endpoint, extraParams, allowed) {
         var searchUrl = '', 
-          parts = [];
+          parts = [],
+          urlParams = extend({}, params, extraParams || {});
         
         // join any indices
         if (indices.length > 0) {
@@ -40,12 +61,16 @@
         
         searchUrl = searchUrl + endpoint;
         
-        for (var p in params) {
-          if (!has(params, p) || params[p] === '') {
+        for (var p in urlParams) {
+          if (!has(urlParams, p) || urlParams[p] === '') {
+            continue;
+          }
+          
+          if (allowed != null && indexOf(allowed, p) === -1) {
             continue;
           }
           
-          parts.push(p + '=' + encodeURIComponent(params[p]));
+          parts.push(p + '=' + encodeURIComponent(urlParams[p]));
         }
         
         if (parts.length > 0) {
@@ -53,6 +78,55 @@
         }
         
         return searchUrl;
+      },
+
+      // converts the raw validate response into a validation result
+      genValidateResult = function (response) {
+        var
+          shards = response._shards || {},
+          failures = shards.failures || [],
+          explanations = response.explanations || [],
+          result = {
+            valid: response.valid === true,
+            errors: [],
+            explanations: []
+          },
+          i, len;
+
+        for (i = 0, len = failures.length; i < len; i++) {
+          result.errors.push({
+            index: failures[i].index,
+            shard: failures[i].shard,
+            reason: failures[i].reason
+          });
+        }
+
+        for (i = 0, len = explanations.length; i < len; i++) {
+          if (explanations[i].error != null) {
+            result.errors.push({
+              index: explanations[i].index,
+              shard: explanations[i].shard,
+              reason: explanations[i].error
+            });
+          }
+
+          result.explanations.push({
+            index: explanations[i].index,
+            valid: explanations[i].valid,
+            explanation: explanations[i].explanation
+          });
+        }
+
+        return result;
+      },
+
+      // converts the raw explain response into an explain result
+      genExplainResult = function (response) {
+        return {
+          matched: response.matched === true,
+          explanation: response.explanation != null ? 
+            ejs.Explanation(response.explanation) : null
+        };
       };
 
     /**
@@ -354,6 +428,27 @@
         return this;
       },
       
+      /**
+            <p>Sets the time to keep the search context alive so the results
+            can be scrolled.  Each scroll request extends the keep alive
+            time.  Typically used with the <code>scan</code> search type.</p>
+
+            <p>This option is valid during the following operations:
+                <code>search</code></p>
+
+            @member ejs.Request
+            @param {String} keepAlive The keep alive time, ie. <code>1m</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      scroll: function (keepAlive) {
+        if (keepAlive == null) {
+          return params.scroll;
+        }
+        
+        params.scroll = keepAlive;
+        return this;
+      },
+      
       /**
             By default, searches return full documents, meaning every property or field.
             This method allows you to specify which fields you want returned.
@@ -530,6 +625,33 @@
         return this;
       },
 
+      /**
+            Allows you to set the specified aggregation on this request object.
+            Multiple aggregations can be set, all of which will be returned when
+            the search is executed.
+
+            @member ejs.Request
+            @param {Aggregation} agg Any valid <code>Aggregation</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      agg: function (agg) {
+        if (agg == null) {
+          return query.aggs;
+        }
+
+        if (query.aggs == null) {
+          query.aggs = {};
+        }
+
+        if (!isAggregation(agg)) {
+          throw new TypeError('Argument must be an Aggregation');
+        }
+
+        extend(query.aggs, agg._self());
+
+        return this;
+      },
+
       /**
             Allows you to set a specified filter on this request object.
 
@@ -743,6 +865,28 @@
         return this;
       },
 
+      /**
+            <p>Enable/Disable the explanation returned by
+            <code>doValidate</code>.  This is separate from the
+            <code>explain</code> setting of the search body.</p>
+
+            @member ejs.Request
+            @param {Boolean} trueFalse true to enable, false to disable
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      validateExplain: function (trueFalse) {
+        if (trueFalse == null) {
+          return validateExplain;
+        }
+
+        if (trueFalse !== true && trueFalse !== false) {
+          throw new TypeError('Argument must be a boolean');
+        }
+
+        validateExplain = trueFalse;
+        return this;
+      },
+
       /**
             Enable/Disable returning version number for each search result.
 
@@ -775,6 +919,58 @@
         return this;
       },
 
+      /**
+            Creates a deep copy of this request, including the indices, types,
+            and url parameters.  Changes made to the copy do not affect this
+            request, so a base request can be reused for many searches.
+
+            @member ejs.Request
+            @returns {Object} a new <code>Request</code> object.
+            */
+      clone: function () {
+        var copy = ejs.fromJSON(query, 'request'), p;
+
+        copy.indices(indices.slice()).types(types.slice());
+        if (validateExplain !== null) {
+          copy.validateExplain(validateExplain);
+        }
+
+        for (p in params) {
+          if (has(params, p) && has(paramSetters, p)) {
+            copy[paramSetters[p]](params[p]);
+          }
+        }
+
+        return copy;
+      },
+
+      /**
+            Tests if another request has the same body, indices, types, and
+            url parameters as this request.
+
+            @member ejs.Request
+            @param {Object} other The object to compare with.
+            @returns {Boolean} true if the objects are equal.
+            */
+      equals: function (other) {
+        var p;
+
+        if (!isRequest(other) || !isEqual(query, other._self()) ||
+          !isEqual(indices, other.indices()) || !isEqual(types, other.types()) ||
+          validateExplain !== other.validateExplain()) {
+          return false;
+        }
+
+        for (p in paramSetters) {
+          if (has(paramSetters, p) &&
+            params[p] !== other[paramSetters[p]]()) {
+            return false;
+          }
+        }
+
+        return true;
+      },
+
       /**
             Allows you to serialize this object into a JSON encoded string.
 
@@ -812,7 +1008,8 @@
             @member ejs.Request
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} Returns a client specific object.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
             */
       doDeleteByQuery: function (successcb, errorcb) {
         var queryData = JSON.stringify(query.query);
@@ -822,7 +1019,8 @@
           throw new Error("No Client Set");
         }
         
-        return ejs.client.del(getRestPath('_query'), queryData, successcb, errorcb);
+        return clientRequest('del', getRestPath('_query'), queryData, 
+          successcb, errorcb);
       },
 
       /**
@@ -831,7 +1029,8 @@
             @member ejs.Request
             @param {Function} successcb A callback function that handles the count response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} Returns a client specific object.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
             */
       doCount: function (successcb, errorcb) {
         var queryData = JSON.stringify(query.query);
@@ -841,16 +1040,99 @@
           throw new Error("No Client Set");
         }
         
-        return ejs.client.post(getRestPath('_count'), queryData, successcb, errorcb);
+        return clientRequest('post', getRestPath('_count'), queryData, 
+          successcb, errorcb);
       },
             
+      /**
+            <p>Validates the current query without executing it.  When
+            <code>validateExplain</code> is enabled, the explanation of the
+            rewritten query is returned, or the reason the query is
+            invalid.</p>
+
+            <p>The success callback is passed a result object with the
+            following properties:</p>
+
+            <dl>
+                <dd><code>valid</code> - true if the query is valid</dd>
+                <dd><code>errors</code> - a list of errors, each with <code>index, shard</code>
+                  and <code>reason</code> properties.</dd>
+                <dd><code>explanations</code> - a list of explanations, each with
+                  <code>index, valid</code> and <code>explanation</code> properties.</dd>
+            </dl>
+
+            @member ejs.Request
+            @param {Function} successcb A callback function that handles the result.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
+            */
+      doValidate: function (successcb, errorcb) {
+        var queryData = JSON.stringify(query.query),
+          extraParams = {};
+      
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+        
+        if (validateExplain !== null) {
+          extraParams.explain = validateExplain;
+        }
+        
+        return clientRequest('post', 
+          getRestPath('_validate/query', extraParams), queryData, 
+          successcb, errorcb, genValidateResult);
+      },
+      
+      /**
+            <p>Explains how the score of a single document is calculated
+            for the current query.  The request must have exactly one index
+            and one type.  Only the <code>routing</code> and
+            <code>preference</code> parameters are sent.</p>
+
+            <p>The success callback is passed a result object with a
+            <code>matched</code> property, true if the document matches the
+            query, and an <code>explanation</code> property holding the
+            <code>Explanation</code> tree.</p>
+
+            @member ejs.Request
+            @param {String} id The id of the document.
+            @param {Function} successcb A callback function that handles the result.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
+            */
+      doExplain: function (id, successcb, errorcb) {
+        var queryData = JSON.stringify({query: query.query});
+      
+        // make sure the user has set a client
+        if (ejs.client == null) {
+          throw new Error("No Client Set");
+        }
+        
+        if (id == null) {
+          throw new Error('Document ID must be set');
+        }
+        
+        if (indices.length !== 1 || indices[0] === '_all' || 
+          types.length !== 1) {
+          throw new Error('A single index and type must be set');
+        }
+        
+        return clientRequest('post', 
+          getRestPath(encodeURIComponent(id) + '/_explain', {}, explainParams), 
+          queryData, successcb, errorcb, genExplainResult);
+      },
+      
       /**
             Executes the search. 
 
             @member ejs.Request
             @param {Function} successcb A callback function that handles the search response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} Returns a client specific object.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
             */
       doSearch: function (successcb, errorcb) {
         var queryData = JSON.stringify(query);
@@ -860,7 +1142,23 @@
           throw new Error("No Client Set");
         }
         
-        return ejs.client.post(getRestPath('_search'), queryData, successcb, errorcb);
+        return clientRequest('post', getRestPath('_search'), queryData, 
+          successcb, errorcb);
+      },
+      
+      /**
+            Creates a <code>ScrollCursor</code> that pages through all of the
+            results of this request using the scroll API.  The search is not 
+            executed until the first page is requested from the cursor.
+
+            @member ejs.Request
+            @param {String} keepAlive The time to keep the scroll context alive
+              between pages.  Defaults to the <code>scroll</code> value or 
+              <code>1m</code>.
+            @returns {Object} a <code>ScrollCursor</code> for this request.
+            */
+      scrollCursor: function (keepAlive) {
+        return ejs.ScrollCursor(this, keepAlive);
       },
       
       /**
@@ -871,7 +1169,8 @@
             @member ejs.Request
             @param {Function} successcb A callback function that handles the response.
             @param {Function} errorcb A callback function that handles errors.
-            @returns {Object} Returns a client specific object.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise a client specific object.
             */
       doSearchShards: function (successcb, errorcb) {
         // make sure the user has set a client
@@ -880,7 +1179,8 @@
         }
 
         // we don't need to send in the body data, just use empty string
-        return ejs.client.post(getRestPath('_search_shards'), '', successcb, errorcb);
+        return clientRequest('post', getRestPath('_search_shards'), '', 
+          successcb, errorcb);
       }
       
     };
@@ -0,0 +1,323 @@
+  /**
+    @class
+    <p>A <code>ScrollCursor</code> pages through all of the results of a
+    <code>Request</code> using the scroll API.  It is typically created
+    through <code>Request.scrollCursor</code>.</p>
+
+    <p>The first call to <code>next</code> executes the search and each
+    following call fetches the next page using the current scroll id.  When
+    the request uses the <code>scan</code> search type, the initial response
+    that contains no hits is skipped so every page contains hits.  The
+    scroll context is cleared once the last page has been fetched or when
+    the cursor is aborted.</p>
+
+    <p>When async iteration is supported, the cursor can be used with
+    <code>for await</code> to iterate over every hit.</p>
+
+    @name ejs.ScrollCursor
+
+    @desc
+    <p>Pages through the results of a search request.</p>
+
+    @param {Request} request The <code>Request</code> to scroll.
+    @param {String} keepAlive The time to keep the scroll context alive
+      between pages, ie. <code>1m</code>.
+    */
+  ejs.ScrollCursor = function (request, keepAlive) {
+
+    if (!isRequest(request)) {
+      throw new TypeError('Argument must be a Request');
+    }
+
+    var
+      scrollId = null,
+      total = null,
+      started = false,
+      finished = false,
+      cursor,
+
+      // clears the scroll context on the server
+      clearScroll = function (successcb, errorcb) {
+        var id = scrollId;
+
+        finished = true;
+        scrollId = null;
+
+        if (id == null) {
+          if (successcb != null) {
+            successcb({});
+          }
+
+          return;
+        }
+
+        return clientRequest('del', '/_search/scroll', id,
+          successcb || function () {}, errorcb || function () {});
+      },
+
+      // fetches the next page and passes it to the callback
+      fetch = function (successcb, errorcb) {
+        var
+          // failed requests clear the scroll so the context is not left
+          // open on the server until it expires
+          fail = function (error) {
+            clearScroll();
+            if (errorcb != null) {
+              errorcb(error);
+            }
+          },
+
+          handler = function (response) {
+            var hits = (response.hits && response.hits.hits) || [],
+              skipEmpty = !started && request.searchType() === 'scan';
+
+            started = true;
+
+            // error responses have no hits to page through
+            if (response.error != null) {
+              fail(response);
+              return;
+            }
+
+            if (response._scroll_id != null) {
+              scrollId = response._scroll_id;
+            }
+
+            if (response.hits != null && response.hits.total != null) {
+              total = response.hits.total;
+            }
+
+            // the initial scan response never has hits
+            if (skipEmpty && hits.length === 0 && scrollId != null) {
+              fetch(successcb, errorcb);
+              return;
+            }
+
+            if (hits.length === 0) {
+              clearScroll();
+            }
+
+            if (successcb != null) {
+              successcb(response);
+            }
+          };
+
+        if (finished) {
+          throw new Error('Cursor is exhausted');
+        }
+
+        // the scroll is set on a copy so the caller's request is unchanged
+        if (!started) {
+          return request.clone().scroll(keepAlive).doSearch(handler, fail);
+        }
+
+        return clientRequest('post', '/_search/scroll?scroll=' +
+          encodeURIComponent(keepAlive), scrollId, handler, fail);
+      };
+
+    if (keepAlive == null) {
+      keepAlive = request.scroll() || '1m';
+    }
+
+    cursor = {
+
+      /**
+            <p>Sets the time to keep the scroll context alive between
+            pages.</p>
+
+            @member ejs.ScrollCursor
+            @param {String} ka The keep alive time, ie. <code>1m</code>.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      keepAlive: function (ka) {
+        if (ka == null) {
+          return keepAlive;
+        }
+
+        keepAlive = ka;
+        return this;
+      },
+
+      /**
+            <p>Returns the current scroll id.  This is <code>null</code>
+            until the first page is fetched and after the scroll context
+            is cleared.</p>
+
+            @member ejs.ScrollCursor
+            @returns {String} the current scroll id.
+            */
+      scrollId: function () {
+        return scrollId;
+      },
+
+      /**
+            <p>Returns the total number of hits once the first page has been
+            fetched.</p>
+
+            @member ejs.ScrollCursor
+            @returns {Integer} the total number of hits.
+            */
+      total: function () {
+        return total;
+      },
+
+      /**
+            <p>Returns <code>true</code> once all pages have been fetched or
+            the cursor has been aborted.</p>
+
+            @member ejs.ScrollCursor
+            @returns {Boolean} true when there are no more pages.
+            */
+      done: function () {
+        return finished;
+      },
+
+      /**
+            <p>Fetches the next page of results.  The success callback is
+            passed the search response.  The last page contains no hits.
+            Fetching from an exhausted cursor throws an <code>Error</code>,
+            or rejects the promise when no callbacks are passed.</p>
+
+            @member ejs.ScrollCursor
+            @param {Function} successcb A callback function that handles the page.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      next: function (successcb, errorcb) {
+        return withDeferred(fetch, successcb, errorcb);
+      },
+
+      /**
+            <p>Calls <code>hitcb</code> for every hit of every page.
+            Iteration stops and the scroll context is cleared when
+            <code>hitcb</code> returns <code>false</code>.  The
+            <code>donecb</code> is called once iteration completes.</p>
+
+            @member ejs.ScrollCursor
+            @param {Function} hitcb A callback function called for each hit.
+            @param {Function} donecb A callback function called when all hits have been visited.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      each: function (hitcb, donecb, errorcb) {
+        var page = function (response) {
+          var hits = response.hits.hits, i, len;
+
+          for (i = 0, len = hits.length; i < len; i++) {
+            if (hitcb(hits[i]) === false) {
+              clearScroll(donecb, errorcb);
+              return;
+            }
+          }
+
+          if (finished) {
+            if (donecb != null) {
+              donecb();
+            }
+          } else {
+            fetch(page, errorcb);
+          }
+        };
+
+        if (!isFunction(hitcb)) {
+          throw new TypeError('Argument must be a function');
+        }
+
+        fetch(page, errorcb);
+        return this;
+      },
+
+      /**
+            <p>Stops the cursor and clears the scroll context on the
+            server.</p>
+
+            @member ejs.ScrollCursor
+            @param {Function} successcb A callback function that handles the response.
+            @param {Function} errorcb A callback function that handles errors.
+            @returns {Object} A promise when no callbacks are passed and the client
+              supports promises, otherwise the value is dependent on client implementation.
+            */
+      abort: function (successcb, errorcb) {
+        return withDeferred(clearScroll, successcb, errorcb);
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.ScrollCursor
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(this._self());
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.ScrollCursor
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'scroll cursor';
+      },
+
+      /**
+            <p>Retrieves the current state of the cursor. This is typically
+            used by internal API functions so use with caution.</p>
+
+            @member ejs.ScrollCursor
+            @returns {Object} returns this object's internal state.
+            */
+      _self: function () {
+        return {
+          scroll: keepAlive,
+          scroll_id: scrollId,
+          total: total,
+          done: finished
+        };
+      }
+    };
+
+    // support for await...of iteration over every hit
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator != null) {
+      cursor[Symbol.asyncIterator] = function () {
+        var hits = [];
+
+        return {
+          next: function () {
+            if (hits.length > 0) {
+              return Promise.resolve({value: hits.shift(), done: false});
+            }
+
+            if (finished) {
+              return Promise.resolve({value: undefined, done: true});
+            }
+
+            return new Promise(function (resolve, reject) {
+              fetch(function (response) {
+                hits = response.hits.hits.slice(0);
+
+                if (hits.length === 0) {
+                  resolve({value: undefined, done: true});
+                } else {
+                  resolve({value: hits.shift(), done: false});
+                }
+              }, reject);
+            });
+          },
+          'return': function () {
+            return new Promise(function (resolve) {
+              clearScroll(function () {
+                resolve({value: undefined, done: true});
+              }, function () {
+                resolve({value: undefined, done: true});
+              });
+            });
+          }
+        };
+      };
+    }
+
+    return cursor;
+  };
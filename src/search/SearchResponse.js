@@ -0,0 +1,484 @@
+  /**
+    @class
+    <p>The <code>SearchResponse</code> object wraps the raw response of a
+    search request and provides accessors for the hits, facets, and
+    suggestions it contains.</p>
+
+    <p>Facet results are keyed by the name given to the facet, ie. the
+    name passed to <code>TermsFacet</code>, and are converted into a
+    result with a <code>type</code> property and camel cased values.
+    Suggestions are keyed by the name given to the suggester.</p>
+
+    <p>Shard failures and timeouts are exposed through
+    <code>shardFailures</code>, <code>timedOut</code>, and
+    <code>isPartial</code> so incomplete results can be detected.</p>
+
+    @name ejs.SearchResponse
+
+    @desc
+    <p>Provides accessors for the results of a search request.</p>
+
+    @param {Object} response The raw response of a search request.
+    */
+  ejs.SearchResponse = function (response) {
+
+    if (!isObject(response)) {
+      throw new TypeError('Argument must be an object');
+    }
+
+    var
+      rawHits = response.hits || {},
+      shards = response._shards || {},
+      hits = [],
+      facets = {},
+      suggestions = {},
+      searchResponse,
+
+      // the statistical values reported by facet entries
+      statNames = {
+        count: 'count',
+        total_count: 'totalCount',
+        min: 'min',
+        max: 'max',
+        total: 'total',
+        mean: 'mean',
+        sum_of_squares: 'sumOfSquares',
+        variance: 'variance',
+        std_deviation: 'stdDeviation'
+      },
+
+      // copies the statistical values that are present in an entry
+      genStats = function (entry, result) {
+        var stat;
+
+        for (stat in statNames) {
+          if (has(statNames, stat) && entry[stat] != null) {
+            result[statNames[stat]] = entry[stat];
+          }
+        }
+
+        return result;
+      },
+
+      // converts a raw facet into a typed facet result
+      genFacet = function (name, facet) {
+        var
+          result = {name: name, type: facet._type},
+          entries,
+          key,
+          i, len;
+
+        switch (facet._type) {
+        case 'terms':
+          result.total = facet.total;
+          result.missing = facet.missing;
+          result.other = facet.other;
+          result.terms = [];
+          entries = facet.terms || [];
+          for (i = 0, len = entries.length; i < len; i++) {
+            result.terms.push({term: entries[i].term, count: entries[i].count});
+          }
+          break;
+        case 'terms_stats':
+          result.missing = facet.missing;
+          result.terms = [];
+          entries = facet.terms || [];
+          for (i = 0, len = entries.length; i < len; i++) {
+            result.terms.push(genStats(entries[i], {term: entries[i].term}));
+          }
+          break;
+        case 'histogram':
+        case 'date_histogram':
+          result.entries = [];
+          entries = facet.entries || [];
+          for (i = 0, len = entries.length; i < len; i++) {
+            key = entries[i].key != null ? entries[i].key : entries[i].time;
+            result.entries.push(genStats(entries[i], {key: key}));
+          }
+          break;
+        case 'range':
+        case 'geo_distance':
+          result.ranges = [];
+          entries = facet.ranges || [];
+          for (i = 0, len = entries.length; i < len; i++) {
+            result.ranges.push(genStats(entries[i], {
+              from: entries[i].from,
+              to: entries[i].to
+            }));
+          }
+          break;
+        case 'statistical':
+        case 'filter':
+        case 'query':
+          genStats(facet, result);
+          break;
+        default:
+          for (key in facet) {
+            if (has(facet, key) && key !== '_type') {
+              result[key] = facet[key];
+            }
+          }
+        }
+
+        return result;
+      },
+
+      /**
+            @class
+            <p>A single hit of a <code>SearchResponse</code>, as returned by
+            <code>hits</code> and passed to <code>each</code>.  It wraps
+            the raw hit with accessors.</p>
+
+            @name ejs.SearchResponse.Hit
+            */
+      genHit = function (hit) {
+        return {
+
+          /**
+                <p>Returns the id of the document.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {String} the document id.
+                */
+          id: function () {
+            return hit._id;
+          },
+
+          /**
+                <p>Returns the index of the document.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {String} the index name.
+                */
+          index: function () {
+            return hit._index;
+          },
+
+          /**
+                <p>Returns the type of the document.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {String} the type name.
+                */
+          type: function () {
+            return hit._type;
+          },
+
+          /**
+                <p>Returns the score of the document.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {Double} the score.
+                */
+          score: function () {
+            return hit._score;
+          },
+
+          /**
+                <p>Returns the version of the document when versions were
+                requested.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {Integer} the version.
+                */
+          version: function () {
+            return hit._version;
+          },
+
+          /**
+                <p>Returns the source of the document.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {Object} the source document.
+                */
+          source: function () {
+            return hit._source;
+          },
+
+          /**
+                <p>Returns the requested fields of the document.  When a
+                field name is passed, only the value of that field is
+                returned.</p>
+
+                @member ejs.SearchResponse.Hit
+                @param {String} name An optional field name.
+                @returns {Object} the fields, or the value of a field.
+                */
+          fields: function (name) {
+            var fields = hit.fields || {};
+
+            return name != null ? fields[name] : fields;
+          },
+
+          /**
+                <p>Returns the highlighted fragments of a field.  When no
+                field name is passed, the fragments of every field are
+                returned.</p>
+
+                @member ejs.SearchResponse.Hit
+                @param {String} field An optional field name.
+                @returns {Array} the list of fragments.
+                */
+          highlight: function (field) {
+            var highlight = hit.highlight || {};
+
+            if (field == null) {
+              return highlight;
+            }
+
+            return highlight[field] || [];
+          },
+
+          /**
+                <p>Returns the values the document was sorted by.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {Array} the sort values.
+                */
+          sort: function () {
+            return hit.sort || [];
+          },
+
+          /**
+                <p>Returns the explanation of the score when explain was
+                enabled on the request.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {Object} an <code>Explanation</code> or null.
+                */
+          explanation: function () {
+            return hit._explanation != null ?
+              ejs.Explanation(hit._explanation) : null;
+          },
+
+          /**
+                <p>Retrieves the raw hit.</p>
+
+                @member ejs.SearchResponse.Hit
+                @returns {Object} the raw hit.
+                */
+          _self: function () {
+            return hit;
+          }
+        };
+      },
+
+      name,
+      i, len;
+
+    for (i = 0, len = (rawHits.hits || []).length; i < len; i++) {
+      hits.push(genHit(rawHits.hits[i]));
+    }
+
+    for (name in response.facets) {
+      if (has(response.facets, name)) {
+        facets[name] = genFacet(name, response.facets[name]);
+      }
+    }
+
+    for (name in response.suggest) {
+      if (has(response.suggest, name)) {
+        suggestions[name] = response.suggest[name];
+      }
+    }
+
+    searchResponse = {
+
+      /**
+            <p>Returns the time the search took in milliseconds.</p>
+
+            @member ejs.SearchResponse
+            @returns {Integer} the time in milliseconds.
+            */
+      took: function () {
+        return response.took;
+      },
+
+      /**
+            <p>Returns true if the search timed out before all of the
+            results were collected.</p>
+
+            @member ejs.SearchResponse
+            @returns {Boolean} true if the search timed out.
+            */
+      timedOut: function () {
+        return response.timed_out === true;
+      },
+
+      /**
+            <p>Returns the total number of documents matching the
+            query.</p>
+
+            @member ejs.SearchResponse
+            @returns {Integer} the number of matching documents.
+            */
+      total: function () {
+        return rawHits.total;
+      },
+
+      /**
+            <p>Returns the highest score of the matching documents.</p>
+
+            @member ejs.SearchResponse
+            @returns {Double} the highest score.
+            */
+      maxScore: function () {
+        return rawHits.max_score;
+      },
+
+      /**
+            <p>Returns the scroll id when the search was scrolled.</p>
+
+            @member ejs.SearchResponse
+            @returns {String} the scroll id.
+            */
+      scrollId: function () {
+        return response._scroll_id;
+      },
+
+      /**
+            <p>Returns the hits of this page of results.  Each hit is an
+            <code>ejs.SearchResponse.Hit</code> with <code>id, index, type,
+            score, version, source, fields, highlight, sort</code> and
+            <code>explanation</code> accessors.</p>
+
+            @member ejs.SearchResponse
+            @returns {Array} the list of hits.
+            */
+      hits: function () {
+        return hits;
+      },
+
+      /**
+            <p>Calls a function with each hit and its position.</p>
+
+            @member ejs.SearchResponse
+            @param {Function} fn The function called with each hit.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      each: function (fn) {
+        each(hits, fn);
+        return this;
+      },
+
+      /**
+            <p>Returns the result of a facet by name.  When no name is
+            passed, all of the facet results are returned keyed by
+            name.</p>
+
+            @member ejs.SearchResponse
+            @param {String} name An optional facet name.
+            @returns {Object} the facet result or results.
+            */
+      facet: function (name) {
+        return name != null ? facets[name] : facets;
+      },
+
+      /**
+            <p>Returns the suggestions of a suggester by name.  Each
+            suggestion has <code>text, offset, length</code> and
+            <code>options</code> properties.  When no name is passed, all of
+            the suggestions are returned keyed by name.</p>
+
+            @member ejs.SearchResponse
+            @param {String} name An optional suggester name.
+            @returns {Object} the suggestions.
+            */
+      suggestion: function (name) {
+        return name != null ? suggestions[name] : suggestions;
+      },
+
+      /**
+            <p>Returns the number of shards that were searched, that
+            succeeded, and that failed.</p>
+
+            @member ejs.SearchResponse
+            @returns {Object} an object with <code>total, successful</code>
+              and <code>failed</code> properties.
+            */
+      shards: function () {
+        return {
+          total: shards.total,
+          successful: shards.successful,
+          failed: shards.failed || 0
+        };
+      },
+
+      /**
+            <p>Returns the failures of the shards that did not return
+            results.  Each failure has <code>index, shard, status</code>
+            and <code>reason</code> properties.</p>
+
+            @member ejs.SearchResponse
+            @returns {Array} the list of shard failures.
+            */
+      shardFailures: function () {
+        var
+          failures = shards.failures || [],
+          results = [],
+          j, jlen;
+
+        for (j = 0, jlen = failures.length; j < jlen; j++) {
+          results.push({
+            index: failures[j].index,
+            shard: failures[j].shard,
+            status: failures[j].status,
+            reason: failures[j].reason
+          });
+        }
+
+        return results;
+      },
+
+      /**
+            <p>Returns true if the results are incomplete because shards
+            failed or the search timed out.</p>
+
+            @member ejs.SearchResponse
+            @returns {Boolean} true if the results are incomplete.
+            */
+      isPartial: function () {
+        return this.timedOut() || (shards.failed || 0) > 0;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.SearchResponse
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(response);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.SearchResponse
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'search response';
+      },
+
+      /**
+            <p>Retrieves the raw <code>response</code> object. This is
+            typically used by internal API functions so use with caution.</p>
+
+            @member ejs.SearchResponse
+            @returns {Object} returns this object's internal object.
+            */
+      _self: function () {
+        return response;
+      }
+    };
+
+    // support for for...of iteration over the hits
+    if (typeof Symbol !== 'undefined' && Symbol.iterator != null) {
+      searchResponse[Symbol.iterator] = function () {
+        return hits[Symbol.iterator]();
+      };
+    }
+
+    return searchResponse;
+  };
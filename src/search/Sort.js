@@ -10,6 +10,9 @@
     @desc
     <p>Defines a sort value</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} fieldName The fieldName to sort against.  Defaults to _score
       if not specified.
     */
@@ -28,7 +31,7 @@
     // defaults to a field sort
     sort[key] = {};
 
-    return {
+    return extend(ejs.CloneMixin('sort', sort), {
 
       /**
             Set's the field to sort on
@@ -447,5 +450,5 @@
       _self: function () {
         return sort;
       }
-    };
+    });
   };
@@ -0,0 +1,760 @@
+  /**
+    <p>Reconstructs ejs objects from raw query DSL.  This is the reverse of
+    <code>_self()</code>, so queries that are stored as JSON can be loaded
+    and modified with the fluent API again.</p>
+
+    <p>The following kinds of DSL can be parsed:</p>
+
+    <dl>
+        <dd><code>request</code> - a search request body, returns a <code>Request</code></dd>
+        <dd><code>query</code> - a query clause, ie. <code>bool</code> returns a <code>BoolQuery</code></dd>
+        <dd><code>filter</code> - a filter clause, ie. <code>geo_distance</code> returns a <code>GeoDistanceFilter</code></dd>
+        <dd><code>facet</code> - a single named facet, ie. <code>TermsFacet</code></dd>
+        <dd><code>agg</code> - a single named aggregation, ie. <code>TermsAggregation</code></dd>
+        <dd><code>sort</code> - a single sort clause, returns a <code>Sort</code></dd>
+        <dd><code>highlight</code> - highlight settings, returns a <code>Highlight</code></dd>
+        <dd><code>suggest</code> - a single named suggester, ie. <code>TermSuggester</code></dd>
+        <dd><code>rescore</code> - rescore settings, returns a <code>Rescore</code></dd>
+    </dl>
+
+    <p>Every nested query and filter is parsed as well.  The options of
+    each clause are copied as they are, so serializing the returned object
+    produces the original DSL.  An <code>Error</code> with the location of
+    the clause is thrown when an unknown clause is found, ie.
+    <code>Unknown query "foo" at query.bool.must[0]</code>.</p>
+
+    @name ejs.fromJSON
+
+    @desc
+    <p>Reconstructs ejs objects from raw query DSL.</p>
+
+    @param {Object || String} json The DSL object, or a JSON encoded string.
+    @param {String} kind The kind of DSL, defaults to <code>request</code>.
+    @returns {Object} the matching ejs object.
+    */
+  ejs.fromJSON = function (json, kind) {
+
+    var
+      parseQuery,
+      parseFilter,
+
+      // keys of field based clauses that are options and not field names
+      optionKeys = ['boost', 'minimum_should_match', 'minimum_match',
+        'disable_coord', 'execution', 'distance', 'distance_type',
+        'optimize_bbox', 'from', 'to', 'include_lower', 'include_upper', 'gt',
+        'gte', 'lt', 'lte', 'unit', 'normalize', 'type', 'ranges',
+        'value_field', 'value_script', 'params', 'lang', 'order', 'reverse',
+        'missing', 'ignore_unmapped', 'mode', 'strategy', 'relation'],
+
+      // replaces the contents of target with source, keeping the existing
+      // nested objects so references held by the ejs object stay valid
+      hydrate = function (target, source) {
+        var key;
+
+        for (key in target) {
+          if (has(target, key) && !has(source, key)) {
+            delete target[key];
+          }
+        }
+
+        for (key in source) {
+          if (!has(source, key)) {
+            continue;
+          }
+
+          if (isObject(target[key]) && !isArray(target[key]) &&
+            isObject(source[key]) && !isArray(source[key])) {
+            hydrate(target[key], source[key]);
+          } else {
+            target[key] = JSON.parse(JSON.stringify(source[key]));
+          }
+        }
+
+        return target;
+      },
+
+      // returns the single key of a clause, options such as _cache that
+      // are set next to a query or filter clause are skipped
+      clauseName = function (raw, label, path) {
+        var
+          key,
+          name = null,
+          skipOptions = label === 'query' || label === 'filter';
+
+        if (!isObject(raw) || isArray(raw)) {
+          throw new Error('Invalid ' + label + ' at ' + path);
+        }
+
+        for (key in raw) {
+          if (has(raw, key) && (!skipOptions || key.charAt(0) !== '_')) {
+            if (name !== null) {
+              throw new Error('Invalid ' + label + ' at ' + path +
+                ', found multiple clauses');
+            }
+
+            name = key;
+          }
+        }
+
+        if (name === null) {
+          throw new Error('Invalid ' + label + ' at ' + path);
+        }
+
+        return name;
+      },
+
+      // returns the field name of a field based clause
+      fieldKey = function (body, path) {
+        var keys = [], key, i, len;
+
+        if (isObject(body) && !isArray(body)) {
+          for (key in body) {
+            if (has(body, key) && key.charAt(0) !== '_') {
+              keys.push(key);
+            }
+          }
+        }
+
+        // a single key is the field, even when named like an option
+        if (keys.length === 1) {
+          return keys[0];
+        }
+
+        for (i = 0, len = keys.length; i < len; i++) {
+          if (indexOf(optionKeys, keys[i]) === -1) {
+            return keys[i];
+          }
+        }
+
+        throw new Error('No field found at ' + path);
+      },
+
+      // parses a single clause, or each clause of an array
+      parseEach = function (raw, parser, path) {
+        var results = [], i, len;
+
+        if (!isArray(raw)) {
+          return parser(raw, path);
+        }
+
+        for (i = 0, len = raw.length; i < len; i++) {
+          results.push(parser(raw[i], path + '[' + i + ']'));
+        }
+
+        return results;
+      },
+
+      // parses the nested clauses of a compound clause
+      parseNested = function (body, nested, path) {
+        var key;
+
+        for (key in nested) {
+          if (has(nested, key) && body[key] != null) {
+            parseEach(body[key], nested[key], path + '.' + key);
+          }
+        }
+      },
+
+      // the list of clauses of an and/or filter
+      filterList = function (body, path) {
+        return parseEach(isArray(body) ? body : body.filters || [],
+          parseFilter, path + (isArray(body) ? '' : '.filters'));
+      },
+
+      // creates a query for each query DSL name
+      queries = {
+        bool: function (body, path) {
+          parseNested(body, {must: parseQuery, should: parseQuery,
+            must_not: parseQuery}, path);
+          return ejs.BoolQuery();
+        },
+        boosting: function (body, path) {
+          return ejs.BoostingQuery(parseQuery(body.positive, path + '.positive'),
+            parseQuery(body.negative, path + '.negative'), body.negative_boost);
+        },
+        common: function (body, path) {
+          return ejs.CommonTermsQuery(fieldKey(body, path));
+        },
+        constant_score: function (body, path) {
+          parseNested(body, {query: parseQuery, filter: parseFilter}, path);
+          return ejs.ConstantScoreQuery();
+        },
+        custom_boost_factor: function (body, path) {
+          return ejs.CustomBoostFactorQuery(parseQuery(body.query,
+            path + '.query'));
+        },
+        custom_filters_score: function (body, path) {
+          var filters = body.filters || [], i, len;
+
+          for (i = 0, len = filters.length; i < len; i++) {
+            parseFilter(filters[i].filter, path + '.filters[' + i + '].filter');
+          }
+
+          return ejs.CustomFiltersScoreQuery(parseQuery(body.query,
+            path + '.query'), []);
+        },
+        custom_score: function (body, path) {
+          return ejs.CustomScoreQuery(body.filter != null ?
+            parseFilter(body.filter, path + '.filter') :
+            parseQuery(body.query, path + '.query'), body.script);
+        },
+        dis_max: function (body, path) {
+          parseNested(body, {queries: parseQuery}, path);
+          return ejs.DisMaxQuery();
+        },
+        field_masking_span: function (body, path) {
+          return ejs.FieldMaskingSpanQuery(parseQuery(body.query,
+            path + '.query'), body.field);
+        },
+        field: function (body, path) {
+          return ejs.FieldQuery(fieldKey(body, path));
+        },
+        filtered: function (body, path) {
+          return ejs.FilteredQuery(body.query != null ?
+            parseQuery(body.query, path + '.query') : ejs.MatchAllQuery(),
+            body.filter != null ? parseFilter(body.filter, path + '.filter') :
+            null);
+        },
+        flt: function (body) {
+          return ejs.FuzzyLikeThisQuery(body.like_text);
+        },
+        flt_field: function (body, path) {
+          return ejs.FuzzyLikeThisFieldQuery(fieldKey(body, path));
+        },
+        function_score: function (body, path) {
+          var functions = body.functions || [], i, len;
+
+          parseNested(body, {query: parseQuery, filter: parseFilter}, path);
+          for (i = 0, len = functions.length; i < len; i++) {
+            if (functions[i].filter != null) {
+              parseFilter(functions[i].filter,
+                path + '.functions[' + i + '].filter');
+            }
+          }
+
+          return ejs.FunctionScoreQuery();
+        },
+        fuzzy: function (body, path) {
+          return ejs.FuzzyQuery(fieldKey(body, path));
+        },
+        geo_shape: function (body, path) {
+          return ejs.GeoShapeQuery(fieldKey(body, path));
+        },
+        has_child: function (body, path) {
+          return ejs.HasChildQuery(parseQuery(body.query, path + '.query'),
+            body.type);
+        },
+        has_parent: function (body, path) {
+          return ejs.HasParentQuery(parseQuery(body.query, path + '.query'),
+            body.parent_type);
+        },
+        ids: function (body) {
+          return ejs.IdsQuery(body.values || []);
+        },
+        indices: function (body, path) {
+          if (isObject(body.no_match_query)) {
+            parseQuery(body.no_match_query, path + '.no_match_query');
+          }
+
+          return ejs.IndicesQuery(parseQuery(body.query, path + '.query'),
+            body.indices || []);
+        },
+        match_all: function () {
+          return ejs.MatchAllQuery();
+        },
+        match: function (body, path) {
+          return ejs.MatchQuery(fieldKey(body, path));
+        },
+        mlt: function (body) {
+          return ejs.MoreLikeThisQuery(body.fields || [], body.like_text);
+        },
+        mlt_field: function (body, path) {
+          return ejs.MoreLikeThisFieldQuery(fieldKey(body, path));
+        },
+        multi_match: function (body) {
+          return ejs.MultiMatchQuery(body.fields || [], body.query);
+        },
+        nested: function (body, path) {
+          parseNested(body, {query: parseQuery, filter: parseFilter}, path);
+          return ejs.NestedQuery(body.path);
+        },
+        prefix: function (body, path) {
+          return ejs.PrefixQuery(fieldKey(body, path));
+        },
+        query_string: function (body) {
+          return ejs.QueryStringQuery(body.query);
+        },
+        range: function (body, path) {
+          return ejs.RangeQuery(fieldKey(body, path));
+        },
+        regexp: function (body, path) {
+          return ejs.RegexpQuery(fieldKey(body, path));
+        },
+        span_first: function (body, path) {
+          return ejs.SpanFirstQuery(parseQuery(body.match, path + '.match'),
+            body.end);
+        },
+        span_multi: function (body, path) {
+          return ejs.SpanMultiTermQuery(parseQuery(body.match,
+            path + '.match'));
+        },
+        span_near: function (body, path) {
+          return ejs.SpanNearQuery(parseEach(body.clauses || [], parseQuery,
+            path + '.clauses'), body.slop);
+        },
+        span_not: function (body, path) {
+          return ejs.SpanNotQuery(parseQuery(body.include, path + '.include'),
+            parseQuery(body.exclude, path + '.exclude'));
+        },
+        span_or: function (body, path) {
+          return ejs.SpanOrQuery(parseEach(body.clauses || [], parseQuery,
+            path + '.clauses'));
+        },
+        span_term: function (body, path) {
+          return ejs.SpanTermQuery(fieldKey(body, path));
+        },
+        term: function (body, path) {
+          return ejs.TermQuery(fieldKey(body, path));
+        },
+        terms: function (body, path) {
+          return ejs.TermsQuery(fieldKey(body, path), []);
+        },
+        top_children: function (body, path) {
+          return ejs.TopChildrenQuery(parseQuery(body.query, path + '.query'),
+            body.type);
+        },
+        wildcard: function (body, path) {
+          return ejs.WildcardQuery(fieldKey(body, path));
+        }
+      },
+
+      // creates a filter for each filter DSL name
+      filters = {
+        and: function (body, path) {
+          return ejs.AndFilter(filterList(body, path));
+        },
+        bool: function (body, path) {
+          parseNested(body, {must: parseFilter, should: parseFilter,
+            must_not: parseFilter}, path);
+          return ejs.BoolFilter();
+        },
+        exists: function (body) {
+          return ejs.ExistsFilter(body.field);
+        },
+        fquery: function (body, path) {
+          return ejs.QueryFilter(parseQuery(body.query, path + '.query'));
+        },
+        geo_bounding_box: function (body, path) {
+          return ejs.GeoBboxFilter(fieldKey(body, path));
+        },
+        geo_distance: function (body, path) {
+          return ejs.GeoDistanceFilter(fieldKey(body, path));
+        },
+        geo_distance_range: function (body, path) {
+          return ejs.GeoDistanceRangeFilter(fieldKey(body, path));
+        },
+        geo_polygon: function (body, path) {
+          return ejs.GeoPolygonFilter(fieldKey(body, path));
+        },
+        geo_shape: function (body, path) {
+          return ejs.GeoShapeFilter(fieldKey(body, path));
+        },
+        has_child: function (body, path) {
+          return ejs.HasChildFilter(parseQuery(body.query, path + '.query'),
+            body.type);
+        },
+        has_parent: function (body, path) {
+          return ejs.HasParentFilter(parseQuery(body.query, path + '.query'),
+            body.parent_type);
+        },
+        ids: function (body) {
+          return ejs.IdsFilter(body.values || []);
+        },
+        indices: function (body, path) {
+          if (isObject(body.no_match_filter)) {
+            parseFilter(body.no_match_filter, path + '.no_match_filter');
+          }
+
+          return ejs.IndicesFilter(parseFilter(body.filter, path + '.filter'),
+            body.indices || []);
+        },
+        limit: function (body) {
+          return ejs.LimitFilter(body.value);
+        },
+        match_all: function () {
+          return ejs.MatchAllFilter();
+        },
+        missing: function (body) {
+          return ejs.MissingFilter(body.field);
+        },
+        nested: function (body, path) {
+          parseNested(body, {query: parseQuery, filter: parseFilter}, path);
+          return ejs.NestedFilter(body.path);
+        },
+        not: function (body, path) {
+          return ejs.NotFilter(body.filter != null ?
+            parseFilter(body.filter, path + '.filter') : parseFilter(body, path));
+        },
+        numeric_range: function (body, path) {
+          return ejs.NumericRangeFilter(fieldKey(body, path));
+        },
+        or: function (body, path) {
+          return ejs.OrFilter(filterList(body, path));
+        },
+        prefix: function (body, path) {
+          return ejs.PrefixFilter(fieldKey(body, path));
+        },
+        query: function (body, path) {
+          return ejs.QueryFilter(parseQuery(body, path));
+        },
+        range: function (body, path) {
+          return ejs.RangeFilter(fieldKey(body, path));
+        },
+        regexp: function (body, path) {
+          return ejs.RegexpFilter(fieldKey(body, path));
+        },
+        script: function (body) {
+          return ejs.ScriptFilter(body.script);
+        },
+        term: function (body, path) {
+          return ejs.TermFilter(fieldKey(body, path));
+        },
+        terms: function (body, path) {
+          return ejs.TermsFilter(fieldKey(body, path), []);
+        },
+        type: function (body) {
+          return ejs.TypeFilter(body.value);
+        }
+      },
+
+      // creates a facet for each facet type
+      facets = {
+        terms: 'TermsFacet',
+        terms_stats: 'TermStatsFacet',
+        date_histogram: 'DateHistogramFacet',
+        histogram: 'HistogramFacet',
+        range: 'RangeFacet',
+        statistical: 'StatisticalFacet',
+        geo_distance: 'GeoDistanceFacet',
+        query: 'QueryFacet',
+        filter: 'FilterFacet'
+      },
+
+      // parses a single facet, ie. {name: {terms: {...}}}
+      parseFacet = function (raw, path) {
+        var
+          name = clauseName(raw, 'facet', path),
+          body = raw[name],
+          facetPath = path + '.' + name,
+          type = null,
+          facet,
+          key;
+
+        for (key in body) {
+          if (has(body, key) && has(facets, key)) {
+            type = key;
+            break;
+          }
+        }
+
+        if (type === null) {
+          throw new Error('Unknown facet type for "' + name + '" at ' + path);
+        }
+
+        if (type === 'query') {
+          parseQuery(body.query, facetPath + '.query');
+        } else if (type === 'filter') {
+          parseFilter(body.filter, facetPath + '.filter');
+        }
+
+        if (body.facet_filter != null) {
+          parseFilter(body.facet_filter, facetPath + '.facet_filter');
+        }
+
+        facet = ejs[facets[type]](name);
+        if (type === 'geo_distance') {
+          facet.field(fieldKey(body.geo_distance, facetPath + '.geo_distance'));
+        }
+
+        hydrate(facet._self(), raw);
+        return facet;
+      },
+
+      // wraps a single entry of a named section, ie. one facet
+      entry = function (section, name) {
+        var e = {};
+
+        e[name] = section[name];
+        return e;
+      },
+
+      // creates an aggregation for each aggregation type
+      aggs = {
+        terms: 'TermsAggregation',
+        range: 'RangeAggregation',
+        date_range: 'DateRangeAggregation',
+        histogram: 'HistogramAggregation',
+        date_histogram: 'DateHistogramAggregation',
+        stats: 'StatsAggregation',
+        extended_stats: 'ExtendedStatsAggregation',
+        min: 'MinAggregation',
+        max: 'MaxAggregation',
+        sum: 'SumAggregation',
+        avg: 'AvgAggregation',
+        value_count: 'ValueCountAggregation',
+        cardinality: 'CardinalityAggregation',
+        percentiles: 'PercentilesAggregation',
+        filter: 'FilterAggregation',
+        filters: 'FiltersAggregation',
+        missing: 'MissingAggregation',
+        nested: 'NestedAggregation',
+        reverse_nested: 'ReverseNestedAggregation',
+        global: 'GlobalAggregation',
+        geo_distance: 'GeoDistanceAggregation',
+        geohash_grid: 'GeohashGridAggregation',
+        top_hits: 'TopHitsAggregation'
+      },
+
+      // parses a single aggregation and its sub-aggregations,
+      // ie. {name: {terms: {...}, aggs: {...}}}
+      parseAgg = function (raw, path) {
+        var
+          name = clauseName(raw, 'aggregation', path),
+          body = raw[name],
+          aggPath = path + '.' + name,
+          type = null,
+          subAggs,
+          agg,
+          key;
+
+        for (key in body) {
+          if (has(body, key) && has(aggs, key)) {
+            type = key;
+            break;
+          }
+        }
+
+        if (type === null) {
+          throw new Error('Unknown aggregation type for "' + name + '" at ' +
+            path);
+        }
+
+        if (type === 'filter') {
+          parseFilter(body.filter, aggPath + '.filter');
+        } else if (type === 'filters') {
+          for (key in body.filters.filters) {
+            if (has(body.filters.filters, key)) {
+              parseFilter(body.filters.filters[key],
+                aggPath + '.filters.filters.' + key);
+            }
+          }
+        }
+
+        subAggs = body.aggs != null ? 'aggs' : 'aggregations';
+        for (key in body[subAggs]) {
+          if (has(body[subAggs], key)) {
+            parseAgg(entry(body[subAggs], key), aggPath + '.' + subAggs);
+          }
+        }
+
+        agg = ejs[aggs[type]](name);
+        hydrate(agg._self(), raw);
+        return agg;
+      },
+
+      // parses a single sort clause, ie. {field: {order: 'asc'}}
+      parseSort = function (raw, path) {
+        var name, sort;
+
+        if (isString(raw)) {
+          return ejs.Sort(raw);
+        }
+
+        name = clauseName(raw, 'sort', path);
+        if (name === '_geo_distance') {
+          sort = ejs.Sort(fieldKey(raw[name], path + '.' + name))
+            .geoDistance(ejs.GeoPoint());
+        } else if (name === '_script') {
+          sort = ejs.Sort().script(raw[name].script);
+        } else {
+          sort = ejs.Sort(name);
+        }
+
+        hydrate(sort._self(), raw);
+        return sort;
+      },
+
+      // parses the highlight settings
+      parseHighlight = function (raw, path) {
+        var highlight;
+
+        if (!isObject(raw) || isArray(raw)) {
+          throw new Error('Invalid highlight at ' + path);
+        }
+
+        highlight = ejs.Highlight();
+        hydrate(highlight._self(), raw);
+        return highlight;
+      },
+
+      // parses a single suggester, ie. {name: {term: {...}}}
+      parseSuggest = function (raw, path) {
+        var
+          name = clauseName(raw, 'suggester', path),
+          body = raw[name],
+          suggest;
+
+        if (isObject(body) && body.term != null) {
+          suggest = ejs.TermSuggester(name);
+        } else if (isObject(body) && body.phrase != null) {
+          suggest = ejs.PhraseSuggester(name);
+        } else {
+          throw new Error('Unknown suggester type for "' + name + '" at ' +
+            path);
+        }
+
+        hydrate(suggest._self(), raw);
+        return suggest;
+      },
+
+      // parses the rescore settings
+      parseRescore = function (raw, path) {
+        var rescore;
+
+        if (!isObject(raw) || isArray(raw)) {
+          throw new Error('Invalid rescore at ' + path);
+        }
+
+        if (raw.query != null && raw.query.rescore_query != null) {
+          parseQuery(raw.query.rescore_query, path + '.query.rescore_query');
+        }
+
+        rescore = ejs.Rescore();
+        hydrate(rescore._self(), raw);
+        return rescore;
+      },
+
+      // the top level clauses of a search request
+      requestKeys = ['query', 'filter', 'facets', 'aggs', 'aggregations',
+        'sort', 'highlight', 'suggest', 'rescore', 'script_fields',
+        'partial_fields', 'fields', 'from', 'size', 'explain', 'version',
+        'min_score', 'track_scores', 'indices_boost', 'timeout', 'stats',
+        '_source'],
+
+      // parses a search request body
+      parseRequest = function (raw, path) {
+        var request, key;
+
+        if (!isObject(raw) || isArray(raw)) {
+          throw new Error('Invalid request at ' + path);
+        }
+
+        for (key in raw) {
+          if (has(raw, key) && indexOf(requestKeys, key) === -1) {
+            throw new Error('Unknown request clause "' + key + '" at ' + path);
+          }
+        }
+
+        if (raw.query != null) {
+          parseQuery(raw.query, 'query');
+        }
+
+        if (raw.filter != null) {
+          parseFilter(raw.filter, 'filter');
+        }
+
+        for (key in raw.facets) {
+          if (has(raw.facets, key)) {
+            parseFacet(entry(raw.facets, key), 'facets');
+          }
+        }
+
+        for (key in raw.aggs) {
+          if (has(raw.aggs, key)) {
+            parseAgg(entry(raw.aggs, key), 'aggs');
+          }
+        }
+
+        for (key in raw.aggregations) {
+          if (has(raw.aggregations, key)) {
+            parseAgg(entry(raw.aggregations, key), 'aggregations');
+          }
+        }
+
+        if (raw.sort != null) {
+          parseEach(raw.sort, parseSort, 'sort');
+        }
+
+        if (raw.highlight != null) {
+          parseHighlight(raw.highlight, 'highlight');
+        }
+
+        for (key in raw.suggest) {
+          if (has(raw.suggest, key) && key !== 'text') {
+            parseSuggest(entry(raw.suggest, key), 'suggest');
+          }
+        }
+
+        if (raw.rescore != null) {
+          parseEach(raw.rescore, parseRescore, 'rescore');
+        }
+
+        request = ejs.Request();
+        hydrate(request._self(), raw);
+        return request;
+      },
+
+      // the parser for each kind of DSL
+      parsers;
+
+    parseQuery = function (raw, path) {
+      var name = clauseName(raw, 'query', path), query;
+
+      if (!has(queries, name)) {
+        throw new Error('Unknown query "' + name + '" at ' + path);
+      }
+
+      query = queries[name](raw[name], path + '.' + name);
+      hydrate(query._self(), raw);
+      return query;
+    };
+
+    parseFilter = function (raw, path) {
+      var name = clauseName(raw, 'filter', path), filter;
+
+      if (!has(filters, name)) {
+        throw new Error('Unknown filter "' + name + '" at ' + path);
+      }
+
+      filter = filters[name](raw[name], path + '.' + name);
+      hydrate(filter._self(), raw);
+      return filter;
+    };
+
+    parsers = {
+      request: parseRequest,
+      query: parseQuery,
+      filter: parseFilter,
+      facet: parseFacet,
+      agg: parseAgg,
+      sort: parseSort,
+      highlight: parseHighlight,
+      suggest: parseSuggest,
+      rescore: parseRescore
+    };
+
+    if (kind == null) {
+      kind = 'request';
+    }
+
+    if (!has(parsers, kind)) {
+      throw new TypeError('Unknown kind of DSL: ' + kind);
+    }
+
+    // a sort can be a plain field name instead of a JSON string
+    if (isString(json) && (kind !== 'sort' || json.charAt(0) === '{')) {
+      json = JSON.parse(json);
+    }
+
+    return parsers[kind](json, kind);
+  };
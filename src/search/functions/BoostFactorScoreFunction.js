@@ -0,0 +1,52 @@
+  /**
+    @class
+    <p>The <code>BoostFactorScoreFunction</code> multiplies the score of a
+    document by a constant factor.  It is typically combined with a filter
+    to boost the documents that match the filter.</p>
+
+    @name ejs.BoostFactorScoreFunction
+
+    @since elasticsearch 0.90.4
+
+    @desc
+    <p>Multiplies the score by a constant factor.</p>
+
+    @borrows ejs.ScoreFunctionMixin.filter as filter
+    @borrows ejs.ScoreFunctionMixin.toString as toString
+    @borrows ejs.ScoreFunctionMixin._type as _type
+    @borrows ejs.ScoreFunctionMixin._self as _self
+
+    @param {Double} boostVal The factor to multiply the score by.
+    */
+  ejs.BoostFactorScoreFunction = function (boostVal) {
+
+    var
+      _common = ejs.ScoreFunctionMixin('boost_factor'),
+      func = _common._self();
+
+    // boost_factor holds the factor itself, so it is left out until set
+    delete func.boost_factor;
+    if (boostVal != null) {
+      func.boost_factor = boostVal;
+    }
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the factor to multiply the score by.</p>
+
+            @member ejs.BoostFactorScoreFunction
+            @param {Double} b A positive double value.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      boost: function (b) {
+        if (b == null) {
+          return func.boost_factor;
+        }
+
+        func.boost_factor = b;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,162 @@
+  /**
+    @class
+    <p>The <code>DecayScoreFunction</code> scores documents by the distance of
+    a field value from an origin.  The score decays as the distance grows,
+    so documents close to the origin score higher.  It works with numeric,
+    date, and geo point fields.</p>
+
+    <p>The shape of the decay is set with <code>type</code>:</p>
+
+    <dl>
+        <dd><code>gauss</code> - normal decay, the default</dd>
+        <dd><code>exp</code> - exponential decay</dd>
+        <dd><code>linear</code> - linear decay, the score is 0 beyond the scale</dd>
+    </dl>
+
+    @name ejs.DecayScoreFunction
+
+    @since elasticsearch 0.90.4
+
+    @desc
+    <p>Scores documents by their distance from an origin.</p>
+
+    @borrows ejs.ScoreFunctionMixin.filter as filter
+    @borrows ejs.ScoreFunctionMixin.toString as toString
+    @borrows ejs.ScoreFunctionMixin._type as _type
+    @borrows ejs.ScoreFunctionMixin._self as _self
+
+    @param {String} field The name of a numeric, date, or geo point field.
+    */
+  ejs.DecayScoreFunction = function (field) {
+
+    var
+      decayType = 'gauss',
+      _common = ejs.ScoreFunctionMixin(decayType),
+      func = _common._self();
+
+    func[decayType][field] = {};
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the field the distance is calculated on.</p>
+
+            @member ejs.DecayScoreFunction
+            @param {String} f A valid field name.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      field: function (f) {
+        var oldValue = func[decayType][field];
+
+        if (f == null) {
+          return field;
+        }
+
+        delete func[decayType][field];
+        field = f;
+        func[decayType][f] = oldValue;
+
+        return this;
+      },
+
+      /**
+            <p>Sets the shape of the decay.  Valid values are
+            <code>gauss, exp</code> and <code>linear</code>.</p>
+
+            @member ejs.DecayScoreFunction
+            @param {String} t The decay type.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      type: function (t) {
+        if (t == null) {
+          return decayType;
+        }
+
+        t = t.toLowerCase();
+        if ((t === 'gauss' || t === 'exp' || t === 'linear') && t !== decayType) {
+          func[t] = func[decayType];
+          delete func[decayType];
+          decayType = t;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the origin the distance is calculated from.  This is a
+            number for numeric fields, a date for date fields, and a
+            <code>GeoPoint</code> for geo point fields.</p>
+
+            @member ejs.DecayScoreFunction
+            @param {Number || String || Object} o The origin.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      origin: function (o) {
+        if (o == null) {
+          return func[decayType][field].origin;
+        }
+
+        if (isGeoPoint(o)) {
+          func[decayType][field].origin = o._self();
+        } else {
+          func[decayType][field].origin = o;
+        }
+
+        return this;
+      },
+
+      /**
+            <p>Sets the distance from the origin plus the offset where the
+            score is equal to the decay value.  This is a number for numeric
+            fields, and a distance or time value such as <code>10km</code> or
+            <code>5d</code> for geo point and date fields.</p>
+
+            @member ejs.DecayScoreFunction
+            @param {Number || String} s The scale.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      scale: function (s) {
+        if (s == null) {
+          return func[decayType][field].scale;
+        }
+
+        func[decayType][field].scale = s;
+        return this;
+      },
+
+      /**
+            <p>Sets a distance from the origin within which documents get the
+            full score.</p>
+
+            @member ejs.DecayScoreFunction
+            @param {Number || String} o The offset.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      offset: function (o) {
+        if (o == null) {
+          return func[decayType][field].offset;
+        }
+
+        func[decayType][field].offset = o;
+        return this;
+      },
+
+      /**
+            <p>Sets the score of documents at the scale distance, defaults
+            to 0.5.</p>
+
+            @member ejs.DecayScoreFunction
+            @param {Double} d A double value between 0 and 1.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      decay: function (d) {
+        if (d == null) {
+          return func[decayType][field].decay;
+        }
+
+        func[decayType][field].decay = d;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,44 @@
+  /**
+    @class
+    <p>The <code>RandomScoreFunction</code> scores documents randomly.  When a
+    seed is set, the same documents get the same scores for every request
+    with that seed, so the order is consistent across pages.</p>
+
+    @name ejs.RandomScoreFunction
+
+    @since elasticsearch 0.90.4
+
+    @desc
+    <p>Scores documents randomly.</p>
+
+    @borrows ejs.ScoreFunctionMixin.filter as filter
+    @borrows ejs.ScoreFunctionMixin.toString as toString
+    @borrows ejs.ScoreFunctionMixin._type as _type
+    @borrows ejs.ScoreFunctionMixin._self as _self
+    */
+  ejs.RandomScoreFunction = function () {
+
+    var
+      _common = ejs.ScoreFunctionMixin('random_score'),
+      func = _common._self();
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the seed of the random scores.</p>
+
+            @member ejs.RandomScoreFunction
+            @param {Long} s A seed value, ie. a user id.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      seed: function (s) {
+        if (s == null) {
+          return func.random_score.seed;
+        }
+
+        func.random_score.seed = s;
+        return this;
+      }
+
+    });
+  };
@@ -0,0 +1,77 @@
+  /**
+    @mixin
+    <p>The ScoreFunctionMixin provides support for common options used across
+    various <code>ScoreFunction</code> implementations.  This object should not be
+    used directly.</p>
+
+    @name ejs.ScoreFunctionMixin
+
+    @param {String} name The name of the score function, ie. <code>script_score</code>.
+    */
+  ejs.ScoreFunctionMixin = function (name) {
+
+    /**
+        The internal function object.
+        @member ejs.ScoreFunctionMixin
+        @property {Object} func
+        */
+    var func = {};
+
+    func[name] = {};
+
+    return {
+
+      /**
+            <p>Sets a filter that limits the documents the function is applied
+            to.  Documents that do not match the filter are not scored by this
+            function.</p>
+
+            @member ejs.ScoreFunctionMixin
+            @param {Object} oFilter A valid <code>Filter</code> object.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      filter: function (oFilter) {
+        if (oFilter == null) {
+          return func.filter;
+        }
+
+        if (!isFilter(oFilter)) {
+          throw new TypeError('Argument must be a Filter');
+        }
+
+        func.filter = oFilter._self();
+        return this;
+      },
+
+      /**
+            <p>Allows you to serialize this object into a JSON encoded string.</p>
+
+            @member ejs.ScoreFunctionMixin
+            @returns {String} returns this object as a serialized JSON string.
+            */
+      toString: function () {
+        return JSON.stringify(func);
+      },
+
+      /**
+            <p>The type of ejs object.  For internal use only.</p>
+
+            @member ejs.ScoreFunctionMixin
+            @returns {String} the type of object
+            */
+      _type: function () {
+        return 'score function';
+      },
+
+      /**
+            <p>Retrieves the internal <code>func</code> object. This is typically used by
+               internal API functions so use with caution.</p>
+
+            @member ejs.ScoreFunctionMixin
+            @returns {String} returns this object's internal <code>func</code> property.
+            */
+      _self: function () {
+        return func;
+      }
+    };
+  };
@@ -0,0 +1,82 @@
+  /**
+    @class
+    <p>The <code>ScriptScoreFunction</code> calculates the score of a document
+    with a script.  The script can use the values of the fields of the
+    document and the score of the query, ie. <code>_score * doc['likes'].value</code>.</p>
+
+    @name ejs.ScriptScoreFunction
+
+    @since elasticsearch 0.90.4
+
+    @desc
+    <p>Scores documents with a script.</p>
+
+    @borrows ejs.ScoreFunctionMixin.filter as filter
+    @borrows ejs.ScoreFunctionMixin.toString as toString
+    @borrows ejs.ScoreFunctionMixin._type as _type
+    @borrows ejs.ScoreFunctionMixin._self as _self
+
+    @param {String} script A valid script expression.
+    */
+  ejs.ScriptScoreFunction = function (script) {
+
+    var
+      _common = ejs.ScoreFunctionMixin('script_score'),
+      func = _common._self();
+
+    if (script != null) {
+      func.script_score.script = script;
+    }
+
+    return extend(_common, {
+
+      /**
+            <p>Sets the script used to calculate the score.</p>
+
+            @member ejs.ScriptScoreFunction
+            @param {String} s A valid script expression.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      script: function (s) {
+        if (s == null) {
+          return func.script_score.script;
+        }
+
+        func.script_score.script = s;
+        return this;
+      },
+
+      /**
+            <p>Sets the language of the script.</p>
+
+            @member ejs.ScriptScoreFunction
+            @param {String} l The script language, defaults to mvel.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      lang: function (l) {
+        if (l == null) {
+          return func.script_score.lang;
+        }
+
+        func.script_score.lang = l;
+        return this;
+      },
+
+      /**
+            <p>Sets the parameters passed to the script.</p>
+
+            @member ejs.ScriptScoreFunction
+            @param {Object} p An object where the keys are the parameter names.
+            @returns {Object} returns <code>this</code> so that calls can be chained.
+            */
+      params: function (p) {
+        if (p == null) {
+          return func.script_score.params;
+        }
+
+        func.script_score.params = p;
+        return this;
+      }
+
+    });
+  };
@@ -13,6 +13,9 @@
     @desc
     <p>A suggester that suggests entire corrected phrases.</p>
 
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
+
     @param {String} name The name which be used to refer to this suggester.
     */
   ejs.PhraseSuggester = function (name) {
@@ -25,7 +28,7 @@
     var suggest = {};
     suggest[name] = {phrase: {}};
 
-    return {
+    return extend(ejs.CloneMixin('suggest', suggest), {
 
       /**
             <p>Sets the text to get suggestions for.  If not set, the global
@@ -395,5 +398,5 @@
       _self: function () {
         return suggest;
       }
-    };
+    });
   };
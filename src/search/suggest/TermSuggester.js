@@ -23,6 +23,8 @@
     @borrows ejs.DirectSettingsMixin.prefixLength as prefixLength
     @borrows ejs.DirectSettingsMixin.minWordLen as minWordLen
     @borrows ejs.DirectSettingsMixin.minDocFreq as minDocFreq
+    @borrows ejs.CloneMixin.clone as clone
+    @borrows ejs.CloneMixin.equals as equals
 
     @param {String} name The name which be used to refer to this suggester.
     */
@@ -41,7 +43,7 @@
     // setup correct term suggestor format
     suggest[name] = {term: _common._self()};
 
-    return extend(_common, {
+    return extend(_common, ejs.CloneMixin('suggest', suggest), {
 
       /**
             <p>Sets the text to get suggestions for.  If not set, the global
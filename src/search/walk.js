@@ -0,0 +1,484 @@
+  /**
+    <p>Walks every query and filter of a tree so it can be inspected and
+    rewritten.  The tree can be a <code>Query</code>, a <code>Filter</code>,
+    or a <code>Request</code>, in which case the query, the filter, the
+    queries and filters of the facets, and the filters of the
+    <code>filter</code> and <code>filters</code> aggregations, including
+    sub-aggregations, are walked.</p>
+
+    <p>The children of compound clauses such as <code>BoolQuery</code>,
+    <code>BoolFilter</code>, <code>AndFilter</code>, <code>NotFilter</code>,
+    <code>FilteredQuery</code>, <code>NestedQuery</code>, and the span queries
+    are visited before the clause itself, so a visitor always sees the
+    rewritten children of a clause.  The visitor is called with a node that
+    has the following methods:</p>
+
+    <dl>
+        <dd><code>type()</code> - <code>query</code> or <code>filter</code></dd>
+        <dd><code>name()</code> - the DSL name of the clause, ie. <code>bool</code></dd>
+        <dd><code>path()</code> - the location of the clause, ie. <code>query.bool.must[0]</code></dd>
+        <dd><code>depth()</code> - the number of compound clauses above the clause</dd>
+        <dd><code>parent()</code> - the node of the compound clause above, or null</dd>
+        <dd><code>raw()</code> - the raw DSL of the clause</dd>
+        <dd><code>object()</code> - a copy of the clause as an ejs object</dd>
+        <dd><code>replace(obj)</code> - replaces the clause with a <code>Query</code> or <code>Filter</code></dd>
+        <dd><code>remove()</code> - removes the clause</dd>
+        <dd><code>isRemoved()</code> - true if the clause was removed</dd>
+    </dl>
+
+    <p>When a clause that its parent requires is removed, ie. the filter of
+    a <code>NotFilter</code> or the last filter of an <code>AndFilter</code>,
+    the parent is removed as well.  Removing the filter of a score function
+    only removes the filter.  Replacements are not walked.</p>
+
+    @name ejs.walk
+
+    @desc
+    <p>Walks and rewrites the queries and filters of a tree.</p>
+
+    @param {Object} root A valid <code>Query</code>, <code>Filter</code>, or
+      <code>Request</code> object.
+    @param {Function} visitor The function called with the node of each clause.
+    @returns {Object} the root, the object that replaced the root, or null when
+      the root was removed.
+    */
+  ejs.walk = function (root, visitor) {
+
+    if (!isFunction(visitor)) {
+      throw new TypeError('Argument must be a function');
+    }
+
+    var
+      result = root,
+      walkClause,
+      body,
+      name,
+      facet,
+      walkAggs,
+
+      // the nested clauses of each compound clause.  A null key means the
+      // clause body is the nested clause, and sub is the key of the nested
+      // clause inside each item of a list.
+      children = {
+        query: {
+          bool: [
+            {key: 'must', type: 'query', list: true},
+            {key: 'should', type: 'query', list: true},
+            {key: 'must_not', type: 'query', list: true}
+          ],
+          boosting: [
+            {key: 'positive', type: 'query', required: true},
+            {key: 'negative', type: 'query', required: true}
+          ],
+          constant_score: [
+            {key: 'query', type: 'query'},
+            {key: 'filter', type: 'filter'}
+          ],
+          custom_boost_factor: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          custom_filters_score: [
+            {key: 'query', type: 'query', required: true},
+            {key: 'filters', type: 'filter', list: true, sub: 'filter'}
+          ],
+          custom_score: [
+            {key: 'query', type: 'query', required: true},
+            {key: 'filter', type: 'filter', required: true}
+          ],
+          dis_max: [
+            {key: 'queries', type: 'query', list: true, required: true}
+          ],
+          field_masking_span: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          filtered: [
+            {key: 'query', type: 'query'},
+            {key: 'filter', type: 'filter'}
+          ],
+          function_score: [
+            {key: 'query', type: 'query'},
+            {key: 'filter', type: 'filter'},
+            {key: 'functions', type: 'filter', list: true, sub: 'filter'}
+          ],
+          has_child: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          has_parent: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          indices: [
+            {key: 'query', type: 'query', required: true},
+            {key: 'no_match_query', type: 'query'}
+          ],
+          nested: [
+            {key: 'query', type: 'query'},
+            {key: 'filter', type: 'filter'}
+          ],
+          span_first: [
+            {key: 'match', type: 'query', required: true}
+          ],
+          span_multi: [
+            {key: 'match', type: 'query', required: true}
+          ],
+          span_near: [
+            {key: 'clauses', type: 'query', list: true, required: true}
+          ],
+          span_not: [
+            {key: 'include', type: 'query', required: true},
+            {key: 'exclude', type: 'query', required: true}
+          ],
+          span_or: [
+            {key: 'clauses', type: 'query', list: true, required: true}
+          ],
+          top_children: [
+            {key: 'query', type: 'query', required: true}
+          ]
+        },
+        filter: {
+          and: [
+            {key: 'filters', type: 'filter', list: true, required: true}
+          ],
+          bool: [
+            {key: 'must', type: 'filter', list: true},
+            {key: 'should', type: 'filter', list: true},
+            {key: 'must_not', type: 'filter', list: true}
+          ],
+          fquery: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          has_child: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          has_parent: [
+            {key: 'query', type: 'query', required: true}
+          ],
+          indices: [
+            {key: 'filter', type: 'filter', required: true},
+            {key: 'no_match_filter', type: 'filter'}
+          ],
+          nested: [
+            {key: 'query', type: 'query'},
+            {key: 'filter', type: 'filter'}
+          ],
+          not: [
+            {key: null, type: 'filter', required: true}
+          ],
+          or: [
+            {key: 'filters', type: 'filter', list: true, required: true}
+          ],
+          query: [
+            {key: null, type: 'query', required: true}
+          ]
+        }
+      },
+
+      // returns the DSL name of a clause
+      clauseName = function (raw) {
+        var key;
+
+        for (key in raw) {
+          if (has(raw, key) && key.charAt(0) !== '_') {
+            return key;
+          }
+        }
+
+        return null;
+      },
+
+      // checks that a replacement matches the type of the clause
+      checkType = function (obj, type) {
+        if (type === 'query' && !isQuery(obj)) {
+          throw new TypeError('Argument must be a Query');
+        } else if (type === 'filter' && !isFilter(obj)) {
+          throw new TypeError('Argument must be a Filter');
+        }
+      },
+
+      // a location holding a single clause
+      genSlot = function (container, key, required, parent) {
+        return {
+          set: function (obj) {
+            container[key] = obj._self();
+          },
+          remove: function () {
+            delete container[key];
+            if (required && parent !== null) {
+              parent.remove();
+            }
+          }
+        };
+      },
+
+      // the body of a clause that is itself the nested clause, ie. the
+      // body of a NotFilter.  Options such as _cache and _name are kept
+      // when the nested clause is replaced.
+      genBodySlot = function (container, key, required, parent) {
+        var slot = genSlot(container, key, required, parent);
+
+        slot.set = function (obj) {
+          var body = container[key], k;
+
+          for (k in body) {
+            if (has(body, k) && k.charAt(0) !== '_') {
+              delete body[k];
+            }
+          }
+
+          extend(body, obj._self());
+        };
+
+        return slot;
+      },
+
+      // a location in a list of clauses.  When sub is set, only that key of
+      // the list item is removed.
+      genListSlot = function (list, index, sub) {
+        return {
+          set: function (obj) {
+            if (sub != null) {
+              list[index][sub] = obj._self();
+            } else {
+              list[index] = obj._self();
+            }
+          },
+          remove: function () {
+            if (sub != null) {
+              delete list[index][sub];
+            } else {
+              list.splice(index, 1);
+            }
+          }
+        };
+      },
+
+      // creates the node passed to the visitor
+      genNode = function (raw, type, path, depth, parent, slot) {
+        var removed = false;
+
+        return {
+          type: function () {
+            return type;
+          },
+          name: function () {
+            return clauseName(raw);
+          },
+          path: function () {
+            return path;
+          },
+          depth: function () {
+            return depth;
+          },
+          parent: function () {
+            return parent;
+          },
+          raw: function () {
+            return raw;
+          },
+          object: function () {
+            return ejs.fromJSON(raw, type);
+          },
+          replace: function (obj) {
+            if (removed) {
+              throw new Error('Clause at ' + path + ' was removed');
+            }
+
+            checkType(obj, type);
+            slot.set(obj);
+            raw = obj._self();
+            return this;
+          },
+          remove: function () {
+            if (!removed) {
+              removed = true;
+              slot.remove();
+            }
+
+            return this;
+          },
+          isRemoved: function () {
+            return removed;
+          }
+        };
+      },
+
+      // walks the clauses held by one key of a compound clause
+      walkChildren = function (node, def) {
+        var
+          raw = node.raw(),
+          name = node.name(),
+          container = def.key === null ? raw : raw[name],
+          key = def.key === null ? name : def.key,
+          path = node.path() + '.' + name +
+            (def.key === null ? '' : '.' + def.key),
+          list,
+          child,
+          i;
+
+        if (!isObject(container) || !isObject(container[key])) {
+          return;
+        }
+
+        if (!def.list || !isArray(container[key])) {
+          walkClause(def.sub != null ? container[key][def.sub] : container[key],
+            def.type, path + (def.sub != null ? '.' + def.sub : ''),
+            node.depth() + 1, node, def.key === null ?
+              genBodySlot(container, key, def.required, node) :
+              genSlot(container, key, def.required, node));
+          return;
+        }
+
+        list = container[key];
+        i = 0;
+        while (i < list.length && !node.isRemoved()) {
+          child = walkClause(def.sub != null ? list[i][def.sub] : list[i],
+            def.type, path + '[' + i + ']' + (def.sub != null ? '.' + def.sub : ''),
+            node.depth() + 1, node, genListSlot(list, i, def.sub));
+
+          if (child === null || !child.isRemoved() || def.sub != null) {
+            i++;
+          }
+        }
+
+        if (def.required && list.length === 0) {
+          node.remove();
+        }
+      },
+
+      // the root facet clauses are required by their facet
+      facetSlot = function (facets, facetName, key) {
+        return {
+          set: function (obj) {
+            facets[facetName][key] = obj._self();
+          },
+          remove: function () {
+            delete facets[facetName];
+          }
+        };
+      },
+
+      // a filter of a filters aggregation, the aggregation is removed with
+      // its last filter
+      aggFilterSlot = function (aggs, aggName, filters, key) {
+        return {
+          set: function (obj) {
+            filters[key] = obj._self();
+          },
+          remove: function () {
+            delete filters[key];
+            if (isEqual(filters, {})) {
+              delete aggs[aggName];
+            }
+          }
+        };
+      };
+
+    // walks the filters of the aggregations held by a key of the owner and
+    // their sub-aggregations, the key is removed with its last aggregation
+    walkAggs = function (owner, aggsKey, path) {
+      var aggs = owner[aggsKey], aggName, agg, filters, key, aggPath;
+
+      for (aggName in aggs) {
+        if (!has(aggs, aggName)) {
+          continue;
+        }
+
+        agg = aggs[aggName];
+        aggPath = path + '.' + aggName;
+        if (has(agg, 'filter')) {
+          walkClause(agg.filter, 'filter', aggPath + '.filter', 0, null,
+            facetSlot(aggs, aggName, 'filter'));
+        } else if (has(agg, 'filters') && isObject(agg.filters.filters)) {
+          filters = agg.filters.filters;
+          for (key in filters) {
+            if (has(filters, key)) {
+              walkClause(filters[key], 'filter',
+                aggPath + '.filters.filters.' + key, 0, null,
+                aggFilterSlot(aggs, aggName, filters, key));
+            }
+          }
+        }
+
+        // the aggregation is gone when its filter was removed
+        if (!has(aggs, aggName)) {
+          continue;
+        }
+
+        if (has(agg, 'aggs')) {
+          walkAggs(agg, 'aggs', aggPath + '.aggs');
+        } else if (has(agg, 'aggregations')) {
+          walkAggs(agg, 'aggregations', aggPath + '.aggregations');
+        }
+      }
+
+      if (isEqual(aggs, {})) {
+        delete owner[aggsKey];
+      }
+    };
+
+    walkClause = function (raw, type, path, depth, parent, slot) {
+      var node, defs, i, len;
+
+      if (!isObject(raw) || clauseName(raw) === null) {
+        return null;
+      }
+
+      node = genNode(raw, type, path, depth, parent, slot);
+      defs = has(children[type], node.name()) ? children[type][node.name()] : [];
+      for (i = 0, len = defs.length; i < len && !node.isRemoved(); i++) {
+        walkChildren(node, defs[i]);
+      }
+
+      if (!node.isRemoved()) {
+        visitor(node);
+      }
+
+      return node;
+    };
+
+    if (isQuery(root) || isFilter(root)) {
+      walkClause(root._self(), root._type(), root._type(), 0, null, {
+        set: function (obj) {
+          result = obj;
+        },
+        remove: function () {
+          result = null;
+        }
+      });
+    } else if (isRequest(root)) {
+      body = root._self();
+
+      walkClause(body.query, 'query', 'query', 0, null,
+        genSlot(body, 'query', false, null));
+      walkClause(body.filter, 'filter', 'filter', 0, null,
+        genSlot(body, 'filter', false, null));
+
+      for (name in body.facets) {
+        if (!has(body.facets, name)) {
+          continue;
+        }
+
+        facet = body.facets[name];
+        walkClause(facet.facet_filter, 'filter',
+          'facets.' + name + '.facet_filter', 0, null,
+          genSlot(facet, 'facet_filter', false, null));
+
+        if (has(facet, 'query')) {
+          walkClause(facet.query, 'query', 'facets.' + name + '.query', 0, null,
+            facetSlot(body.facets, name, 'query'));
+        } else if (has(facet, 'filter')) {
+          walkClause(facet.filter, 'filter', 'facets.' + name + '.filter', 0,
+            null, facetSlot(body.facets, name, 'filter'));
+        }
+      }
+
+      if (has(body, 'aggs')) {
+        walkAggs(body, 'aggs', 'aggs');
+      } else if (has(body, 'aggregations')) {
+        walkAggs(body, 'aggregations', 'aggregations');
+      }
+    } else {
+      throw new TypeError('Argument must be a Query, Filter, or Request');
+    }
+
+    return result;
+  };
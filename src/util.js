@@ -63,6 +63,52 @@
     
     return -1;
   };
+
+  // Deep comparison of two JSON compatible values.  Objects are equal when
+  // they have the same keys with equal values, in any order.
+  isEqual = function (a, b) {
+    var key, count = 0, i, l;
+
+    if (a === b) {
+      return true;
+    }
+
+    if (!isObject(a) || !isObject(b) || isArray(a) !== isArray(b)) {
+      return false;
+    }
+
+    if (isArray(a)) {
+      if (a.length !== b.length) {
+        return false;
+      }
+
+      for (i = 0, l = a.length; i < l; i++) {
+        if (!isEqual(a[i], b[i])) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
+    for (key in a) {
+      if (has(a, key)) {
+        if (!has(b, key) || !isEqual(a[key], b[key])) {
+          return false;
+        }
+
+        count++;
+      }
+    }
+
+    for (key in b) {
+      if (has(b, key)) {
+        count--;
+      }
+    }
+
+    return count === 0;
+  };
   
   // Converts the stored params into parameters that will be passed
   // to a client.  Certain parameter are skipped, and others require
@@ -113,6 +159,95 @@
     return parts.join('&');
   };
   
+  // flattens nested index settings into the dotted index.* form used by
+  // the server, ie. {refresh_interval: '1s'} becomes
+  // {'index.refresh_interval': '1s'}
+  flattenSettings = function (settings, prefix, flat) {
+    var key, fullKey;
+    
+    flat = flat || {};
+    for (key in settings) {
+      if (!has(settings, key)) {
+        continue;
+      }
+      
+      fullKey = prefix != null ? prefix + '.' + key : key;
+      if (prefix == null && fullKey !== 'index' &&
+        fullKey.indexOf('index.') !== 0) {
+        fullKey = 'index.' + fullKey;
+      }
+      
+      if (isObject(settings[key]) && !isArray(settings[key])) {
+        flattenSettings(settings[key], fullKey, flat);
+      } else {
+        flat[fullKey] = settings[key];
+      }
+    }
+    
+    return flat;
+  };
+  
+  // Executes a request using the current client.  When no callbacks are
+  // passed and the client is able to create deferreds, the request is
+  // wrapped in a promise that is resolved with the response or rejected
+  // with the error.  Otherwise the client specific object is returned.  The
+  // optional parse function converts the response before it is passed to
+  // the success callback or used to resolve the promise.
+  clientRequest = function (method, path, data, successcb, errorcb, parse) {
+    // make sure the user has set a client
+    if (ejs.client == null) {
+      throw new Error("No Client Set");
+    }
+    
+    return withDeferred(function (resolve, reject) {
+      var cb = resolve;
+      
+      // parse errors are passed to the error callback so promises settle
+      if (parse != null && resolve != null) {
+        cb = function (response) {
+          var result;
+          
+          try {
+            result = parse(response);
+          } catch (e) {
+            if (reject == null) {
+              throw e;
+            }
+            
+            reject(e);
+            return;
+          }
+          
+          resolve(result);
+        };
+      }
+      
+      return ejs.client[method](path, data, cb, reject);
+    }, successcb, errorcb);
+  };
+  
+  // Calls fn with the success and error callbacks.  When no callbacks are
+  // given and the client supports promises, fn is called with the resolve
+  // and reject functions of a deferred instead and the promise is returned.
+  // Otherwise the value returned by fn is returned.
+  withDeferred = function (fn, successcb, errorcb) {
+    var deferred;
+    
+    if (successcb != null || errorcb != null || ejs.client == null ||
+      !isFunction(ejs.client.defer)) {
+      return fn(successcb, errorcb);
+    }
+    
+    deferred = ejs.client.defer();
+    try {
+      fn(deferred.resolve, deferred.reject);
+    } catch (e) {
+      deferred.reject(e);
+    }
+    
+    return deferred.promise;
+  };
+  
   // Is a given value an array?
   // Delegates to ECMA5's native Array.isArray
   // switched to ===, not sure why underscore used ==
@@ -170,6 +305,10 @@
   isFacet = function (obj) {
     return (isEJSObject(obj) && obj._type() === 'facet');
   };
+
+  isAggregation = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'aggregation');
+  };
   
   isScriptField = function (obj) {
     return (isEJSObject(obj) && obj._type() === 'script field');
@@ -202,6 +341,10 @@
   isGenerator = function (obj) {
     return (isEJSObject(obj) && obj._type() === 'generator');
   };
+
+  isScoreFunction = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'score function');
+  };
   
   isClusterHealth = function (obj) {
     return (isEJSObject(obj) && obj._type() === 'cluster health');
@@ -226,4 +369,40 @@
   isMultiSearchRequest = function (obj) {
     return (isEJSObject(obj) && obj._type() === 'multi search request');
   };
- 
\ No newline at end of file
+ 
+
+  isDocument = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'document');
+  };
+
+  isMapping = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'mapping');
+  };
+
+  isFieldMapping = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'field mapping');
+  };
+
+  isDynamicTemplate = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'dynamic template');
+  };
+
+  isAnalysis = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'analysis');
+  };
+
+  isAnalyzer = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'analyzer');
+  };
+
+  isTokenizer = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'tokenizer');
+  };
+
+  isTokenFilter = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'token filter');
+  };
+
+  isCharFilter = function (obj) {
+    return (isEJSObject(obj) && obj._type() === 'char filter');
+  };
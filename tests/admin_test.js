@@ -28,12 +28,18 @@ exports.cluster = {
     done();
   },
   exists: function (test) {
-    test.expect(4);
+    test.expect(10);
 
     test.ok(ejs.ClusterHealth, 'ClusterHealth');
     test.ok(ejs.ClusterState, 'ClusterState');
     test.ok(ejs.NodeStats, 'NodeStats');
     test.ok(ejs.NodeInfo, 'NodeInfo');
+    test.ok(ejs.IndexAdmin, 'IndexAdmin');
+    test.ok(ejs.Analyze, 'Analyze');
+    test.ok(ejs.Aliases, 'Aliases');
+    test.ok(ejs.IndexTemplate, 'IndexTemplate');
+    test.ok(ejs.IndexSettings, 'IndexSettings');
+    test.ok(ejs.Warmer, 'Warmer');
     
     test.done();
   },
@@ -727,6 +733,1172 @@ exports.cluster = {
     expectedData.filter_indices = 'i1,i2';
     cluster.doState();
     
+    test.done();
+  },
+  IndexAdmin: function (test) {
+    test.expect(88);
+
+    var admin = ejs.IndexAdmin('i1'),
+      mapped,
+      expected,
+      existsResult,
+      headStatus = 200,
+      headError = null,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data, cb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(admin._self(), expected);
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data, cb) {
+        doTest('get', path, data, cb);
+      },
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+      },
+      put: function (path, data, cb) {
+        doTest('put', path, data, cb);
+      },
+      del: function (path, data, cb) {
+        doTest('delete', path, data, cb);
+      },
+      head: function (path, data, cb, ecb) {
+        doTest('head', path, data, cb);
+        if (headError !== null) {
+          ecb(headError);
+        } else {
+          cb({}, headStatus);
+        }
+      }
+    };
+    
+    expected = {};
+    
+    test.ok(admin, 'IndexAdmin exists');
+    test.ok(admin._self(), '_self() works');
+    test.deepEqual(admin.indices(), ['i1']);
+    doTest();
+    
+    admin.indices('i2');
+    test.deepEqual(admin.indices(), ['i1', 'i2']);
+    
+    admin.indices(['i3']);
+    test.deepEqual(admin.indices(), ['i3']);
+    
+    test.deepEqual(ejs.IndexAdmin(['a', 'b']).indices(), ['a', 'b']);
+    test.deepEqual(ejs.IndexAdmin().indices(), []);
+    
+    admin.settings({number_of_shards: 3});
+    expected.settings = {number_of_shards: 3};
+    doTest();
+    
+    admin.numberOfShards(5);
+    expected.settings.number_of_shards = 5;
+    test.strictEqual(admin.numberOfShards(), 5);
+    doTest();
+    
+    admin.numberOfReplicas(2);
+    expected.settings.number_of_replicas = 2;
+    test.strictEqual(admin.numberOfReplicas(), 2);
+    doTest();
+    
+    admin.analysis(ejs.Analysis().analyzer(ejs.CustomAnalyzer('a1')
+      .tokenizer('standard').filter('lowercase')));
+    expected.settings.analysis = {
+      analyzer: {
+        a1: {type: 'custom', tokenizer: 'standard', filter: ['lowercase']}
+      }
+    };
+    test.ok(admin.analysis(), 'analysis() works');
+    doTest();
+    
+    admin.mapping('t1', {properties: {f1: {type: 'string'}}});
+    expected.mappings = {t1: {properties: {f1: {type: 'string'}}}};
+    test.deepEqual(admin.mapping('t1'), {properties: {f1: {type: 'string'}}});
+    doTest();
+    
+    admin.mapping('t2', {_all: {enabled: false}});
+    expected.mappings.t2 = {_all: {enabled: false}};
+    test.deepEqual(admin.mappings(), expected.mappings);
+    doTest();
+    
+    admin.mapping(ejs.Mapping('t3').field(ejs.DateField('d1')));
+    expected.mappings.t3 = {properties: {d1: {type: 'date'}}};
+    doTest();
+    
+    admin.timeout('5s');
+    test.strictEqual(admin.timeout(), '5s');
+    doTest();
+    
+    admin.masterTimeout('10s');
+    test.strictEqual(admin.masterTimeout(), '10s');
+    doTest();
+    
+    admin.force(true);
+    test.strictEqual(admin.force(), true);
+    
+    admin.full(false);
+    test.strictEqual(admin.full(), false);
+    
+    admin.maxNumSegments(1);
+    test.strictEqual(admin.maxNumSegments(), 1);
+    
+    admin.onlyExpungeDeletes(true);
+    test.strictEqual(admin.onlyExpungeDeletes(), true);
+    
+    admin.flush(false);
+    test.strictEqual(admin.flush(), false);
+    
+    admin.waitForMerge(true);
+    test.strictEqual(admin.waitForMerge(), true);
+    doTest();
+    
+    test.strictEqual(admin._type(), 'index admin');
+    test.strictEqual(admin.toString(), JSON.stringify(expected));
+    
+    expectedMethod = 'put';
+    expectedPath = '/i3?timeout=5s&master_timeout=10s';
+    expectedData = JSON.stringify(expected);
+    admin.doCreate();
+    
+    expectedMethod = 'delete';
+    expectedPath = '/i3?timeout=5s&master_timeout=10s';
+    expectedData = '';
+    admin.doDelete();
+    
+    test.throws(function () {
+      admin.doUpdateSettings();
+    }, /Setting "index.number_of_shards" is not dynamic/);
+
+    mapped = ejs.IndexAdmin('i3').masterTimeout('10s').numberOfReplicas(2)
+      .analysis(admin.analysis());
+    expectedMethod = 'put';
+    expectedPath = '/i3/_settings?master_timeout=10s';
+    expectedData = JSON.stringify({number_of_replicas: 2,
+      analysis: expected.settings.analysis});
+    mapped.doUpdateSettings();
+    
+    admin.analysis().analyzer(ejs.CustomAnalyzer('a2').tokenizer('t1'));
+    expected.settings.analysis.analyzer.a2 = {type: 'custom', tokenizer: 't1'};
+    test.throws(function () {
+      admin.doCreate();
+    }, /Unknown tokenizer "t1" referenced by "a2"/);
+    
+    test.throws(function () {
+      admin.doUpdateSettings();
+    }, /Unknown tokenizer "t1" referenced by "a2"/);
+    
+    mapped = ejs.IndexAdmin('i5')
+      .analysis(ejs.Analysis().analyzer(ejs.CustomAnalyzer('a1')
+        .tokenizer('standard')))
+      .mapping('t1', {properties: {f1: {type: 'string', analyzer: 'a2'}}});
+    test.throws(function () {
+      mapped.doCreate();
+    }, /Unknown analyzer "a2" referenced by "f1"/);
+    
+    mapped.mapping('t1', {properties: {f1: {type: 'string', analyzer: 'a1'}}});
+    expectedMethod = 'put';
+    expectedPath = '/i5';
+    expectedData = mapped.toString();
+    mapped.doCreate();
+    
+    test.throws(function () {
+      admin.analysis({});
+    }, TypeError);
+    
+    test.throws(function () {
+      ejs.IndexAdmin('i4').doUpdateSettings();
+    }, Error);
+    
+    expectedMethod = 'post';
+    expectedPath = '/i3/_open?timeout=5s&master_timeout=10s';
+    admin.doOpen();
+    
+    expectedMethod = 'post';
+    expectedPath = '/i3/_close?timeout=5s&master_timeout=10s';
+    admin.doClose();
+    
+    expectedMethod = 'post';
+    expectedPath = '/i3/_refresh';
+    admin.doRefresh();
+    
+    expectedMethod = 'post';
+    expectedPath = '/i3/_flush?force=true&full=false';
+    admin.doFlush();
+    
+    expectedMethod = 'post';
+    expectedPath = '/i3/_optimize?max_num_segments=1&' +
+      'only_expunge_deletes=true&flush=false&wait_for_merge=true';
+    admin.doOptimize();
+    
+    expectedMethod = 'head';
+    expectedPath = '/i3';
+    admin.doExists(function (exists) {
+      existsResult = exists;
+    });
+    test.strictEqual(existsResult, true);
+    
+    headStatus = 404;
+    admin.doExists(function (exists) {
+      existsResult = exists;
+    });
+    test.strictEqual(existsResult, false);
+    
+    headError = {status: 404};
+    existsResult = null;
+    admin.doExists(function (exists) {
+      existsResult = exists;
+    });
+    test.strictEqual(existsResult, false);
+    
+    headError = {status: 500};
+    admin.doExists(function (exists) {
+      existsResult = exists;
+    }, function (error) {
+      existsResult = error;
+    });
+    test.deepEqual(existsResult, {status: 500});
+    
+    admin.indices([]);
+    expectedPath = '/_refresh';
+    admin.doRefresh();
+    
+    test.throws(function () {
+      admin.doDelete();
+    }, Error);
+    
+    admin.indices(['i1', 'i2']);
+    test.throws(function () {
+      admin.doCreate();
+    }, Error);
+    
+    test.throws(function () {
+      admin.indices(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      ejs.IndexAdmin(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      admin.settings('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      admin.mapping('t1', 'invalid');
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      admin.doRefresh();
+    }, Error);
+    
+    test.done();
+  },
+  Analyze: function (test) {
+    test.expect(36);
+
+    var analyze = ejs.Analyze('The Quick fox'),
+      expected,
+      tokens,
+      response,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      doTest = function (method, path, data, cb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        test.deepEqual(analyze._self(), expected);
+        
+        if (cb != null) {
+          cb(response);
+        }
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+      }
+    };
+    
+    expected = {
+      text: 'The Quick fox'
+    };
+    
+    test.ok(analyze, 'Analyze exists');
+    test.ok(analyze._self(), '_self() works');
+    doTest();
+    
+    analyze.text('quick brown');
+    expected.text = 'quick brown';
+    test.strictEqual(analyze.text(), 'quick brown');
+    doTest();
+    
+    response = {
+      tokens: [
+        {token: 'quick', start_offset: 0, end_offset: 5, type: '<ALPHANUM>', position: 1},
+        {token: 'brown', start_offset: 6, end_offset: 11, type: '<ALPHANUM>', position: 2}
+      ]
+    };
+    
+    expectedPath = '/_analyze';
+    expectedData = 'quick brown';
+    analyze.doAnalyze(function (t) {
+      tokens = t;
+    });
+    test.deepEqual(tokens, [
+      {term: 'quick', startOffset: 0, endOffset: 5, position: 1, type: '<ALPHANUM>'},
+      {term: 'brown', startOffset: 6, endOffset: 11, position: 2, type: '<ALPHANUM>'}
+    ]);
+    
+    analyze.analyzer('standard');
+    expected.analyzer = 'standard';
+    test.strictEqual(analyze.analyzer(), 'standard');
+    doTest();
+    
+    analyze.index('i1');
+    expected.index = 'i1';
+    test.strictEqual(analyze.index(), 'i1');
+    doTest();
+    
+    expectedPath = '/i1/_analyze?analyzer=standard';
+    analyze.doAnalyze(function () {});
+    
+    analyze.field('f1');
+    expected.field = 'f1';
+    doTest();
+    
+    analyze.tokenizer('keyword');
+    expected.tokenizer = 'keyword';
+    doTest();
+    
+    test.deepEqual(analyze.filters(), []);
+    expected.filters = [];
+    
+    expectedPath = '/i1/_analyze?analyzer=standard&field=f1&tokenizer=keyword';
+    analyze.doAnalyze(function () {});
+    
+    analyze.filters('lowercase');
+    expected.filters.push('lowercase');
+    doTest();
+    
+    analyze.filters(['lowercase', 'stop']);
+    expected.filters = ['lowercase', 'stop'];
+    doTest();
+    
+    analyze.charFilters('html_strip');
+    expected.char_filters = ['html_strip'];
+    doTest();
+    
+    analyze.charFilters(['mapping']);
+    expected.char_filters = ['mapping'];
+    doTest();
+    
+    analyze.preferLocal(false);
+    expected.prefer_local = false;
+    doTest();
+    
+    expectedPath = '/i1/_analyze?analyzer=standard&field=f1&tokenizer=keyword' +
+      '&filters=lowercase%2Cstop&char_filters=mapping&prefer_local=false';
+    analyze.doAnalyze(function () {});
+    
+    response = {error: 'ElasticSearchIllegalArgumentException[failed to find analyzer]', status: 400};
+    analyze.doAnalyze(function (t) {
+      tokens = t;
+    }, function (error) {
+      tokens = error;
+    });
+    test.deepEqual(tokens, response);
+    
+    test.strictEqual(analyze._type(), 'analyze');
+    test.strictEqual(analyze.toString(), JSON.stringify(expected));
+    
+    test.throws(function () {
+      ejs.Analyze('text').field('f1').doAnalyze();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Analyze().doAnalyze();
+    }, Error);
+    
+    test.throws(function () {
+      analyze.filters(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      analyze.charFilters(2);
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      analyze.doAnalyze();
+    }, Error);
+    
+    test.done();
+  },
+  Aliases: function (test) {
+    test.expect(37);
+
+    var aliases = ejs.Aliases(),
+      termFilter = ejs.TermFilter('user', 'kimchy'),
+      expected,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(aliases._self(), expected);
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data, cb) {
+        doTest('get', path, data, cb);
+      },
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+      }
+    };
+    
+    expected = {
+      actions: []
+    };
+    
+    test.ok(aliases, 'Aliases exists');
+    test.ok(aliases._self(), '_self() works');
+    doTest();
+    
+    aliases.remove('logs-2013.06.01', 'logs');
+    expected.actions.push({remove: {index: 'logs-2013.06.01', alias: 'logs'}});
+    doTest();
+    
+    aliases.add('logs-2013.06.02', 'logs');
+    expected.actions.push({add: {index: 'logs-2013.06.02', alias: 'logs'}});
+    doTest();
+    
+    aliases.add('users', 'kimchy', {
+      filter: termFilter,
+      routing: '1'
+    });
+    expected.actions.push({add: {
+      index: 'users',
+      alias: 'kimchy',
+      filter: termFilter._self(),
+      routing: '1'
+    }});
+    doTest();
+    
+    aliases.add('users', 'shay', {
+      indexRouting: '2',
+      searchRouting: '2,3'
+    });
+    expected.actions.push({add: {
+      index: 'users',
+      alias: 'shay',
+      index_routing: '2',
+      search_routing: '2,3'
+    }});
+    doTest();
+    
+    test.deepEqual(aliases.actions(), expected.actions);
+    
+    aliases.timeout('5s');
+    test.strictEqual(aliases.timeout(), '5s');
+    doTest();
+    
+    aliases.masterTimeout('10s');
+    test.strictEqual(aliases.masterTimeout(), '10s');
+    doTest();
+    
+    test.strictEqual(aliases._type(), 'aliases');
+    test.strictEqual(aliases.toString(), JSON.stringify(expected));
+    
+    expectedMethod = 'post';
+    expectedPath = '/_aliases?timeout=5s&master_timeout=10s';
+    expectedData = JSON.stringify(expected);
+    aliases.doUpdate();
+    
+    expectedMethod = 'get';
+    expectedPath = '/_aliases';
+    aliases.doGet();
+    
+    aliases.indices('users');
+    test.deepEqual(aliases.indices(), ['users']);
+    expectedPath = '/users/_aliases';
+    aliases.doGet();
+    
+    aliases.names('kimchy');
+    test.deepEqual(aliases.names(), ['kimchy']);
+    expectedPath = '/users/_alias/kimchy';
+    aliases.doGet();
+    
+    aliases.names(['kimchy', 'shay']);
+    aliases.indices([]);
+    expectedPath = '/_alias/kimchy,shay';
+    aliases.doGet();
+    
+    aliases.clear();
+    expected.actions = [];
+    doTest();
+    
+    test.throws(function () {
+      aliases.doUpdate();
+    }, Error);
+    
+    test.throws(function () {
+      aliases.add('users');
+    }, Error);
+    
+    test.throws(function () {
+      aliases.remove(null, 'logs');
+    }, Error);
+    
+    test.throws(function () {
+      aliases.add('users', 'a1', {filter: ejs.TermQuery('f', 't')});
+    }, TypeError);
+    
+    test.throws(function () {
+      aliases.indices(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      aliases.names(2);
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      aliases.doGet();
+    }, Error);
+    
+    test.done();
+  },
+  IndexTemplate: function (test) {
+    test.expect(60);
+
+    var tmpl = ejs.IndexTemplate('logs'),
+      termFilter = ejs.TermFilter('level', 'error'),
+      expected,
+      preview,
+      response,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data, cb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(tmpl._self(), expected);
+        
+        if (cb != null && response != null) {
+          cb(response);
+        }
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data, cb) {
+        doTest('get', path, data, cb);
+      },
+      put: function (path, data, cb) {
+        doTest('put', path, data, cb);
+      },
+      del: function (path, data, cb) {
+        doTest('delete', path, data, cb);
+      }
+    };
+    
+    expected = {};
+    
+    test.ok(tmpl, 'IndexTemplate exists');
+    test.ok(tmpl._self(), '_self() works');
+    test.strictEqual(tmpl.name(), 'logs');
+    doTest();
+    
+    tmpl.template('logs-*');
+    expected.template = 'logs-*';
+    test.strictEqual(tmpl.template(), 'logs-*');
+    doTest();
+    
+    tmpl.order(1);
+    expected.order = 1;
+    test.strictEqual(tmpl.order(), 1);
+    doTest();
+    
+    tmpl.settings({refresh_interval: '5s'});
+    expected.settings = {refresh_interval: '5s'};
+    doTest();
+    
+    tmpl.numberOfShards(2);
+    expected.settings.number_of_shards = 2;
+    test.strictEqual(tmpl.numberOfShards(), 2);
+    doTest();
+    
+    tmpl.numberOfReplicas(0);
+    expected.settings.number_of_replicas = 0;
+    test.strictEqual(tmpl.numberOfReplicas(), 0);
+    doTest();
+    
+    tmpl.analysis(ejs.Analysis().analyzer(ejs.CustomAnalyzer('a1')
+      .tokenizer('keyword')));
+    expected.settings.analysis = {
+      analyzer: {a1: {type: 'custom', tokenizer: 'keyword'}}
+    };
+    test.ok(tmpl.analysis(), 'analysis() works');
+    doTest();
+    
+    tmpl.mapping('event', {_all: {enabled: false}});
+    expected.mappings = {event: {_all: {enabled: false}}};
+    test.deepEqual(tmpl.mapping('event'), {_all: {enabled: false}});
+    doTest();
+    
+    tmpl.mapping(ejs.Mapping('access').field(ejs.StringField('path')));
+    expected.mappings.access = {properties: {path: {type: 'string'}}};
+    doTest();
+    
+    tmpl.alias('all-logs');
+    expected.aliases = {'all-logs': {}};
+    doTest();
+    
+    tmpl.alias('errors', {
+      filter: termFilter,
+      routing: '1',
+      indexRouting: '2',
+      searchRouting: '3'
+    });
+    expected.aliases.errors = {
+      filter: termFilter._self(),
+      routing: '1',
+      index_routing: '2',
+      search_routing: '3'
+    };
+    test.deepEqual(tmpl.alias(), expected.aliases);
+    doTest();
+    
+    tmpl.create(true);
+    test.strictEqual(tmpl.create(), true);
+    doTest();
+    
+    test.strictEqual(tmpl._type(), 'index template');
+    test.strictEqual(tmpl.toString(), JSON.stringify(expected));
+    
+    expectedMethod = 'put';
+    expectedPath = '/_template/logs?create=true';
+    expectedData = JSON.stringify(expected);
+    tmpl.doPut();
+    
+    expectedMethod = 'get';
+    expectedPath = '/_template/logs';
+    tmpl.doGet();
+    
+    expectedMethod = 'delete';
+    expectedPath = '/_template/logs';
+    tmpl.doDelete();
+    
+    response = {
+      base: {
+        template: '*',
+        order: 0,
+        settings: {'index.number_of_shards': '5', 'index.refresh_interval': '1s'},
+        mappings: {event: {_all: {enabled: true}, _source: {compress: true}}},
+        aliases: {}
+      },
+      logs: {
+        template: 'logs-*',
+        order: 0,
+        settings: {'index.number_of_shards': '1'},
+        mappings: {},
+        aliases: {}
+      },
+      metrics: {
+        template: 'metrics-*',
+        order: 2,
+        settings: {'index.number_of_shards': '3'},
+        mappings: {},
+        aliases: {}
+      },
+      daily: {
+        template: 'logs-2014.*',
+        order: 5,
+        settings: {'index.number_of_replicas': '2'},
+        mappings: {},
+        aliases: {daily: {}}
+      },
+      nested: {
+        template: 'nested-*',
+        order: 1,
+        settings: {index: {number_of_replicas: '1', analysis: {
+          analyzer: {a3: {type: 'keyword'}}
+        }}},
+        mappings: {},
+        aliases: {}
+      }
+    };
+    
+    expectedMethod = 'get';
+    expectedPath = '/_template';
+    tmpl.doPreview('logs-2013.06.01', function (p) {
+      preview = p;
+    });
+    test.deepEqual(preview.templates, [
+      {name: 'base', template: '*', order: 0},
+      {name: 'logs', template: 'logs-*', order: 1}
+    ]);
+    test.deepEqual(preview.settings, {
+      'index.number_of_shards': 2,
+      'index.refresh_interval': '5s',
+      'index.number_of_replicas': 0,
+      'index.analysis.analyzer.a1.type': 'custom',
+      'index.analysis.analyzer.a1.tokenizer': 'keyword'
+    });
+    test.deepEqual(preview.mappings, {
+      event: {_all: {enabled: false}, _source: {compress: true}},
+      access: {properties: {path: {type: 'string'}}}
+    });
+    test.deepEqual(preview.aliases, expected.aliases);
+    test.strictEqual(preview.index, 'logs-2013.06.01');
+    test.deepEqual(response.base.mappings.event._all, {enabled: true});
+    
+    tmpl.doPreview('metrics-1', function (p) {
+      preview = p;
+    });
+    test.deepEqual(preview.templates, [
+      {name: 'base', template: '*', order: 0},
+      {name: 'metrics', template: 'metrics-*', order: 2}
+    ]);
+    
+    tmpl.order(10);
+    expected.order = 10;
+    tmpl.doPreview('logs-2014.01.01', function (p) {
+      preview = p;
+    });
+    test.deepEqual(preview.templates, [
+      {name: 'base', template: '*', order: 0},
+      {name: 'daily', template: 'logs-2014.*', order: 5},
+      {name: 'logs', template: 'logs-*', order: 10}
+    ]);
+    
+    // nested index settings are not prefixed twice
+    tmpl.doPreview('nested-1', function (p) {
+      preview = p;
+    });
+    test.deepEqual(preview.settings, {
+      'index.number_of_shards': '5',
+      'index.refresh_interval': '1s',
+      'index.number_of_replicas': '1',
+      'index.analysis.analyzer.a3.type': 'keyword'
+    });
+    
+    response = {error: 'failed', status: 500};
+    tmpl.doPreview('logs-1', function (p) {
+      preview = p;
+    }, function (error) {
+      preview = error;
+    });
+    test.deepEqual(preview, response);
+    response = null;
+    
+    tmpl.analysis().analyzer(ejs.CustomAnalyzer('a2').tokenizer('t1'));
+    test.throws(function () {
+      tmpl.doPut();
+    }, /Unknown tokenizer "t1" referenced by "a2"/);
+    
+    test.throws(function () {
+      ejs.IndexTemplate('t').doPut();
+    }, Error);
+    
+    test.throws(function () {
+      tmpl.doPreview();
+    }, Error);
+    
+    test.throws(function () {
+      tmpl.settings('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      tmpl.analysis({});
+    }, TypeError);
+    
+    test.throws(function () {
+      tmpl.mapping('t1', 'invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      tmpl.alias('a1', {filter: 'invalid'});
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      tmpl.doGet();
+    }, Error);
+    
+    test.done();
+  },
+  IndexSettings: function (test) {
+    test.expect(48);
+
+    var is = ejs.IndexSettings('logs'),
+      expected,
+      response,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data, cb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(is._self(), expected);
+        
+        if (cb != null && response != null) {
+          cb(response);
+        }
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data, cb) {
+        doTest('get', path, data, cb);
+      },
+      put: function (path, data, cb) {
+        doTest('put', path, data, cb);
+      }
+    };
+    
+    expected = {};
+    
+    test.ok(is, 'IndexSettings exists');
+    test.ok(is._self(), '_self() works');
+    test.deepEqual(is.indices(), ['logs']);
+    doTest();
+    
+    is.indices('events');
+    test.deepEqual(is.indices(), ['logs', 'events']);
+    
+    is.indices(['logs']);
+    test.deepEqual(is.indices(), ['logs']);
+    
+    is.numberOfReplicas(0);
+    expected['index.number_of_replicas'] = 0;
+    test.strictEqual(is.numberOfReplicas(), 0);
+    doTest();
+    
+    is.autoExpandReplicas('0-all');
+    expected['index.auto_expand_replicas'] = '0-all';
+    test.strictEqual(is.autoExpandReplicas(), '0-all');
+    doTest();
+    
+    is.refreshInterval(-1);
+    expected['index.refresh_interval'] = -1;
+    test.strictEqual(is.refreshInterval(), -1);
+    doTest();
+    
+    is.blocksReadOnly(false);
+    expected['index.blocks.read_only'] = false;
+    test.strictEqual(is.blocksReadOnly(), false);
+    doTest();
+    
+    is.blocksRead(true);
+    expected['index.blocks.read'] = true;
+    test.strictEqual(is.blocksRead(), true);
+    doTest();
+    
+    is.blocksWrite(true);
+    expected['index.blocks.write'] = true;
+    test.strictEqual(is.blocksWrite(), true);
+    doTest();
+    
+    is.blocksMetadata(false);
+    expected['index.blocks.metadata'] = false;
+    test.strictEqual(is.blocksMetadata(), false);
+    doTest();
+    
+    is.setting('gc_deletes', '30s');
+    expected['index.gc_deletes'] = '30s';
+    test.strictEqual(is.setting('gc_deletes'), '30s');
+    test.strictEqual(is.setting('index.gc_deletes'), '30s');
+    doTest();
+    
+    is.settings({
+      index: {translog: {disable_flush: true}},
+      routing: {allocation: {include: {zone: 'a'}}},
+      'index.merge.policy.max_merge_at_once': 5
+    });
+    expected['index.translog.disable_flush'] = true;
+    expected['index.routing.allocation.include.zone'] = 'a';
+    expected['index.merge.policy.max_merge_at_once'] = 5;
+    test.deepEqual(is.settings(), expected);
+    doTest();
+    
+    test.strictEqual(is.validate(), is);
+    
+    is.masterTimeout('5s');
+    test.strictEqual(is.masterTimeout(), '5s');
+    doTest();
+    
+    test.strictEqual(is._type(), 'index settings');
+    test.strictEqual(is.toString(), JSON.stringify(expected));
+    
+    expectedMethod = 'put';
+    expectedPath = '/logs/_settings?master_timeout=5s';
+    expectedData = JSON.stringify(expected);
+    is.doUpdate();
+    
+    expectedMethod = 'get';
+    expectedPath = '/logs/_settings';
+    is.doGet();
+    
+    expectedMethod = 'get';
+    expectedPath = '/_settings';
+    ejs.IndexSettings().doGet();
+    
+    is.setting('number_of_shards', 2);
+    test.throws(function () {
+      is.doUpdate();
+    }, /Setting "index.number_of_shards" is not dynamic/);
+    
+    test.throws(function () {
+      ejs.IndexSettings('logs')
+        .settings({analysis: {analyzer: {a1: {type: 'standard'}}}})
+        .validate();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.IndexSettings('logs').setting('store.type', 'memory').validate();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.IndexSettings('logs').doUpdate();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.IndexSettings(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      is.indices(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      is.settings('invalid');
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      is.doGet();
+    }, Error);
+    
+    test.done();
+  },
+  Warmer: function (test) {
+    test.expect(45);
+
+    var warmer = ejs.Warmer('w1'),
+      request = ejs.Request({indices: 'logs', types: 'event'})
+        .query(ejs.TermQuery('level', 'error'))
+        .facet(ejs.TermsFacet('hosts').field('host'))
+        .sort('timestamp', 'desc'),
+      expected,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(warmer._self(), expected);
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data) {
+        doTest('get', path, data);
+      },
+      put: function (path, data) {
+        doTest('put', path, data);
+      },
+      del: function (path, data) {
+        doTest('delete', path, data);
+      }
+    };
+    
+    expected = {};
+    
+    test.ok(warmer, 'Warmer exists');
+    test.ok(warmer._self(), '_self() works');
+    test.strictEqual(warmer.name(), 'w1');
+    test.strictEqual(warmer.request(), null);
+    doTest();
+    
+    warmer.request(request);
+    expected = request._self();
+    test.strictEqual(warmer.request(), request);
+    doTest();
+    
+    test.strictEqual(warmer._type(), 'warmer');
+    test.strictEqual(warmer.toString(), JSON.stringify(expected));
+    
+    // indices and types come from the request
+    expectedMethod = 'put';
+    expectedPath = '/logs/event/_warmer/w1';
+    expectedData = JSON.stringify(expected);
+    warmer.doPut();
+    
+    // changes to the request are picked up by the warmer
+    request.size(20);
+    expectedData = JSON.stringify(request._self());
+    warmer.doPut();
+    
+    expectedMethod = 'get';
+    expectedPath = '/logs/_warmer/w1';
+    warmer.doGet();
+    
+    expectedMethod = 'delete';
+    expectedPath = '/logs/_warmer/w1';
+    warmer.doDelete();
+    
+    warmer.indices('logs-1');
+    test.deepEqual(warmer.indices(), ['logs-1']);
+    
+    warmer.indices('logs-2');
+    test.deepEqual(warmer.indices(), ['logs-1', 'logs-2']);
+    
+    warmer.types(['event', 'access']);
+    test.deepEqual(warmer.types(), ['event', 'access']);
+    
+    warmer.types('audit');
+    test.deepEqual(warmer.types(), ['event', 'access', 'audit']);
+    
+    expectedMethod = 'put';
+    expectedPath = '/logs-1,logs-2/event,access,audit/_warmer/w1';
+    warmer.doPut();
+    
+    warmer.name('w2');
+    test.strictEqual(warmer.name(), 'w2');
+    expectedMethod = 'delete';
+    expectedPath = '/logs-1,logs-2/_warmer/w2';
+    warmer.doDelete();
+    
+    expectedMethod = 'get';
+    expectedPath = '/logs/_warmer';
+    ejs.Warmer().indices('logs').doGet();
+    
+    expectedPath = '/_warmer';
+    ejs.Warmer().doGet();
+    
+    test.throws(function () {
+      ejs.Warmer().indices('logs').request(request).doPut();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Warmer('w1').request(ejs.Request()).doPut();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Warmer('w1').indices('logs').doPut();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Warmer('w1').doDelete();
+    }, Error);
+    
+    test.throws(function () {
+      warmer.request('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      warmer.indices(2);
+    }, TypeError);
+    
+    test.throws(function () {
+      warmer.types(2);
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      warmer.doGet();
+    }, Error);
+    
     test.done();
   }
 };
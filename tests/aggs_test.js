@@ -0,0 +1,1476 @@
+/*global require:true */
+'use strict';
+
+var ejs = require('../dist/elastic.js');
+
+/*
+  ======== A Handy Little Nodeunit Reference ========
+  https://github.com/caolan/nodeunit
+
+  Test methods:
+    test.expect(numAssertions)
+    test.done()
+  Test assertions:
+    test.ok(value, [message])
+    test.equal(actual, expected, [message])
+    test.notEqual(actual, expected, [message])
+    test.deepEqual(actual, expected, [message])
+    test.notDeepEqual(actual, expected, [message])
+    test.strictEqual(actual, expected, [message])
+    test.notStrictEqual(actual, expected, [message])
+    test.throws(block, [error], [message])
+    test.doesNotThrow(block, [error], [message])
+    test.ifError(value)
+*/
+
+exports.aggs = {
+  setUp: function (done) {
+    done();
+  },
+  exists: function (test) {
+    test.expect(26);
+
+    test.ok(ejs.AggregationMixin, 'AggregationMixin');
+    test.ok(ejs.MetricsAggregationMixin, 'MetricsAggregationMixin');
+    test.ok(ejs.TermsAggregation, 'TermsAggregation');
+    test.ok(ejs.RangeAggregation, 'RangeAggregation');
+    test.ok(ejs.DateRangeAggregation, 'DateRangeAggregation');
+    test.ok(ejs.HistogramAggregation, 'HistogramAggregation');
+    test.ok(ejs.DateHistogramAggregation, 'DateHistogramAggregation');
+    test.ok(ejs.StatsAggregation, 'StatsAggregation');
+    test.ok(ejs.ExtendedStatsAggregation, 'ExtendedStatsAggregation');
+    test.ok(ejs.MinAggregation, 'MinAggregation');
+    test.ok(ejs.MaxAggregation, 'MaxAggregation');
+    test.ok(ejs.SumAggregation, 'SumAggregation');
+    test.ok(ejs.AvgAggregation, 'AvgAggregation');
+    test.ok(ejs.ValueCountAggregation, 'ValueCountAggregation');
+    test.ok(ejs.CardinalityAggregation, 'CardinalityAggregation');
+    test.ok(ejs.PercentilesAggregation, 'PercentilesAggregation');
+    test.ok(ejs.FilterAggregation, 'FilterAggregation');
+    test.ok(ejs.FiltersAggregation, 'FiltersAggregation');
+    test.ok(ejs.MissingAggregation, 'MissingAggregation');
+    test.ok(ejs.NestedAggregation, 'NestedAggregation');
+    test.ok(ejs.ReverseNestedAggregation, 'ReverseNestedAggregation');
+    test.ok(ejs.GlobalAggregation, 'GlobalAggregation');
+    test.ok(ejs.GeoDistanceAggregation, 'GeoDistanceAggregation');
+    test.ok(ejs.GeohashGridAggregation, 'GeohashGridAggregation');
+    test.ok(ejs.TopHitsAggregation, 'TopHitsAggregation');
+    test.ok(ejs.FacetConverter, 'FacetConverter');
+
+    test.done();
+  },
+  AggregationMixin: function (test) {
+    test.expect(10);
+
+    var agg = ejs.AggregationMixin('myagg', 'terms'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        terms: {}
+      }
+    };
+
+    test.ok(agg, 'AggregationMixin exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.agg(ejs.AvgAggregation('avg_price').field('price'));
+    expected.myagg.aggs = {
+      avg_price: {avg: {field: 'price'}}
+    };
+    doTest();
+
+    agg.agg(ejs.TermsAggregation('colors').field('color')
+      .agg(ejs.MaxAggregation('max_price').field('price')));
+    expected.myagg.aggs.colors = {
+      terms: {field: 'color'},
+      aggs: {
+        max_price: {max: {field: 'price'}}
+      }
+    };
+    doTest();
+
+    test.deepEqual(agg.agg(), expected.myagg.aggs);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      agg.agg('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      agg.agg(ejs.TermsFacet('f'));
+    }, TypeError);
+
+    test.done();
+  },
+  MetricsAggregationMixin: function (test) {
+    test.expect(10);
+
+    var agg = ejs.MetricsAggregationMixin('myagg', 'sum'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        sum: {}
+      }
+    };
+
+    test.ok(agg, 'MetricsAggregationMixin exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.sum.field = 'price';
+    doTest();
+
+    agg.script('_value * 2');
+    expected.myagg.sum.script = '_value * 2';
+    doTest();
+
+    agg.lang('mvel');
+    expected.myagg.sum.lang = 'mvel';
+    doTest();
+
+    agg.params({p: 1});
+    expected.myagg.sum.params = {p: 1};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  TermsAggregation: function (test) {
+    test.expect(20);
+
+    var agg = ejs.TermsAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        terms: {}
+      }
+    };
+
+    test.ok(agg, 'TermsAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('tags');
+    expected.myagg.terms.field = 'tags';
+    doTest();
+
+    agg.script('_value.toLowerCase()');
+    expected.myagg.terms.script = '_value.toLowerCase()';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.terms.lang = 'js';
+    doTest();
+
+    agg.params({p: 1});
+    expected.myagg.terms.params = {p: 1};
+    doTest();
+
+    agg.size(5);
+    expected.myagg.terms.size = 5;
+    doTest();
+
+    agg.shardSize(20);
+    expected.myagg.terms.shard_size = 20;
+    doTest();
+
+    agg.minDocCount(2);
+    expected.myagg.terms.min_doc_count = 2;
+    doTest();
+
+    agg.order('_term');
+    expected.myagg.terms.order = {_term: 'desc'};
+    doTest();
+
+    agg.order('_count', 'ASC');
+    expected.myagg.terms.order = {_count: 'asc'};
+    doTest();
+
+    agg.order('_count', 'INVALID');
+    doTest();
+
+    agg.include('.*sport.*');
+    expected.myagg.terms.include = '.*sport.*';
+    doTest();
+
+    agg.exclude('water_.*');
+    expected.myagg.terms.exclude = 'water_.*';
+    doTest();
+
+    agg.agg(ejs.AvgAggregation('avg_price').field('price'));
+    expected.myagg.aggs = {avg_price: {avg: {field: 'price'}}};
+    doTest();
+
+    agg.order('avg_price', 'desc');
+    expected.myagg.terms.order = {avg_price: 'desc'};
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      agg.agg('invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  RangeAggregation: function (test) {
+    test.expect(15);
+
+    var agg = ejs.RangeAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        range: {}
+      }
+    };
+
+    test.ok(agg, 'RangeAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.range.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.range.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.range.lang = 'js';
+    doTest();
+
+    agg.params({rate: 2});
+    expected.myagg.range.params = {rate: 2};
+    doTest();
+
+    agg.addRange(0, 50);
+    expected.myagg.range.ranges = [{from: 0, to: 50}];
+    doTest();
+
+    agg.addRange(50, 100, 'middle');
+    expected.myagg.range.ranges.push({from: 50, to: 100, key: 'middle'});
+    doTest();
+
+    agg.addUnboundedTo(0);
+    expected.myagg.range.ranges.push({to: 0});
+    doTest();
+
+    agg.addUnboundedFrom(100, 'high');
+    expected.myagg.range.ranges.push({from: 100, key: 'high'});
+    doTest();
+
+    test.deepEqual(agg.addRange(), expected.myagg.range.ranges);
+
+    agg.keyed(true);
+    expected.myagg.range.keyed = true;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  DateRangeAggregation: function (test) {
+    test.expect(16);
+
+    var agg = ejs.DateRangeAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        date_range: {}
+      }
+    };
+
+    test.ok(agg, 'DateRangeAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.date_range.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.date_range.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.date_range.lang = 'js';
+    doTest();
+
+    agg.params({rate: 2});
+    expected.myagg.date_range.params = {rate: 2};
+    doTest();
+
+    agg.format('MM-yyyy');
+    expected.myagg.date_range.format = 'MM-yyyy';
+    doTest();
+
+    agg.addRange('now-10M/M', 'now');
+    expected.myagg.date_range.ranges = [{from: 'now-10M/M', to: 'now'}];
+    doTest();
+
+    agg.addRange('01-2014', '06-2014', 'middle');
+    expected.myagg.date_range.ranges.push({from: '01-2014', to: '06-2014', key: 'middle'});
+    doTest();
+
+    agg.addUnboundedTo('now-10M/M');
+    expected.myagg.date_range.ranges.push({to: 'now-10M/M'});
+    doTest();
+
+    agg.addUnboundedFrom('06-2014', 'high');
+    expected.myagg.date_range.ranges.push({from: '06-2014', key: 'high'});
+    doTest();
+
+    test.deepEqual(agg.addRange(), expected.myagg.date_range.ranges);
+
+    agg.keyed(true);
+    expected.myagg.date_range.keyed = true;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  HistogramAggregation: function (test) {
+    test.expect(16);
+
+    var agg = ejs.HistogramAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        histogram: {}
+      }
+    };
+
+    test.ok(agg, 'HistogramAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.histogram.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.histogram.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.histogram.lang = 'js';
+    doTest();
+
+    agg.params({rate: 2});
+    expected.myagg.histogram.params = {rate: 2};
+    doTest();
+
+    agg.interval(50);
+    expected.myagg.histogram.interval = 50;
+    doTest();
+
+    agg.minDocCount(0);
+    expected.myagg.histogram.min_doc_count = 0;
+    doTest();
+
+    agg.extendedBounds(0, 500);
+    expected.myagg.histogram.extended_bounds = {min: 0, max: 500};
+    doTest();
+
+    agg.extendedBounds(null, 500);
+    expected.myagg.histogram.extended_bounds = {max: 500};
+    doTest();
+
+    agg.order('_key');
+    expected.myagg.histogram.order = {_key: 'desc'};
+    doTest();
+
+    agg.order('_count', 'asc');
+    expected.myagg.histogram.order = {_count: 'asc'};
+    doTest();
+
+    agg.keyed(true);
+    expected.myagg.histogram.keyed = true;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  DateHistogramAggregation: function (test) {
+    test.expect(19);
+
+    var agg = ejs.DateHistogramAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        date_histogram: {}
+      }
+    };
+
+    test.ok(agg, 'DateHistogramAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.date_histogram.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.date_histogram.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.date_histogram.lang = 'js';
+    doTest();
+
+    agg.params({rate: 2});
+    expected.myagg.date_histogram.params = {rate: 2};
+    doTest();
+
+    agg.interval('month');
+    expected.myagg.date_histogram.interval = 'month';
+    doTest();
+
+    agg.format('yyyy-MM-dd');
+    expected.myagg.date_histogram.format = 'yyyy-MM-dd';
+    doTest();
+
+    agg.preZone('-08:00');
+    expected.myagg.date_histogram.pre_zone = '-08:00';
+    doTest();
+
+    agg.postZone('+01:00');
+    expected.myagg.date_histogram.post_zone = '+01:00';
+    doTest();
+
+    agg.minDocCount(0);
+    expected.myagg.date_histogram.min_doc_count = 0;
+    doTest();
+
+    agg.extendedBounds('2014-01-01', '2014-12-31');
+    expected.myagg.date_histogram.extended_bounds = {min: '2014-01-01', max: '2014-12-31'};
+    doTest();
+
+    agg.extendedBounds(null, '2014-12-31');
+    expected.myagg.date_histogram.extended_bounds = {max: '2014-12-31'};
+    doTest();
+
+    agg.order('_key');
+    expected.myagg.date_histogram.order = {_key: 'desc'};
+    doTest();
+
+    agg.order('_count', 'asc');
+    expected.myagg.date_histogram.order = {_count: 'asc'};
+    doTest();
+
+    agg.keyed(true);
+    expected.myagg.date_histogram.keyed = true;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  StatsAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.StatsAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        stats: {}
+      }
+    };
+
+    test.ok(agg, 'StatsAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.stats.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.stats.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.stats.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.stats.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  ExtendedStatsAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.ExtendedStatsAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        extended_stats: {}
+      }
+    };
+
+    test.ok(agg, 'ExtendedStatsAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.extended_stats.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.extended_stats.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.extended_stats.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.extended_stats.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  MinAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.MinAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        min: {}
+      }
+    };
+
+    test.ok(agg, 'MinAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.min.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.min.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.min.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.min.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  MaxAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.MaxAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        max: {}
+      }
+    };
+
+    test.ok(agg, 'MaxAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.max.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.max.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.max.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.max.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  SumAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.SumAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        sum: {}
+      }
+    };
+
+    test.ok(agg, 'SumAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.sum.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.sum.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.sum.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.sum.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  AvgAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.AvgAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        avg: {}
+      }
+    };
+
+    test.ok(agg, 'AvgAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.avg.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.avg.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.avg.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.avg.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  ValueCountAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.ValueCountAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        value_count: {}
+      }
+    };
+
+    test.ok(agg, 'ValueCountAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.value_count.field = 'price';
+    doTest();
+
+    agg.script('_value * rate');
+    expected.myagg.value_count.script = '_value * rate';
+    doTest();
+
+    agg.lang('js');
+    expected.myagg.value_count.lang = 'js';
+    doTest();
+
+    agg.params({rate: 1.2});
+    expected.myagg.value_count.params = {rate: 1.2};
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  CardinalityAggregation: function (test) {
+    test.expect(8);
+
+    var agg = ejs.CardinalityAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        cardinality: {}
+      }
+    };
+
+    test.ok(agg, 'CardinalityAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('author_hash');
+    expected.myagg.cardinality.field = 'author_hash';
+    doTest();
+
+    agg.precisionThreshold(100);
+    expected.myagg.cardinality.precision_threshold = 100;
+    doTest();
+
+    agg.rehash(false);
+    expected.myagg.cardinality.rehash = false;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  PercentilesAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.PercentilesAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        percentiles: {}
+      }
+    };
+
+    test.ok(agg, 'PercentilesAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('load_time');
+    expected.myagg.percentiles.field = 'load_time';
+    doTest();
+
+    agg.percents([95, 99, 99.9]);
+    expected.myagg.percentiles.percents = [95, 99, 99.9];
+    doTest();
+
+    agg.compression(200);
+    expected.myagg.percentiles.compression = 200;
+    doTest();
+
+    agg.keyed(false);
+    expected.myagg.percentiles.keyed = false;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      agg.percents(50);
+    }, TypeError);
+
+    test.done();
+  },
+  FilterAggregation: function (test) {
+    test.expect(8);
+
+    var agg = ejs.FilterAggregation('myagg'),
+      termFilter = ejs.TermFilter('type', 't-shirt'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        filter: {}
+      }
+    };
+
+    test.ok(agg, 'FilterAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.filter(termFilter);
+    expected.myagg.filter = termFilter._self();
+    doTest();
+
+    agg.agg(ejs.AvgAggregation('avg_price').field('price'));
+    expected.myagg.aggs = {avg_price: {avg: {field: 'price'}}};
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      agg.filter('invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  FiltersAggregation: function (test) {
+    test.expect(10);
+
+    var agg = ejs.FiltersAggregation('myagg'),
+      errorFilter = ejs.TermFilter('body', 'error'),
+      warnFilter = ejs.TermFilter('body', 'warning'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        filters: {}
+      }
+    };
+
+    test.ok(agg, 'FiltersAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.filter('errors', errorFilter);
+    expected.myagg.filters.filters = {errors: errorFilter._self()};
+    doTest();
+
+    agg.filter('warnings', warnFilter);
+    expected.myagg.filters.filters.warnings = warnFilter._self();
+    doTest();
+
+    test.deepEqual(agg.filter('errors'), errorFilter._self());
+    test.deepEqual(agg.filter(), expected.myagg.filters.filters);
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      agg.filter('bad', 'invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  MissingAggregation: function (test) {
+    test.expect(7);
+
+    var agg = ejs.MissingAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        missing: {}
+      }
+    };
+
+    test.ok(agg, 'MissingAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('price');
+    expected.myagg.missing.field = 'price';
+    doTest();
+
+    agg.agg(ejs.TermsAggregation('names').field('name'));
+    expected.myagg.aggs = {names: {terms: {field: 'name'}}};
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  NestedAggregation: function (test) {
+    test.expect(7);
+
+    var agg = ejs.NestedAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        nested: {}
+      }
+    };
+
+    test.ok(agg, 'NestedAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.path('resellers');
+    expected.myagg.nested.path = 'resellers';
+    doTest();
+
+    agg.agg(ejs.TermsAggregation('names').field('name'));
+    expected.myagg.aggs = {names: {terms: {field: 'name'}}};
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  ReverseNestedAggregation: function (test) {
+    test.expect(7);
+
+    var agg = ejs.ReverseNestedAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        reverse_nested: {}
+      }
+    };
+
+    test.ok(agg, 'ReverseNestedAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.path('comments');
+    expected.myagg.reverse_nested.path = 'comments';
+    doTest();
+
+    agg.agg(ejs.TermsAggregation('names').field('name'));
+    expected.myagg.aggs = {names: {terms: {field: 'name'}}};
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  GlobalAggregation: function (test) {
+    test.expect(6);
+
+    var agg = ejs.GlobalAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        global: {}
+      }
+    };
+
+    test.ok(agg, 'GlobalAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.agg(ejs.AvgAggregation('avg_price').field('price'));
+    expected.myagg.aggs = {avg_price: {avg: {field: 'price'}}};
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  GeoDistanceAggregation: function (test) {
+    test.expect(18);
+
+    var agg = ejs.GeoDistanceAggregation('myagg'),
+      point = ejs.GeoPoint([52.376, 4.894]),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        geo_distance: {}
+      }
+    };
+
+    test.ok(agg, 'GeoDistanceAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('location');
+    expected.myagg.geo_distance.field = 'location';
+    doTest();
+
+    agg.origin(point);
+    expected.myagg.geo_distance.origin = point._self();
+    doTest();
+
+    agg.unit('MI');
+    expected.myagg.geo_distance.unit = 'mi';
+    doTest();
+
+    agg.unit('INVALID');
+    doTest();
+
+    agg.distanceType('Plane');
+    expected.myagg.geo_distance.distance_type = 'plane';
+    doTest();
+
+    agg.distanceType('INVALID');
+    doTest();
+
+    test.throws(function () {
+      agg.origin('invalid');
+    }, TypeError);
+
+    agg.addRange(100, 300);
+    expected.myagg.geo_distance.ranges = [{from: 100, to: 300}];
+    doTest();
+
+    agg.addRange(300, 500, 'middle');
+    expected.myagg.geo_distance.ranges.push({from: 300, to: 500, key: 'middle'});
+    doTest();
+
+    agg.addUnboundedTo(100);
+    expected.myagg.geo_distance.ranges.push({to: 100});
+    doTest();
+
+    agg.addUnboundedFrom(500, 'high');
+    expected.myagg.geo_distance.ranges.push({from: 500, key: 'high'});
+    doTest();
+
+    test.deepEqual(agg.addRange(), expected.myagg.geo_distance.ranges);
+
+    agg.keyed(true);
+    expected.myagg.geo_distance.keyed = true;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  GeohashGridAggregation: function (test) {
+    test.expect(9);
+
+    var agg = ejs.GeohashGridAggregation('myagg'),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        geohash_grid: {}
+      }
+    };
+
+    test.ok(agg, 'GeohashGridAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.field('location');
+    expected.myagg.geohash_grid.field = 'location';
+    doTest();
+
+    agg.precision(3);
+    expected.myagg.geohash_grid.precision = 3;
+    doTest();
+
+    agg.size(100);
+    expected.myagg.geohash_grid.size = 100;
+    doTest();
+
+    agg.shardSize(500);
+    expected.myagg.geohash_grid.shard_size = 500;
+    doTest();
+
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  TopHitsAggregation: function (test) {
+    test.expect(19);
+
+    var agg = ejs.TopHitsAggregation('myagg'),
+      sort = ejs.Sort('date').desc(),
+      expected,
+      doTest = function () {
+        test.deepEqual(agg._self(), expected);
+      };
+
+    expected = {
+      myagg: {
+        top_hits: {}
+      }
+    };
+
+    test.ok(agg, 'TopHitsAggregation exists');
+    test.ok(agg._self(), '_self() works');
+    doTest();
+
+    agg.from(2);
+    expected.myagg.top_hits.from = 2;
+    doTest();
+
+    agg.size(1);
+    expected.myagg.top_hits.size = 1;
+    doTest();
+
+    agg.sort(sort);
+    expected.myagg.top_hits.sort = [sort._self()];
+    doTest();
+
+    agg.sort('_score');
+    expected.myagg.top_hits.sort.push('_score');
+    doTest();
+
+    agg.sort(['title', sort]);
+    expected.myagg.top_hits.sort = ['title', sort._self()];
+    doTest();
+
+    agg.source(['title', 'date']);
+    expected.myagg.top_hits._source = {includes: ['title', 'date']};
+    doTest();
+
+    agg.source('title', 'body');
+    expected.myagg.top_hits._source = {includes: 'title', excludes: 'body'};
+    doTest();
+
+    agg.source(false);
+    expected.myagg.top_hits._source = false;
+    doTest();
+
+    agg.explain(true);
+    expected.myagg.top_hits.explain = true;
+    doTest();
+
+    agg.version(true);
+    expected.myagg.top_hits.version = true;
+    doTest();
+
+    agg.trackScores(true);
+    expected.myagg.top_hits.track_scores = true;
+    doTest();
+
+    test.strictEqual(agg.agg, undefined);
+    test.strictEqual(agg._type(), 'aggregation');
+    test.strictEqual(agg.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      agg.sort(2);
+    }, TypeError);
+
+    test.throws(function () {
+      agg.sort([2]);
+    }, TypeError);
+
+    test.done();
+  },
+  cloneEquals: function (test) {
+    test.expect(38);
+
+    var termFilter = ejs.TermFilter('color', 'red'),
+      aggs = [
+        ejs.TermsAggregation('tags').field('tags').size(5).order('_term', 'asc'),
+        ejs.RangeAggregation('prices').field('price').addRange(0, 50)
+          .addUnboundedFrom(50),
+        ejs.DateHistogramAggregation('months').field('date')
+          .interval('month').agg(ejs.StatsAggregation('stats').field('price')),
+        ejs.FilterAggregation('red').filter(termFilter)
+          .agg(ejs.AvgAggregation('avg').field('price')),
+        ejs.FiltersAggregation('colors').filter('red', termFilter),
+        ejs.NestedAggregation('resellers').path('resellers')
+          .agg(ejs.MinAggregation('min').field('resellers.price')),
+        ejs.GeoDistanceAggregation('rings').field('location')
+          .origin(ejs.GeoPoint([52.376, 4.894])).addUnboundedTo(100),
+        ejs.TopHitsAggregation('top').size(1).sort('date')
+      ],
+      copy,
+      agg,
+      i, len;
+
+    for (i = 0, len = aggs.length; i < len; i++) {
+      agg = aggs[i];
+      copy = agg.clone();
+      test.notStrictEqual(copy, agg);
+      test.notStrictEqual(copy._self(), agg._self());
+      test.deepEqual(copy._self(), agg._self());
+      test.ok(copy.equals(agg), 'clone equals ' + agg.toString());
+    }
+
+    // the clone keeps working with the fluent api
+    agg = ejs.TermsAggregation('tags').field('tags');
+    copy = agg.clone().size(10);
+    test.deepEqual(agg._self(), {tags: {terms: {field: 'tags'}}});
+    test.deepEqual(copy._self(), {tags: {terms: {field: 'tags', size: 10}}});
+    test.ok(!copy.equals(agg), 'changed clone is not equal');
+    test.ok(!agg.equals(ejs.TermsFacet('tags').field('tags')),
+      'different types');
+
+    test.throws(function () {
+      ejs.fromJSON({tags: {bogus: {}}}, 'agg');
+    }, Error);
+
+    test.throws(function () {
+      ejs.fromJSON({red: {filter: {bogus: {}}}}, 'agg');
+    }, Error);
+
+    test.done();
+  },
+  FacetConverter: function (test) {
+    test.expect(30);
+
+    var req = ejs.Request()
+        .query(ejs.MatchAllQuery())
+        .facet(ejs.TermsFacet('tags').field('tags').size(5).order('term')
+          .exclude(['a.b', 'c']).allTerms(true)
+          .facetFilter(ejs.TermFilter('user', 'kimchy')).global(true))
+        .facet(ejs.TermStatsFacet('prices').keyField('tag')
+          .valueField('price').order('reverse_total').size(3))
+        .facet(ejs.DateHistogramFacet('per_month').field('date')
+          .interval('month').preZone('-08:00').factor(1000))
+        .facet(ejs.RangeFacet('ranges').field('price').addRange(0, 50)
+          .addUnboundedFrom(50).nested('offers'))
+        .facet(ejs.StatisticalFacet('stats').field('a'))
+        .facet(ejs.StatisticalFacet('multi').fields(['a', 'b']))
+        .facet(ejs.GeoDistanceFacet('dist').field('location')
+          .point(ejs.GeoPoint([40, -70])).addUnboundedTo(10).unit('mi')
+          .valueField('price'))
+        .facet(ejs.QueryFacet('q').query(ejs.TermQuery('user', 'kimchy')))
+        .facet(ejs.TermsFacet('modes').field('m').mode('post'))
+        .facet(ejs.TermsFacet('both').fields(['a', 'b'])),
+      original = JSON.stringify(req._self()),
+      converter = ejs.FacetConverter(req),
+      converted = converter.request()._self(),
+      warnings = converter.warnings(),
+      response,
+      sr;
+
+    test.ok(converter, 'FacetConverter exists');
+    test.strictEqual(converter._type(), 'facet converter');
+    test.strictEqual(converter.toString(), JSON.stringify(converted));
+    test.strictEqual(JSON.stringify(req._self()), original);
+    test.deepEqual(converted.query, {match_all: {}});
+
+    // only the facets that can not be converted are kept
+    test.deepEqual(converted.facets, {multi: req._self().facets.multi,
+      q: req._self().facets.q, both: req._self().facets.both});
+
+    test.deepEqual(converted.aggs.tags, {
+      global: {},
+      aggs: {tags: {
+        filter: {term: {user: 'kimchy'}},
+        aggs: {tags: {terms: {
+          field: 'tags',
+          size: 5,
+          order: {_term: 'asc'},
+          exclude: 'a\\.b|c',
+          min_doc_count: 0
+        }}}
+      }}
+    });
+    test.deepEqual(converted.aggs.prices, {
+      terms: {field: 'tag', size: 3, order: {'stats.sum': 'asc'}},
+      aggs: {stats: {stats: {field: 'price'}}}
+    });
+    test.deepEqual(converted.aggs.per_month, {date_histogram: {
+      field: 'date',
+      interval: 'month',
+      pre_zone: '-08:00'
+    }});
+    test.deepEqual(converted.aggs.ranges, {
+      nested: {path: 'offers'},
+      aggs: {ranges: {
+        range: {field: 'price', ranges: [{from: 0, to: 50}, {from: 50}]},
+        aggs: {stats: {stats: {field: 'price'}}}
+      }}
+    });
+    test.deepEqual(converted.aggs.stats, {extended_stats: {field: 'a'}});
+    test.strictEqual(converted.aggs.multi, undefined);
+    test.strictEqual(converted.aggs.both, undefined);
+    test.deepEqual(converted.aggs.dist, {
+      geo_distance: {
+        field: 'location',
+        origin: [-70, 40],
+        unit: 'mi',
+        ranges: [{to: 10}]
+      },
+      aggs: {stats: {stats: {field: 'price'}}}
+    });
+    test.deepEqual(converted.aggs.modes, {terms: {field: 'm'}});
+
+    test.deepEqual(warnings, [
+      {facet: 'per_month', option: 'factor',
+        message: 'the "factor" option of date_histogram facets has no aggregation equivalent'},
+      {facet: 'multi', option: 'fields',
+        message: 'a stats aggregation has a single field, use a script that combines the fields'},
+      {facet: 'q', option: 'query', message: 'query facets are not converted'},
+      {facet: 'modes', option: 'mode',
+        message: 'the "mode" option has no aggregation equivalent'},
+      {facet: 'both', option: 'fields',
+        message: 'a terms aggregation has a single field, add a terms aggregation for each field'}
+    ]);
+
+    response = converter.response({
+      took: 3,
+      hits: {total: 12, hits: []},
+      facets: {q: {_type: 'query', count: 4}},
+      aggregations: {
+        tags: {doc_count: 12, tags: {doc_count: 8, tags: {
+          sum_other_doc_count: 2,
+          buckets: [{key: 'x', doc_count: 5}, {key: 'y', doc_count: 1}]
+        }}},
+        prices: {buckets: [{key: 'x', doc_count: 2,
+          stats: {count: 2, min: 1, max: 3, avg: 2, sum: 4}}]},
+        per_month: {buckets: [{key: 1388534400000, doc_count: 7}]},
+        ranges: {doc_count: 9, ranges: {buckets: [
+          {from: 0, to: 50, doc_count: 1,
+            stats: {count: 1, min: 10, max: 10, avg: 10, sum: 10}}
+        ]}},
+        stats: {count: 2, min: 1, max: 3, avg: 2, sum: 4, sum_of_squares: 10,
+          variance: 1, std_deviation: 1},
+        dist: {buckets: [{to: 10, doc_count: 3}]},
+        other: {value: 1}
+      }
+    });
+
+    test.strictEqual(response.took, 3);
+    test.deepEqual(response.aggregations, {other: {value: 1}});
+    test.deepEqual(response.facets.q, {_type: 'query', count: 4});
+    test.deepEqual(response.facets.tags, {_type: 'terms', total: 8, other: 2,
+      terms: [{term: 'x', count: 5}, {term: 'y', count: 1}]});
+    test.deepEqual(response.facets.prices, {_type: 'terms_stats', terms: [
+      {term: 'x', count: 2, total_count: 2, min: 1, max: 3, total: 4, mean: 2}
+    ]});
+    test.deepEqual(response.facets.per_month, {_type: 'date_histogram',
+      entries: [{time: 1388534400000, count: 7}]});
+    test.deepEqual(response.facets.ranges, {_type: 'range', ranges: [
+      {from: 0, to: 50, count: 1, total_count: 1, min: 10, max: 10,
+        total: 10, mean: 10}
+    ]});
+    test.deepEqual(response.facets.stats, {_type: 'statistical', count: 2,
+      total: 4, min: 1, max: 3, mean: 2, sum_of_squares: 10, variance: 1,
+      std_deviation: 1});
+    test.deepEqual(response.facets.dist, {_type: 'geo_distance',
+      ranges: [{from: undefined, to: 10, count: 3}]});
+    test.strictEqual(response.facets.modes, undefined);
+
+    // the reshaped response works with the facet accessors
+    sr = ejs.SearchResponse(response);
+    test.deepEqual(sr.facet('tags').terms, [{term: 'x', count: 5},
+      {term: 'y', count: 1}]);
+    test.strictEqual(sr.facet('prices').terms[0].mean, 2);
+
+    test.throws(function () {
+      ejs.FacetConverter('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      converter.response('invalid');
+    }, TypeError);
+
+    test.done();
+  }
+};
@@ -0,0 +1,786 @@
+/*global require:true */
+'use strict';
+
+var ejs = require('../dist/elastic.js');
+
+/*
+  ======== A Handy Little Nodeunit Reference ========
+  https://github.com/caolan/nodeunit
+
+  Test methods:
+    test.test.test.expect(numAssertions)
+    test.done()
+  Test assertions:
+    test.test.test.ok(value, [message])
+    test.equal(actual, expected, [message])
+    test.notEqual(actual, expected, [message])
+    test.test.test.deepEqual(actual, expected, [message])
+    test.nottest.test.deepEqual(actual, expected, [message])
+    test.test.test.strictEqual(actual, expected, [message])
+    test.nottest.test.strictEqual(actual, expected, [message])
+    test.throws(block, [error], [message])
+    test.doesNotThrow(block, [error], [message])
+    test.ifError(value)
+*/
+
+exports.analysis = {
+  setUp: function (done) {
+    done();
+  },
+  exists: function (test) {
+    test.expect(14);
+
+    test.ok(ejs.Analysis, 'Analysis');
+    test.ok(ejs.CustomAnalyzer, 'CustomAnalyzer');
+    test.ok(ejs.NGramTokenizer, 'NGramTokenizer');
+    test.ok(ejs.EdgeNGramTokenizer, 'EdgeNGramTokenizer');
+    test.ok(ejs.PatternTokenizer, 'PatternTokenizer');
+    test.ok(ejs.PathHierarchyTokenizer, 'PathHierarchyTokenizer');
+    test.ok(ejs.SynonymTokenFilter, 'SynonymTokenFilter');
+    test.ok(ejs.StemmerTokenFilter, 'StemmerTokenFilter');
+    test.ok(ejs.ShingleTokenFilter, 'ShingleTokenFilter');
+    test.ok(ejs.StopTokenFilter, 'StopTokenFilter');
+    test.ok(ejs.WordDelimiterTokenFilter, 'WordDelimiterTokenFilter');
+    test.ok(ejs.MappingCharFilter, 'MappingCharFilter');
+    test.ok(ejs.HtmlStripCharFilter, 'HtmlStripCharFilter');
+    test.ok(ejs.PatternReplaceCharFilter, 'PatternReplaceCharFilter');
+
+    test.done();
+  },
+  Analysis: function (test) {
+    test.expect(30);
+
+    var analysis = ejs.Analysis(),
+      expected,
+      doTest = function () {
+        test.deepEqual(analysis._self(), expected);
+      };
+
+    expected = {};
+
+    test.ok(analysis, 'Analysis exists');
+    test.ok(analysis._self(), '_self() works');
+    doTest();
+
+    analysis.analyzer(ejs.CustomAnalyzer('a1').tokenizer('t1')
+      .filter(['lowercase', 'f1']).charFilter('c1'));
+    expected.analyzer = {
+      a1: {
+        type: 'custom',
+        tokenizer: 't1',
+        filter: ['lowercase', 'f1'],
+        char_filter: ['c1']
+      }
+    };
+    doTest();
+
+    test.throws(function () {
+      analysis.validate();
+    }, /Unknown tokenizer "t1" referenced by "a1"/);
+
+    analysis.tokenizer(ejs.EdgeNGramTokenizer('t1').minGram(1));
+    expected.tokenizer = {t1: {type: 'edgeNGram', min_gram: 1}};
+    doTest();
+
+    test.throws(function () {
+      analysis.validate();
+    }, /Unknown token filter "f1" referenced by "a1"/);
+
+    analysis.tokenFilter(ejs.SynonymTokenFilter('f1').tokenizer('t2'));
+    expected.filter = {f1: {type: 'synonym', tokenizer: 't2'}};
+    doTest();
+
+    test.throws(function () {
+      analysis.validate();
+    }, /Unknown char filter "c1" referenced by "a1"/);
+
+    analysis.charFilter(ejs.MappingCharFilter('c1').mappings('ph => f'));
+    expected.char_filter = {c1: {type: 'mapping', mappings: ['ph => f']}};
+    doTest();
+
+    test.throws(function () {
+      analysis.validate();
+    }, /Unknown tokenizer "t2" referenced by "f1"/);
+
+    analysis.tokenizer(ejs.PatternTokenizer('t2'));
+    expected.tokenizer.t2 = {type: 'pattern'};
+    doTest();
+
+    test.strictEqual(analysis.validate(), analysis);
+
+    analysis.analyzer(ejs.CustomAnalyzer('a2').tokenizer('whitespace')
+      .filter(['stop', 'word_delimiter']).charFilter('html_strip'));
+    expected.analyzer.a2 = {
+      type: 'custom',
+      tokenizer: 'whitespace',
+      filter: ['stop', 'word_delimiter'],
+      char_filter: ['html_strip']
+    };
+    doTest();
+
+    test.strictEqual(analysis.validate(), analysis);
+    test.deepEqual(analysis.analyzer(), expected.analyzer);
+    test.deepEqual(analysis.tokenizer(), expected.tokenizer);
+    test.deepEqual(analysis.tokenFilter(), expected.filter);
+    test.deepEqual(analysis.charFilter(), expected.char_filter);
+    test.strictEqual(analysis._type(), 'analysis');
+    test.strictEqual(analysis.toString(), JSON.stringify(expected));
+
+    // analyzers referenced by mappings
+    test.strictEqual(analysis.validate({
+      t1: {
+        properties: {
+          f1: {type: 'string', analyzer: 'a1'},
+          f2: {type: 'string', index_analyzer: 'english', search_analyzer: 'a2'}
+        }
+      },
+      t2: {_meta: {analyzer: 'not checked'}}
+    }), analysis);
+
+    test.throws(function () {
+      analysis.validate({t1: {index_analyzer: 'a9'}});
+    }, /Unknown analyzer "a9" referenced by "t1"/);
+
+    test.throws(function () {
+      var raw = {type: 'string', analyzer: 'a9'};
+      analysis.validate({t1: {properties: {f1: {fields: {raw: raw}}}}});
+    }, /Unknown analyzer "a9" referenced by "raw"/);
+
+    test.throws(function () {
+      var f3 = {type: 'string', search_analyzer: 'a9'};
+      analysis.validate({t1: {properties: {o1: {properties: {f3: f3}}}}});
+    }, /Unknown analyzer "a9" referenced by "f3"/);
+
+    test.throws(function () {
+      ejs.Analysis().analyzer(ejs.CustomAnalyzer('a3')).validate();
+    }, /Custom analyzer "a3" must have a tokenizer/);
+
+    test.throws(function () {
+      analysis.analyzer(ejs.PatternTokenizer('t3'));
+    }, TypeError);
+
+    test.throws(function () {
+      analysis.tokenizer(ejs.StopTokenFilter('f2'));
+    }, TypeError);
+
+    test.throws(function () {
+      analysis.tokenFilter(ejs.HtmlStripCharFilter('c2'));
+    }, TypeError);
+
+    test.throws(function () {
+      analysis.charFilter(ejs.CustomAnalyzer('a3'));
+    }, TypeError);
+
+    test.done();
+  },
+  NGramTokenizer: function (test) {
+    test.expect(11);
+
+    var c = ejs.NGramTokenizer('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'nGram'
+      }
+    };
+
+    test.ok(c, 'NGramTokenizer exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.minGram(2);
+    expected.c1.min_gram = 2;
+    doTest();
+
+    c.maxGram(3);
+    expected.c1.max_gram = 3;
+    doTest();
+
+    c.tokenChars('letter');
+    expected.c1.token_chars = ['letter'];
+    doTest();
+
+    c.tokenChars('digit');
+    expected.c1.token_chars.push('digit');
+    doTest();
+
+    c.tokenChars(['whitespace']);
+    expected.c1.token_chars = ['whitespace'];
+    doTest();
+
+    test.strictEqual(c._type(), 'tokenizer');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.tokenChars(2);
+    }, TypeError);
+
+    test.done();
+  },
+  EdgeNGramTokenizer: function (test) {
+    test.expect(11);
+
+    var c = ejs.EdgeNGramTokenizer('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'edgeNGram'
+      }
+    };
+
+    test.ok(c, 'EdgeNGramTokenizer exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.minGram(1);
+    expected.c1.min_gram = 1;
+    doTest();
+
+    c.maxGram(10);
+    expected.c1.max_gram = 10;
+    doTest();
+
+    c.side('BACK');
+    expected.c1.side = 'back';
+    doTest();
+
+    c.side('INVALID');
+    doTest();
+
+    c.tokenChars(['letter', 'digit']);
+    expected.c1.token_chars = ['letter', 'digit'];
+    doTest();
+
+    test.strictEqual(c._type(), 'tokenizer');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.tokenChars(2);
+    }, TypeError);
+
+    test.done();
+  },
+  PatternTokenizer: function (test) {
+    test.expect(8);
+
+    var c = ejs.PatternTokenizer('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'pattern'
+      }
+    };
+
+    test.ok(c, 'PatternTokenizer exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.pattern(',');
+    expected.c1.pattern = ',';
+    doTest();
+
+    c.flags('CASE_INSENSITIVE');
+    expected.c1.flags = 'CASE_INSENSITIVE';
+    doTest();
+
+    c.group(1);
+    expected.c1.group = 1;
+    doTest();
+
+    test.strictEqual(c._type(), 'tokenizer');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  PathHierarchyTokenizer: function (test) {
+    test.expect(10);
+
+    var c = ejs.PathHierarchyTokenizer('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'path_hierarchy'
+      }
+    };
+
+    test.ok(c, 'PathHierarchyTokenizer exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.delimiter('-');
+    expected.c1.delimiter = '-';
+    doTest();
+
+    c.replacement('/');
+    expected.c1.replacement = '/';
+    doTest();
+
+    c.bufferSize(2048);
+    expected.c1.buffer_size = 2048;
+    doTest();
+
+    c.reverse(true);
+    expected.c1.reverse = true;
+    doTest();
+
+    c.skip(1);
+    expected.c1.skip = 1;
+    doTest();
+
+    test.strictEqual(c._type(), 'tokenizer');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  SynonymTokenFilter: function (test) {
+    test.expect(15);
+
+    var c = ejs.SynonymTokenFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'synonym'
+      }
+    };
+
+    test.ok(c, 'SynonymTokenFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.synonyms('i-pod, i pod => ipod');
+    expected.c1.synonyms = ['i-pod, i pod => ipod'];
+    doTest();
+
+    c.synonyms('tv, television');
+    expected.c1.synonyms.push('tv, television');
+    doTest();
+
+    c.synonyms(['a, b']);
+    expected.c1.synonyms = ['a, b'];
+    doTest();
+
+    c.synonymsPath('analysis/synonym.txt');
+    expected.c1.synonyms_path = 'analysis/synonym.txt';
+    doTest();
+
+    c.format('WORDNET');
+    expected.c1.format = 'wordnet';
+    doTest();
+
+    c.format('INVALID');
+    doTest();
+
+    c.ignoreCase(true);
+    expected.c1.ignore_case = true;
+    doTest();
+
+    c.expand(false);
+    expected.c1.expand = false;
+    doTest();
+
+    c.tokenizer('whitespace');
+    expected.c1.tokenizer = 'whitespace';
+    doTest();
+
+    test.strictEqual(c._type(), 'token filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.synonyms(2);
+    }, TypeError);
+
+    test.done();
+  },
+  StemmerTokenFilter: function (test) {
+    test.expect(6);
+
+    var c = ejs.StemmerTokenFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'stemmer'
+      }
+    };
+
+    test.ok(c, 'StemmerTokenFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.language('light_german');
+    expected.c1.language = 'light_german';
+    doTest();
+
+    test.strictEqual(c._type(), 'token filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  ShingleTokenFilter: function (test) {
+    test.expect(10);
+
+    var c = ejs.ShingleTokenFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'shingle'
+      }
+    };
+
+    test.ok(c, 'ShingleTokenFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.maxShingleSize(3);
+    expected.c1.max_shingle_size = 3;
+    doTest();
+
+    c.minShingleSize(2);
+    expected.c1.min_shingle_size = 2;
+    doTest();
+
+    c.outputUnigrams(false);
+    expected.c1.output_unigrams = false;
+    doTest();
+
+    c.outputUnigramsIfNoShingles(true);
+    expected.c1.output_unigrams_if_no_shingles = true;
+    doTest();
+
+    c.tokenSeparator('_');
+    expected.c1.token_separator = '_';
+    doTest();
+
+    test.strictEqual(c._type(), 'token filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  StopTokenFilter: function (test) {
+    test.expect(12);
+
+    var c = ejs.StopTokenFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'stop'
+      }
+    };
+
+    test.ok(c, 'StopTokenFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.stopwords('_english_');
+    expected.c1.stopwords = ['_english_'];
+    doTest();
+
+    c.stopwords('foo');
+    expected.c1.stopwords.push('foo');
+    doTest();
+
+    c.stopwords(['and', 'the']);
+    expected.c1.stopwords = ['and', 'the'];
+    doTest();
+
+    c.stopwordsPath('stop.txt');
+    expected.c1.stopwords_path = 'stop.txt';
+    doTest();
+
+    c.ignoreCase(true);
+    expected.c1.ignore_case = true;
+    doTest();
+
+    c.removeTrailing(false);
+    expected.c1.remove_trailing = false;
+    doTest();
+
+    test.strictEqual(c._type(), 'token filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.stopwords(2);
+    }, TypeError);
+
+    test.done();
+  },
+  WordDelimiterTokenFilter: function (test) {
+    test.expect(19);
+
+    var c = ejs.WordDelimiterTokenFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'word_delimiter'
+      }
+    };
+
+    test.ok(c, 'WordDelimiterTokenFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.generateWordParts(false);
+    expected.c1.generate_word_parts = false;
+    doTest();
+
+    c.generateNumberParts(false);
+    expected.c1.generate_number_parts = false;
+    doTest();
+
+    c.catenateWords(true);
+    expected.c1.catenate_words = true;
+    doTest();
+
+    c.catenateNumbers(true);
+    expected.c1.catenate_numbers = true;
+    doTest();
+
+    c.catenateAll(true);
+    expected.c1.catenate_all = true;
+    doTest();
+
+    c.splitOnCaseChange(false);
+    expected.c1.split_on_case_change = false;
+    doTest();
+
+    c.preserveOriginal(true);
+    expected.c1.preserve_original = true;
+    doTest();
+
+    c.splitOnNumerics(false);
+    expected.c1.split_on_numerics = false;
+    doTest();
+
+    c.stemEnglishPossessive(false);
+    expected.c1.stem_english_possessive = false;
+    doTest();
+
+    c.protectedWords('iPod');
+    expected.c1.protected_words = ['iPod'];
+    doTest();
+
+    c.protectedWords(['wi-fi']);
+    expected.c1.protected_words = ['wi-fi'];
+    doTest();
+
+    c.typeTable('$ => DIGIT');
+    expected.c1.type_table = ['$ => DIGIT'];
+    doTest();
+
+    c.typeTable('% => DIGIT');
+    expected.c1.type_table.push('% => DIGIT');
+    doTest();
+
+    test.strictEqual(c._type(), 'token filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.protectedWords(2);
+    }, TypeError);
+
+    test.done();
+  },
+  MappingCharFilter: function (test) {
+    test.expect(10);
+
+    var c = ejs.MappingCharFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'mapping'
+      }
+    };
+
+    test.ok(c, 'MappingCharFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.mappings('ph => f');
+    expected.c1.mappings = ['ph => f'];
+    doTest();
+
+    c.mappings('qu => q');
+    expected.c1.mappings.push('qu => q');
+    doTest();
+
+    c.mappings(['& => and']);
+    expected.c1.mappings = ['& => and'];
+    doTest();
+
+    c.mappingsPath('mapping.txt');
+    expected.c1.mappings_path = 'mapping.txt';
+    doTest();
+
+    test.strictEqual(c._type(), 'char filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.mappings(2);
+    }, TypeError);
+
+    test.done();
+  },
+  HtmlStripCharFilter: function (test) {
+    test.expect(8);
+
+    var c = ejs.HtmlStripCharFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'html_strip'
+      }
+    };
+
+    test.ok(c, 'HtmlStripCharFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.escapedTags('b');
+    expected.c1.escaped_tags = ['b'];
+    doTest();
+
+    c.escapedTags(['i', 'em']);
+    expected.c1.escaped_tags = ['i', 'em'];
+    doTest();
+
+    test.strictEqual(c._type(), 'char filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.escapedTags(2);
+    }, TypeError);
+
+    test.done();
+  },
+  PatternReplaceCharFilter: function (test) {
+    test.expect(7);
+
+    var c = ejs.PatternReplaceCharFilter('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'pattern_replace'
+      }
+    };
+
+    test.ok(c, 'PatternReplaceCharFilter exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.pattern('(\\d+)-(?=\\d)');
+    expected.c1.pattern = '(\\d+)-(?=\\d)';
+    doTest();
+
+    c.replacement('$1_');
+    expected.c1.replacement = '$1_';
+    doTest();
+
+    test.strictEqual(c._type(), 'char filter');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  CustomAnalyzer: function (test) {
+    test.expect(13);
+
+    var c = ejs.CustomAnalyzer('c1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(c._self(), expected);
+      };
+
+    expected = {
+      c1: {
+        type: 'custom'
+      }
+    };
+
+    test.ok(c, 'CustomAnalyzer exists');
+    test.ok(c._self(), '_self() works');
+    doTest();
+
+    c.tokenizer('standard');
+    expected.c1.tokenizer = 'standard';
+    doTest();
+
+    c.filter('lowercase');
+    expected.c1.filter = ['lowercase'];
+    doTest();
+
+    c.filter('stop');
+    expected.c1.filter.push('stop');
+    doTest();
+
+    c.filter(['asciifolding', 'lowercase']);
+    expected.c1.filter = ['asciifolding', 'lowercase'];
+    doTest();
+
+    c.charFilter('html_strip');
+    expected.c1.char_filter = ['html_strip'];
+    doTest();
+
+    c.charFilter(['mapping']);
+    expected.c1.char_filter = ['mapping'];
+    doTest();
+
+    c.positionOffsetGap(100);
+    expected.c1.position_offset_gap = 100;
+    doTest();
+
+    test.strictEqual(c._type(), 'analyzer');
+    test.strictEqual(c.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      c.filter(2);
+    }, TypeError);
+
+    test.done();
+  }
+};
@@ -1029,6 +1029,56 @@ exports.facets = {
       rangeFacet.facetFilter('invalid');
     }, TypeError);
     
+    test.done();
+  },
+  cloneEquals: function (test) {
+    test.expect(41);
+
+    var termFilter = ejs.TermFilter('tag', 'a'),
+      facets = [
+        ejs.DateHistogramFacet('dates').field('date').interval('day')
+          .facetFilter(termFilter),
+        ejs.FilterFacet('tagged').filter(termFilter).global(true),
+        ejs.GeoDistanceFacet('dist').field('location')
+          .point(ejs.GeoPoint([37.7, -122.4])).addRange(0, 10),
+        ejs.HistogramFacet('ages').field('age').interval(10),
+        ejs.QueryFacet('users').query(ejs.TermQuery('user', 'kimchy')),
+        ejs.RangeFacet('prices').field('price').addRange(0, 50)
+          .addUnboundedFrom(50),
+        ejs.StatisticalFacet('stats').fields(['a', 'b']),
+        ejs.TermStatsFacet('ts').keyField('tag').valueField('price')
+          .order('mean'),
+        ejs.TermsFacet('tags').field('tags').size(5).nested('comments')
+      ],
+      copy,
+      facet,
+      i, len;
+
+    for (i = 0, len = facets.length; i < len; i++) {
+      facet = facets[i];
+      copy = facet.clone();
+      test.notStrictEqual(copy, facet);
+      test.notStrictEqual(copy._self(), facet._self());
+      test.deepEqual(copy._self(), facet._self());
+      test.ok(copy.equals(facet), 'clone equals ' + facet.toString());
+    }
+
+    // the clone keeps working with the fluent api
+    facet = ejs.TermsFacet('tags').field('tags').facetFilter(termFilter);
+    copy = facet.clone().size(10).facetFilter(ejs.TermFilter('tag', 'b'));
+    test.deepEqual(facet._self(), {tags: {
+      terms: {field: 'tags'},
+      facet_filter: {term: {tag: 'a'}}
+    }});
+    test.deepEqual(copy._self(), {tags: {
+      terms: {field: 'tags', size: 10},
+      facet_filter: {term: {tag: 'b'}}
+    }});
+    test.ok(!copy.equals(facet), 'changed clone is not equal');
+    test.ok(!facet.equals(ejs.TermsFacet('other').field('tags')
+      .facetFilter(termFilter)), 'names differ');
+    test.ok(!facet.equals(termFilter), 'different types');
+
     test.done();
   }
 };
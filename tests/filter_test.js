@@ -1910,6 +1910,82 @@ exports.filters = {
       orFilter.filters([termFilter1, 'invalid']);
     }, TypeError);
     
+    test.done();
+  },
+  cloneEquals: function (test) {
+    test.expect(115);
+
+    var termFilter = ejs.TermFilter('tag', 'a'),
+      termQuery = ejs.TermQuery('user', 'kimchy'),
+      point = ejs.GeoPoint([37.7, -122.4]),
+      filters = [
+        ejs.AndFilter([termFilter, ejs.ExistsFilter('title')]).cache(true),
+        ejs.BoolFilter().must(termFilter).mustNot(ejs.MissingFilter('a')),
+        ejs.ExistsFilter('title'),
+        ejs.GeoBboxFilter('location').topLeft(point)
+          .bottomRight(ejs.GeoPoint([37.1, -122.1])),
+        ejs.GeoDistanceFilter('location').point(point).distance(10),
+        ejs.GeoDistanceRangeFilter('location').point(point).from(1).to(5),
+        ejs.GeoPolygonFilter('location')
+          .points([point, ejs.GeoPoint([37.1, -122.1])]),
+        ejs.GeoShapeFilter('area')
+          .shape(ejs.Shape('envelope', [[1, 2], [3, 4]])),
+        ejs.HasChildFilter(termQuery, 'comment'),
+        ejs.HasParentFilter(termQuery, 'blog'),
+        ejs.IdsFilter(['1', '2']),
+        ejs.IndicesFilter(termFilter, ['a', 'b']).noMatchFilter('none'),
+        ejs.LimitFilter(10),
+        ejs.MatchAllFilter(),
+        ejs.MissingFilter('title').nullValue(true),
+        ejs.NestedFilter('comments').filter(termFilter),
+        ejs.NotFilter(termFilter),
+        ejs.NumericRangeFilter('age').from(1).to(5),
+        ejs.OrFilter([termFilter, ejs.TypeFilter('doc')]),
+        ejs.PrefixFilter('title', 'qu').cache(false),
+        ejs.QueryFilter(termQuery).cache(true),
+        ejs.RangeFilter('age').gte(18),
+        ejs.RegexpFilter('title', 'qu.*'),
+        ejs.ScriptFilter('doc.age.value > 18').params({a: 1}),
+        termFilter,
+        ejs.TermsFilter('tags', ['a', 'b']).execution('and'),
+        ejs.TypeFilter('doc')
+      ],
+      copy,
+      filter,
+      i, len;
+
+    for (i = 0, len = filters.length; i < len; i++) {
+      filter = filters[i];
+      copy = filter.clone();
+      test.notStrictEqual(copy, filter);
+      test.notStrictEqual(copy._self(), filter._self());
+      test.deepEqual(copy._self(), filter._self());
+      test.ok(copy.equals(filter), 'clone equals ' + filter.toString());
+    }
+
+    // nested filters are copied too
+    filter = ejs.AndFilter([ejs.NotFilter(termFilter)]);
+    copy = filter.clone();
+    copy._self().and.filters[0].not.term.tag = 'b';
+    test.strictEqual(filter._self().and.filters[0].not.term.tag, 'a');
+    test.ok(!copy.equals(filter), 'changed clone is not equal');
+
+    // the clone keeps working with the fluent api
+    copy = ejs.GeoDistanceFilter('location').point(point).clone();
+    copy.distance(20).unit('km');
+    test.strictEqual(copy.field(), 'location');
+    test.deepEqual(copy._self(), {geo_distance: {
+      location: [-122.4, 37.7],
+      distance: 20,
+      unit: 'km'
+    }});
+
+    test.ok(ejs.RangeFilter('age').gte(1).lte(5)
+      .equals(ejs.RangeFilter('age').lte(5).gte(1)), 'key order ignored');
+    test.ok(!termFilter.equals(ejs.TermFilter('tag', 'b')), 'values differ');
+    test.ok(!ejs.MatchAllFilter().equals(ejs.MatchAllQuery()),
+      'different types');
+
     test.done();
   }
 };
@@ -1,4 +1,4 @@
-/*global require:true */
+/*global require:true, Promise:true */
 'use strict';
 
 var ejs = require('../dist/elastic.js');
@@ -28,19 +28,26 @@ exports.index = {
     done();
   },
   exists: function (test) {
-    test.expect(1);
+    test.expect(7);
 
     test.ok(ejs.Document, 'Document');
+    test.ok(ejs.BulkRequest, 'BulkRequest');
+    test.ok(ejs.BulkProcessor, 'BulkProcessor');
+    test.ok(ejs.Reindex, 'Reindex');
+    test.ok(ejs.Percolator, 'Percolator');
+    test.ok(ejs.PercolateRequest, 'PercolateRequest');
+    test.ok(ejs.MultiGetRequest, 'MultiGetRequest');
     
     test.done();
   },
   Document: function (test) {
-    test.expect(128);
+    test.expect(131);
 
     var doc = ejs.Document('index', 'type'),
       expected,
       testDoc,
       mockClient,
+      previousClient,
       expectedPath = '',
       expectedData = '',
       expectedMethod = '',
@@ -433,6 +440,1127 @@ exports.index = {
       doc.doUpdate();
     }, Error, 'Update script or document required');
     
+    // test promises are returned when no callbacks are passed
+    previousClient = ejs.client;
+    ejs.client = {
+      defer: function () {
+        var deferred = {};
+        deferred.promise = new Promise(function (resolve, reject) {
+          deferred.resolve = resolve;
+          deferred.reject = reject;
+        });
+        return deferred;
+      },
+      get: function (path, data, successcb, errorcb) {
+        successcb({_id: 'id', exists: true});
+        return 'client object';
+      },
+      del: function (path, data, successcb, errorcb) {
+        errorcb('not found');
+        return 'client object';
+      }
+    };
+    
+    doc = ejs.Document('index', 'type', 'id');
+    test.strictEqual(doc.doGet(function () {}), 'client object');
+    doc.doGet().then(function (response) {
+      test.deepEqual(response, {_id: 'id', exists: true});
+      return doc.doDelete();
+    }).then(null, function (error) {
+      test.strictEqual(error, 'not found');
+      ejs.client = previousClient;
+      test.done();
+    });
+  },
+  BulkRequest: function (test) {
+    test.expect(45);
+
+    var bulk = ejs.BulkRequest(),
+      doc1 = ejs.Document('index', 'type', 'id1')
+        .source({title: 'title 1'}).routing('r1').version(2),
+      doc2 = ejs.Document('index', 'type', 'id2').script('ctx._source.c += 1')
+        .params({p: 1}).retryOnConflict(3),
+      doc3 = ejs.Document('index2', 'type2', 'id3').parent('p1'),
+      doc4 = ejs.Document(null, null).source({title: 'title 4'})
+        .opType('create').ttl('1d'),
+      expectedLines,
+      mockClient,
+      response,
+      results,
+      pendingCb,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data, cb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(bulk._self(), expectedLines);
+        
+        if (cb != null && response != null) {
+          cb(response);
+        }
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data, cb) {
+        doTest('get', path, data, cb);
+      },
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+      },
+      put: function (path, data, cb) {
+        doTest('put', path, data, cb);
+      },
+      del: function (path, data, cb) {
+        doTest('delete', path, data, cb);
+      },
+      head: function (path, data, cb) {
+        doTest('head', path, data, cb);
+      }
+    };
+    
+    test.ok(bulk, 'BulkRequest exists');
+    test.ok(bulk._self(), '_self() works');
+    test.strictEqual(bulk._type(), 'bulk request');
+    test.strictEqual(bulk.size(), 0);
+    test.deepEqual(bulk._self(), []);
+    test.strictEqual(bulk.toString(), '');
+    
+    bulk.add(doc1);
+    expectedLines = [
+      {index: {_index: 'index', _type: 'type', _id: 'id1', _routing: 'r1', 
+        _version: 2}},
+      {title: 'title 1'}
+    ];
+    test.strictEqual(bulk.size(), 1);
+    test.deepEqual(bulk._self(), expectedLines);
+    test.strictEqual(bulk.actions()[0].action, 'index');
+    test.strictEqual(bulk.actions()[0].doc, doc1);
+    
+    bulk.add(doc2, 'UPDATE');
+    expectedLines.push(
+      {update: {_index: 'index', _type: 'type', _id: 'id2', 
+        _retry_on_conflict: 3}},
+      {script: 'ctx._source.c += 1', params: {p: 1}}
+    );
+    test.deepEqual(bulk._self(), expectedLines);
+    
+    bulk.add(doc3, 'delete');
+    expectedLines.push(
+      {'delete': {_index: 'index2', _type: 'type2', _id: 'id3', 
+        _parent: 'p1'}}
+    );
+    test.deepEqual(bulk._self(), expectedLines);
+    test.strictEqual(bulk.toString(), JSON.stringify(expectedLines[0]) + '\n' +
+      JSON.stringify(expectedLines[1]) + '\n' +
+      JSON.stringify(expectedLines[2]) + '\n' +
+      JSON.stringify(expectedLines[3]) + '\n' +
+      JSON.stringify(expectedLines[4]) + '\n');
+    
+    bulk.refresh(true).consistency('ONE').replication('invalid').timeout('1m');
+    test.strictEqual(bulk.refresh(), true);
+    test.strictEqual(bulk.consistency(), 'one');
+    test.strictEqual(typeof(bulk.replication()), 'undefined');
+    test.strictEqual(bulk.timeout(), '1m');
+    
+    response = {took: 5, items: [
+      {index: {_index: 'index', _type: 'type', _id: 'id1', _version: 2, 
+        ok: true}},
+      {update: {_index: 'index', _type: 'type', _id: 'id2', 
+        error: 'DocumentMissingException'}},
+      {'delete': {_index: 'index2', _type: 'type2', _id: 'id3', _version: 4,
+        ok: true}}
+    ]};
+    expectedMethod = 'post';
+    expectedPath = '/_bulk?refresh=true&consistency=one&timeout=1m';
+    expectedData = bulk.toString();
+    bulk.doBulk(function (r) {
+      results = r;
+    });
+    test.strictEqual(results.took, 5);
+    test.strictEqual(results.errors, true);
+    test.strictEqual(results.items.length, 3);
+    test.deepEqual(results.items[0], {action: 'index', index: 'index', 
+      type: 'type', id: 'id1', version: 2, status: undefined, 
+      error: undefined, ok: true, document: doc1});
+    test.strictEqual(results.items[1].ok, false);
+    test.strictEqual(results.items[1].error, 'DocumentMissingException');
+    test.strictEqual(results.items[2].document, doc3);
+    
+    // default index and type
+    response = null;
+    bulk = ejs.BulkRequest({index: 'dindex', type: 'dtype'}).add(doc4);
+    expectedLines = [
+      {create: {_ttl: '1d'}},
+      {title: 'title 4'}
+    ];
+    test.strictEqual(bulk.index(), 'dindex');
+    test.strictEqual(bulk.type(), 'dtype');
+    expectedPath = '/dindex/dtype/_bulk';
+    bulk.doBulk();
+    
+    bulk.clear();
+    test.strictEqual(bulk.size(), 0);
+    
+    // test exceptions
+    test.throws(function () {
+      bulk.add('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      bulk.add(doc1, 'invalid');
+    }, Error);
+    
+    test.throws(function () {
+      ejs.BulkRequest().add(doc4);
+    }, Error);
+    
+    test.throws(function () {
+      bulk.add(ejs.Document('index', 'type'), 'delete');
+    }, Error);
+    
+    test.throws(function () {
+      bulk.add(ejs.Document('index', 'type'));
+    }, Error);
+    
+    test.throws(function () {
+      bulk.add(ejs.Document('index', 'type', 'id'), 'update');
+    }, Error);
+    
+    test.throws(function () {
+      bulk.doBulk();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.client = null;
+      bulk.add(doc1).doBulk();
+    }, Error);
+    
+    // results are paired with the actions that were sent, even when the
+    // actions change before the response arrives
+    ejs.client = {
+      post: function (path, data, successcb) {
+        pendingCb = successcb;
+      }
+    };
+
+    bulk.clear().add(doc1).doBulk(function (r) {
+      results = r;
+    });
+    bulk.clear().add(doc3, 'delete');
+    pendingCb({took: 1, items: [{index: {_id: 'id1', ok: true}}]});
+    test.strictEqual(results.items[0].document, doc1);
+    bulk.clear().add(doc1);
+
+    // promise is resolved with the per-item results
+    ejs.client = {
+      defer: function () {
+        var deferred = {};
+        deferred.promise = new Promise(function (resolve, reject) {
+          deferred.resolve = resolve;
+          deferred.reject = reject;
+        });
+        return deferred;
+      },
+      post: function (path, data, successcb, errorcb) {
+        successcb({took: 2, items: [{index: {_id: 'id1', ok: true}}]});
+      }
+    };
+    
+    bulk.doBulk().then(function (r) {
+      test.strictEqual(r.errors, false);
+      test.strictEqual(r.items[0].document, doc1);
+
+      // the promise is rejected when the response can not be parsed
+      ejs.client.post = function (path, data, successcb, errorcb) {
+        successcb(null);
+      };
+      return bulk.doBulk();
+    }).then(null, function (error) {
+      test.ok(error instanceof TypeError, 'parse error rejects');
+      ejs.client = null;
+      test.done();
+    });
+  },
+  BulkProcessor: function (test) {
+    test.expect(60);
+
+    var processor = ejs.BulkProcessor({index: 'index', type: 'type'}),
+      requests = [],
+      before = [],
+      after = [],
+      errors = [],
+      closed = false,
+      doc = function (id) {
+        return ejs.Document(null, null, id).source({title: 'title ' + id});
+      };
+
+    // setup fake client that holds requests until they are completed
+    ejs.client = {
+      post: function (path, data, successcb, errorcb) {
+        requests.push({
+          path: path,
+          data: data,
+          success: successcb,
+          error: errorcb
+        });
+      }
+    };
+    
+    test.ok(processor, 'BulkProcessor exists');
+    test.strictEqual(processor._type(), 'bulk processor');
+    test.deepEqual(processor._self(), {
+      bulk_actions: 1000,
+      bulk_size: 5 * 1024 * 1024,
+      concurrent_requests: 1,
+      max_queued: 0
+    });
+    
+    processor.bulkActions(2).bulkSize(0).concurrentRequests(2)
+      .beforeBulk(function (id, req) {
+        before.push(id);
+      })
+      .afterBulk(function (id, req, results) {
+        after.push({id: id, size: req.size(), errors: results.errors});
+      })
+      .onError(function (id, req, err) {
+        errors.push({id: id, error: err});
+      });
+    test.strictEqual(processor.bulkActions(), 2);
+    test.strictEqual(processor.bulkSize(), 0);
+    test.strictEqual(processor.concurrentRequests(), 2);
+    test.strictEqual(typeof(processor.flushInterval()), 'undefined');
+    test.ok(processor.beforeBulk());
+    test.ok(processor.afterBulk());
+    test.ok(processor.onError());
+    test.strictEqual(processor.toString(), JSON.stringify(processor._self()));
+    
+    // flush on action count
+    processor.add(doc('1'));
+    test.strictEqual(processor.buffered(), 1);
+    test.strictEqual(requests.length, 0);
+    processor.add(doc('2'));
+    test.strictEqual(processor.buffered(), 0);
+    test.strictEqual(requests.length, 1);
+    test.strictEqual(requests[0].path, '/index/type/_bulk');
+    test.deepEqual(before, [1]);
+    test.strictEqual(processor.pending(), 1);
+    
+    // second batch runs concurrently, third is queued
+    processor.add(doc('3'));
+    processor.add(doc('4'));
+    processor.add(doc('5'), 'create');
+    processor.add(doc('6'));
+    test.strictEqual(requests.length, 2);
+    test.deepEqual(before, [1, 2]);
+    test.strictEqual(processor.pending(), 3);
+    
+    // completing a batch executes the queued batch
+    requests[0].success({took: 1, items: [
+      {index: {_id: '1', ok: true}}, {index: {_id: '2', ok: true}}
+    ]});
+    test.deepEqual(after, [{id: 1, size: 2, errors: false}]);
+    test.strictEqual(requests.length, 3);
+    test.deepEqual(before, [1, 2, 3]);
+    test.strictEqual(processor.pending(), 2);
+    
+    requests[1].error('connection refused');
+    test.deepEqual(errors, [{id: 2, error: 'connection refused'}]);
+    test.strictEqual(processor.pending(), 1);
+    
+    // flush on size
+    processor.bulkActions(0).bulkSize(60);
+    processor.add(doc('7'));
+    test.strictEqual(requests.length, 3);
+    processor.add(doc('8'));
+    test.strictEqual(requests.length, 4);
+    test.strictEqual(processor.pending(), 2);
+    
+    // manual flush with nothing buffered does nothing
+    processor.flush();
+    test.strictEqual(requests.length, 4);
+    
+    // close flushes remaining actions and waits for all batches
+    processor.add(doc('9'));
+    processor.close(function () {
+      closed = true;
+    });
+    test.strictEqual(requests.length, 4);
+    test.strictEqual(processor.pending(), 3);
+    requests[2].success({took: 1, items: []});
+    test.strictEqual(requests.length, 5);
+    requests[3].success({took: 1, items: []});
+    test.strictEqual(closed, false);
+    requests[4].success({took: 1, items: [{index: {_id: '9', error: 'failed'}}]});
+    test.strictEqual(closed, true);
+    test.strictEqual(after[after.length - 1].errors, true);
+    test.strictEqual(processor.pending(), 0);
+    
+    // test exceptions
+    test.throws(function () {
+      processor.add(doc('10'));
+    }, Error);
+    
+    test.throws(function () {
+      processor.beforeBulk('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      ejs.BulkProcessor().add('invalid');
+    }, TypeError);
+    
+    // adds are rejected while the queue is full
+    requests = [];
+    processor = ejs.BulkProcessor({index: 'index', type: 'type'})
+      .bulkActions(1).maxQueued(1);
+    test.strictEqual(processor.maxQueued(), 1);
+    test.strictEqual(processor.add(doc('a')), true);
+    test.strictEqual(processor.add(doc('b')), true);
+    test.strictEqual(processor.pending(), 2);
+    test.strictEqual(processor.add(doc('c')), false);
+    test.strictEqual(processor.buffered(), 0);
+    requests[0].success({took: 1, items: []});
+    test.strictEqual(processor.add(doc('c')), true);
+    test.strictEqual(requests.length, 2);
+
+    // a failing before hook fails the batch and frees its slot
+    errors = [];
+    requests = [];
+    processor = ejs.BulkProcessor({index: 'index', type: 'type'})
+      .bulkActions(1)
+      .beforeBulk(function (id) {
+        if (id === 1) {
+          throw new Error('hook failed');
+        }
+      })
+      .onError(function (id, req, err) {
+        errors.push({id: id, error: err.message});
+      });
+    processor.add(doc('d'));
+    test.deepEqual(errors, [{id: 1, error: 'hook failed'}]);
+    test.strictEqual(processor.pending(), 0);
+    processor.add(doc('e'));
+    test.strictEqual(requests.length, 1);
+
+    // a failing after hook still starts the queued batches
+    requests = [];
+    closed = false;
+    processor = ejs.BulkProcessor({index: 'index', type: 'type'})
+      .bulkActions(1)
+      .afterBulk(function () {
+        throw new Error('after failed');
+      });
+    processor.add(doc('f'));
+    processor.add(doc('g'));
+    processor.close(function () {
+      closed = true;
+    });
+    test.throws(function () {
+      requests[0].success({took: 1, items: []});
+    }, /after failed/);
+    test.strictEqual(requests.length, 2);
+    test.throws(function () {
+      requests[1].success({took: 1, items: []});
+    }, /after failed/);
+    test.strictEqual(closed, true);
+    test.strictEqual(processor.pending(), 0);
+
+    // flush on interval
+    processor = ejs.BulkProcessor({index: 'index', type: 'type'})
+      .flushInterval(10)
+      .afterBulk(function (id, req, results) {
+        test.strictEqual(req.size(), 1);
+        test.done();
+      });
+    processor.add(doc('11'));
+    test.strictEqual(processor.buffered(), 1);
+    requests = [];
+    setTimeout(function () {
+      test.strictEqual(requests.length, 1);
+      requests[0].success({took: 1, items: []});
+    }, 50);
+  },
+  Reindex: function (test) {
+    test.expect(38);
+
+    var req = ejs.Request({indices: 'source', types: 'doc'})
+        .query(ejs.TermQuery('status', 'active')),
+      reindex = ejs.Reindex(req, 'target'),
+      calls = [],
+      bulks = [],
+      searches = [],
+      progress = [],
+      scrollResponses = [
+        {_scroll_id: 's1', hits: {total: 3, hits: []}},
+        {_scroll_id: 's2', hits: {total: 3, hits: [
+          {_index: 'source', _type: 'doc', _id: '1', _source: {n: 1}},
+          {_index: 'source', _type: 'doc', _id: '2', _source: {n: 2}, 
+            fields: {_routing: 'r2'}}
+        ]}},
+        {_scroll_id: 's3', hits: {total: 3, hits: [
+          {_index: 'source', _type: 'doc', _id: '3', _source: {n: 3}}
+        ]}},
+        {_scroll_id: 's4', hits: {total: 3, hits: []}}
+      ];
+
+    // setup fake client that replies to search, scroll, and bulk requests
+    ejs.client = {
+      post: function (path, data, successcb, errorcb) {
+        var lines, items = [], i;
+        
+        calls.push(path);
+        if (path.indexOf('_bulk') !== -1) {
+          lines = data.split('\n');
+          bulks.push(lines);
+          for (i = 0; i < lines.length - 1; i = i + 2) {
+            items.push({index: JSON.parse(lines[i]).index});
+          }
+          
+          // fail the last document
+          if (JSON.parse(lines[0]).index._id === '3') {
+            items[0].index.error = 'MapperParsingException';
+          }
+          
+          successcb({took: 1, items: items});
+        } else {
+          if (path.indexOf('_search?') !== -1) {
+            searches.push(JSON.parse(data));
+          }
+          
+          successcb(scrollResponses.shift());
+        }
+      },
+      del: function (path, data, successcb, errorcb) {
+        calls.push('delete ' + path);
+        successcb({ok: true});
+      }
+    };
+    
+    test.ok(reindex, 'Reindex exists');
+    test.strictEqual(reindex._type(), 'reindex');
+    test.strictEqual(reindex.index(), 'target');
+    test.strictEqual(typeof(reindex.type()), 'undefined');
+    test.deepEqual(reindex._self(), {scroll: '5m', bulk_actions: 500, 
+      concurrent_requests: 1});
+    
+    reindex.type('newdoc').scroll('1m').size(50).bulkActions(100)
+      .concurrentRequests(2)
+      .transform(function (hit) {
+        if (hit._id === '2') {
+          hit._source.n = 20;
+        }
+        
+        return hit._source;
+      })
+      .progress(function (p) {
+        progress.push([p.copied, p.failed]);
+      });
+    test.strictEqual(reindex.type(), 'newdoc');
+    test.strictEqual(reindex.scroll(), '1m');
+    test.strictEqual(reindex.size(), 50);
+    test.strictEqual(reindex.bulkActions(), 100);
+    test.strictEqual(reindex.concurrentRequests(), 2);
+    test.ok(reindex.transform());
+    test.ok(reindex.progress());
+    test.strictEqual(reindex.toString(), JSON.stringify(reindex._self()));
+    
+    reindex.doReindex(function () {
+      test.ok(false, 'should not complete with failed documents');
+    }, function (err) {
+      test.strictEqual(err.message, '1 documents failed to copy');
+      test.strictEqual(err.stats.total, 3);
+      test.strictEqual(err.stats.copied, 2);
+      test.strictEqual(err.stats.failed, 1);
+      test.strictEqual(err.stats.skipped, 0);
+    });
+    test.strictEqual(typeof(req.searchType()), 'undefined');
+    test.strictEqual(typeof(req.size()), 'undefined');
+    test.strictEqual(typeof(req.fields()), 'undefined');
+    test.deepEqual(searches[0], {
+      query: {term: {status: {term: 'active'}}},
+      fields: ['_source', '_routing', '_parent'],
+      size: 50
+    });
+    test.deepEqual(calls, [
+      '/source/doc/_search?search_type=scan&scroll=1m',
+      '/_search/scroll?scroll=1m',
+      '/_bulk',
+      '/_search/scroll?scroll=1m',
+      '/_bulk',
+      '/_search/scroll?scroll=1m',
+      'delete /_search/scroll'
+    ]);
+    test.deepEqual(bulks[0], [
+      JSON.stringify({index: {_index: 'target', _type: 'newdoc', _id: '1'}}),
+      JSON.stringify({n: 1}),
+      JSON.stringify({index: {_index: 'target', _type: 'newdoc', _id: '2', 
+        _routing: 'r2'}}),
+      JSON.stringify({n: 20}),
+      ''
+    ]);
+    test.deepEqual(progress, [[2, 0], [2, 1], [2, 1]]);
+    
+    // skipped documents and the source type
+    calls = [];
+    scrollResponses = [
+      {_scroll_id: 's1', hits: {total: 2, hits: []}},
+      {_scroll_id: 's2', hits: {total: 2, hits: [
+        {_index: 'source', _type: 'doc', _id: '1', _source: {n: 1}},
+        {_index: 'source', _type: 'doc', _id: '2', _source: {n: 2}}
+      ]}},
+      {_scroll_id: 's3', hits: {total: 2, hits: []}}
+    ];
+    ejs.Reindex(ejs.Request(), 'target')
+      .transform(function (hit) {
+        if (hit._id === '1') {
+          return null;
+        }
+        
+        return ejs.Document('other', 'otype', 'x').source({copied: true});
+      })
+      .doReindex(function (stats) {
+        test.strictEqual(stats.skipped, 1);
+        test.strictEqual(stats.copied, 1);
+        test.strictEqual(bulks[2][0], JSON.stringify({
+          index: {_index: 'other', _type: 'otype', _id: 'x'}
+        }));
+      });
+    
+    // search errors are passed to the error callback
+    scrollResponses = [{error: 'IndexMissingException', status: 404}];
+    ejs.Reindex(ejs.Request(), 'target').doReindex(function () {
+      test.ok(false, 'should not complete');
+    }, function (err) {
+      test.strictEqual(err.status, 404);
+    });
+
+    // the caller's fields are kept and hits without a source fail the copy
+    searches = [];
+    calls = [];
+    scrollResponses = [
+      {_scroll_id: 's1', hits: {total: 1, hits: []}},
+      {_scroll_id: 's2', hits: {total: 1, hits: [
+        {_index: 'source', _type: 'doc', _id: '1', fields: {title: 'a'}}
+      ]}}
+    ];
+    ejs.Reindex(ejs.Request().fields(['title', '_parent']), 'target')
+      .doReindex(function () {
+        test.ok(false, 'should not complete');
+      }, function (err) {
+        test.strictEqual(err.message, 'Document 1 has no _source');
+      });
+    test.deepEqual(searches[0].fields, ['title', '_parent', '_routing']);
+    test.strictEqual(calls[calls.length - 1], 'delete /_search/scroll');
+
+    // invalid transform results fail the copy
+    scrollResponses = [
+      {_scroll_id: 's1', hits: {total: 1, hits: []}},
+      {_scroll_id: 's2', hits: {total: 1, hits: [
+        {_index: 'source', _type: 'doc', _id: '1', _source: {n: 1}}
+      ]}}
+    ];
+    ejs.Reindex(ejs.Request(), 'target')
+      .transform(function (hit) {
+        return 'invalid';
+      })
+      .doReindex(function () {
+        test.ok(false, 'should not complete');
+      }, function (err) {
+        test.ok(err instanceof TypeError);
+      });
+
+    // test exceptions
+    test.throws(function () {
+      ejs.Reindex('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      reindex.transform('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      reindex.progress('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      ejs.Reindex(ejs.Request()).doReindex(function () {});
+    }, Error);
+    
+    test.throws(function () {
+      ejs.client = null;
+      reindex.doReindex();
+    }, Error);
+    
+    test.done();
+  },
+  Percolator: function (test) {
+    test.expect(30);
+
+    var perc = ejs.Percolator('alerts', 'q1'),
+      termQuery = ejs.TermQuery('title', 'elasticsearch'),
+      expected,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(perc._self(), expected);
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data) {
+        doTest('get', path, data);
+      },
+      put: function (path, data) {
+        doTest('put', path, data);
+      },
+      del: function (path, data) {
+        doTest('delete', path, data);
+      }
+    };
+    
+    expected = {};
+    
+    test.ok(perc, 'Percolator exists');
+    test.ok(perc._self(), '_self() works');
+    test.strictEqual(perc.index(), 'alerts');
+    test.strictEqual(perc.id(), 'q1');
+    doTest();
+    
+    perc.query(termQuery);
+    expected.query = termQuery._self();
+    test.deepEqual(perc.query(), termQuery._self());
+    doTest();
+    
+    perc.field('owner', 'bob');
+    expected.owner = 'bob';
+    test.strictEqual(perc.field('owner'), 'bob');
+    doTest();
+    
+    perc.field('priority', 2);
+    expected.priority = 2;
+    doTest();
+    
+    test.strictEqual(perc._type(), 'percolator');
+    test.strictEqual(perc.toString(), JSON.stringify(expected));
+    
+    expectedMethod = 'put';
+    expectedPath = '/alerts/.percolator/q1';
+    expectedData = JSON.stringify(expected);
+    perc.doRegister();
+    
+    expectedMethod = 'get';
+    expectedPath = '/alerts/.percolator/q1';
+    perc.doGet();
+    
+    perc.index('news').id('q2');
+    test.strictEqual(perc.index(), 'news');
+    test.strictEqual(perc.id(), 'q2');
+    
+    expectedMethod = 'delete';
+    expectedPath = '/news/.percolator/q2';
+    perc.doDelete();
+    
+    test.throws(function () {
+      ejs.Percolator('alerts', 'q1').doRegister();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Percolator('alerts').query(termQuery).doRegister();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Percolator().id('q1').doDelete();
+    }, Error);
+    
+    test.throws(function () {
+      perc.field('query', {});
+    }, Error);
+    
+    test.throws(function () {
+      perc.query('invalid');
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      perc.doGet();
+    }, Error);
+    
+    test.done();
+  },
+  PercolateRequest: function (test) {
+    test.expect(45);
+
+    var pr = ejs.PercolateRequest('alerts', 'post'),
+      termFilter = ejs.TermFilter('owner', 'bob'),
+      expected,
+      result,
+      response,
+      promise,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data, cb, errcb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(pr._self(), expected);
+        
+        if (response != null) {
+          cb(response);
+        }
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      post: function (path, data, cb, errcb) {
+        doTest('post', path, data, cb, errcb);
+      }
+    };
+    
+    expected = {};
+    
+    test.ok(pr, 'PercolateRequest exists');
+    test.ok(pr._self(), '_self() works');
+    test.strictEqual(pr.index(), 'alerts');
+    test.strictEqual(pr.type(), 'post');
+    test.strictEqual(pr.document(), null);
+    doTest();
+    
+    pr.doc({title: 'elasticsearch rocks'});
+    expected.doc = {title: 'elasticsearch rocks'};
+    test.deepEqual(pr.doc(), {title: 'elasticsearch rocks'});
+    doTest();
+    
+    pr.filter(termFilter);
+    expected.filter = termFilter._self();
+    test.deepEqual(pr.filter(), termFilter._self());
+    doTest();
+    
+    pr.size(10);
+    expected.size = 10;
+    test.strictEqual(pr.size(), 10);
+    doTest();
+    
+    pr.routing('r1');
+    test.strictEqual(pr.routing(), 'r1');
+    doTest();
+    
+    pr.preference('_local');
+    test.strictEqual(pr.preference(), '_local');
+    doTest();
+    
+    test.strictEqual(pr._type(), 'percolate request');
+    test.strictEqual(pr.toString(), JSON.stringify(expected));
+    
+    response = {
+      took: 2,
+      total: 2,
+      matches: [{_index: 'alerts', _id: 'q1'}, {_index: 'alerts', _id: 'q3'}]
+    };
+    
+    expectedMethod = 'post';
+    expectedPath = '/alerts/post/_percolate?routing=r1&preference=_local';
+    expectedData = JSON.stringify(expected);
+    pr.doPercolate(function (ids) {
+      result = ids;
+    });
+    test.deepEqual(result, ['q1', 'q3']);
+    
+    expectedMethod = 'post';
+    expectedPath = '/alerts/post/_percolate/count?routing=r1&preference=_local';
+    pr.doCount(function (total) {
+      result = total;
+    });
+    test.strictEqual(result, 2);
+    
+    response = {error: 'IndexMissingException', status: 404};
+    pr.doPercolate(function (ids) {
+      result = ids;
+    }, function (error) {
+      result = error;
+    });
+    test.deepEqual(result, response);
+    
+    // promise support
+    response = {total: 0, matches: []};
+    mockClient.defer = function () {
+      var deferred = {};
+      deferred.promise = new Promise(function (resolve, reject) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      return deferred;
+    };
+    promise = pr.doPercolate();
+    
+    // percolate an existing document
+    pr = ejs.PercolateRequest()
+      .document(ejs.Document('news', 'article', '1'));
+    expected = {};
+    response = null;
+    
+    expectedPath = '/news/article/1/_percolate';
+    pr.doPercolate(function () {});
+    
+    pr.index('alerts').type('post');
+    expectedPath = '/news/article/1/_percolate?percolate_index=alerts&' +
+      'percolate_type=post';
+    pr.doPercolate(function () {});
+    
+    pr.filter(termFilter);
+    expected.filter = termFilter._self();
+    expectedPath = '/news/article/1/_percolate/count?' +
+      'percolate_index=alerts&percolate_type=post';
+    expectedData = JSON.stringify(expected);
+    pr.doCount(function () {});
+    
+    test.throws(function () {
+      ejs.PercolateRequest('alerts', 'post').doPercolate();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.PercolateRequest('alerts').doc({}).doPercolate();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.PercolateRequest().document(ejs.Document('news', 'article'))
+        .doCount();
+    }, Error);
+    
+    test.throws(function () {
+      pr.doc('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      pr.document('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      pr.filter('invalid');
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      pr.doPercolate();
+    }, Error);
+    
+    promise.then(function (ids) {
+      test.deepEqual(ids, []);
+      test.done();
+    });
+  },
+  MultiGetRequest: function (test) {
+    test.expect(40);
+
+    var mget = ejs.MultiGetRequest(),
+      doc1 = ejs.Document('index', 'type', 'id1').routing('r1')
+        .fields(['title', 'date']),
+      doc2 = ejs.Document('index2', 'type2', 'id2').preference('_local'),
+      doc3 = ejs.Document(null, null, 'id3').realtime(false),
+      expected,
+      mockClient,
+      response,
+      results,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data, cb) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+        
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+        
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+        
+        test.deepEqual(mget._self(), expected);
+        
+        if (cb != null && response != null) {
+          cb(response);
+        }
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+      }
+    };
+    
+    expected = {docs: []};
+    
+    test.ok(mget, 'MultiGetRequest exists');
+    test.ok(mget._self(), '_self() works');
+    test.strictEqual(mget.size(), 0);
+    doTest();
+    
+    mget.add(doc1);
+    expected.docs.push({
+      _index: 'index',
+      _type: 'type',
+      _id: 'id1',
+      _routing: 'r1',
+      fields: ['title', 'date']
+    });
+    test.strictEqual(mget.size(), 1);
+    doTest();
+    
+    mget.add(doc2);
+    expected.docs.push({_index: 'index2', _type: 'type2', _id: 'id2'});
+    test.deepEqual(mget.documents(), [doc1, doc2]);
+    doTest();
+    
+    test.strictEqual(mget._type(), 'multi get request');
+    test.strictEqual(mget.toString(), JSON.stringify(expected));
+    
+    response = {
+      docs: [
+        {_index: 'index', _type: 'type', _id: 'id1', _version: 1,
+          found: true, fields: {title: 't1', date: 'd1'}},
+        {_index: 'index2', _type: 'type2', _id: 'id2', found: false}
+      ]
+    };
+    
+    expectedMethod = 'post';
+    expectedPath = '/_mget?preference=_local';
+    expectedData = JSON.stringify(expected);
+    mget.doGet(function (r) {
+      results = r;
+    });
+    test.deepEqual(results, [
+      {index: 'index', type: 'type', id: 'id1', version: 1, found: true,
+        source: undefined, fields: {title: 't1', date: 'd1'},
+        error: undefined, document: doc1},
+      {index: 'index2', type: 'type2', id: 'id2', version: undefined,
+        found: false, source: undefined, fields: undefined,
+        error: undefined, document: doc2}
+    ]);
+    
+    test.throws(function () {
+      mget.add(doc3);
+    }, Error);
+    
+    mget.index('index3').type('type3');
+    test.strictEqual(mget.index(), 'index3');
+    test.strictEqual(mget.type(), 'type3');
+    mget.add([doc3]);
+    expected.docs.push({_id: 'id3'});
+    test.strictEqual(mget.size(), 3);
+    doTest();
+    
+    // older versions report exists instead of found
+    response = {
+      docs: [
+        {_index: 'index', _type: 'type', _id: 'id1', exists: true,
+          _source: {title: 't1'}},
+        {_index: 'index2', _type: 'type2', _id: 'id2',
+          error: 'IndexMissingException'},
+        {_index: 'index3', _type: 'type3', _id: 'id3', exists: false}
+      ]
+    };
+    
+    expectedPath = '/index3/type3/_mget?preference=_local&realtime=false';
+    mget.doGet(function (r) {
+      results = r;
+    });
+    test.strictEqual(results.length, 3);
+    test.strictEqual(results[0].found, true);
+    test.deepEqual(results[0].source, {title: 't1'});
+    test.strictEqual(results[1].found, false);
+    test.strictEqual(results[1].error, 'IndexMissingException');
+    test.strictEqual(results[2].found, false);
+    test.strictEqual(results[2].document, doc3);
+    
+    mget.preference('_primary');
+    test.strictEqual(mget.preference(), '_primary');
+    mget.realtime(true);
+    test.strictEqual(mget.realtime(), true);
+    mget.refresh(true);
+    test.strictEqual(mget.refresh(), true);
+    
+    response = null;
+    expectedPath = '/index3/type3/_mget?preference=_primary&realtime=true&' +
+      'refresh=true';
+    mget.doGet();
+    
+    // conflicting document values can not be sent in one request
+    mget = ejs.MultiGetRequest({index: 'index'});
+    mget.add([doc1, doc2, ejs.Document(null, null, 'id4')
+      .preference('_primary')]);
+    test.throws(function () {
+      mget.doGet();
+    }, /Documents have conflicting preference values/);
+    
+    mget.clear();
+    test.strictEqual(mget.size(), 0);
+    test.throws(function () {
+      mget.doGet();
+    }, Error);
+    
+    test.throws(function () {
+      mget.add(ejs.Document('index', 'type'));
+    }, Error);
+    
+    test.throws(function () {
+      mget.add('invalid');
+    }, TypeError);
+    
+    ejs.client = null;
+    test.throws(function () {
+      mget.add(doc1).doGet();
+    }, Error);
+    
     test.done();
   }
 };
@@ -0,0 +1,777 @@
+/*global require:true */
+'use strict';
+
+var ejs = require('../dist/elastic.js');
+
+/*
+  ======== A Handy Little Nodeunit Reference ========
+  https://github.com/caolan/nodeunit
+
+  Test methods:
+    test.test.test.expect(numAssertions)
+    test.done()
+  Test assertions:
+    test.test.test.ok(value, [message])
+    test.equal(actual, expected, [message])
+    test.notEqual(actual, expected, [message])
+    test.test.test.deepEqual(actual, expected, [message])
+    test.nottest.test.deepEqual(actual, expected, [message])
+    test.test.test.strictEqual(actual, expected, [message])
+    test.nottest.test.strictEqual(actual, expected, [message])
+    test.throws(block, [error], [message])
+    test.doesNotThrow(block, [error], [message])
+    test.ifError(value)
+*/
+
+exports.mapping = {
+  setUp: function (done) {
+    done();
+  },
+  exists: function (test) {
+    test.expect(12);
+
+    test.ok(ejs.Mapping, 'Mapping');
+    test.ok(ejs.FieldMixin, 'FieldMixin');
+    test.ok(ejs.StringField, 'StringField');
+    test.ok(ejs.NumericField, 'NumericField');
+    test.ok(ejs.DateField, 'DateField');
+    test.ok(ejs.BooleanField, 'BooleanField');
+    test.ok(ejs.GeoPointField, 'GeoPointField');
+    test.ok(ejs.GeoShapeField, 'GeoShapeField');
+    test.ok(ejs.ObjectField, 'ObjectField');
+    test.ok(ejs.NestedField, 'NestedField');
+    test.ok(ejs.MultiField, 'MultiField');
+    test.ok(ejs.DynamicTemplate, 'DynamicTemplate');
+
+    test.done();
+  },
+  StringField: function (test) {
+    test.expect(25);
+
+    var field = ejs.StringField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'string'
+      }
+    };
+
+    test.ok(field, 'StringField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.store(true);
+    expected.f1.store = true;
+    doTest();
+
+    field.index('NOT_ANALYZED');
+    expected.f1.index = 'not_analyzed';
+    doTest();
+
+    field.index('INVALID');
+    doTest();
+
+    field.indexName('name');
+    expected.f1.index_name = 'name';
+    doTest();
+
+    field.boost(1.5);
+    expected.f1.boost = 1.5;
+    doTest();
+
+    field.nullValue('na');
+    expected.f1.null_value = 'na';
+    doTest();
+
+    field.includeInAll(false);
+    expected.f1.include_in_all = false;
+    doTest();
+
+    field.analyzer('standard');
+    expected.f1.analyzer = 'standard';
+    doTest();
+
+    field.indexAnalyzer('idx');
+    expected.f1.index_analyzer = 'idx';
+    doTest();
+
+    field.searchAnalyzer('search');
+    expected.f1.search_analyzer = 'search';
+    doTest();
+
+    field.termVector('with_positions_offsets');
+    expected.f1.term_vector = 'with_positions_offsets';
+    doTest();
+
+    field.termVector('INVALID');
+    doTest();
+
+    field.omitNorms(true);
+    expected.f1.omit_norms = true;
+    doTest();
+
+    field.indexOptions('DOCS');
+    expected.f1.index_options = 'docs';
+    doTest();
+
+    field.indexOptions('INVALID');
+    doTest();
+
+    field.positionOffsetGap(100);
+    expected.f1.position_offset_gap = 100;
+    doTest();
+
+    field.ignoreAbove(256);
+    expected.f1.ignore_above = 256;
+    doTest();
+
+    test.strictEqual(field.store(), true);
+    test.strictEqual(field.index(), 'not_analyzed');
+    test.strictEqual(field.analyzer(), 'standard');
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  NumericField: function (test) {
+    test.expect(10);
+
+    var field = ejs.NumericField('f1', 'INTEGER'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'integer'
+      }
+    };
+
+    test.ok(field, 'NumericField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.precisionStep(8);
+    expected.f1.precision_step = 8;
+    doTest();
+
+    field.ignoreMalformed(true);
+    expected.f1.ignore_malformed = true;
+    doTest();
+
+    field.store(true);
+    expected.f1.store = true;
+    doTest();
+
+    test.deepEqual(ejs.NumericField('f2')._self(), {f2: {type: 'double'}});
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      ejs.NumericField('f3', 'string');
+    }, Error);
+
+    test.done();
+  },
+  DateField: function (test) {
+    test.expect(9);
+
+    var field = ejs.DateField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'date'
+      }
+    };
+
+    test.ok(field, 'DateField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.format('yyyy/MM/dd');
+    expected.f1.format = 'yyyy/MM/dd';
+    doTest();
+
+    field.precisionStep(4);
+    expected.f1.precision_step = 4;
+    doTest();
+
+    field.ignoreMalformed(false);
+    expected.f1.ignore_malformed = false;
+    doTest();
+
+    field.index('no');
+    expected.f1.index = 'no';
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  BooleanField: function (test) {
+    test.expect(7);
+
+    var field = ejs.BooleanField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'boolean'
+      }
+    };
+
+    test.ok(field, 'BooleanField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.nullValue(false);
+    expected.f1.null_value = false;
+    doTest();
+
+    field.nullValue(true);
+    expected.f1.null_value = true;
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  GeoPointField: function (test) {
+    test.expect(11);
+
+    var field = ejs.GeoPointField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'geo_point'
+      }
+    };
+
+    test.ok(field, 'GeoPointField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.latLon(true);
+    expected.f1.lat_lon = true;
+    doTest();
+
+    field.geohash(true);
+    expected.f1.geohash = true;
+    doTest();
+
+    field.geohashPrecision(8);
+    expected.f1.geohash_precision = 8;
+    doTest();
+
+    field.geohashPrefix(true);
+    expected.f1.geohash_prefix = true;
+    doTest();
+
+    field.validate(false);
+    expected.f1.validate = false;
+    doTest();
+
+    field.normalize(true);
+    expected.f1.normalize = true;
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  GeoShapeField: function (test) {
+    test.expect(10);
+
+    var field = ejs.GeoShapeField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'geo_shape'
+      }
+    };
+
+    test.ok(field, 'GeoShapeField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.tree('QUADTREE');
+    expected.f1.tree = 'quadtree';
+    doTest();
+
+    field.tree('INVALID');
+    doTest();
+
+    field.precision('50m');
+    expected.f1.precision = '50m';
+    doTest();
+
+    field.treeLevels(10);
+    expected.f1.tree_levels = 10;
+    doTest();
+
+    field.distanceErrorPct(0.025);
+    expected.f1.distance_error_pct = 0.025;
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  ObjectField: function (test) {
+    test.expect(16);
+
+    var field = ejs.ObjectField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'object'
+      }
+    };
+
+    test.ok(field, 'ObjectField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.field(ejs.StringField('inner1'));
+    expected.f1.properties = {inner1: {type: 'string'}};
+    doTest();
+
+    field.field(ejs.NumericField('inner2', 'long'));
+    expected.f1.properties.inner2 = {type: 'long'};
+    doTest();
+
+    test.deepEqual(field.field(), expected.f1.properties);
+
+    field.dynamic('strict');
+    expected.f1.dynamic = 'strict';
+    doTest();
+
+    field.dynamic('INVALID');
+    doTest();
+
+    field.dynamic(false);
+    expected.f1.dynamic = false;
+    doTest();
+
+    field.path('JUST_NAME');
+    expected.f1.path = 'just_name';
+    doTest();
+
+    field.path('INVALID');
+    doTest();
+
+    field.enabled(true);
+    expected.f1.enabled = true;
+    doTest();
+
+    field.includeInAll(false);
+    expected.f1.include_in_all = false;
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      field.field('invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  NestedField: function (test) {
+    test.expect(11);
+
+    var field = ejs.NestedField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'nested'
+      }
+    };
+
+    test.ok(field, 'NestedField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.field(ejs.StringField('inner1').index('not_analyzed'));
+    expected.f1.properties = {
+      inner1: {type: 'string', index: 'not_analyzed'}
+    };
+    doTest();
+
+    field.dynamic(true);
+    expected.f1.dynamic = true;
+    doTest();
+
+    field.path('full');
+    expected.f1.path = 'full';
+    doTest();
+
+    field.includeInParent(true);
+    expected.f1.include_in_parent = true;
+    doTest();
+
+    field.includeInRoot(false);
+    expected.f1.include_in_root = false;
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      field.field(ejs.Mapping('t1'));
+    }, TypeError);
+
+    test.done();
+  },
+  MultiField: function (test) {
+    test.expect(11);
+
+    var field = ejs.MultiField('f1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(field._self(), expected);
+      };
+
+    expected = {
+      f1: {
+        type: 'multi_field',
+        fields: {}
+      }
+    };
+
+    test.ok(field, 'MultiField exists');
+    test.ok(field._self(), '_self() works');
+    doTest();
+
+    field.field(ejs.StringField('f1').analyzer('standard'));
+    expected.f1.fields.f1 = {type: 'string', analyzer: 'standard'};
+    doTest();
+
+    field.field(ejs.StringField('raw').index('not_analyzed'));
+    expected.f1.fields.raw = {type: 'string', index: 'not_analyzed'};
+    doTest();
+
+    test.deepEqual(field.field(), expected.f1.fields);
+
+    field.path('just_name');
+    expected.f1.path = 'just_name';
+    doTest();
+
+    field.path('INVALID');
+    doTest();
+
+    test.strictEqual(field._type(), 'field mapping');
+    test.strictEqual(field.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      field.field({});
+    }, TypeError);
+
+    test.done();
+  },
+  DynamicTemplate: function (test) {
+    test.expect(15);
+
+    var template = ejs.DynamicTemplate('t1'),
+      expected,
+      doTest = function () {
+        test.deepEqual(template._self(), expected);
+      };
+
+    expected = {
+      t1: {}
+    };
+
+    test.ok(template, 'DynamicTemplate exists');
+    test.ok(template._self(), '_self() works');
+    doTest();
+
+    template.match('*_str');
+    expected.t1.match = '*_str';
+    doTest();
+
+    template.unmatch('*_num');
+    expected.t1.unmatch = '*_num';
+    doTest();
+
+    template.pathMatch('name.*');
+    expected.t1.path_match = 'name.*';
+    doTest();
+
+    template.pathUnmatch('*.middle');
+    expected.t1.path_unmatch = '*.middle';
+    doTest();
+
+    template.matchMappingType('string');
+    expected.t1.match_mapping_type = 'string';
+    doTest();
+
+    template.matchPattern('REGEX');
+    expected.t1.match_pattern = 'regex';
+    doTest();
+
+    template.matchPattern('INVALID');
+    doTest();
+
+    template.mapping(ejs.StringField('{name}').index('not_analyzed'));
+    expected.t1.mapping = {type: 'string', index: 'not_analyzed'};
+    doTest();
+
+    template.mapping({type: '{dynamic_type}', store: true});
+    expected.t1.mapping = {type: '{dynamic_type}', store: true};
+    doTest();
+
+    test.strictEqual(template._type(), 'dynamic template');
+    test.strictEqual(template.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      template.mapping('invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  Mapping: function (test) {
+    test.expect(58);
+
+    var mapping = ejs.Mapping('t1'),
+      expected,
+      mockClient,
+      expectedPath = '',
+      expectedData = '',
+      expectedMethod = '',
+      doTest = function (method, path, data) {
+        if (expectedPath !== '') {
+          test.strictEqual(path, expectedPath);
+          expectedPath = '';
+        }
+
+        if (expectedData !== '') {
+          test.deepEqual(data, expectedData);
+          expectedData = '';
+        }
+
+        if (expectedMethod !== '') {
+          test.strictEqual(method, expectedMethod);
+          expectedMethod = '';
+        }
+
+        test.deepEqual(mapping._self(), expected);
+      };
+
+    // setup fake client to call doTest
+    ejs.client = mockClient = {
+      get: function (path, data, cb) {
+        doTest('get', path, data, cb);
+      },
+      put: function (path, data, cb) {
+        doTest('put', path, data, cb);
+      },
+      del: function (path, data, cb) {
+        doTest('delete', path, data, cb);
+      }
+    };
+
+    expected = {
+      t1: {}
+    };
+
+    test.ok(mapping, 'Mapping exists');
+    test.ok(mapping._self(), '_self() works');
+    test.strictEqual(mapping.type(), 't1');
+    doTest();
+
+    mapping.field(ejs.StringField('f1'));
+    expected.t1.properties = {f1: {type: 'string'}};
+    doTest();
+
+    mapping.field(ejs.NestedField('f2').field(ejs.DateField('d1')));
+    expected.t1.properties.f2 = {
+      type: 'nested',
+      properties: {d1: {type: 'date'}}
+    };
+    doTest();
+
+    test.deepEqual(mapping.field(), expected.t1.properties);
+
+    mapping.dynamicTemplate(ejs.DynamicTemplate('dt1').match('*_i')
+      .mapping({type: 'integer'}));
+    expected.t1.dynamic_templates = [
+      {dt1: {match: '*_i', mapping: {type: 'integer'}}}
+    ];
+    doTest();
+
+    mapping.dynamic('strict');
+    expected.t1.dynamic = 'strict';
+    doTest();
+
+    mapping.dynamic('INVALID');
+    doTest();
+
+    mapping.dateDetection(false);
+    expected.t1.date_detection = false;
+    doTest();
+
+    mapping.dynamicDateFormats(['yyyy-MM-dd']);
+    expected.t1.dynamic_date_formats = ['yyyy-MM-dd'];
+    doTest();
+
+    mapping.numericDetection(true);
+    expected.t1.numeric_detection = true;
+    doTest();
+
+    mapping.analyzer('a1');
+    expected.t1.analyzer = 'a1';
+    doTest();
+
+    mapping.indexAnalyzer('a2');
+    expected.t1.index_analyzer = 'a2';
+    doTest();
+
+    mapping.searchAnalyzer('a3');
+    expected.t1.search_analyzer = 'a3';
+    doTest();
+
+    test.strictEqual(mapping.source(), undefined);
+    mapping.source(true);
+    expected.t1._source = {enabled: true};
+    test.strictEqual(mapping.source(), true);
+    doTest();
+
+    mapping.sourceIncludes(['f1']);
+    expected.t1._source.includes = ['f1'];
+    doTest();
+
+    mapping.sourceExcludes(['f2.*']);
+    expected.t1._source.excludes = ['f2.*'];
+    doTest();
+
+    mapping.all(false);
+    expected.t1._all = {enabled: false};
+    doTest();
+
+    mapping.allAnalyzer('a4');
+    expected.t1._all.analyzer = 'a4';
+    doTest();
+
+    mapping.parent('p1');
+    expected.t1._parent = {type: 'p1'};
+    test.strictEqual(mapping.parent(), 'p1');
+    doTest();
+
+    mapping.routingRequired(true);
+    expected.t1._routing = {required: true};
+    doTest();
+
+    mapping.routingPath('f1');
+    expected.t1._routing.path = 'f1';
+    doTest();
+
+    mapping.ttl(true);
+    expected.t1._ttl = {enabled: true};
+    doTest();
+
+    mapping.ttlDefault('1d');
+    expected.t1._ttl['default'] = '1d';
+    test.strictEqual(mapping.ttlDefault(), '1d');
+    doTest();
+
+    test.strictEqual(mapping._type(), 'mapping');
+    test.strictEqual(mapping.toString(), JSON.stringify(expected));
+
+    mapping.indices('i1');
+    test.deepEqual(mapping.indices(), ['i1']);
+
+    mapping.indices(['i1', 'i2']);
+    test.deepEqual(mapping.indices(), ['i1', 'i2']);
+
+    expectedMethod = 'put';
+    expectedPath = '/i1,i2/t1/_mapping';
+    expectedData = JSON.stringify(expected);
+    mapping.doPutMapping();
+
+    mapping.ignoreConflicts(true);
+    test.strictEqual(mapping.ignoreConflicts(), true);
+    expectedPath = '/i1,i2/t1/_mapping?ignore_conflicts=true';
+    mapping.doPutMapping();
+
+    expectedMethod = 'get';
+    expectedPath = '/i1,i2/t1/_mapping';
+    mapping.doGetMapping();
+
+    expectedMethod = 'delete';
+    expectedPath = '/i1,i2/t1/_mapping';
+    mapping.doDeleteMapping();
+
+    mapping.indices([]);
+    expectedMethod = 'get';
+    expectedPath = '/_all/t1/_mapping';
+    mapping.doGetMapping();
+
+    test.throws(function () {
+      mapping.doPutMapping();
+    }, Error);
+
+    test.throws(function () {
+      mapping.doDeleteMapping();
+    }, Error);
+
+    test.throws(function () {
+      mapping.field('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      mapping.dynamicTemplate(ejs.StringField('f1'));
+    }, TypeError);
+
+    test.throws(function () {
+      mapping.dynamicDateFormats('yyyy');
+    }, TypeError);
+
+    test.throws(function () {
+      mapping.sourceIncludes('f1');
+    }, TypeError);
+
+    test.throws(function () {
+      mapping.indices(2);
+    }, TypeError);
+
+    ejs.client = null;
+    test.throws(function () {
+      mapping.doGetMapping();
+    }, Error);
+
+    test.done();
+  }
+};
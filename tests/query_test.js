@@ -28,7 +28,7 @@ exports.queries = {
     done();
   },
   exists: function (test) {
-    test.expect(39);
+    test.expect(40);
     
     test.ok(ejs.CommonTermsQuery, 'CommonTermsQuery');
     test.ok(ejs.RegexpQuery, 'RegexpQuery');
@@ -69,6 +69,7 @@ exports.queries = {
     test.ok(ejs.SpanFirstQuery, 'SpanFirstQuery');
     test.ok(ejs.SpanMultiTermQuery, 'SpanMultiTermQuery');
     test.ok(ejs.FieldMaskingSpanQuery, 'FieldMaskingSpanQuery');
+    test.ok(ejs.FunctionScoreQuery, 'FunctionScoreQuery');
 
     test.done();
   },
@@ -3281,6 +3282,224 @@ exports.queries = {
       fieldMaskingSpanQuery.query('invalid');
     }, TypeError);
     
+    test.done();
+  },
+  cloneEquals: function (test) {
+    test.expect(174);
+
+    var termQuery = ejs.TermQuery('user', 'kimchy'),
+      spanQuery = ejs.SpanTermQuery('title', 'fox'),
+      termFilter = ejs.TermFilter('tag', 'a'),
+      queries = [
+        ejs.BoolQuery().must(termQuery).mustNot(ejs.MatchQuery('t', 'x'))
+          .minimumNumberShouldMatch(1),
+        ejs.BoostingQuery(termQuery, ejs.TermQuery('a', 'b'), 0.2),
+        ejs.CommonTermsQuery('body', 'the fox').cutoffFrequency(0.01),
+        ejs.ConstantScoreQuery().filter(termFilter).boost(2),
+        ejs.CustomBoostFactorQuery(termQuery).boostFactor(3),
+        ejs.CustomFiltersScoreQuery(termQuery,
+          [{filter: termFilter, boost: 2}]).scoreMode('max'),
+        ejs.CustomScoreQuery(termQuery, '_score * 2').params({a: 1}),
+        ejs.DisMaxQuery().queries([termQuery, ejs.MatchAllQuery()]),
+        ejs.FieldMaskingSpanQuery(spanQuery, 'title.stem'),
+        ejs.FieldQuery('title', 'quick fox').defaultOperator('and'),
+        ejs.FilteredQuery(termQuery, termFilter),
+        ejs.FunctionScoreQuery().query(termQuery).boostMode('sum')
+          .functions(ejs.BoostFactorScoreFunction(2).filter(termFilter)),
+        ejs.FuzzyLikeThisFieldQuery('title', 'quick').maxQueryTerms(5),
+        ejs.FuzzyLikeThisQuery('quick').fields(['a', 'b']),
+        ejs.FuzzyQuery('title', 'quikc').minSimilarity(0.5),
+        ejs.GeoShapeQuery('area')
+          .shape(ejs.Shape('envelope', [[1, 2], [3, 4]])),
+        ejs.HasChildQuery(termQuery, 'comment').scoreType('max'),
+        ejs.HasParentQuery(termQuery, 'blog').scoreType('score'),
+        ejs.IdsQuery(['1', '2']).type('doc'),
+        ejs.IndicesQuery(termQuery, ['a', 'b']).noMatchQuery('none'),
+        ejs.MatchAllQuery().boost(1.5),
+        ejs.MatchQuery('title', 'quick fox').type('phrase').slop(2),
+        ejs.MoreLikeThisFieldQuery('title', 'quick').minTermFreq(1),
+        ejs.MoreLikeThisQuery(['a', 'b'], 'quick').minDocFreq(2),
+        ejs.MultiMatchQuery(['a', 'b'], 'quick').useDisMax(true),
+        ejs.NestedQuery('comments').query(termQuery).scoreMode('max'),
+        ejs.PrefixQuery('title', 'qui').boost(2),
+        ejs.QueryStringQuery('title:quick').defaultField('body'),
+        ejs.RangeQuery('age').from(10).to(20).includeUpper(false),
+        ejs.RegexpQuery('title', 'qu.*').flags('ALL'),
+        ejs.SpanFirstQuery(spanQuery, 3),
+        ejs.SpanMultiTermQuery(ejs.PrefixQuery('title', 'qu')),
+        ejs.SpanNearQuery([spanQuery, ejs.SpanTermQuery('title', 'dog')], 2)
+          .inOrder(true),
+        ejs.SpanNotQuery(spanQuery, ejs.SpanTermQuery('title', 'dog')),
+        ejs.SpanOrQuery([spanQuery, ejs.SpanTermQuery('title', 'dog')]),
+        spanQuery,
+        termQuery,
+        ejs.TermsQuery('tags', ['a', 'b']).minimumShouldMatch(1),
+        ejs.TopChildrenQuery(termQuery, 'comment').factor(3),
+        ejs.WildcardQuery('title', 'qu*k').boost(2)
+      ],
+      copy,
+      query,
+      other,
+      i, len;
+
+    for (i = 0, len = queries.length; i < len; i++) {
+      query = queries[i];
+      copy = query.clone();
+      test.notStrictEqual(copy, query);
+      test.notStrictEqual(copy._self(), query._self());
+      test.deepEqual(copy._self(), query._self());
+      test.ok(copy.equals(query), 'clone equals ' + query.toString());
+    }
+
+    // nested queries are copied too
+    query = ejs.FilteredQuery(ejs.BoolQuery().must(termQuery), termFilter);
+    copy = query.clone();
+    copy.query(ejs.BoolQuery().must(ejs.TermQuery('user', 'other')));
+    copy.filter(ejs.TermFilter('tag', 'b'));
+    test.deepEqual(query._self(), {filtered: {
+      query: {bool: {must: [{term: {user: {term: 'kimchy'}}}]}},
+      filter: {term: {tag: 'a'}}
+    }});
+    test.ok(!copy.equals(query), 'changed clone is not equal');
+
+    query = ejs.NestedQuery('comments').query(ejs.BoolQuery().must(termQuery));
+    copy = query.clone();
+    copy._self().nested.query.bool.must[0].term.user.term = 'other';
+    test.strictEqual(query._self().nested.query.bool.must[0].term.user.term,
+      'kimchy');
+
+    // the clone keeps working with the fluent api
+    copy = termQuery.clone().boost(2);
+    test.strictEqual(copy.field(), 'user');
+    test.deepEqual(copy._self(), {term: {user: {term: 'kimchy', boost: 2}}});
+    test.strictEqual(termQuery.boost(), undefined);
+
+    copy = ejs.BoolQuery().must(termQuery).clone();
+    copy.should(ejs.MatchAllQuery());
+    test.strictEqual(copy._self().bool.should.length, 1);
+
+    // equality ignores key order and compares values
+    query = ejs.RangeQuery('age').from(1).to(5);
+    other = ejs.RangeQuery('age').to(5).from(1);
+    test.ok(query.equals(other), 'key order ignored');
+    test.ok(!query.equals(ejs.RangeQuery('age').from(1).to(6)), 'values differ');
+    test.ok(!query.equals(ejs.RangeQuery('height').from(1).to(5)),
+      'fields differ');
+    test.ok(!ejs.IdsQuery(['1', '2']).equals(ejs.IdsQuery(['2', '1'])),
+      'array order matters');
+    test.ok(!ejs.MatchAllQuery().equals(ejs.MatchAllFilter()),
+      'different types');
+    test.ok(!termQuery.equals(null), 'null is not equal');
+    test.ok(!termQuery.equals(termQuery._self()), 'raw json is not equal');
+
+    test.done();
+  },
+  FunctionScoreQuery: function (test) {
+    test.expect(26);
+
+    var termQuery = ejs.TermQuery('t1', 'v1'),
+      termFilter = ejs.TermFilter('tf1', 'vf1'),
+      termFilter2 = ejs.TermFilter('tf2', 'vf2'),
+      scriptFunc = ejs.ScriptScoreFunction('_score * doc["likes"].value'),
+      boostFunc = ejs.BoostFactorScoreFunction(3).filter(termFilter2),
+      decayFunc = ejs.DecayScoreFunction('location')
+        .origin(ejs.GeoPoint([37.7, -122.4])).scale('10km'),
+      functionScoreQuery = ejs.FunctionScoreQuery(),
+      expected,
+      doTest = function () {
+        test.deepEqual(functionScoreQuery._self(), expected);
+      };
+
+    expected = {
+      function_score: {}
+    };
+
+    test.ok(functionScoreQuery, 'FunctionScoreQuery exists');
+    test.ok(functionScoreQuery._self(), '_self() works');
+    doTest();
+
+    functionScoreQuery.query(termQuery);
+    expected.function_score.query = termQuery._self();
+    doTest();
+
+    functionScoreQuery.filter(termFilter);
+    delete expected.function_score.query;
+    expected.function_score.filter = termFilter._self();
+    doTest();
+
+    functionScoreQuery.query(termQuery);
+    delete expected.function_score.filter;
+    expected.function_score.query = termQuery._self();
+    doTest();
+
+    functionScoreQuery.functions(scriptFunc);
+    expected.function_score.functions = [scriptFunc._self()];
+    doTest();
+
+    functionScoreQuery.functions(boostFunc);
+    expected.function_score.functions.push(boostFunc._self());
+    doTest();
+
+    functionScoreQuery.functions([decayFunc, scriptFunc]);
+    expected.function_score.functions = [decayFunc._self(), scriptFunc._self()];
+    doTest();
+
+    test.deepEqual(functionScoreQuery.functions(),
+      expected.function_score.functions);
+
+    functionScoreQuery.scoreMode('SUM');
+    expected.function_score.score_mode = 'sum';
+    doTest();
+
+    functionScoreQuery.scoreMode('invalid');
+    doTest();
+
+    functionScoreQuery.scoreMode('first');
+    expected.function_score.score_mode = 'first';
+    doTest();
+
+    functionScoreQuery.boostMode('replace');
+    expected.function_score.boost_mode = 'replace';
+    doTest();
+
+    functionScoreQuery.boostMode('first');
+    doTest();
+
+    functionScoreQuery.maxBoost(10);
+    expected.function_score.max_boost = 10;
+    doTest();
+
+    functionScoreQuery.boost(1.2);
+    expected.function_score.boost = 1.2;
+    doTest();
+
+    test.strictEqual(functionScoreQuery._type(), 'query');
+    test.strictEqual(functionScoreQuery.toString(), JSON.stringify(expected));
+
+    test.ok(functionScoreQuery.clone().equals(functionScoreQuery),
+      'clone equals');
+    test.deepEqual(ejs.fromJSON(expected, 'query')._self(), expected);
+
+    test.throws(function () {
+      functionScoreQuery.query('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      functionScoreQuery.filter('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      functionScoreQuery.functions('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      functionScoreQuery.functions([scriptFunc, 'invalid']);
+    }, TypeError);
+
+    test.throws(function () {
+      functionScoreQuery.functions(termFilter);
+    }, TypeError);
+
     test.done();
   }
 };
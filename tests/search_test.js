@@ -1,4 +1,4 @@
-/*global require:true */
+/*global require:true, Symbol:true */
 'use strict';
 
 var ejs = require('../dist/elastic.js');
@@ -28,7 +28,7 @@ exports.search = {
     done();
   },
   exists: function (test) {
-    test.expect(13);
+    test.expect(24);
 
     test.ok(ejs.Request, 'Request');
     test.ok(ejs.ScriptField, 'ScriptField');
@@ -40,9 +40,20 @@ exports.search = {
     test.ok(ejs.TermSuggester, 'TermSuggester');
     test.ok(ejs.PhraseSuggester, 'PhraseSuggester');
     test.ok(ejs.DirectSettingsMixin, 'DirectSettingsMixin');
+    test.ok(ejs.CloneMixin, 'CloneMixin');
     test.ok(ejs.DirectGenerator, 'DirectGenerator');
     test.ok(ejs.MultiSearchRequest, 'MultiSearchRequest');
     test.ok(ejs.Rescore, 'Rescore');
+    test.ok(ejs.ScrollCursor, 'ScrollCursor');
+    test.ok(ejs.Explanation, 'Explanation');
+    test.ok(ejs.SearchResponse, 'SearchResponse');
+    test.ok(ejs.fromJSON, 'fromJSON');
+    test.ok(ejs.QueryParser, 'QueryParser');
+    test.ok(ejs.walk, 'walk');
+    test.ok(ejs.ScriptScoreFunction, 'ScriptScoreFunction');
+    test.ok(ejs.BoostFactorScoreFunction, 'BoostFactorScoreFunction');
+    test.ok(ejs.RandomScoreFunction, 'RandomScoreFunction');
+    test.ok(ejs.DecayScoreFunction, 'DecayScoreFunction');
     
     test.done();
   },
@@ -1057,7 +1068,7 @@ exports.search = {
     test.done();
   },
   Request: function (test) {
-    test.expect(165);
+    test.expect(196);
 
     var req = ejs.Request({indices: ['index1'], types: ['type1']}),
       matchAll = ejs.MatchAllQuery(),
@@ -1324,6 +1335,106 @@ exports.search = {
     expectedData = '';
     req.doSearchShards();
     
+    // test validate request
+    expectedPath = '/index/type/_validate/query';
+    expectedMethod = 'post';
+    expectedData = JSON.stringify(matchAll._self());
+    req.doValidate();
+    
+    ejs.client = {
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+        cb({
+          valid: false,
+          _shards: {
+            total: 2,
+            successful: 1,
+            failed: 1,
+            failures: [{index: 'index', shard: 1, reason: 'shard failed'}]
+          },
+          explanations: [
+            {index: 'index', valid: false, error: 'parse failure'},
+            {index: 'index2', valid: true, explanation: 'ConstantScore(*:*)'}
+          ]
+        });
+      }
+    };
+    
+    // the explain flag of the search body is not a validate option
+    req.explain(true);
+    expected.explain = true;
+    expectedPath = '/index/type/_validate/query';
+    req.doValidate(function () {});
+    
+    req.explain(false);
+    expected.explain = false;
+    req.validateExplain(true);
+    test.strictEqual(req.validateExplain(), true);
+    test.strictEqual(req.clone().validateExplain(), true);
+    test.ok(!req.equals(req.clone().validateExplain(false)));
+    test.throws(function () {
+      req.validateExplain(function () {});
+    }, TypeError);
+    
+    expectedPath = '/index/type/_validate/query?explain=true';
+    req.doValidate(function (result) {
+      test.deepEqual(result, {
+        valid: false,
+        errors: [
+          {index: 'index', shard: 1, reason: 'shard failed'},
+          {index: 'index', shard: undefined, reason: 'parse failure'}
+        ],
+        explanations: [
+          {index: 'index', valid: false, explanation: undefined},
+          {index: 'index2', valid: true, explanation: 'ConstantScore(*:*)'}
+        ]
+      });
+    });
+    
+    // test explain request
+    ejs.client = {
+      post: function (path, data, cb) {
+        doTest('post', path, data, cb);
+        cb({
+          ok: true,
+          matched: true,
+          explanation: {value: 1.5, description: 'weight(t:v in 0)'}
+        });
+      }
+    };
+    
+    expectedPath = '/index/type/1/_explain';
+    expectedMethod = 'post';
+    expectedData = JSON.stringify({query: matchAll._self()});
+    req.doExplain('1', function (result) {
+      test.strictEqual(result.matched, true);
+      test.strictEqual(result.explanation.value(), 1.5);
+      test.strictEqual(result.explanation._type(), 'explanation');
+    });
+    
+    // the id is encoded and only the explain parameters are sent
+    expectedPath = '/index/type/a%2Fb%20c/_explain?routing=r1&preference=_local';
+    expectedData = JSON.stringify({query: matchAll._self()});
+    ejs.Request({indices: 'index', types: 'type'}).query(matchAll)
+      .routing('r1').timeout(5000).searchType('count').preference('_local')
+      .doExplain('a/b c', function (result) {
+        test.strictEqual(result.matched, true);
+      });
+    
+    test.throws(function () {
+      req.doExplain();
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Request({indices: ['i1', 'i2'], types: 'type'}).doExplain('1');
+    }, Error);
+    
+    test.throws(function () {
+      ejs.Request({types: 'type'}).doExplain('1');
+    }, Error);
+    
+    ejs.client = mockClient;
+    
     req.sort('field1');
     expected.sort = ['field1'];
     req.doSearch();
@@ -1399,6 +1510,18 @@ exports.search = {
     // value into the existing facets object
     expected.facets.my_terms_facet = termsFacet._self().my_terms_facet;
     doTest();
+
+    req.agg(ejs.TermsAggregation('authors').field('author')
+      .agg(ejs.AvgAggregation('avg_likes').field('likes')));
+    expected.aggs = {authors: {
+      terms: {field: 'author'},
+      aggs: {avg_likes: {avg: {field: 'likes'}}}
+    }};
+    doTest();
+
+    req.agg(ejs.GlobalAggregation('all'));
+    expected.aggs.all = {global: {}};
+    doTest();
     
     req.filter(termFilter);
     expected.filter = termFilter._self();
@@ -1458,6 +1581,14 @@ exports.search = {
     test.throws(function () {
       req.facet('invalid');
     }, TypeError);
+
+    test.throws(function () {
+      req.agg('invalid');
+    }, TypeError);
+
+    test.throws(function () {
+      req.agg(ejs.TermsFacet('f'));
+    }, TypeError);
     
     test.throws(function () {
       req.filter('invalid');
@@ -1719,6 +1850,1301 @@ exports.search = {
       mreq.requests('invalid');
     }, TypeError);
     
+    test.done();
+  },
+  ScrollCursor: function (test) {
+    test.expect(44);
+
+    var req = ejs.Request({indices: 'index1', types: 'type1'})
+        .query(ejs.MatchAllQuery()),
+      cursor,
+      calls = [],
+      responses = [],
+      pages = [],
+      hits = [],
+      doneCalled = false;
+
+    // setup fake client that replies with the queued responses
+    ejs.client = {
+      post: function (path, data, successcb, errorcb) {
+        calls.push({method: 'post', path: path, data: data});
+        successcb(responses.shift());
+      },
+      del: function (path, data, successcb, errorcb) {
+        calls.push({method: 'delete', path: path, data: data});
+        successcb({ok: true});
+      }
+    };
+    
+    test.strictEqual(typeof(req.scroll()), 'undefined');
+    req.scroll('5m');
+    test.strictEqual(req.scroll(), '5m');
+    
+    cursor = req.scrollCursor();
+    test.ok(cursor, 'ScrollCursor exists');
+    test.strictEqual(cursor._type(), 'scroll cursor');
+    test.strictEqual(cursor.keepAlive(), '5m');
+    test.strictEqual(cursor.scrollId(), null);
+    test.strictEqual(cursor.total(), null);
+    test.strictEqual(cursor.done(), false);
+    test.deepEqual(cursor._self(), {scroll: '5m', scroll_id: null, total: null, 
+      done: false});
+    test.strictEqual(cursor.toString(), JSON.stringify(cursor._self()));
+    
+    // normal scroll
+    cursor.keepAlive('2m');
+    responses.push({_scroll_id: 's1', hits: {total: 3, hits: [{_id: '1'}, 
+      {_id: '2'}]}});
+    cursor.next(function (r) {
+      pages.push(r);
+    });
+    test.deepEqual(calls[0], {method: 'post', 
+      path: '/index1/type1/_search?scroll=2m', data: req.toString()});
+    test.strictEqual(cursor.scrollId(), 's1');
+    test.strictEqual(cursor.total(), 3);
+    test.strictEqual(pages.length, 1);
+    
+    responses.push({_scroll_id: 's2', hits: {total: 3, hits: [{_id: '3'}]}});
+    cursor.next(function (r) {
+      pages.push(r);
+    });
+    test.deepEqual(calls[1], {method: 'post', 
+      path: '/_search/scroll?scroll=2m', data: 's1'});
+    test.strictEqual(cursor.scrollId(), 's2');
+    test.strictEqual(cursor.done(), false);
+    
+    // empty page completes the cursor and clears the scroll
+    responses.push({_scroll_id: 's3', hits: {total: 3, hits: []}});
+    cursor.next(function (r) {
+      pages.push(r);
+    });
+    test.deepEqual(calls[2], {method: 'post', 
+      path: '/_search/scroll?scroll=2m', data: 's2'});
+    test.deepEqual(calls[3], {method: 'delete', path: '/_search/scroll', 
+      data: 's3'});
+    test.strictEqual(cursor.done(), true);
+    test.strictEqual(cursor.scrollId(), null);
+    test.strictEqual(pages.length, 3);
+    
+    test.throws(function () {
+      cursor.next(function () {});
+    }, Error);
+    
+    // scan skips the initial empty response
+    calls = [];
+    req = ejs.Request({indices: 'index1'}).searchType('scan');
+    responses.push(
+      {_scroll_id: 'a1', hits: {total: 2, hits: []}},
+      {_scroll_id: 'a2', hits: {total: 2, hits: [{_id: '1'}]}},
+      {_scroll_id: 'a3', hits: {total: 2, hits: [{_id: '2'}]}},
+      {_scroll_id: 'a4', hits: {total: 2, hits: []}}
+    );
+    req.scrollCursor('1m').each(function (hit) {
+      hits.push(hit._id);
+    }, function () {
+      doneCalled = true;
+    });
+    test.deepEqual(hits, ['1', '2']);
+    test.strictEqual(doneCalled, true);
+    test.strictEqual(calls.length, 5);
+    test.strictEqual(calls[0].path, '/index1/_search?search_type=scan&scroll=1m');
+    test.strictEqual(calls[1].data, 'a1');
+    test.deepEqual(calls[4], {method: 'delete', path: '/_search/scroll', 
+      data: 'a4'});
+
+    // the scroll is not set on the scrolled request
+    test.strictEqual(typeof(req.scroll()), 'undefined');
+    test.strictEqual(req.searchType(), 'scan');
+    
+    // returning false from the hit callback aborts the scroll
+    calls = [];
+    hits = [];
+    doneCalled = false;
+    responses = [
+      {_scroll_id: 'b1', hits: {total: 4, hits: [{_id: '1'}, {_id: '2'}]}}
+    ];
+    cursor = ejs.Request().scrollCursor();
+    cursor.each(function (hit) {
+      hits.push(hit._id);
+      return false;
+    }, function () {
+      doneCalled = true;
+    });
+    test.deepEqual(hits, ['1']);
+    test.strictEqual(doneCalled, true);
+    test.strictEqual(cursor.done(), true);
+    test.deepEqual(calls[1], {method: 'delete', path: '/_search/scroll', 
+      data: 'b1'});
+    
+    // error responses are passed to the error callback
+    responses = [{error: 'SearchPhaseExecutionException', status: 500}];
+    cursor = ejs.Request().scrollCursor();
+    cursor.next(null, function (err) {
+      test.strictEqual(err.status, 500);
+    });
+    test.strictEqual(cursor.done(), true);
+
+    // failed scroll requests clear the scroll before the error callback
+    calls = [];
+    responses = [{_scroll_id: 'c1', hits: {total: 3, hits: [{_id: '1'}]}}];
+    cursor = ejs.Request().scrollCursor();
+    cursor.next();
+    ejs.client.post = function (path, data, successcb, errorcb) {
+      calls.push({method: 'post', path: path, data: data});
+      errorcb('connection refused');
+    };
+    cursor.next(null, function (err) {
+      test.strictEqual(err, 'connection refused');
+    });
+    test.deepEqual(calls[2], {method: 'delete', path: '/_search/scroll',
+      data: 'c1'});
+    test.strictEqual(cursor.done(), true);
+    ejs.client.post = function (path, data, successcb, errorcb) {
+      calls.push({method: 'post', path: path, data: data});
+      successcb(responses.shift());
+    };
+
+    test.throws(function () {
+      ejs.ScrollCursor('invalid');
+    }, TypeError);
+    
+    test.throws(function () {
+      ejs.Request().scrollCursor().each('invalid');
+    }, TypeError);
+    
+    // an exhausted cursor rejects the promise instead of throwing
+    ejs.client.defer = function () {
+      var deferred = {};
+      deferred.promise = new Promise(function (resolve, reject) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      return deferred;
+    };
+    cursor.next().then(null, function (err) {
+      test.strictEqual(err.message, 'Cursor is exhausted');
+    });
+    delete ejs.client.defer;
+
+    // async iteration over all hits
+    responses = [
+      {_scroll_id: 'c1', hits: {total: 3, hits: [{_id: '1'}, {_id: '2'}]}},
+      {_scroll_id: 'c2', hits: {total: 3, hits: [{_id: '3'}]}},
+      {_scroll_id: 'c3', hits: {total: 3, hits: []}}
+    ];
+    cursor = ejs.Request().scrollCursor();
+    hits = [];
+    (function iterate(it) {
+      it.next().then(function (item) {
+        if (item.done) {
+          test.deepEqual(hits, ['1', '2', '3']);
+          test.done();
+          return;
+        }
+        
+        hits.push(item.value._id);
+        iterate(it);
+      });
+    }(cursor[Symbol.asyncIterator]()));
+  },
+  Explanation: function (test) {
+    test.expect(17);
+
+    var raw = {
+        value: 0.8,
+        description: 'product of:',
+        details: [{
+          value: 1.6,
+          description: 'sum of:',
+          details: [{
+            value: 1.2,
+            description: 'weight(title:quick in 0) [PerFieldSimilarity], result of:',
+            details: [{value: 1.2, description: 'fieldWeight in 0'}]
+          }, {
+            value: 0.4,
+            description: 'weight(title:fox in 0) [PerFieldSimilarity], result of:',
+            details: [{value: 0.4, description: 'fieldWeight in 0'}]
+          }]
+        }, {
+          value: 0.5,
+          description: 'coord(2/4)'
+        }]
+      },
+      expl = ejs.Explanation(raw),
+      children;
+    
+    test.ok(expl, 'Explanation exists');
+    test.strictEqual(expl._self(), raw);
+    test.strictEqual(expl._type(), 'explanation');
+    test.strictEqual(expl.toString(), JSON.stringify(raw));
+    test.strictEqual(expl.value(), 0.8);
+    test.strictEqual(expl.description(), 'product of:');
+    
+    children = expl.children();
+    test.strictEqual(children.length, 2);
+    test.strictEqual(children[0].value(), 1.6);
+    test.strictEqual(children[0].children().length, 2);
+    test.strictEqual(children[1].description(), 'coord(2/4)');
+    test.deepEqual(children[1].children(), []);
+    
+    test.deepEqual(expl.flatten(), [
+      {depth: 0, value: 0.8, description: 'product of:'},
+      {depth: 1, value: 1.6, description: 'sum of:'},
+      {depth: 2, value: 1.2,
+        description: 'weight(title:quick in 0) [PerFieldSimilarity], result of:'},
+      {depth: 3, value: 1.2, description: 'fieldWeight in 0'},
+      {depth: 2, value: 0.4,
+        description: 'weight(title:fox in 0) [PerFieldSimilarity], result of:'},
+      {depth: 3, value: 0.4, description: 'fieldWeight in 0'},
+      {depth: 1, value: 0.5, description: 'coord(2/4)'}
+    ]);
+    
+    test.deepEqual(expl.top(), [
+      {value: 1.2,
+        description: 'weight(title:quick in 0) [PerFieldSimilarity], result of:'},
+      {value: 0.5, description: 'coord(2/4)'},
+      {value: 0.4,
+        description: 'weight(title:fox in 0) [PerFieldSimilarity], result of:'}
+    ]);
+    
+    test.deepEqual(expl.top(1), [
+      {value: 1.2,
+        description: 'weight(title:quick in 0) [PerFieldSimilarity], result of:'}
+    ]);
+    
+    test.deepEqual(children[1].top(), [{value: 0.5, description: 'coord(2/4)'}]);
+    
+    test.strictEqual(children[0].format(), [
+      '1.6 = sum of:',
+      '  1.2 = weight(title:quick in 0) [PerFieldSimilarity], result of:',
+      '    1.2 = fieldWeight in 0',
+      '  0.4 = weight(title:fox in 0) [PerFieldSimilarity], result of:',
+      '    0.4 = fieldWeight in 0'
+    ].join('\n'));
+    
+    test.throws(function () {
+      ejs.Explanation('invalid');
+    }, TypeError);
+    
+    test.done();
+  },
+  SearchResponse: function (test) {
+    test.expect(56);
+
+    var raw = {
+        took: 12,
+        timed_out: false,
+        _scroll_id: 'abc',
+        _shards: {total: 5, successful: 5, failed: 0},
+        hits: {
+          total: 2,
+          max_score: 1.5,
+          hits: [{
+            _index: 'index',
+            _type: 'type',
+            _id: '1',
+            _score: 1.5,
+            _version: 3,
+            _source: {title: 'quick fox'},
+            highlight: {title: ['<em>quick</em> fox']},
+            sort: [1.5, 'a'],
+            _explanation: {value: 1.5, description: 'weight(title:quick)'}
+          }, {
+            _index: 'index',
+            _type: 'type',
+            _id: '2',
+            _score: 0.5,
+            fields: {title: 'lazy dog'}
+          }]
+        },
+        facets: {
+          tags: {_type: 'terms', missing: 1, total: 10, other: 2,
+            terms: [{term: 'a', count: 5}, {term: 'b', count: 3}]},
+          price_stats: {_type: 'terms_stats', missing: 0,
+            terms: [{term: 'a', count: 2, total_count: 2, min: 1, max: 3,
+              total: 4, mean: 2}]},
+          per_day: {_type: 'date_histogram',
+            entries: [{time: 1000, count: 4}, {time: 2000, count: 1}]},
+          prices: {_type: 'histogram', entries: [{key: 10, count: 2}]},
+          ranges: {_type: 'range',
+            ranges: [{to: 50, count: 2, min: 10, max: 40, total_count: 2,
+              total: 50, mean: 25}, {from: 50, count: 0}]},
+          stats: {_type: 'statistical', count: 2, total: 5, min: 1, max: 4,
+            mean: 2.5, sum_of_squares: 17, variance: 2.25,
+            std_deviation: 1.5},
+          errors: {_type: 'filter', count: 7},
+          custom: {_type: 'other', value: 1}
+        },
+        suggest: {
+          my_suggester: [{text: 'quikc', offset: 0, length: 5,
+            options: [{text: 'quick', score: 0.8, freq: 3}]}]
+        }
+      },
+      resp = ejs.SearchResponse(raw),
+      hits = resp.hits(),
+      seen = [],
+      iter,
+      partial;
+    
+    test.ok(resp, 'SearchResponse exists');
+    test.strictEqual(resp._self(), raw);
+    test.strictEqual(resp._type(), 'search response');
+    test.strictEqual(resp.toString(), JSON.stringify(raw));
+    test.strictEqual(resp.took(), 12);
+    test.strictEqual(resp.timedOut(), false);
+    test.strictEqual(resp.total(), 2);
+    test.strictEqual(resp.maxScore(), 1.5);
+    test.strictEqual(resp.scrollId(), 'abc');
+    test.deepEqual(resp.shards(), {total: 5, successful: 5, failed: 0});
+    test.deepEqual(resp.shardFailures(), []);
+    test.strictEqual(resp.isPartial(), false);
+    
+    test.strictEqual(hits.length, 2);
+    test.strictEqual(hits[0].id(), '1');
+    test.strictEqual(hits[0].index(), 'index');
+    test.strictEqual(hits[0].type(), 'type');
+    test.strictEqual(hits[0].score(), 1.5);
+    test.strictEqual(hits[0].version(), 3);
+    test.deepEqual(hits[0].source(), {title: 'quick fox'});
+    test.deepEqual(hits[0].fields(), {});
+    test.deepEqual(hits[0].highlight('title'), ['<em>quick</em> fox']);
+    test.deepEqual(hits[0].highlight('body'), []);
+    test.deepEqual(hits[0].highlight(), {title: ['<em>quick</em> fox']});
+    test.deepEqual(hits[0].sort(), [1.5, 'a']);
+    test.strictEqual(hits[0].explanation().value(), 1.5);
+    test.strictEqual(hits[0]._self(), raw.hits.hits[0]);
+    test.strictEqual(hits[1].source(), undefined);
+    test.deepEqual(hits[1].fields(), {title: 'lazy dog'});
+    test.strictEqual(hits[1].fields('title'), 'lazy dog');
+    test.deepEqual(hits[1].sort(), []);
+    test.strictEqual(hits[1].explanation(), null);
+    
+    resp.each(function (hit, i) {
+      seen.push(i + ':' + hit.id());
+    });
+    test.deepEqual(seen, ['0:1', '1:2']);
+    
+    iter = resp[Symbol.iterator]();
+    test.strictEqual(iter.next().value.id(), '1');
+    test.strictEqual(iter.next().value.id(), '2');
+    test.strictEqual(iter.next().done, true);
+    
+    test.deepEqual(resp.facet('tags'), {name: 'tags', type: 'terms',
+      total: 10, missing: 1, other: 2,
+      terms: [{term: 'a', count: 5}, {term: 'b', count: 3}]});
+    test.deepEqual(resp.facet('price_stats'), {name: 'price_stats',
+      type: 'terms_stats', missing: 0, terms: [{term: 'a', count: 2,
+      totalCount: 2, min: 1, max: 3, total: 4, mean: 2}]});
+    test.deepEqual(resp.facet('per_day'), {name: 'per_day',
+      type: 'date_histogram',
+      entries: [{key: 1000, count: 4}, {key: 2000, count: 1}]});
+    test.deepEqual(resp.facet('prices').entries, [{key: 10, count: 2}]);
+    test.deepEqual(resp.facet('ranges').ranges, [
+      {from: undefined, to: 50, count: 2, totalCount: 2, min: 10, max: 40,
+        total: 50, mean: 25},
+      {from: 50, to: undefined, count: 0}
+    ]);
+    test.deepEqual(resp.facet('stats'), {name: 'stats', type: 'statistical',
+      count: 2, total: 5, min: 1, max: 4, mean: 2.5, sumOfSquares: 17,
+      variance: 2.25, stdDeviation: 1.5});
+    test.deepEqual(resp.facet('errors'), {name: 'errors', type: 'filter',
+      count: 7});
+    test.deepEqual(resp.facet('custom'), {name: 'custom', type: 'other',
+      value: 1});
+    test.strictEqual(resp.facet('missing'), undefined);
+    test.strictEqual(resp.facet().tags.type, 'terms');
+    
+    test.deepEqual(resp.suggestion('my_suggester'),
+      raw.suggest.my_suggester);
+    test.deepEqual(resp.suggestion(), raw.suggest);
+    
+    partial = ejs.SearchResponse({
+      timed_out: true,
+      _shards: {total: 2, successful: 1, failed: 1,
+        failures: [{index: 'index', shard: 1, status: 500,
+          reason: 'QueryPhaseExecutionException'}]}
+    });
+    test.strictEqual(partial.timedOut(), true);
+    test.strictEqual(partial.isPartial(), true);
+    test.deepEqual(partial.shardFailures(), [{index: 'index', shard: 1,
+      status: 500, reason: 'QueryPhaseExecutionException'}]);
+    test.deepEqual(partial.hits(), []);
+    test.deepEqual(partial.facet(), {});
+    test.deepEqual(partial.suggestion(), {});
+    test.strictEqual(partial.total(), undefined);
+    
+    test.strictEqual(ejs.SearchResponse({_shards: {failed: 1}}).isPartial(),
+      true);
+    
+    test.throws(function () {
+      ejs.SearchResponse('invalid');
+    }, TypeError);
+    
+    test.done();
+  },
+  fromJSON: function (test) {
+    test.expect(34);
+
+    var req = ejs.Request()
+        .query(ejs.BoolQuery()
+          .must(ejs.TermQuery('user', 'kimchy'))
+          .should(ejs.FilteredQuery(ejs.MatchQuery('title', 'fox'),
+            ejs.GeoDistanceFilter('location').distance(10)
+              .point(ejs.GeoPoint([37.7, -122.4]))))
+          .minimumNumberShouldMatch(1))
+        .filter(ejs.AndFilter([ejs.TermFilter('tag', 'a'),
+          ejs.RangeFilter('age').gte(18)]))
+        .facet(ejs.TermsFacet('tags').field('tags').size(5)
+          .facetFilter(ejs.TermFilter('user', 'kimchy')))
+        .facet(ejs.GeoDistanceFacet('dist').field('location')
+          .point(ejs.GeoPoint([37.7, -122.4])).addRange(0, 10))
+        .facet(ejs.QueryFacet('q').query(ejs.TermQuery('user', 'kimchy')))
+        .agg(ejs.FilterAggregation('red').filter(ejs.TermFilter('color', 'red'))
+          .agg(ejs.TermsAggregation('sizes').field('size')
+            .agg(ejs.TopHitsAggregation('top').size(1))))
+        .sort(ejs.Sort('date').order('desc'))
+        .sort(ejs.Sort('location').geoDistance(ejs.GeoPoint([37.7, -122.4]))
+          .unit('km'))
+        .highlight(ejs.Highlight(['title']).preTags('<b>'))
+        .suggest('quikc fox')
+        .suggest(ejs.TermSuggester('spelling').field('title'))
+        .suggest(ejs.PhraseSuggester('phrase').field('title').gramSize(2))
+        .rescore(ejs.Rescore(10, ejs.MatchQuery('title', 'quick')))
+        .from(5)
+        .size(20),
+      expected = req._self(),
+      parsed = ejs.fromJSON(JSON.stringify(expected)),
+      query,
+      filter,
+      facet,
+      agg,
+      sort,
+      suggest;
+
+    test.ok(parsed, 'Request parsed');
+    test.strictEqual(parsed._type(), 'request');
+    test.deepEqual(parsed._self(), expected);
+
+    query = ejs.fromJSON(expected.query, 'query');
+    test.strictEqual(query._type(), 'query');
+    test.deepEqual(query._self(), expected.query);
+
+    query.must(ejs.TermQuery('status', 'active'));
+    test.strictEqual(query._self().bool.must.length, 2);
+    test.deepEqual(query._self().bool.must[1], {term: {status: {term: 'active'}}});
+
+    filter = ejs.fromJSON(expected.query.bool.should[0].filtered.filter,
+      'filter');
+    test.strictEqual(filter._type(), 'filter');
+    test.strictEqual(filter.field(), 'location');
+    test.deepEqual(filter._self(), expected.query.bool.should[0].filtered.filter);
+
+    filter.distance(20);
+    test.strictEqual(filter._self().geo_distance.distance, 20);
+
+    agg = ejs.fromJSON({red: expected.aggs.red}, 'agg');
+    test.strictEqual(agg._type(), 'aggregation');
+    agg.agg(ejs.AvgAggregation('avg_price').field('price'));
+    test.deepEqual(agg._self().red.aggs.avg_price, {avg: {field: 'price'}});
+    test.deepEqual(agg._self().red.aggs.sizes, expected.aggs.red.aggs.sizes);
+
+    facet = ejs.fromJSON({tags: expected.facets.tags}, 'facet');
+    test.strictEqual(facet._type(), 'facet');
+    facet.size(10);
+    test.strictEqual(facet._self().tags.terms.size, 10);
+    test.deepEqual(facet._self().tags.facet_filter, {term: {user: 'kimchy'}});
+
+    sort = ejs.fromJSON(expected.sort[1], 'sort');
+    test.strictEqual(sort._type(), 'sort');
+    test.deepEqual(sort._self(), expected.sort[1]);
+
+    sort = ejs.fromJSON('date', 'sort');
+    test.deepEqual(sort._self(), {date: {}});
+
+    test.deepEqual(ejs.fromJSON(expected.highlight, 'highlight')._self(),
+      expected.highlight);
+
+    suggest = ejs.fromJSON({spelling: expected.suggest.spelling}, 'suggest');
+    test.strictEqual(suggest._type(), 'suggest');
+    suggest.size(3);
+    test.deepEqual(suggest._self(), {spelling: {term: {field: 'title', size: 3}}});
+
+    test.deepEqual(ejs.fromJSON(expected.rescore, 'rescore')._self(),
+      expected.rescore);
+
+    test.deepEqual(ejs.fromJSON({
+      custom_score: {query: {term: {user: {term: 'kimchy'}}}, script: '_score'}
+    }, 'query')._self(), {
+      custom_score: {query: {term: {user: {term: 'kimchy'}}}, script: '_score'}
+    });
+
+    test.throws(function () {
+      ejs.fromJSON({query: {bool: {must: [{foo: {}}]}}});
+    }, /Unknown query "foo" at query\.bool\.must\[0\]/);
+
+    test.throws(function () {
+      ejs.fromJSON({filter: {and: [{term: {a: 'b'}}, {bar: {}}]}});
+    }, /Unknown filter "bar" at filter\.and\[1\]/);
+
+    test.throws(function () {
+      ejs.fromJSON({facets: {f: {unknown: {field: 'a'}}}});
+    }, /Unknown facet type for "f" at facets/);
+
+    test.throws(function () {
+      ejs.fromJSON({aggs: {a: {terms: {field: 'a'}, aggs: {b: {bogus: {}}}}}});
+    }, /Unknown aggregation type for "b" at aggs\.a\.aggs/);
+
+    test.throws(function () {
+      ejs.fromJSON({aggregations: {a: {filter: {bogus: {}}}}});
+    }, /Unknown filter "bogus" at aggregations\.a\.filter/);
+
+    test.throws(function () {
+      ejs.fromJSON({suggest: {s: {completion: {field: 'a'}}}});
+    }, /Unknown suggester type for "s" at suggest/);
+
+    test.throws(function () {
+      ejs.fromJSON({query: {match_all: {}}, bogus: 1});
+    }, /Unknown request clause "bogus" at request/);
+
+    test.throws(function () {
+      ejs.fromJSON({term: {}}, 'query');
+    }, /No field found at query\.term/);
+
+    test.throws(function () {
+      ejs.fromJSON({}, 'aggs');
+    }, TypeError);
+
+    test.done();
+  },
+  QueryParser: function (test) {
+    test.expect(50);
+
+    var parser = ejs.QueryParser(),
+      expected,
+      doTest = function (qstr) {
+        test.deepEqual(parser.parse(qstr)._self(), expected);
+      };
+
+    test.ok(parser, 'QueryParser exists');
+    test.ok(parser._self(), '_self() works');
+    test.strictEqual(parser._type(), 'query parser');
+
+    expected = {
+      default_field: '_all',
+      default_operator: 'or',
+      analyzed: true,
+      lowercase_expanded_terms: true
+    };
+    test.deepEqual(parser._self(), expected);
+
+    expected = {match_all: {}};
+    doTest('');
+    doTest('*:*');
+
+    expected = {match: {_all: {query: 'quick'}}};
+    doTest('quick');
+
+    expected = {match: {title: {query: 'quick fox', type: 'phrase', slop: 2}}};
+    doTest('title:"quick fox"~2');
+
+    expected = {bool: {must: [
+      {match: {_all: {query: 'a'}}},
+      {match: {_all: {query: 'b'}}}
+    ]}};
+    doTest('a AND b');
+    doTest('a && b');
+    doTest('+a +b');
+
+    expected = {bool: {should: [
+      {match: {_all: {query: 'a'}}},
+      {match: {_all: {query: 'b'}}}
+    ]}};
+    doTest('a OR b');
+    doTest('a || b');
+    doTest('a b');
+
+    expected = {bool: {
+      must: [{match: {_all: {query: 'a'}}}],
+      must_not: [{match: {_all: {query: 'b'}}}],
+      should: [{match: {_all: {query: 'c'}}}]
+    }};
+    doTest('+a -b c');
+    doTest('+a NOT b c');
+    doTest('+a !b c');
+
+    expected = {bool: {must_not: [{match: {_all: {query: 'a'}}}]}};
+    doTest('NOT a');
+
+    expected = {range: {age: {
+      from: '18',
+      include_lower: true,
+      include_upper: false
+    }}};
+    doTest('age:[18 TO *}');
+
+    expected = {range: {name: {
+      from: 'a b',
+      to: 'c',
+      include_lower: false,
+      include_upper: true
+    }}};
+    doTest('name:{"a b" TO c]');
+
+    expected = {wildcard: {_all: {value: 'te?t*'}}};
+    doTest('te?t*');
+
+    expected = {fuzzy: {_all: {value: 'roam', min_similarity: 0.8, boost: 2}}};
+    doTest('roam~0.8^2');
+    doTest('roam^2~0.8');
+
+    expected = {fuzzy: {_all: {value: 'roam'}}};
+    doTest('roam~');
+
+    expected = {wildcard: {Title: {value: 'quick*'}}};
+    doTest('Title:Quick*');
+
+    expected = {fuzzy: {_all: {value: 'roam'}}};
+    doTest('ROAM~');
+
+    expected = {match: {_all: {query: 'Quick'}}};
+    doTest('Quick');
+
+    expected = {match: {_all: {query: 'a:b', boost: 1.5}}};
+    doTest('a\\:b^1.5');
+
+    expected = {match: {_all: {query: 'te*st'}}};
+    doTest('te\\*st');
+
+    expected = {match: {_all: {query: 'foo-bar'}}};
+    doTest('foo-bar');
+
+    expected = {bool: {must: [
+      {bool: {should: [
+        {match: {_all: {query: 'a'}}},
+        {match: {_all: {query: 'b'}}}
+      ], boost: 3}},
+      {bool: {should: [
+        {match: {title: {query: 'c'}}},
+        {match: {title: {query: 'd'}}}
+      ]}}
+    ]}};
+    doTest('(a OR b)^3 AND title:(c d)');
+
+    parser.defaultField('body').defaultOperator('AND').analyzed(false);
+    test.strictEqual(parser.defaultField(), 'body');
+    test.strictEqual(parser.defaultOperator(), 'and');
+    test.strictEqual(parser.analyzed(), false);
+
+    parser.lowercaseExpandedTerms(false);
+    test.strictEqual(parser.lowercaseExpandedTerms(), false);
+
+    expected = {wildcard: {body: {value: 'Quick*'}}};
+    doTest('Quick*');
+
+    expected = {fuzzy: {body: {value: 'ROAM'}}};
+    doTest('ROAM~');
+
+    expected = {bool: {
+      must: [{term: {body: {term: 'a'}}}],
+      should: [{term: {body: {term: 'b'}}}, {term: {body: {term: 'c'}}}]
+    }};
+    doTest('a b OR c');
+
+    expected = {bool: {must: [
+      {term: {body: {term: 'a'}}},
+      {term: {body: {term: 'b'}}}
+    ]}};
+    doTest('a b');
+
+    parser.defaultOperator('invalid');
+    test.strictEqual(parser.defaultOperator(), 'and');
+
+    test.strictEqual(parser.parse('a OR b')._type(), 'query');
+
+    test.throws(function () {
+      parser.parse('a AND');
+    }, /Unexpected end of query/);
+
+    test.throws(function () {
+      parser.parse('(a');
+    }, /Missing \) for \( at position 0/);
+
+    test.throws(function () {
+      parser.parse('a)');
+    }, /Unexpected "\)" at position 1/);
+
+    test.throws(function () {
+      parser.parse('"quick fox');
+    }, /Unterminated phrase at position 0/);
+
+    test.throws(function () {
+      parser.parse('age:[1 TO');
+    }, /Unterminated range at position 4/);
+
+    test.throws(function () {
+      parser.parse('age:[1 5]');
+    }, /Missing TO in range at position 4/);
+
+    test.throws(function () {
+      parser.parse('AND a');
+    }, /Unexpected "AND" at position 0/);
+
+    test.throws(function () {
+      parser.parse('a^');
+    }, /Missing boost value at position 1/);
+
+    test.throws(function () {
+      parser.parse(2);
+    }, TypeError);
+
+    test.done();
+  },
+  cloneEquals: function (test) {
+    test.expect(33);
+
+    var termQuery = ejs.TermQuery('user', 'kimchy'),
+      sort = ejs.Sort('date').order('desc').missing('_last'),
+      geoSort = ejs.Sort('location').geoDistance(ejs.GeoPoint([37.7, -122.4]))
+        .unit('km'),
+      highlight = ejs.Highlight(['title', 'body']).preTags('<b>')
+        .fragmentSize(50, 'body'),
+      termSuggest = ejs.TermSuggester('spelling').field('title').size(3)
+        .suggestMode('popular'),
+      phraseSuggest = ejs.PhraseSuggester('phrase').field('title')
+        .directGenerator(ejs.DirectGenerator().field('title').size(5)),
+      req = ejs.Request({indices: ['a', 'b'], types: 'doc', routing: 'r1'})
+        .query(ejs.BoolQuery().must(termQuery))
+        .filter(ejs.TermFilter('tag', 'a'))
+        .facet(ejs.TermsFacet('tags').field('tags'))
+        .sort(sort)
+        .highlight(highlight)
+        .suggest(termSuggest)
+        .size(20)
+        .searchType('dfs_query_then_fetch')
+        .timeout(1000),
+      copy;
+
+    copy = sort.clone();
+    test.strictEqual(copy._type(), 'sort');
+    test.ok(copy.equals(sort), 'sort clone equals');
+    copy.order('asc');
+    test.strictEqual(sort.order(), 'desc');
+    test.ok(!copy.equals(sort), 'changed sort is not equal');
+
+    copy = geoSort.clone();
+    test.ok(copy.equals(geoSort), 'geo sort clone equals');
+    copy.unit('mi');
+    test.deepEqual(geoSort._self(), {_geo_distance: {
+      location: [-122.4, 37.7],
+      unit: 'km'
+    }});
+
+    copy = highlight.clone();
+    test.strictEqual(copy._type(), 'highlight');
+    test.ok(copy.equals(highlight), 'highlight clone equals');
+    copy.fragmentSize(100, 'body').fields('summary');
+    test.deepEqual(highlight._self(), {
+      fields: {title: {}, body: {fragment_size: 50}},
+      pre_tags: ['<b>']
+    });
+
+    copy = termSuggest.clone();
+    test.strictEqual(copy._type(), 'suggest');
+    test.ok(copy.equals(termSuggest), 'term suggester clone equals');
+    copy.size(10).maxEdits(1);
+    test.deepEqual(termSuggest._self(), {spelling: {term: {
+      field: 'title',
+      size: 3,
+      suggest_mode: 'popular'
+    }}});
+    test.deepEqual(copy._self(), {spelling: {term: {
+      field: 'title',
+      size: 10,
+      suggest_mode: 'popular',
+      max_edits: 1
+    }}});
+
+    copy = phraseSuggest.clone();
+    test.ok(copy.equals(phraseSuggest), 'phrase suggester clone equals');
+    copy._self().phrase.phrase.direct_generator[0].size = 1;
+    test.strictEqual(phraseSuggest._self().phrase.phrase.direct_generator[0].size,
+      5);
+    test.ok(!termSuggest.equals(phraseSuggest), 'different suggesters');
+
+    copy = req.clone();
+    test.strictEqual(copy._type(), 'request');
+    test.notStrictEqual(copy._self(), req._self());
+    test.deepEqual(copy._self(), req._self());
+    test.deepEqual(copy.indices(), ['a', 'b']);
+    test.deepEqual(copy.types(), ['doc']);
+    test.strictEqual(copy.routing(), 'r1');
+    test.strictEqual(copy.searchType(), 'dfs_query_then_fetch');
+    test.strictEqual(copy.timeout(), 1000);
+    test.ok(copy.equals(req), 'request clone equals');
+    test.ok(req.equals(copy), 'equals is symmetric');
+
+    // variations of a base request do not change it
+    copy.query(ejs.MatchAllQuery()).from(20);
+    test.deepEqual(req._self().query,
+      {bool: {must: [{term: {user: {term: 'kimchy'}}}]}});
+    test.strictEqual(req.from(), undefined);
+    test.ok(!copy.equals(req), 'changed request is not equal');
+
+    copy = req.clone();
+    copy.indices().push('c');
+    test.deepEqual(req.indices(), ['a', 'b']);
+    test.ok(!copy.equals(req), 'indices differ');
+
+    copy = req.clone().preference('_local');
+    test.ok(!copy.equals(req), 'params differ');
+
+    test.ok(!req.equals(req._self()), 'raw json is not equal');
+
+    test.done();
+  },
+  CloneMixin: function (test) {
+    test.expect(10);
+
+    var raw = {term: {user: {term: 'kimchy'}}},
+      mixin = ejs.CloneMixin('query', raw),
+      copy;
+
+    test.ok(mixin, 'CloneMixin exists');
+
+    copy = mixin.clone();
+    test.strictEqual(copy._type(), 'query');
+    test.deepEqual(copy._self(), raw);
+    test.notStrictEqual(copy._self(), raw);
+    test.ok(mixin.equals(copy));
+    test.ok(!mixin.equals(ejs.TermQuery('user', 'bob')));
+    test.ok(!mixin.equals(ejs.TermFilter('user', 'kimchy')));
+    test.ok(!mixin.equals(null));
+
+    test.ok(ejs.CloneMixin('filter', {term: {user: 'kimchy'}})
+      .equals(ejs.TermFilter('user', 'kimchy')));
+
+    test.throws(function () {
+      ejs.CloneMixin('invalid', {});
+    }, TypeError);
+
+    test.done();
+  },
+  walk: function (test) {
+    test.expect(25);
+
+    var script = ejs.ScriptFilter('doc.secret.value == 0'),
+      query = ejs.BoolQuery()
+        .must(ejs.TermQuery('user', 'kimchy'))
+        .must(ejs.FilteredQuery(ejs.MatchQuery('title', 'fox'),
+          ejs.AndFilter([ejs.TermFilter('user', 'kimchy'), script])))
+        .mustNot(ejs.NestedQuery('comments')
+          .query(ejs.TermQuery('comments.user', 'bob'))),
+      visited = [],
+      req,
+      result,
+      stripScripts = function (node) {
+        if (node.type() === 'filter' && node.name() === 'script') {
+          node.remove();
+        }
+      };
+
+    test.throws(function () {
+      ejs.walk(query, 'visitor');
+    }, TypeError);
+
+    test.throws(function () {
+      ejs.walk(ejs.TermsFacet('tags'), function () {});
+    }, TypeError);
+
+    // children are visited before their parents
+    result = ejs.walk(query, function (node) {
+      visited.push(node.type() + ':' + node.name() + '@' + node.path() + ':' +
+        node.depth());
+    });
+    test.strictEqual(result, query);
+    test.deepEqual(visited, [
+      'query:term@query.bool.must[0]:1',
+      'query:match@query.bool.must[1].filtered.query:2',
+      'filter:term@query.bool.must[1].filtered.filter.and.filters[0]:3',
+      'filter:script@query.bool.must[1].filtered.filter.and.filters[1]:3',
+      'filter:and@query.bool.must[1].filtered.filter:2',
+      'query:filtered@query.bool.must[1]:1',
+      'query:term@query.bool.must_not[0].nested.query:2',
+      'query:nested@query.bool.must_not[0]:1',
+      'query:bool@query:0'
+    ]);
+
+    ejs.walk(query, function (node) {
+      if (node.name() === 'script') {
+        test.strictEqual(node.parent().name(), 'and');
+        test.strictEqual(node.parent().parent().name(), 'filtered');
+        test.deepEqual(node.raw(), script._self());
+        test.strictEqual(node.object()._type(), 'filter');
+      } else if (node.name() === 'bool') {
+        test.strictEqual(node.parent(), null);
+      }
+    });
+
+    // removing a clause from a list
+    ejs.walk(query, stripScripts);
+    test.deepEqual(query._self().bool.must[1].filtered.filter,
+      {and: {filters: [{term: {user: 'kimchy'}}]}});
+
+    // removing the last required clause removes the parent
+    query = ejs.FilteredQuery(ejs.MatchAllQuery(), ejs.AndFilter([script]));
+    ejs.walk(query, stripScripts);
+    test.deepEqual(query._self(), {filtered: {query: {match_all: {}}}});
+
+    query = ejs.BoolQuery()
+      .must(ejs.ConstantScoreQuery().filter(ejs.NotFilter(script)))
+      .should(ejs.MatchAllQuery());
+    ejs.walk(query, stripScripts);
+    test.deepEqual(query._self(), {bool: {
+      must: [{constant_score: {}}],
+      should: [{match_all: {}}]
+    }});
+
+    test.strictEqual(ejs.walk(ejs.NotFilter(script), stripScripts), null);
+
+    // removing the filter of a score function only removes the filter
+    query = ejs.FunctionScoreQuery().query(ejs.MatchAllQuery())
+      .functions([ejs.BoostFactorScoreFunction(2).filter(script),
+        ejs.RandomScoreFunction().filter(script)]);
+    ejs.walk(query, stripScripts);
+    test.deepEqual(query._self(), {function_score: {
+      query: {match_all: {}},
+      functions: [{boost_factor: 2}, {random_score: {}}]
+    }});
+
+    query = ejs.CustomFiltersScoreQuery(ejs.MatchAllQuery(), [
+      {filter: script, boost: 2},
+      {filter: ejs.TermFilter('user', 'kimchy'), boost: 3}
+    ]);
+    ejs.walk(query, stripScripts);
+    test.deepEqual(query._self().custom_filters_score.filters, [
+      {boost: 2},
+      {filter: {term: {user: 'kimchy'}}, boost: 3}
+    ]);
+
+    // replacing the filter of a not filter keeps its options
+    result = ejs.walk(ejs.NotFilter(ejs.TermFilter('user', 'kimchy'))
+      .cache(true).name('n1'), function (node) {
+        if (node.name() === 'term') {
+          node.replace(ejs.TermFilter('owner', 'kimchy'));
+        }
+      });
+    test.deepEqual(result._self(), {not: {
+      term: {owner: 'kimchy'},
+      _cache: true,
+      _name: 'n1'
+    }});
+
+    // renaming a field everywhere
+    query = ejs.BoolQuery()
+      .must(ejs.TermQuery('user', 'kimchy'))
+      .should(ejs.FilteredQuery(ejs.PrefixQuery('user', 'kim'),
+        ejs.TermFilter('user', 'kimchy')))
+      .should(ejs.TermQuery('title', 'fox'));
+    ejs.walk(query, function (node) {
+      var obj = node.object();
+
+      if (typeof obj.field === 'function' && obj.field() === 'user') {
+        node.replace(obj.field('owner'));
+      }
+    });
+    test.deepEqual(query._self(), {bool: {
+      must: [{term: {owner: {term: 'kimchy'}}}],
+      should: [
+        {filtered: {
+          query: {prefix: {owner: {value: 'kim'}}},
+          filter: {term: {owner: 'kimchy'}}
+        }},
+        {term: {title: {term: 'fox'}}}
+      ]
+    }});
+
+    // adding a tenant filter under every nested query
+    query = ejs.BoolQuery()
+      .must(ejs.NestedQuery('comments').query(ejs.TermQuery('comments.user', 'bob')))
+      .should(ejs.TermQuery('title', 'fox'));
+    ejs.walk(query, function (node) {
+      if (node.name() === 'nested') {
+        node.replace(node.object().query(ejs.FilteredQuery(
+          ejs.fromJSON(node.raw().nested.query, 'query'),
+          ejs.TermFilter('comments.tenant', 't1'))));
+      }
+    });
+    test.deepEqual(query._self().bool.must[0], {nested: {
+      path: 'comments',
+      query: {filtered: {
+        query: {term: {'comments.user': {term: 'bob'}}},
+        filter: {term: {'comments.tenant': 't1'}}
+      }}
+    }});
+
+    test.throws(function () {
+      ejs.walk(query, function (node) {
+        if (node.name() === 'nested') {
+          node.replace(ejs.TermFilter('a', 'b'));
+        }
+      });
+    }, TypeError);
+
+    // the root can be replaced
+    result = ejs.walk(ejs.TermQuery('user', 'kimchy'), function (node) {
+      node.replace(ejs.MatchAllQuery());
+    });
+    test.deepEqual(result._self(), {match_all: {}});
+
+    // walking a request
+    req = ejs.Request()
+      .query(ejs.FilteredQuery(ejs.MatchAllQuery(), script))
+      .filter(ejs.TermFilter('user', 'kimchy'))
+      .facet(ejs.TermsFacet('tags').field('tags').facetFilter(script))
+      .facet(ejs.FilterFacet('scripted').filter(script))
+      .facet(ejs.QueryFacet('all').query(ejs.MatchAllQuery()));
+    visited = [];
+    ejs.walk(req, function (node) {
+      visited.push(node.path());
+    });
+    test.deepEqual(visited, [
+      'query.filtered.query',
+      'query.filtered.filter',
+      'query',
+      'filter',
+      'facets.tags.facet_filter',
+      'facets.scripted.filter',
+      'facets.all.query'
+    ]);
+
+    test.strictEqual(ejs.walk(req, stripScripts), req);
+    test.deepEqual(req._self(), {
+      query: {filtered: {query: {match_all: {}}}},
+      filter: {term: {user: 'kimchy'}},
+      facets: {
+        tags: {terms: {field: 'tags'}},
+        all: {query: {match_all: {}}}
+      }
+    });
+
+    // walking the filters of aggregations
+    req = ejs.Request()
+      .agg(ejs.FilterAggregation('scripted').filter(script)
+        .agg(ejs.TermsAggregation('tags').field('tags')))
+      .agg(ejs.FiltersAggregation('split')
+        .filter('a', script)
+        .filter('b', ejs.TermFilter('user', 'kimchy')))
+      .agg(ejs.FiltersAggregation('scripts').filter('a', script))
+      .agg(ejs.GlobalAggregation('all')
+        .agg(ejs.FilterAggregation('users')
+          .filter(ejs.TermFilter('user', 'kimchy'))
+          .agg(ejs.FiltersAggregation('inner').filter('s', script))));
+    visited = [];
+    ejs.walk(req, function (node) {
+      visited.push(node.path());
+    });
+    test.deepEqual(visited, [
+      'aggs.scripted.filter',
+      'aggs.split.filters.filters.a',
+      'aggs.split.filters.filters.b',
+      'aggs.scripts.filters.filters.a',
+      'aggs.all.aggs.users.filter',
+      'aggs.all.aggs.users.aggs.inner.filters.filters.s'
+    ]);
+
+    ejs.walk(req, stripScripts);
+    test.deepEqual(req._self(), {aggs: {
+      split: {filters: {filters: {b: {term: {user: 'kimchy'}}}}},
+      all: {global: {}, aggs: {
+        users: {filter: {term: {user: 'kimchy'}}}
+      }}
+    }});
+
+    test.done();
+  },
+  ScriptScoreFunction: function (test) {
+    test.expect(11);
+
+    var termFilter = ejs.TermFilter('tf1', 'vf1'),
+      func = ejs.ScriptScoreFunction('_score * 2'),
+      expected,
+      doTest = function () {
+        test.deepEqual(func._self(), expected);
+      };
+
+    expected = {
+      script_score: {script: '_score * 2'}
+    };
+
+    test.ok(func, 'ScriptScoreFunction exists');
+    test.ok(func._self(), '_self() works');
+    doTest();
+
+    func.script('_score * doc["likes"].value');
+    expected.script_score.script = '_score * doc["likes"].value';
+    doTest();
+
+    func.lang('mvel');
+    expected.script_score.lang = 'mvel';
+    doTest();
+
+    func.params({p1: 1});
+    expected.script_score.params = {p1: 1};
+    doTest();
+
+    func.filter(termFilter);
+    expected.filter = termFilter._self();
+    doTest();
+
+    test.deepEqual(ejs.ScriptScoreFunction()._self(), {script_score: {}});
+    test.strictEqual(func._type(), 'score function');
+    test.strictEqual(func.toString(), JSON.stringify(expected));
+
+    test.throws(function () {
+      func.filter('invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  BoostFactorScoreFunction: function (test) {
+    test.expect(11);
+
+    var termFilter = ejs.TermFilter('tf1', 'vf1'),
+      func = ejs.BoostFactorScoreFunction(2),
+      expected,
+      doTest = function () {
+        test.deepEqual(func._self(), expected);
+      };
+
+    expected = {
+      boost_factor: 2
+    };
+
+    test.ok(func, 'BoostFactorScoreFunction exists');
+    test.ok(func._self(), '_self() works');
+    doTest();
+
+    func.boost(5.5);
+    expected.boost_factor = 5.5;
+    doTest();
+    test.strictEqual(func.boost(), 5.5);
+
+    func.filter(termFilter);
+    expected.filter = termFilter._self();
+    doTest();
+
+    test.strictEqual(func._type(), 'score function');
+    test.strictEqual(func.toString(), JSON.stringify(expected));
+
+    func = ejs.BoostFactorScoreFunction();
+    test.deepEqual(func._self(), {});
+    test.strictEqual(func.boost(3).toString(), '{"boost_factor":3}');
+
+    test.throws(function () {
+      func.filter('invalid');
+    }, TypeError);
+
+    test.done();
+  },
+  RandomScoreFunction: function (test) {
+    test.expect(7);
+
+    var termFilter = ejs.TermFilter('tf1', 'vf1'),
+      func = ejs.RandomScoreFunction(),
+      expected,
+      doTest = function () {
+        test.deepEqual(func._self(), expected);
+      };
+
+    expected = {
+      random_score: {}
+    };
+
+    test.ok(func, 'RandomScoreFunction exists');
+    test.ok(func._self(), '_self() works');
+    doTest();
+
+    func.seed(12345);
+    expected.random_score.seed = 12345;
+    doTest();
+
+    func.filter(termFilter);
+    expected.filter = termFilter._self();
+    doTest();
+
+    test.strictEqual(func._type(), 'score function');
+    test.strictEqual(func.toString(), JSON.stringify(expected));
+
+    test.done();
+  },
+  DecayScoreFunction: function (test) {
+    test.expect(18);
+
+    var termFilter = ejs.TermFilter('tf1', 'vf1'),
+      func = ejs.DecayScoreFunction('price'),
+      expected,
+      doTest = function () {
+        test.deepEqual(func._self(), expected);
+      };
+
+    expected = {
+      gauss: {price: {}}
+    };
+
+    test.ok(func, 'DecayScoreFunction exists');
+    test.ok(func._self(), '_self() works');
+    doTest();
+
+    func.origin(100);
+    expected.gauss.price.origin = 100;
+    doTest();
+
+    func.scale(20);
+    expected.gauss.price.scale = 20;
+    doTest();
+
+    func.offset(5);
+    expected.gauss.price.offset = 5;
+    doTest();
+
+    func.decay(0.3);
+    expected.gauss.price.decay = 0.3;
+    doTest();
+
+    test.strictEqual(func.type(), 'gauss');
+
+    func.type('EXP');
+    expected = {exp: expected.gauss};
+    doTest();
+
+    func.type('linear');
+    expected = {linear: expected.exp};
+    doTest();
+
+    func.type('invalid');
+    doTest();
+    test.strictEqual(func.type(), 'linear');
+
+    func.field('cost');
+    expected = {linear: {cost: expected.linear.price}};
+    doTest();
+    test.strictEqual(func.field(), 'cost');
+
+    func = ejs.DecayScoreFunction('date').origin('2013-09-17').scale('10d');
+    expected = {gauss: {date: {origin: '2013-09-17', scale: '10d'}}};
+    doTest();
+
+    func = ejs.DecayScoreFunction('location')
+      .origin(ejs.GeoPoint([37.7, -122.4])).scale('5km').filter(termFilter);
+    expected = {
+      gauss: {location: {origin: [-122.4, 37.7], scale: '5km'}},
+      filter: termFilter._self()
+    };
+    doTest();
+
+    test.strictEqual(func._type(), 'score function');
+    test.strictEqual(func.toString(), JSON.stringify(expected));
+
     test.done();
   }
 };